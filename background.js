@@ -21,6 +21,9 @@ import {
   messageRateLimiter,
   validateSender,
 } from './validation-utils.js';
+import { getEffectiveRenamingRules } from './rule-packs.js';
+// Imported eagerly: a new tab must be marked before its first onUpdated event
+import { markTabCreated, forgetTab as forgetCreatedTab } from './tab-dedup.js';
 
 // --- STATE MANAGEMENT ---
 // All state is now stored in chrome.storage.local and loaded on-demand
@@ -33,7 +36,9 @@ const STORAGE_KEYS = {
   TAB_GROUP_MAP: 'tabGroupMap',
   GROUP_ACTIVITY: 'groupActivity',
   SINGLE_TAB_GROUP_TIMESTAMPS: 'singleTabGroupTimestamps',
+  COLLAPSED_GROUP_TIMESTAMPS: 'collapsedGroupTimestamps',
   PENDING_SUGGESTION: 'pendingSuggestion',
+  TAB_AGE_LAST_CHECK: 'tabAgeLastCheck',
   INITIALIZATION_STATE: 'initializationState',
 };
 
@@ -53,6 +58,7 @@ let pendingStorageUpdates = {
   [STORAGE_KEYS.TAB_GROUP_MAP]: null,
   [STORAGE_KEYS.GROUP_ACTIVITY]: null,
   [STORAGE_KEYS.SINGLE_TAB_GROUP_TIMESTAMPS]: null,
+  [STORAGE_KEYS.COLLAPSED_GROUP_TIMESTAMPS]: null,
   [STORAGE_KEYS.TAB_PROCESSING_QUEUE]: null,
   [STORAGE_KEYS.PENDING_SUGGESTION]: null,
   [STORAGE_KEYS.INITIALIZATION_STATE]: null,
@@ -184,6 +190,7 @@ async function initializeState() {
     [STORAGE_KEYS.TAB_GROUP_MAP]: {},
     [STORAGE_KEYS.GROUP_ACTIVITY]: {},
     [STORAGE_KEYS.SINGLE_TAB_GROUP_TIMESTAMPS]: {},
+    [STORAGE_KEYS.COLLAPSED_GROUP_TIMESTAMPS]: {},
     [STORAGE_KEYS.PENDING_SUGGESTION]: null,
     [STORAGE_KEYS.INITIALIZATION_STATE]: {
       initialized: false,
@@ -390,6 +397,91 @@ async function ensureLearningEngineLoaded() {
   return await loadModule('learning-engine.js');
 }
 
+/**
+ * Load session snapshots module on demand
+ */
+async function ensureSessionSnapshotsLoaded() {
+  return await loadModule('session-snapshots.js');
+}
+
+async function ensureWindowPoliciesLoaded() {
+  return await loadModule('window-policies.js');
+}
+
+async function ensureTabContextLoaded() {
+  return await loadModule('tab-context.js');
+}
+
+async function ensureRenameHistoryLoaded() {
+  return await loadModule('rename-history.js');
+}
+
+async function ensureGroupColorsLoaded() {
+  return await loadModule('group-colors.js');
+}
+
+async function ensureTabDedupLoaded() {
+  return await loadModule('tab-dedup.js');
+}
+
+/**
+ * Schedule a refresh of the duplicate-tab badges
+ */
+function scheduleDuplicateBadgeRefresh() {
+  debounce(
+    'duplicate-badges',
+    async () => {
+      const dedupModule = await ensureTabDedupLoaded();
+      await dedupModule.refreshDuplicateBadges();
+    },
+    getConfig('TITLE_UPDATE_DEBOUNCE') || 1000
+  );
+}
+
+async function ensureTabExceptionsLoaded() {
+  return await loadModule('tab-exceptions.js');
+}
+
+async function ensureGroupManagementLoaded() {
+  return await loadModule('group-management.js');
+}
+
+async function ensureTabSearchLoaded() {
+  return await loadModule('tab-search.js');
+}
+
+async function ensureGroupJournalLoaded() {
+  return await loadModule('group-journal.js');
+}
+
+async function ensureGroupArchiveLoaded() {
+  return await loadModule('group-archive.js');
+}
+
+/**
+ * Drop grouping exceptions that have expired or whose window was closed
+ */
+async function pruneStaleExceptions() {
+  try {
+    const settings = await getSettings();
+    const exceptionsModule = await ensureTabExceptionsLoaded();
+    const windows = await browser.windows.getAll();
+    const exceptions = exceptionsModule.pruneExceptions(settings.exceptions, {
+      openWindowIds: new Set(windows.map((window) => window.id)),
+    });
+    if (exceptions.length === settings.exceptions.length) return;
+
+    const { newSettings } = await updateSettings({ exceptions });
+    memoryCache.settings = newSettings;
+    Logger.debug(
+      'pruneStaleExceptions',
+      `Removed ${settings.exceptions.length - exceptions.length} stale exception(s).`
+    );
+  } catch (e) {
+    Logger.error('pruneStaleExceptions', 'Error pruning exceptions:', e);
+  }
+}
+
 // --- UTILITY FUNCTIONS ---
 
 /**
@@ -420,8 +512,16 @@ function debounce(key, fn, delay) {
  * @param {browser.tabs.Tab} tab - Created tab
  */
 async function handleTabCreated(tab) {
+  // New tabs are the ones a duplicate policy may close once their URL loads.
+  // Marked before any await, so that onUpdated for this tab cannot run first.
+  markTabCreated(tab.id);
+
   Logger.debug('handleTabCreated', `Tab ${tab.id} created.`, { tab });
 
+  // Record when (and from where) the tab was opened, for tab-context rule conditions
+  const tabContextModule = await ensureTabContextLoaded();
+  await tabContextModule.recordTabCreated(tab);
+
   if (tab.groupId && tab.groupId !== browser.tabs.TAB_ID_NONE) {
     Logger.info(
       'handleTabCreated',
@@ -446,6 +546,18 @@ async function handleTabCreated(tab) {
   );
 }
 
+/**
+ * Check whether auto-grouping is enabled for a window, taking its policy into account
+ * @param {number} windowId - Window ID
+ * @returns {Promise<boolean>}
+ */
+async function isAutoGroupingEnabledForWindow(windowId) {
+  const policiesModule = await ensureWindowPoliciesLoaded();
+  const { autoGroupingEnabled } =
+    await policiesModule.getEffectiveWindowSettings(windowId);
+  return autoGroupingEnabled;
+}
+
 /**
  * Handle tab updated event
  * @param {number} tabId - Updated tab ID
@@ -458,6 +570,21 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
     tab,
   });
 
+  // Handle duplicate tabs (a closed duplicate needs no further processing)
+  const settings = await getSettings();
+  if (settings.duplicateTabPolicy !== 'off') {
+    if (changeInfo.url) {
+      const dedupModule = await ensureTabDedupLoaded();
+      if (await dedupModule.handleTabUrlLoaded(tab)) return;
+    }
+    if (
+      settings.duplicateTabPolicy === 'badge' &&
+      (changeInfo.url || changeInfo.status === 'complete')
+    ) {
+      scheduleDuplicateBadgeRefresh();
+    }
+  }
+
   // Handle group changes
   if (changeInfo.groupId !== undefined) {
     const tabGroupMap = await getTabGroupMap();
@@ -486,14 +613,15 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
     await updateTabGroupMap(tabId, changeInfo.groupId);
   }
 
-  // Handle grouping processing
-  const settings = await getSettings();
+  // Handle grouping processing (a window policy may override the global switch)
   const needsGroupingProcessing =
-    settings.autoGroupingEnabled &&
     tab.url &&
     tab.url.startsWith('http') &&
     (changeInfo.status === 'complete' ||
-      (changeInfo.title && tab.status === 'complete'));
+      (tab.status === 'complete' &&
+        (changeInfo.title ||
+          (await tabStateChangeAffectsGrouping(changeInfo))))) &&
+    (await isAutoGroupingEnabledForWindow(tab.windowId));
 
   if (needsGroupingProcessing) {
     Logger.debug(
@@ -540,6 +668,20 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
 async function handleTabRemoved(tabId, removeInfo) {
   Logger.debug('handleTabRemoved', `Tab ${tabId} removed.`, { removeInfo });
 
+  const tabContextModule = await ensureTabContextLoaded();
+  await tabContextModule.forgetTab(tabId);
+
+  const settings = await getSettings();
+  if (settings.tabRenamingEnabled) {
+    const renamingModule = await ensureTabRenamingLoaded();
+    await renamingModule.globalTabRenamingEngine.forgetTab(tabId);
+  }
+
+  forgetCreatedTab(tabId);
+  if (settings.duplicateTabPolicy === 'badge') {
+    scheduleDuplicateBadgeRefresh();
+  }
+
   const tabGroupMap = await getTabGroupMap();
   const oldGroupId = tabGroupMap.get(tabId);
 
@@ -749,6 +891,12 @@ async function handleTabGroupUpdated(group) {
       );
     }
 
+    // Remember colors the user picks for automatic groups
+    if (!isManual) {
+      const groupColors = await ensureGroupColorsLoaded();
+      await groupColors.observeGroupColor(group);
+    }
+
     // Update pin status
     if (isManual && !hasPin) {
       await browser.tabGroups.update(group.id, { title: `📌 ${title}` });
@@ -783,6 +931,9 @@ async function handleTabGroupRemoved(group) {
       await updateSettings({ manualGroupIds: newManualIds });
     }
 
+    const groupColors = await ensureGroupColorsLoaded();
+    groupColors.forgetGroupColor(group.id);
+
     // Clean up activity data using batched storage
     let activityData = pendingStorageUpdates[STORAGE_KEYS.GROUP_ACTIVITY];
     if (activityData === null) {
@@ -849,10 +1000,12 @@ async function handleTabGroupRemoved(group) {
 
 /**
  * Process the tab queue
+ * @param {number[]} [tabIds] - Explicit tab IDs to process instead of the persisted queue
  */
-async function processTabQueue() {
+async function processTabQueue(tabIds) {
   try {
-    const queue = await getTabProcessingQueue();
+    const fromPersistedQueue = !Array.isArray(tabIds);
+    const queue = fromPersistedQueue ? await getTabProcessingQueue() : tabIds;
     if (queue.length === 0) return;
 
     Logger.info('processTabQueue', `Processing ${queue.length} tabs.`, queue);
@@ -860,12 +1013,181 @@ async function processTabQueue() {
     const groupingModule = await ensureGroupingLogicLoaded();
     await groupingModule.processTabQueue(queue);
 
-    await clearTabProcessingQueue();
+    if (fromPersistedQueue) {
+      await clearTabProcessingQueue();
+    }
   } catch (error) {
     Logger.error('processTabQueue', 'Error processing tab queue:', error);
   }
 }
 
+// Tab state changes (changeInfo key -> condition property) that may regroup a tab
+const TAB_STATE_CONDITION_PROPERTIES = {
+  audible: 'audible',
+  mutedInfo: 'muted',
+  discarded: 'discarded',
+};
+
+/**
+ * Whether a tab state change (audible, muted, discarded) can change the tab's
+ * group, i.e. a rule or exception tests one of the changed properties
+ * @param {object} changeInfo - The tabs.onUpdated change info
+ * @returns {Promise<boolean>}
+ */
+async function tabStateChangeAffectsGrouping(changeInfo) {
+  const changedProperties = Object.keys(TAB_STATE_CONDITION_PROPERTIES)
+    .filter((key) => changeInfo[key] !== undefined)
+    .map((key) => TAB_STATE_CONDITION_PROPERTIES[key]);
+  if (changedProperties.length === 0) return false;
+
+  const groupingModule = await ensureGroupingLogicLoaded();
+  return groupingModule.conditionsUseProperties(changedProperties);
+}
+
+/**
+ * Get the active tab of the last focused window
+ * @returns {Promise<browser.tabs.Tab|null>} The active tab, if any
+ */
+async function getActiveTab() {
+  const [activeTab] = await browser.tabs.query({
+    active: true,
+    lastFocusedWindow: true,
+  });
+  return activeTab || null;
+}
+
+/**
+ * Collapse every expanded group in the focused window except the active tab's group
+ * @returns {Promise<object>} Operation result
+ */
+async function collapseOtherGroups() {
+  const activeTab = await getActiveTab();
+  if (!activeTab) return { success: false, error: 'No active tab.' };
+
+  const groups = await browser.tabGroups.query({
+    windowId: activeTab.windowId,
+    collapsed: false,
+  });
+  const groupsToCollapse = groups.filter((g) => g.id !== activeTab.groupId);
+
+  await Promise.all(
+    groupsToCollapse.map((g) =>
+      browser.tabGroups
+        .update(g.id, { collapsed: true })
+        .catch((e) =>
+          Logger.warn(
+            'collapseOtherGroups',
+            `Failed to collapse group ${g.id}:`,
+            e
+          )
+        )
+    )
+  );
+
+  return { success: true, collapsed: groupsToCollapse.length };
+}
+
+/**
+ * Move the active tab to the next or previous group of its window, following
+ * the visual order of the groups in the tab strip (wraps around)
+ * @param {'next'|'previous'} direction - Direction to move
+ * @returns {Promise<object>} Operation result
+ */
+async function moveActiveTabToAdjacentGroup(direction) {
+  const activeTab = await getActiveTab();
+  if (!activeTab || activeTab.pinned) {
+    return { success: false, error: 'No movable active tab.' };
+  }
+
+  const tabsInWindow = await browser.tabs.query({
+    windowId: activeTab.windowId,
+  });
+  const groupOrder = [];
+  tabsInWindow
+    .sort((a, b) => a.index - b.index)
+    .forEach((tab) => {
+      if (tab.groupId !== -1 && !groupOrder.includes(tab.groupId)) {
+        groupOrder.push(tab.groupId);
+      }
+    });
+
+  if (groupOrder.length === 0) {
+    return { success: false, error: 'No groups in window.' };
+  }
+
+  const step = direction === 'previous' ? -1 : 1;
+  const currentIndex = groupOrder.indexOf(activeTab.groupId);
+  const targetIndex =
+    currentIndex === -1
+      ? step > 0
+        ? 0
+        : groupOrder.length - 1
+      : (currentIndex + step + groupOrder.length) % groupOrder.length;
+  const targetGroupId = groupOrder[targetIndex];
+
+  if (targetGroupId !== activeTab.groupId) {
+    const previousGroups =
+      activeTab.groupId !== -1
+        ? [await browser.tabGroups.get(activeTab.groupId)]
+        : [];
+    await browser.tabs.group({
+      groupId: targetGroupId,
+      tabIds: [activeTab.id],
+    });
+    const journalModule = await ensureGroupJournalLoaded();
+    await journalModule.recordBatch(
+      'Mover aba para outro grupo',
+      [activeTab],
+      previousGroups
+    );
+    Logger.info(
+      'moveActiveTabToAdjacentGroup',
+      `Moved tab ${activeTab.id} to group ${targetGroupId} (${direction}).`
+    );
+  }
+
+  return { success: true, groupId: targetGroupId };
+}
+
+/**
+ * Keyboard shortcuts declared in the manifest `commands`, mapped to the
+ * message actions that implement them
+ */
+const COMMAND_ACTIONS = {
+  'group-all-tabs': { action: 'groupAllTabs' },
+  'collapse-other-groups': { action: 'collapseOtherGroups' },
+  'toggle-auto-grouping': { action: 'toggleAutoGrouping' },
+  'move-tab-next-group': {
+    action: 'moveTabToAdjacentGroup',
+    direction: 'next',
+  },
+  'move-tab-previous-group': {
+    action: 'moveTabToAdjacentGroup',
+    direction: 'previous',
+  },
+  'undo-last-grouping': { action: 'undoLastGrouping' },
+};
+
+/**
+ * Handle keyboard shortcuts by routing them through processMessageAction
+ * @param {string} command - Command name from the manifest
+ * @param {browser.tabs.Tab} [tab] - Active tab when the command was triggered
+ */
+async function handleCommand(command, tab) {
+  const message = COMMAND_ACTIONS[command];
+  if (!message) {
+    Logger.warn('handleCommand', `Unknown command: ${command}`);
+    return;
+  }
+
+  try {
+    Logger.info('handleCommand', `Command '${command}' triggered.`);
+    await processMessageAction({ ...message }, tab ? { tab } : {});
+  } catch (error) {
+    Logger.error('handleCommand', `Error running command '${command}':`, error);
+  }
+}
+
 /**
  * Update group title with count
  * @param {number} groupId - Group ID
@@ -1119,8 +1441,33 @@ async function processMessageAction(message, sender) {
       if (newSettings.tabRenamingEnabled) {
         const renamingModule = await ensureTabRenamingLoaded();
         renamingModule.globalTabRenamingEngine.loadRules(
-          newSettings.tabRenamingRules || []
+          getEffectiveRenamingRules(newSettings)
         );
+        renamingModule.globalTabRenamingEngine.setSharedLists(
+          newSettings.sharedLists
+        );
+      } else if (message.settings.tabRenamingEnabled === false) {
+        // Turning renaming off gives every renamed tab its own title back
+        const renamingModule = await ensureTabRenamingLoaded();
+        renamingModule.globalTabRenamingEngine
+          .revertAll()
+          .catch((error) =>
+            Logger.warn(
+              'processMessageAction',
+              'Failed to restore renamed tab titles:',
+              error
+            )
+          );
+      }
+
+      // Show or clear duplicate badges under the new policy
+      if (
+        message.settings.duplicateTabPolicy !== undefined ||
+        message.settings.duplicateIgnoreQuery !== undefined ||
+        message.settings.duplicateIgnoreFragment !== undefined ||
+        message.settings.duplicateTrackingParams !== undefined
+      ) {
+        scheduleDuplicateBadgeRefresh();
       }
 
       // Notify other parts of extension
@@ -1139,6 +1486,242 @@ async function processMessageAction(message, sender) {
       return { status: 'ok' };
     }
 
+    case 'collapseOtherGroups':
+      return await collapseOtherGroups();
+
+    case 'toggleAutoGrouping': {
+      const currentSettings = await getSettings();
+      const newSettings = await processMessageAction(
+        {
+          action: 'updateSettings',
+          settings: {
+            autoGroupingEnabled: !currentSettings.autoGroupingEnabled,
+          },
+        },
+        sender
+      );
+      return {
+        success: true,
+        autoGroupingEnabled: newSettings.autoGroupingEnabled,
+      };
+    }
+
+    case 'moveTabToAdjacentGroup':
+      return await moveActiveTabToAdjacentGroup(message.direction);
+
+    case 'saveSnapshot': {
+      const snapshotsModule = await ensureSessionSnapshotsLoaded();
+      const windowId =
+        typeof message.windowId === 'number'
+          ? message.windowId
+          : (await browser.windows.getLastFocused()).id;
+      return await snapshotsModule.saveSnapshot(windowId, message.name);
+    }
+
+    case 'listSnapshots': {
+      const snapshotsModule = await ensureSessionSnapshotsLoaded();
+      return await snapshotsModule.listSnapshots();
+    }
+
+    case 'restoreSnapshot': {
+      const snapshotsModule = await ensureSessionSnapshotsLoaded();
+      return await snapshotsModule.restoreSnapshot(message.snapshotId, {
+        windowId: message.target === 'current' ? message.windowId : null,
+      });
+    }
+
+    case 'deleteSnapshot': {
+      const snapshotsModule = await ensureSessionSnapshotsLoaded();
+      return await snapshotsModule.deleteSnapshot(message.snapshotId);
+    }
+
+    case 'renamingContentChanged': {
+      // Sent by the content script of a tab watched by a renaming rule with
+      // `watchChanges`, when the watched elements or the page's own title change
+      const tabId = sender.tab.id;
+      const currentSettings = await getSettings();
+      if (!currentSettings.tabRenamingEnabled) {
+        return { success: false };
+      }
+      // Shares the debounce key with handleTabUpdated so both triggers coalesce
+      debounce(
+        `renaming-${tabId}`,
+        async () => {
+          try {
+            const tab = await browser.tabs.get(tabId);
+            const { globalTabRenamingEngine } = await ensureTabRenamingLoaded();
+            await globalTabRenamingEngine.processTab(tabId, tab, {
+              pageTitle: message.pageTitle,
+            });
+          } catch (error) {
+            Logger.debug(
+              'processMessageAction',
+              `Watched tab ${tabId} could not be renamed again: ${error.message}`
+            );
+          }
+        },
+        getConfig('THROTTLE_DELAY') || 50
+      );
+      return { success: true };
+    }
+
+    case 'getRenameHistory': {
+      const historyModule = await ensureRenameHistoryLoaded();
+      return await historyModule.getRenameHistory(message.tabId);
+    }
+
+    case 'revertTabTitles': {
+      const renamingModule = await ensureTabRenamingLoaded();
+      const engine = renamingModule.globalTabRenamingEngine;
+      let reverted = 0;
+      if (message.scope === 'tab') {
+        reverted = await engine.revertTab(message.tabId);
+      } else if (message.scope === 'rule') {
+        reverted = await engine.revertRule(message.ruleId);
+      } else {
+        reverted = await engine.revertAll();
+      }
+      return { success: true, reverted };
+    }
+
+    case 'getDuplicateTabs': {
+      const dedupModule = await ensureTabDedupLoaded();
+      return await dedupModule.getDuplicateSummary(
+        message.windowId,
+        message.groupId
+      );
+    }
+
+    case 'closeDuplicateTabs': {
+      const dedupModule = await ensureTabDedupLoaded();
+      const closed = await dedupModule.closeDuplicateTabs(
+        message.scope === 'group'
+          ? { groupId: message.groupId }
+          : { windowId: message.windowId }
+      );
+      return { success: true, closed };
+    }
+
+    case 'getWindowGroups': {
+      const managementModule = await ensureGroupManagementLoaded();
+      return await managementModule.listWindowGroups(message.windowId);
+    }
+
+    case 'manageGroup': {
+      const managementModule = await ensureGroupManagementLoaded();
+      if (message.operation === 'manual' || message.operation === 'auto') {
+        // Update the cache first so the title change is not undone by
+        // handleTabGroupUpdated's pin sync
+        memoryCache.settings = await managementModule.setGroupManual(
+          message.groupId,
+          message.operation === 'manual'
+        );
+      }
+      return await managementModule.applyGroupOperation(
+        message.groupId,
+        message.operation,
+        { title: message.title, color: message.color }
+      );
+    }
+
+    case 'searchTabs': {
+      const searchModule = await ensureTabSearchLoaded();
+      return await searchModule.searchTabs(message.query);
+    }
+
+    case 'openSearchResult': {
+      const searchModule = await ensureTabSearchLoaded();
+      await searchModule.openSearchResult(
+        message.tabId,
+        message.mode,
+        message.windowId
+      );
+      return { success: true };
+    }
+
+    case 'archiveGroup': {
+      const archiveModule = await ensureGroupArchiveLoaded();
+      return await archiveModule.archiveGroup(message.groupId);
+    }
+
+    case 'listArchivedGroups': {
+      const archiveModule = await ensureGroupArchiveLoaded();
+      return await archiveModule.listArchivedGroups();
+    }
+
+    case 'restoreArchivedGroup': {
+      const archiveModule = await ensureGroupArchiveLoaded();
+      return await archiveModule.restoreArchivedGroup(
+        message.archiveId,
+        message.windowId
+      );
+    }
+
+    case 'deleteArchivedGroup': {
+      const archiveModule = await ensureGroupArchiveLoaded();
+      return await archiveModule.deleteArchivedGroup(message.archiveId);
+    }
+
+    case 'getUndoSummary': {
+      const journalModule = await ensureGroupJournalLoaded();
+      return await journalModule.getJournalSummary();
+    }
+
+    case 'undoLastGrouping': {
+      const journalModule = await ensureGroupJournalLoaded();
+      const undone = await journalModule.undoLastBatch();
+      return undone
+        ? { success: true, ...undone }
+        : { success: false, error: 'Nothing to undo.' };
+    }
+
+    case 'simulateGrouping': {
+      const groupingModule = await ensureGroupingLogicLoaded();
+      return await groupingModule.simulateGrouping(
+        message.rules ? { customRules: message.rules } : {}
+      );
+    }
+
+    case 'getWindowPolicy': {
+      const policiesModule = await ensureWindowPoliciesLoaded();
+      const label = await policiesModule.getWindowLabel(message.windowId);
+      const currentSettings = await getSettings();
+      return {
+        label,
+        labels: Object.keys(currentSettings.windowPolicies || {}),
+        policy: policiesModule.getPolicyForLabel(label),
+        effective: await policiesModule.getEffectiveWindowSettings(
+          message.windowId
+        ),
+      };
+    }
+
+    case 'setWindowPolicy': {
+      const policiesModule = await ensureWindowPoliciesLoaded();
+      const label = message.label.trim();
+      await policiesModule.setWindowLabel(message.windowId, label || null);
+
+      if (label && message.policy !== undefined) {
+        const currentSettings = await getSettings();
+        const windowPolicies = { ...(currentSettings.windowPolicies || {}) };
+        if (Object.keys(message.policy).length > 0) {
+          windowPolicies[label] = message.policy;
+        } else {
+          delete windowPolicies[label];
+        }
+        const { newSettings } = await updateSettings({ windowPolicies });
+        memoryCache.settings = newSettings;
+        browser.runtime
+          .sendMessage({ action: 'settingsUpdated' })
+          .catch(() => {});
+      }
+
+      return await processMessageAction(
+        { action: 'getWindowPolicy', windowId: message.windowId },
+        sender
+      );
+    }
+
     case 'getMemoryStats': {
       const memoryModule = await loadModule('adaptive-memory-manager.js');
       // Create memory maps object for compatibility
@@ -1223,7 +1806,15 @@ browser.runtime.onInstalled.addListener(async (details) => {
 // Tab event listeners
 browser.tabs.onCreated.addListener(handleTabCreated);
 browser.tabs.onUpdated.addListener(handleTabUpdated, {
-  properties: ['status', 'groupId', 'title', 'url'],
+  properties: [
+    'status',
+    'groupId',
+    'title',
+    'url',
+    'audible',
+    'mutedInfo',
+    'discarded',
+  ],
 });
 browser.tabs.onRemoved.addListener(handleTabRemoved);
 browser.tabs.onActivated.addListener(handleTabActivated);
@@ -1235,6 +1826,18 @@ if (browser.tabGroups) {
   browser.tabGroups.onRemoved.addListener(handleTabGroupRemoved);
 }
 
+// Window event listeners
+browser.windows.onRemoved.addListener(async (windowId) => {
+  const policiesModule = await ensureWindowPoliciesLoaded();
+  await policiesModule.forgetWindow(windowId);
+  await pruneStaleExceptions();
+});
+
+// Keyboard shortcut listener
+if (browser.commands) {
+  browser.commands.onCommand.addListener(handleCommand);
+}
+
 // Message listener
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
@@ -1351,6 +1954,13 @@ async function initializeExtension() {
     // Populate tab group map
     await populateTabGroupMap();
 
+    // Window ids do not survive a restart, so window-scoped exceptions go too
+    await pruneStaleExceptions();
+
+    // Same for tab ids: a reused id must not inherit an old tab's age
+    const tabContextModule = await ensureTabContextLoaded();
+    await tabContextModule.pruneTabContexts();
+
     // Setup timers based on settings
     if (settings.autoCollapseTimeout > 0) {
       setInterval(async () => {
@@ -1364,14 +1974,30 @@ async function initializeExtension() {
       }, getConfig('SINGLE_TAB_CHECK_INTERVAL') || 10000);
     }
 
-    // Setup periodic cleanup
+    // A tab's age changes without any tab event, so tabs reaching an
+    // age_minutes threshold are re-checked on a timer
+    setInterval(
+      checkTabAgeConditions,
+      getConfig('TAB_AGE_CHECK_INTERVAL') || 60000
+    );
+
+    // Setup periodic cleanup and the auto-archive check. The archive
+    // threshold is in hours, longer than the worker stays alive, so only an
+    // alarm fires reliably. Not behind the setting: checkAutoArchive returns
+    // early while it is 0, so enabling it takes effect without a restart.
     if (browser.alarms) {
       browser.alarms.create('memoryLeakCleanup', { periodInMinutes: 3 });
+      browser.alarms.create('autoArchiveCheck', {
+        periodInMinutes: getConfig('AUTO_ARCHIVE_CHECK_MINUTES') || 5,
+      });
       browser.alarms.onAlarm.addListener(async (alarm) => {
         if (alarm.name === 'memoryLeakCleanup') {
           // Perform cleanup
           Logger.info('onAlarm', 'Performing periodic cleanup');
           clearMemoryCache(); // Clear memory cache but preserve storage
+          await pruneStaleExceptions();
+        } else if (alarm.name === 'autoArchiveCheck') {
+          await checkAutoArchive();
         }
       });
     }
@@ -1486,8 +2112,16 @@ async function checkSingleTabGroups() {
               'checkSingleTabGroups',
               `Ungrouping single tab group ${groupId}.`
             );
+            const group = await browser.tabGroups.get(groupId);
             await browser.tabs.ungroup(info.tabIds);
             delete timestampData[groupId];
+
+            const journalModule = await ensureGroupJournalLoaded();
+            await journalModule.recordBatch(
+              'Desagrupar grupo com uma só aba',
+              allTabs.filter((tab) => info.tabIds.includes(tab.id)),
+              [group]
+            );
           }
         }
       } else {
@@ -1517,6 +2151,104 @@ async function checkSingleTabGroups() {
   }
 }
 
+/**
+ * Archive automatic groups that stayed collapsed and unused for
+ * `autoArchiveHours`. Groups with the active or an audible tab never qualify.
+ */
+async function checkAutoArchive() {
+  const settings = await getSettings();
+  if (!(settings.autoArchiveHours > 0)) return;
+
+  const timeoutMs = settings.autoArchiveHours * 60 * 60 * 1000;
+  const now = Date.now();
+
+  try {
+    const [groups, allTabs] = await Promise.all([
+      browser.tabGroups.query({ collapsed: true }),
+      browser.tabs.query({}),
+    ]);
+    const timestampData =
+      (await loadState(STORAGE_KEYS.COLLAPSED_GROUP_TIMESTAMPS)) || {};
+    const idleGroupIds = new Set();
+
+    for (const group of groups) {
+      if (settings.manualGroupIds.includes(group.id)) continue;
+      const inUse = allTabs.some(
+        (tab) => tab.groupId === group.id && (tab.active || tab.audible)
+      );
+      if (inUse) continue;
+
+      if (!timestampData[group.id]) {
+        timestampData[group.id] = now;
+        idleGroupIds.add(group.id);
+      } else if (now - timestampData[group.id] > timeoutMs) {
+        Logger.debug('checkAutoArchive', `Archiving idle group ${group.id}.`);
+        const archiveModule = await ensureGroupArchiveLoaded();
+        await archiveModule.archiveGroup(group.id, { automatic: true });
+      } else {
+        idleGroupIds.add(group.id);
+      }
+    }
+
+    // Groups that were expanded, used, archived or closed start over
+    for (const groupId of Object.keys(timestampData)) {
+      if (!idleGroupIds.has(parseInt(groupId, 10))) {
+        delete timestampData[groupId];
+      }
+    }
+
+    pendingStorageUpdates[STORAGE_KEYS.COLLAPSED_GROUP_TIMESTAMPS] =
+      timestampData;
+    commitStateToStorage();
+  } catch (e) {
+    Logger.error('checkAutoArchive', 'Error checking idle groups:', e);
+  }
+}
+
+/**
+ * Re-queue loaded http(s) tabs outside manual groups whose age reached an
+ * `age_minutes` threshold since the previous check, so they move once they
+ * reach it. Tabs that crossed no threshold keep their group.
+ */
+async function checkTabAgeConditions() {
+  try {
+    const groupingModule = await ensureGroupingLogicLoaded();
+    const boundaries = groupingModule.getAgeConditionBoundaries();
+    if (boundaries.length === 0) return;
+
+    // Persisted so that thresholds crossed while the worker was suspended count
+    const now = Date.now();
+    const lastCheck = await loadState(STORAGE_KEYS.TAB_AGE_LAST_CHECK);
+    pendingStorageUpdates[STORAGE_KEYS.TAB_AGE_LAST_CHECK] = now;
+    commitStateToStorage();
+    if (!lastCheck) return;
+
+    const settings = await getSettings();
+    const tabs = (await browser.tabs.query({ status: 'complete' })).filter(
+      (tab) =>
+        tab.url &&
+        tab.url.startsWith('http') &&
+        !settings.manualGroupIds.includes(tab.groupId)
+    );
+    const tabContextModule = await ensureTabContextLoaded();
+    const crossedTabs = await tabContextModule.getTabsReachingAge(
+      tabs,
+      boundaries,
+      lastCheck,
+      now
+    );
+    if (crossedTabs.length === 0) return;
+
+    Logger.debug(
+      'checkTabAgeConditions',
+      `${crossedTabs.length} tab(s) reached an age threshold.`
+    );
+    await processTabQueue(crossedTabs.map((tab) => tab.id));
+  } catch (e) {
+    Logger.error('checkTabAgeConditions', 'Error re-checking tab ages:', e);
+  }
+}
+
 // Initialize immediately when service worker starts
 initializeExtension().catch((error) => {
   Logger.error('Main', '💥 Unhandled initialization error:', error);
@@ -3,6 +3,8 @@
  * @file content-script.js
  * @description Script injetado para extrair informações de nomenclatura.
  * Exporta a função extractSmartName para uso via browser.scripting.executeScript.
+ * Também responde à extração de conteúdo por seletor CSS e ao modo de
+ * observação das regras de renomeação.
  */
 
 function getMetaContent(selector) {
@@ -235,7 +237,117 @@ function sanitizeExtractedContent(content) {
   return sanitized.length > 0 ? sanitized : null;
 }
 
+// --- Modo de observação (regras de renomeação com `watchChanges`) ---
+
+const MIN_WATCH_THROTTLE_MS = 250;
+const MAX_WATCH_TARGETS = 10;
+
+let contentWatch = null;
+
+function readWatchedValues(targets) {
+  return targets.map(({ selector, attribute }) => {
+    try {
+      const element = document.querySelector(selector);
+      if (!element) return null;
+      return sanitizeExtractedContent(
+        attribute ? element.getAttribute(attribute) : element.textContent
+      );
+    } catch (error) {
+      return null;
+    }
+  });
+}
+
+function checkWatchedContent() {
+  const watch = contentWatch;
+  if (!watch) return;
+  watch.timerId = null;
+  watch.lastCheck = Date.now();
+
+  const reasons = [];
+  // Um título diferente do que aplicámos foi escrito pela própria página
+  const title = document.title;
+  if (title !== watch.appliedTitle && title !== watch.pageTitle) {
+    watch.pageTitle = title;
+    reasons.push('title');
+  }
+  const values = readWatchedValues(watch.targets);
+  if (values.some((value, index) => value !== watch.values[index])) {
+    watch.values = values;
+    reasons.push('content');
+  }
+  if (reasons.length === 0) return;
+
+  browser.runtime
+    .sendMessage({
+      action: 'renamingContentChanged',
+      pageTitle: watch.pageTitle,
+      reason: reasons.join(','),
+    })
+    .catch(() => {});
+}
+
+function scheduleWatchCheck() {
+  const watch = contentWatch;
+  if (!watch || watch.timerId) return;
+  const wait = Math.max(0, watch.lastCheck + watch.throttleMs - Date.now());
+  watch.timerId = setTimeout(checkWatchedContent, wait);
+}
+
+function stopContentWatch() {
+  if (!contentWatch) return;
+  contentWatch.observer.disconnect();
+  clearTimeout(contentWatch.timerId);
+  contentWatch = null;
+}
+
+function startContentWatch(message) {
+  stopContentWatch();
+  const targets = (Array.isArray(message.targets) ? message.targets : [])
+    .filter(
+      (target) =>
+        target &&
+        validateCSSSelector(target.selector).valid &&
+        (!target.attribute || ALLOWED_ATTRIBUTES.includes(target.attribute))
+    )
+    .slice(0, MAX_WATCH_TARGETS);
+  const attributeFilter = [
+    ...new Set(targets.map((target) => target.attribute).filter(Boolean)),
+  ];
+
+  contentWatch = {
+    targets,
+    values: readWatchedValues(targets),
+    pageTitle: String(message.pageTitle || ''),
+    appliedTitle: String(message.appliedTitle || ''),
+    throttleMs: Math.max(
+      MIN_WATCH_THROTTLE_MS,
+      Number(message.throttleMs) || 1000
+    ),
+    lastCheck: 0,
+    timerId: null,
+    // As SPAs costumam substituir os elementos em vez de os alterar, por isso
+    // observa-se o documento inteiro; o callback apenas agenda uma verificação
+    // (no máximo uma por intervalo) que compara os valores lidos.
+    observer: new MutationObserver(scheduleWatchCheck),
+  };
+  contentWatch.observer.observe(document.documentElement, {
+    subtree: true,
+    childList: true,
+    characterData: true,
+    ...(attributeFilter.length > 0 ? { attributeFilter } : {}),
+  });
+}
+
 browser.runtime.onMessage.addListener((message) => {
+  if (message.action === 'watchContent') {
+    startContentWatch(message);
+    return Promise.resolve(true);
+  }
+  if (message.action === 'unwatchContent') {
+    stopContentWatch();
+    return Promise.resolve(true);
+  }
   if (message.action === 'extractContent') {
     try {
       if (!rateLimiter.isAllowed()) {
@@ -9,9 +9,26 @@ import {
   processTabQueue,
   getFinalGroupName,
   isTabGroupable,
-  getNextColor,
+  getNewGroupColors,
 } from './grouping-logic.js';
 import { pendingAutomaticGroups } from './app-state.js';
+import { getEffectiveWindowSettings } from './window-policies.js';
+import { globalTabRenamingEngine } from './tab-renaming-engine.js';
+import { getRenameHistory } from './rename-history.js';
+import { closeDuplicateTabs } from './tab-dedup.js';
+import {
+  getExceptionExpiry,
+  getExceptionKey,
+  pruneExceptions,
+} from './tab-exceptions.js';
+
+// Submenu de "Não agrupar o domínio": duração ou âmbito -> título
+const DOMAIN_EXCEPTION_CHOICES = {
+  hour: 'Durante 1 hora',
+  today: 'Até ao fim do dia',
+  forever: 'Para sempre',
+  window: 'Só nesta janela',
+};
 
 /**
  * Cria ou atualiza todos os itens do menu de contexto da extensão.
@@ -69,9 +86,17 @@ export async function updateContextMenus() {
   browser.contextMenus.create({
     id: 'never-group-domain',
     parentId: mainParentId,
-    title: '🚫 Nunca agrupar o domínio...',
+    title: '🚫 Não agrupar o domínio... ►',
     contexts: validContexts,
   });
+  for (const [duration, title] of Object.entries(DOMAIN_EXCEPTION_CHOICES)) {
+    browser.contextMenus.create({
+      id: `never-group-domain-${duration}`,
+      parentId: 'never-group-domain',
+      title,
+      contexts: validContexts,
+    });
+  }
   browser.contextMenus.create({
     id: 'group-similar-now',
     parentId: mainParentId,
@@ -107,6 +132,29 @@ export async function updateContextMenus() {
     contexts: validContexts,
     visible: false,
   });
+  browser.contextMenus.create({
+    id: 'close-group-duplicates',
+    parentId: mainParentId,
+    title: '🧹 Fechar abas duplicadas deste grupo',
+    contexts: validContexts,
+    visible: false,
+  });
+
+  // Itens de restauro de títulos (o de aba é ajustado em handleMenuShown)
+  browser.contextMenus.create({
+    id: 'revert-tab-title',
+    parentId: mainParentId,
+    title: '↩️ Restaurar o título original da aba',
+    contexts: validContexts,
+    visible: settings.tabRenamingEnabled,
+  });
+  browser.contextMenus.create({
+    id: 'revert-all-titles',
+    parentId: mainParentId,
+    title: '↩️ Restaurar todos os títulos renomeados',
+    contexts: validContexts,
+    visible: settings.tabRenamingEnabled,
+  });
 
   browser.contextMenus.create({
     id: 'separator-1',
@@ -122,6 +170,39 @@ export async function updateContextMenus() {
   });
 }
 
+/**
+ * Adiciona (ou substitui) uma exceção para o domínio de uma aba.
+ * @param {browser.tabs.Tab} tab - A aba.
+ * @param {string} choice - Uma das chaves de DOMAIN_EXCEPTION_CHOICES.
+ */
+async function addDomainException(tab, choice) {
+  const domain = tab.url ? new URL(tab.url).hostname : '';
+  if (!domain) return;
+
+  const exception = {
+    type: 'hostname',
+    value: domain,
+    reason: 'Menu de contexto',
+  };
+  if (choice === 'window') exception.windowId = tab.windowId;
+  const expiresAt = getExceptionExpiry(choice);
+  if (expiresAt) exception.expiresAt = expiresAt;
+
+  const key = getExceptionKey(exception);
+  await updateSettings({
+    exceptions: [
+      ...pruneExceptions(settings.exceptions).filter(
+        (existing) => getExceptionKey(existing) !== key
+      ),
+      exception,
+    ],
+  });
+  Logger.info(
+    'handleContextMenuClick',
+    `Adicionada exceção (${choice}) para o domínio: ${domain}`
+  );
+}
+
 /**
  * Lida com cliques nos itens do menu de contexto.
  * Executa a ação correspondente ao item de menu selecionado.
@@ -169,10 +250,21 @@ async function handleContextMenuClick(info, tab) {
         );
 
         if (!conditionExists) {
-          rule.conditionGroup.conditions.push(newCondition);
-          // Define o operador para 'OR' se houver múltiplas condições, o que é mais intuitivo para esta ação
-          if (rule.conditionGroup.conditions.length > 1) {
-            rule.conditionGroup.operator = 'OR';
+          const hasNestedGroups = rule.conditionGroup.conditions.some((c) =>
+            Array.isArray(c.conditions)
+          );
+          if (hasNestedGroups && rule.conditionGroup.operator === 'AND') {
+            // Preserva a lógica existente: (árvore atual) OU nova condição
+            rule.conditionGroup = {
+              operator: 'OR',
+              conditions: [rule.conditionGroup, newCondition],
+            };
+          } else {
+            rule.conditionGroup.conditions.push(newCondition);
+            // Define o operador para 'OR' se houver múltiplas condições, o que é mais intuitivo para esta ação
+            if (rule.conditionGroup.conditions.length > 1) {
+              rule.conditionGroup.operator = 'OR';
+            }
           }
           await updateSettings({ customRules: settings.customRules });
           Logger.info(
@@ -201,6 +293,18 @@ async function handleContextMenuClick(info, tab) {
     return;
   }
 
+  if (info.menuItemId.startsWith('never-group-domain-')) {
+    try {
+      await addDomainException(
+        tab,
+        info.menuItemId.replace('never-group-domain-', '')
+      );
+    } catch (e) {
+      Logger.error('handleContextMenuClick', 'Erro ao adicionar exceção:', e);
+    }
+    return;
+  }
+
   switch (info.menuItemId) {
     case 'create-new-rule': {
       const path = `options/options.html?action=new_rule&url=${encodeURIComponent(
@@ -209,31 +313,10 @@ async function handleContextMenuClick(info, tab) {
       browser.tabs.create({ url: browser.runtime.getURL(path) });
       break;
     }
-    case 'never-group-domain':
-      if (tab.url) {
-        try {
-          const domain = new URL(tab.url).hostname;
-          if (domain && !settings.exceptions.includes(domain)) {
-            await updateSettings({
-              exceptions: [...settings.exceptions, domain],
-            });
-            Logger.info(
-              'handleContextMenuClick',
-              `Adicionada exceção para o domínio: ${domain}`
-            );
-          }
-        } catch (e) {
-          Logger.error(
-            'handleContextMenuClick',
-            'Erro ao adicionar exceção:',
-            e
-          );
-        }
-      }
-      break;
     case 'group-similar-now':
       try {
-        const targetGroupName = await getFinalGroupName(tab);
+        const { groupingMode } = await getEffectiveWindowSettings(tab.windowId);
+        const targetGroupName = await getFinalGroupName(tab, { groupingMode });
         if (!targetGroupName) return;
 
         const allTabsInWindow = await browser.tabs.query({
@@ -246,7 +329,7 @@ async function handleContextMenuClick(info, tab) {
           .filter(isTabGroupable)
           .map(async (t) => ({
             id: t.id,
-            groupName: await getFinalGroupName(t),
+            groupName: await getFinalGroupName(t, { groupingMode }),
           }));
 
         const tabGroupNames = await Promise.all(groupNamePromises);
@@ -266,6 +349,10 @@ async function handleContextMenuClick(info, tab) {
               tabIds: matchingTabIds,
             });
           } else {
+            // A cor é escolhida antes de mover as abas, pelas suas posições
+            const colorsByName = await getNewGroupColors(tab.windowId, [
+              { groupName: targetGroupName, tabIds: matchingTabIds },
+            ]);
             const newGroupId = await browser.tabs.group({
               tabIds: matchingTabIds,
               createProperties: { windowId: tab.windowId },
@@ -275,7 +362,7 @@ async function handleContextMenuClick(info, tab) {
             });
             await browser.tabGroups.update(newGroupId, {
               title: targetGroupName,
-              color: getNextColor(),
+              color: colorsByName.get(targetGroupName),
             });
           }
         }
@@ -290,6 +377,12 @@ async function handleContextMenuClick(info, tab) {
     case 'open-options':
       browser.runtime.openOptionsPage();
       break;
+    case 'revert-tab-title':
+      await globalTabRenamingEngine.revertTab(tab.id);
+      break;
+    case 'revert-all-titles':
+      await globalTabRenamingEngine.revertAll();
+      break;
     case 'copy-group-urls':
       if (tabGroupId) {
         const tabs = await browser.tabs.query({ groupId: tabGroupId });
@@ -329,6 +422,11 @@ async function handleContextMenuClick(info, tab) {
         browser.tabs.create({ url: browser.runtime.getURL(rulePath) });
       }
       break;
+    case 'close-group-duplicates':
+      if (tabGroupId) {
+        await closeDuplicateTabs({ groupId: tabGroupId });
+      }
+      break;
     case 'convert-to-auto':
       if (tabGroupId && settings.manualGroupIds.includes(tabGroupId)) {
         const newManualIds = settings.manualGroupIds.filter(
@@ -360,7 +458,7 @@ async function handleMenuShown(info, tab) {
     try {
       const domain = new URL(tab.url).hostname;
       browser.contextMenus.update('never-group-domain', {
-        title: `🚫 Nunca agrupar o domínio "${domain}"`,
+        title: `🚫 Não agrupar o domínio "${domain}" ►`,
       });
     } catch (e) {
       // Ignora erros de URL inválida (ex: about:blank)
@@ -375,8 +473,16 @@ async function handleMenuShown(info, tab) {
   });
   browser.contextMenus.update('copy-group-urls', { visible: isGrouped });
   browser.contextMenus.update('rule-from-group', { visible: isGrouped });
+  browser.contextMenus.update('close-group-duplicates', {
+    visible: isGrouped && settings.duplicateTabPolicy !== 'off',
+  });
   browser.contextMenus.update('convert-to-auto', { visible: isManual });
 
+  const renameHistory = tab ? await getRenameHistory(tab.id) : null;
+  browser.contextMenus.update('revert-tab-title', {
+    visible: Boolean(renameHistory?.isRenamed),
+  });
+
   browser.contextMenus.refresh();
 }
 
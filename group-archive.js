@@ -0,0 +1,183 @@
+/**
+ * @file group-archive.js
+ * @description Arquivo de grupos: um grupo arquivado tem o título, a cor, o
+ * tipo (manual ou automático) e as URLs e títulos das abas guardados em
+ * `storage.local`, e as abas são fechadas para libertar memória. O popup lista
+ * os grupos arquivados, que podem ser restaurados na janela atual como o mesmo
+ * grupo manual ou automático.
+ */
+
+import Logger from './logger.js';
+import { settings, updateSettings } from './settings-manager.js';
+import { cleanGroupTitle, openSavedGroup } from './session-snapshots.js';
+import { sanitizeUrl } from './validation-utils.js';
+
+const ARCHIVE_STORAGE_KEY = 'archivedGroups';
+
+/** Número máximo de grupos arquivados; os mais antigos são descartados. */
+export const MAX_ARCHIVED_GROUPS = 50;
+
+/**
+ * @typedef {object} ArchivedGroup
+ * @property {string} id - Identificador do arquivo.
+ * @property {string} title - Título do grupo (sem contador nem marcador).
+ * @property {string} color - Cor do grupo.
+ * @property {boolean} manual - Se era um grupo manual.
+ * @property {boolean} automatic - Se foi arquivado por inatividade.
+ * @property {number} archivedAt - Timestamp.
+ * @property {Array<{url: string, title: string}>} tabs - As abas fechadas.
+ */
+
+/**
+ * Carrega os grupos arquivados (mais recentes primeiro).
+ * @returns {Promise<ArchivedGroup[]>}
+ */
+async function loadArchive() {
+  const data = await browser.storage.local.get(ARCHIVE_STORAGE_KEY);
+  return Array.isArray(data[ARCHIVE_STORAGE_KEY])
+    ? data[ARCHIVE_STORAGE_KEY]
+    : [];
+}
+
+/**
+ * Persiste os grupos arquivados.
+ * @param {ArchivedGroup[]} archive - A lista completa.
+ */
+async function saveArchive(archive) {
+  await browser.storage.local.set({ [ARCHIVE_STORAGE_KEY]: archive });
+}
+
+/**
+ * Arquiva um grupo: guarda-o e fecha as suas abas. As abas que a extensão não
+ * consegue reabrir (ex: páginas internas do browser) não são fechadas, ficam
+ * apenas fora do grupo.
+ * @param {number} groupId - ID do grupo.
+ * @param {object} [options]
+ * @param {boolean} [options.automatic=false] - Arquivado por inatividade.
+ * @returns {Promise<object>} Resultado com o resumo do grupo arquivado.
+ */
+export async function archiveGroup(groupId, { automatic = false } = {}) {
+  const [group, tabs] = await Promise.all([
+    browser.tabGroups.get(groupId),
+    browser.tabs.query({ groupId }),
+  ]);
+  const orderedTabs = tabs.sort((a, b) => a.index - b.index);
+  const archivableTabs = orderedTabs.filter((tab) => sanitizeUrl(tab.url));
+  if (archivableTabs.length === 0) {
+    return {
+      success: false,
+      error: 'Nenhuma aba deste grupo pode ser reaberta mais tarde.',
+    };
+  }
+
+  const entry = {
+    id: `archive-${Date.now()}-${groupId}`,
+    title: cleanGroupTitle(group.title),
+    color: group.color,
+    manual: settings.manualGroupIds.includes(groupId),
+    automatic,
+    archivedAt: Date.now(),
+    tabs: archivableTabs.map((tab) => ({
+      url: tab.url,
+      title: tab.title || tab.url,
+    })),
+  };
+
+  // Guarda antes de fechar, para não perder abas se algo falhar a seguir
+  const archive = await loadArchive();
+  archive.unshift(entry);
+  await saveArchive(archive.slice(0, MAX_ARCHIVED_GROUPS));
+
+  const keptTabIds = orderedTabs
+    .filter((tab) => !archivableTabs.includes(tab))
+    .map((tab) => tab.id);
+  if (keptTabIds.length > 0) await browser.tabs.ungroup(keptTabIds);
+  await browser.tabs.remove(archivableTabs.map((tab) => tab.id));
+
+  Logger.info(
+    'GroupArchive',
+    `Grupo '${entry.title}' arquivado${automatic ? ' por inatividade' : ''} (${entry.tabs.length} abas).`
+  );
+  return { success: true, archived: summarizeArchivedGroup(entry) };
+}
+
+/**
+ * Resumo de um grupo arquivado para o popup: sem as URLs, com os títulos das
+ * abas.
+ * @param {ArchivedGroup} entry - O grupo arquivado.
+ * @returns {object}
+ */
+function summarizeArchivedGroup(entry) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    color: entry.color,
+    manual: entry.manual,
+    automatic: entry.automatic,
+    archivedAt: entry.archivedAt,
+    tabCount: entry.tabs.length,
+    tabTitles: entry.tabs.map((tab) => tab.title),
+  };
+}
+
+/**
+ * Lista os grupos arquivados (mais recentes primeiro).
+ * @returns {Promise<object[]>} Resumos dos grupos.
+ */
+export async function listArchivedGroups() {
+  return (await loadArchive()).map(summarizeArchivedGroup);
+}
+
+/**
+ * Remove um grupo do arquivo, sem o restaurar.
+ * @param {string} archiveId - ID do arquivo.
+ * @returns {Promise<object>} Resultado da operação.
+ */
+export async function deleteArchivedGroup(archiveId) {
+  const archive = await loadArchive();
+  const remaining = archive.filter((entry) => entry.id !== archiveId);
+  if (remaining.length === archive.length) {
+    return { success: false, error: 'Grupo arquivado não encontrado.' };
+  }
+  await saveArchive(remaining);
+  return { success: true };
+}
+
+/**
+ * Restaura um grupo arquivado numa janela, expandido, como grupo manual ou
+ * automático conforme era, e retira-o do arquivo.
+ * @param {string} archiveId - ID do arquivo.
+ * @param {number} windowId - Janela de destino.
+ * @returns {Promise<object>} Resultado com o ID do novo grupo.
+ */
+export async function restoreArchivedGroup(archiveId, windowId) {
+  const archive = await loadArchive();
+  const entry = archive.find((e) => e.id === archiveId);
+  if (!entry) {
+    return { success: false, error: 'Grupo arquivado não encontrado.' };
+  }
+
+  const groupId = await openSavedGroup(windowId, {
+    title: entry.title,
+    color: entry.color,
+    collapsed: false,
+    manual: entry.manual,
+    urls: entry.tabs.map((tab) => tab.url),
+  });
+  if (groupId === null) {
+    return { success: false, error: 'Nenhuma aba pôde ser reaberta.' };
+  }
+
+  if (entry.manual && !settings.manualGroupIds.includes(groupId)) {
+    await updateSettings({
+      manualGroupIds: [...settings.manualGroupIds, groupId],
+    });
+  }
+  await saveArchive(archive.filter((e) => e.id !== archiveId));
+
+  Logger.info(
+    'GroupArchive',
+    `Grupo '${entry.title}' restaurado na janela ${windowId}.`
+  );
+  return { success: true, groupId };
+}
@@ -0,0 +1,209 @@
+/**
+ * @file group-colors.js
+ * @description Atribuição de cores aos grupos automáticos. A cor de um grupo
+ * é derivada do seu nome (um hash na paleta), para que "Jira" tenha a mesma
+ * cor em todas as sessões; as cores escolhidas pelo utilizador ao recolorir um
+ * grupo são memorizadas por nome e têm prioridade sobre o hash. Grupos
+ * vizinhos na mesma janela recebem cores diferentes sempre que possível.
+ */
+
+import Logger from './logger.js';
+import { cleanGroupTitle } from './session-snapshots.js';
+
+const COLOR_MEMORY_STORAGE_KEY = 'groupColorMemory';
+const MAX_REMEMBERED_COLORS = 500;
+
+// O cinzento fica de fora: é a cor por omissão das regras sem cor
+const GROUP_COLOR_PALETTE = [
+  'blue',
+  'red',
+  'green',
+  'yellow',
+  'purple',
+  'pink',
+  'cyan',
+  'orange',
+];
+
+/** @type {Map<string, string>|null} */
+let colorMemory = null;
+
+// Última cor atribuída pela extensão a cada nome, para distinguir as
+// atualizações feitas por ela das recolorações feitas pelo utilizador
+const assignedColors = new Map();
+
+// Última cor observada de cada grupo (groupId -> cor)
+const observedColors = new Map();
+
+/**
+ * Normaliza um nome de grupo para chave da memória de cores.
+ * @param {string} groupName - O nome do grupo.
+ * @returns {string}
+ */
+function colorKey(groupName) {
+  return String(groupName || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Carrega (uma vez) o mapa nome -> cor escolhida pelo utilizador.
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadColorMemory() {
+  if (colorMemory) return colorMemory;
+
+  const data = await browser.storage.local.get(COLOR_MEMORY_STORAGE_KEY);
+  colorMemory = new Map(Object.entries(data[COLOR_MEMORY_STORAGE_KEY] || {}));
+  return colorMemory;
+}
+
+/**
+ * Persiste o mapa nome -> cor, descartando as entradas mais antigas acima do
+ * limite.
+ */
+async function persistColorMemory() {
+  while (colorMemory.size > MAX_REMEMBERED_COLORS) {
+    colorMemory.delete(colorMemory.keys().next().value);
+  }
+  await browser.storage.local.set({
+    [COLOR_MEMORY_STORAGE_KEY]: Object.fromEntries(colorMemory),
+  });
+}
+
+/**
+ * Calcula o índice da paleta de um nome (hash FNV-1a de 32 bits).
+ * @param {string} key - O nome normalizado.
+ * @returns {number}
+ */
+function hashColorIndex(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % GROUP_COLOR_PALETTE.length;
+}
+
+/**
+ * Escolhe a cor de um grupo: a cor da regra, a cor memorizada para o nome ou
+ * a cor do hash do nome, avançando na paleta se esta for a de um vizinho.
+ * @param {string} groupName - O nome do grupo.
+ * @param {object} [options]
+ * @param {string} [options.ruleColor] - Cor explícita da regra que gerou o grupo.
+ * @param {Set<string>} [options.avoid] - Cores dos grupos vizinhos.
+ * @returns {Promise<string>}
+ */
+async function pickGroupColor(
+  groupName,
+  { ruleColor, avoid = new Set() } = {}
+) {
+  if (ruleColor) return ruleColor;
+
+  const key = colorKey(groupName);
+  const memory = await loadColorMemory();
+  if (memory.has(key)) return memory.get(key);
+
+  const start = hashColorIndex(key);
+  for (let step = 0; step < GROUP_COLOR_PALETTE.length; step++) {
+    const color =
+      GROUP_COLOR_PALETTE[(start + step) % GROUP_COLOR_PALETTE.length];
+    if (!avoid.has(color)) return color;
+  }
+  return GROUP_COLOR_PALETTE[start];
+}
+
+/**
+ * Atribui cores aos grupos a criar numa janela. Os grupos existentes e os
+ * novos são ordenados pela posição das suas abas, e cada novo grupo evita a
+ * cor dos seus vizinhos imediatos.
+ * @param {number} windowId - ID da janela.
+ * @param {Array<{groupName: string, tabIds: number[], ruleColor?: string}>} requests - Grupos a criar.
+ * @returns {Promise<Map<string, string>>} Mapa nome do grupo -> cor.
+ */
+export async function assignGroupColors(windowId, requests) {
+  const [tabs, groups] = await Promise.all([
+    browser.tabs.query({ windowId }),
+    browser.tabGroups.query({ windowId }),
+  ]);
+  const tabIndexById = new Map(tabs.map((tab) => [tab.id, tab.index]));
+  const movingTabIds = new Set(requests.flatMap((r) => r.tabIds));
+
+  // Cada grupo ocupa a posição da sua primeira aba; as abas a agrupar já não
+  // contam para os grupos onde estão
+  const slots = groups
+    .map((group) => ({
+      index: Math.min(
+        ...tabs
+          .filter(
+            (tab) => tab.groupId === group.id && !movingTabIds.has(tab.id)
+          )
+          .map((tab) => tab.index)
+      ),
+      color: group.color,
+    }))
+    .filter((slot) => Number.isFinite(slot.index));
+  for (const request of requests) {
+    slots.push({
+      index: Math.min(
+        ...request.tabIds.map((id) => tabIndexById.get(id) ?? Infinity)
+      ),
+      request,
+    });
+  }
+  slots.sort((a, b) => a.index - b.index);
+
+  const colorsByName = new Map();
+  for (let i = 0; i < slots.length; i++) {
+    const { request } = slots[i];
+    if (!request) continue;
+
+    const avoid = new Set(
+      [slots[i - 1]?.color, slots[i + 1]?.color].filter(Boolean)
+    );
+    const color = await pickGroupColor(request.groupName, {
+      ruleColor: request.ruleColor,
+      avoid,
+    });
+    slots[i].color = color;
+    colorsByName.set(request.groupName, color);
+    assignedColors.set(colorKey(request.groupName), color);
+  }
+  return colorsByName;
+}
+
+/**
+ * Observa a cor de um grupo automático atualizado e memoriza-a quando o
+ * utilizador o recolore (a cor mudou e não foi a extensão a atribuí-la).
+ * @param {browser.tabGroups.TabGroup} group - O grupo atualizado.
+ */
+export async function observeGroupColor(group) {
+  const previous = observedColors.get(group.id);
+  observedColors.set(group.id, group.color);
+
+  // O título pode ter o contador de abas e o marcador de grupo manual
+  const key = colorKey(cleanGroupTitle(group.title));
+  if (!key || previous === undefined || previous === group.color) return;
+  if (assignedColors.get(key) === group.color) return;
+
+  const memory = await loadColorMemory();
+  if (memory.get(key) === group.color) return;
+
+  // Reinsere a entrada para que fique entre as mais recentes
+  memory.delete(key);
+  memory.set(key, group.color);
+  assignedColors.set(key, group.color);
+  await persistColorMemory();
+  Logger.debug(
+    'GroupColors',
+    `Cor "${group.color}" memorizada para o grupo "${group.title}".`
+  );
+}
+
+/**
+ * Esquece a cor observada de um grupo removido.
+ * @param {number} groupId - ID do grupo.
+ */
+export function forgetGroupColor(groupId) {
+  observedColors.delete(groupId);
+}
@@ -0,0 +1,234 @@
+/**
+ * @file group-journal.js
+ * @description Diário das operações de grupo feitas pela extensão (agrupar,
+ * desagrupar, mover abas entre grupos, renomear e recolorir). Cada lote guarda
+ * o estado anterior das abas e grupos que alterou, para que o último lote
+ * possa ser desfeito a partir do popup ou de um atalho de teclado: as abas
+ * voltam aos grupos onde estavam (recriados se entretanto desapareceram) e os
+ * grupos recuperam o título e a cor. As atualizações do contador de abas no
+ * título não são registadas.
+ */
+
+import Logger from './logger.js';
+import { settings } from './settings-manager.js';
+import { pendingAutomaticGroups } from './app-state.js';
+
+const JOURNAL_STORAGE_KEY = 'groupOperationJournal';
+const MAX_JOURNAL_BATCHES = 20;
+
+// IDs de aba e de grupo não sobrevivem a um reinício do browser
+const journalStorage = browser.storage.session || browser.storage.local;
+
+/**
+ * @typedef {object} TabGroupState
+ * @property {number} tabId - ID da aba.
+ * @property {number} windowId - Janela onde estava.
+ * @property {number} groupId - Grupo onde estava (TAB_ID_NONE se nenhum).
+ */
+
+/**
+ * @typedef {object} GroupState
+ * @property {number} id - ID do grupo.
+ * @property {number} windowId - Janela do grupo.
+ * @property {string} title - Título anterior.
+ * @property {string} color - Cor anterior.
+ * @property {boolean} collapsed - Estado recolhido anterior.
+ * @property {boolean} isManual - Se era um grupo manual.
+ */
+
+/**
+ * @typedef {object} JournalBatch
+ * @property {string} label - Descrição da operação, mostrada no popup.
+ * @property {number} at - Timestamp.
+ * @property {TabGroupState[]} tabs - Estado anterior das abas alteradas.
+ * @property {GroupState[]} groups - Estado anterior dos grupos envolvidos.
+ */
+
+/** @type {JournalBatch[]|null} */
+let journal = null;
+
+/**
+ * Carrega (uma vez) os lotes do diário, do mais antigo para o mais recente.
+ * @returns {Promise<JournalBatch[]>}
+ */
+async function loadJournal() {
+  if (journal) return journal;
+
+  const data = await journalStorage.get(JOURNAL_STORAGE_KEY);
+  journal = data[JOURNAL_STORAGE_KEY] || [];
+  return journal;
+}
+
+/**
+ * Persiste os lotes do diário.
+ */
+async function persistJournal() {
+  await journalStorage.set({ [JOURNAL_STORAGE_KEY]: journal });
+}
+
+/**
+ * Regista um lote de operações. Recebe as abas e os grupos tal como estavam
+ * antes da operação (ex: o resultado de `tabs.query` obtido antes de agrupar),
+ * pelo que pode ser chamada depois de a operação terminar.
+ * @param {string} label - Descrição da operação.
+ * @param {browser.tabs.Tab[]} tabs - As abas alteradas, no estado anterior.
+ * @param {browser.tabGroups.TabGroup[]} [groups] - Os grupos, no estado
+ * anterior; são guardados os das abas e os que forem indicados sem abas
+ * (ex: um grupo renomeado).
+ */
+export async function recordBatch(label, tabs, groups = []) {
+  const groupIds = new Set(tabs.map((tab) => tab.groupId));
+  const involvedGroups =
+    tabs.length > 0 ? groups.filter((group) => groupIds.has(group.id)) : groups;
+  if (tabs.length === 0 && involvedGroups.length === 0) return;
+
+  const batches = await loadJournal();
+  batches.push({
+    label,
+    at: Date.now(),
+    tabs: tabs.map((tab) => ({
+      tabId: tab.id,
+      windowId: tab.windowId,
+      groupId: tab.groupId,
+    })),
+    groups: involvedGroups.map((group) => ({
+      id: group.id,
+      windowId: group.windowId,
+      title: group.title || '',
+      color: group.color,
+      collapsed: Boolean(group.collapsed),
+      isManual: settings.manualGroupIds.includes(group.id),
+    })),
+  });
+  journal = batches.slice(-MAX_JOURNAL_BATCHES);
+  await persistJournal();
+
+  Logger.debug(
+    'GroupJournal',
+    `Lote registado: ${label} (${tabs.length} aba(s)).`
+  );
+}
+
+/**
+ * Resume o diário para o popup.
+ * @returns {Promise<{count: number, last: {label: string, at: number, tabCount: number}|null}>}
+ */
+export async function getJournalSummary() {
+  const batches = await loadJournal();
+  const last = batches[batches.length - 1];
+  return {
+    count: batches.length,
+    last: last
+      ? { label: last.label, at: last.at, tabCount: last.tabs.length }
+      : null,
+  };
+}
+
+/**
+ * Devolve as abas de um lote que ainda estão abertas e fora do grupo onde
+ * estavam, agrupadas pelo grupo anterior.
+ * @param {JournalBatch} batch - O lote.
+ * @param {Map<number, browser.tabs.Tab>} openTabsById - Abas abertas.
+ * @returns {Map<number, number[]>} Grupo anterior -> IDs das abas.
+ */
+function getTabsToRestore(batch, openTabsById) {
+  const byPreviousGroup = new Map();
+  for (const { tabId, groupId } of batch.tabs) {
+    const tab = openTabsById.get(tabId);
+    if (!tab || tab.groupId === groupId) continue;
+    if (!byPreviousGroup.has(groupId)) byPreviousGroup.set(groupId, []);
+    byPreviousGroup.get(groupId).push(tabId);
+  }
+  return byPreviousGroup;
+}
+
+/**
+ * Recria um grupo que já não existe com as abas indicadas, o título e a cor
+ * anteriores. Um grupo automático é registado como intenção automática, para
+ * não ser classificado como manual ao ser criado.
+ * @param {GroupState} previous - O estado anterior do grupo.
+ * @param {number[]} tabIds - As abas a agrupar.
+ * @param {browser.tabs.Tab} firstTab - A primeira aba, na sua janela atual.
+ */
+async function recreateGroup(previous, tabIds, firstTab) {
+  if (!previous.isManual) {
+    pendingAutomaticGroups.set(tabIds[0], { tabIds });
+  }
+  const newGroupId = await browser.tabs.group({
+    createProperties: { windowId: firstTab.windowId },
+    tabIds,
+  });
+  await browser.tabGroups.update(newGroupId, {
+    title: previous.title,
+    color: previous.color,
+    collapsed: previous.collapsed,
+  });
+}
+
+/**
+ * Desfaz o último lote do diário: as abas voltam aos grupos anteriores (ou
+ * ficam sem grupo) e os grupos que ainda existem recuperam o título e a cor.
+ * Abas entretanto fechadas são ignoradas.
+ * @returns {Promise<{label: string, restoredTabs: number}|null>} O lote
+ * desfeito, ou null se o diário estiver vazio.
+ */
+export async function undoLastBatch() {
+  const batches = await loadJournal();
+  const batch = batches.pop();
+  if (!batch) return null;
+  await persistJournal();
+
+  const [openTabs, openGroups] = await Promise.all([
+    browser.tabs.query({}),
+    browser.tabGroups.query({}),
+  ]);
+  const openTabsById = new Map(openTabs.map((tab) => [tab.id, tab]));
+  const openGroupIds = new Set(openGroups.map((group) => group.id));
+  const previousGroups = new Map(
+    batch.groups.map((group) => [group.id, group])
+  );
+
+  let restoredTabs = 0;
+  for (const [groupId, tabIds] of getTabsToRestore(batch, openTabsById)) {
+    try {
+      if (groupId === browser.tabs.TAB_ID_NONE) {
+        await browser.tabs.ungroup(tabIds);
+      } else if (openGroupIds.has(groupId)) {
+        await browser.tabs.group({ groupId, tabIds });
+      } else if (previousGroups.has(groupId)) {
+        await recreateGroup(
+          previousGroups.get(groupId),
+          tabIds,
+          openTabsById.get(tabIds[0])
+        );
+      } else {
+        continue;
+      }
+      restoredTabs += tabIds.length;
+    } catch (e) {
+      Logger.warn(
+        'GroupJournal',
+        `Não foi possível devolver ${tabIds.length} aba(s) ao grupo ${groupId}:`,
+        e
+      );
+    }
+  }
+
+  for (const group of batch.groups) {
+    if (!openGroupIds.has(group.id)) continue;
+    try {
+      await browser.tabGroups.update(group.id, {
+        title: group.title,
+        color: group.color,
+      });
+    } catch (e) {
+      Logger.debug('GroupJournal', `Grupo ${group.id} ignorado:`, e);
+    }
+  }
+
+  Logger.info(
+    'GroupJournal',
+    `Lote desfeito: ${batch.label} (${restoredTabs} aba(s) restaurada(s)).`
+  );
+  return { label: batch.label, restoredTabs };
+}
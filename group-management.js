@@ -0,0 +1,145 @@
+/**
+ * @file group-management.js
+ * @description Gestão dos grupos de uma janela a partir do popup: lista os
+ * grupos (cor, número de abas, estado manual/automático e recolhido) e aplica
+ * as operações pedidas (renomear, recolorir, recolher/expandir, desagrupar,
+ * fechar e converter entre manual e automático) sem recorrer à interface de
+ * grupos do browser.
+ */
+
+import Logger from './logger.js';
+import { settings, updateSettings } from './settings-manager.js';
+import { processTabQueue } from './grouping-logic.js';
+import { recordBatch } from './group-journal.js';
+import { cleanGroupTitle } from './session-snapshots.js';
+
+const MANUAL_GROUP_PIN = '📌';
+
+/**
+ * Lista os grupos de uma janela pela ordem em que aparecem na barra de abas.
+ * @param {number} windowId - ID da janela.
+ * @returns {Promise<Array<{id: number, title: string, color: string, collapsed: boolean, tabCount: number, isManual: boolean}>>}
+ */
+export async function listWindowGroups(windowId) {
+  const [groups, tabs] = await Promise.all([
+    browser.tabGroups.query({ windowId }),
+    browser.tabs.query({ windowId }),
+  ]);
+
+  const firstTabIndex = (groupId) =>
+    Math.min(
+      ...tabs.filter((tab) => tab.groupId === groupId).map((tab) => tab.index)
+    );
+
+  return [...groups]
+    .sort((a, b) => firstTabIndex(a.id) - firstTabIndex(b.id))
+    .map((group) => ({
+      id: group.id,
+      title: cleanGroupTitle(group.title),
+      color: group.color,
+      collapsed: group.collapsed,
+      tabCount: tabs.filter((tab) => tab.groupId === group.id).length,
+      isManual: settings.manualGroupIds.includes(group.id),
+    }));
+}
+
+/**
+ * Marca um grupo como manual ou automático em `settings.manualGroupIds`.
+ * Deve ser chamada antes de `applyGroupOperation` com 'manual' ou 'auto',
+ * para que o background atualize a sua cópia das configurações antes de o
+ * título do grupo mudar.
+ * @param {number} groupId - ID do grupo.
+ * @param {boolean} isManual - True para manual, false para automático.
+ * @returns {Promise<object>} As novas configurações.
+ */
+export async function setGroupManual(groupId, isManual) {
+  const otherIds = settings.manualGroupIds.filter((id) => id !== groupId);
+  const { newSettings } = await updateSettings({
+    manualGroupIds: isManual ? [...otherIds, groupId] : otherIds,
+  });
+  return newSettings;
+}
+
+/**
+ * Aplica uma operação a um grupo.
+ * @param {number} groupId - ID do grupo.
+ * @param {string} operation - Uma de VALID_GROUP_OPERATIONS.
+ * @param {object} [options]
+ * @param {string} [options.title] - Novo título ('rename').
+ * @param {string} [options.color] - Nova cor ('recolor').
+ * @returns {Promise<{success: boolean, error?: string}>} Resultado da operação.
+ */
+export async function applyGroupOperation(
+  groupId,
+  operation,
+  { title, color } = {}
+) {
+  const group = await browser.tabGroups.get(groupId);
+  const isManual = settings.manualGroupIds.includes(groupId);
+  const groupName = cleanGroupTitle(group.title);
+  const groupTabIds = async () =>
+    (await browser.tabs.query({ groupId })).map((tab) => tab.id);
+
+  switch (operation) {
+    case 'rename': {
+      const cleanTitle = cleanGroupTitle(title);
+      await browser.tabGroups.update(groupId, {
+        title: isManual ? `${MANUAL_GROUP_PIN} ${cleanTitle}` : cleanTitle,
+      });
+      await recordBatch(`Renomear o grupo "${groupName}"`, [], [group]);
+      break;
+    }
+    case 'recolor':
+      await browser.tabGroups.update(groupId, { color });
+      await recordBatch(`Mudar a cor do grupo "${groupName}"`, [], [group]);
+      break;
+    case 'collapse':
+    case 'expand':
+      await browser.tabGroups.update(groupId, {
+        collapsed: operation === 'collapse',
+      });
+      break;
+    case 'ungroup': {
+      const tabs = await browser.tabs.query({ groupId });
+      await browser.tabs.ungroup(tabs.map((tab) => tab.id));
+      await recordBatch(`Desagrupar o grupo "${groupName}"`, tabs, [group]);
+      break;
+    }
+    case 'close':
+      await browser.tabs.remove(await groupTabIds());
+      break;
+    case 'manual':
+      await browser.tabGroups.update(groupId, {
+        title: `${MANUAL_GROUP_PIN} ${groupName}`,
+      });
+      break;
+    case 'auto':
+      await browser.tabGroups.update(groupId, {
+        title: groupName,
+      });
+      // As abas voltam a ser avaliadas pelas regras, como no menu de contexto
+      try {
+        await processTabQueue(await groupTabIds());
+      } catch (e) {
+        Logger.error(
+          'GroupManagement',
+          `Falha ao reagrupar as abas do grupo ${groupId}:`,
+          e
+        );
+        return {
+          success: false,
+          error:
+            'O grupo passou a automático, mas as abas não foram reagrupadas.',
+        };
+      }
+      break;
+    default:
+      throw new Error(`Operação de grupo desconhecida: ${operation}`);
+  }
+
+  Logger.info(
+    'GroupManagement',
+    `Operação '${operation}' aplicada ao grupo ${groupId}.`
+  );
+  return { success: true };
+}
@@ -0,0 +1,112 @@
+/**
+ * @file group-name-template.js
+ * @description Modelos de nome de grupo para regras personalizadas.
+ * Permite que uma regra gere nomes dinâmicos a partir de grupos de captura
+ * de condições regex (`$1`..`$9`), de partes da URL (`{hostname}`, `{domain}`,
+ * `{path[n]}`) e do nome derivado automaticamente para o grupo (`{auto}`).
+ * Módulo puro, partilhado pelo background e pela página de opções.
+ */
+
+import { compileRegExp } from './rule-engine.js';
+
+const TEMPLATE_TOKEN_REGEX =
+  /\$(\d)|\{(hostname|domain|auto)\}|\{path\[(\d+)\]\}/g;
+const TEMPLATE_DETECT_REGEX =
+  /\$\d|\{(?:hostname|domain|auto)\}|\{path\[\d+\]\}/;
+const AUTO_TOKEN_REGEX = /\{auto\}/;
+
+/**
+ * Verifica se um nome de regra contém marcadores de modelo.
+ * @param {string} name - O nome da regra.
+ * @returns {boolean}
+ */
+export function isGroupNameTemplate(name) {
+  return typeof name === 'string' && TEMPLATE_DETECT_REGEX.test(name);
+}
+
+/**
+ * Verifica se um nome de regra usa o nome automático do grupo (`{auto}`).
+ * @param {string} name - O nome da regra.
+ * @returns {boolean}
+ */
+export function usesAutoGroupName(name) {
+  return typeof name === 'string' && AUTO_TOKEN_REGEX.test(name);
+}
+
+/**
+ * Procura, em profundidade, a primeira condição `regex` do grupo que
+ * corresponde às propriedades da aba e devolve os seus grupos de captura.
+ * @param {object} conditionGroup - O grupo de condições (possivelmente aninhado).
+ * @param {object} properties - Valores das propriedades da aba (url, title, ...).
+ * @returns {string[]|null} O resultado de `RegExp.exec`, ou null.
+ */
+export function findRegexCaptures(conditionGroup, properties) {
+  if (!conditionGroup || !Array.isArray(conditionGroup.conditions)) {
+    return null;
+  }
+
+  for (const item of conditionGroup.conditions) {
+    if (item && Array.isArray(item.conditions)) {
+      const nested = findRegexCaptures(item, properties);
+      if (nested) return nested;
+      continue;
+    }
+
+    if (!item || item.operator !== 'regex' || !item.value) continue;
+
+    try {
+      const match = compileRegExp(item.value).exec(
+        String(properties[item.property] || '')
+      );
+      if (match) return match;
+    } catch (e) {
+      // Regex inválida: a validação da regra já regista o problema
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Expande um modelo de nome de grupo.
+ * `$n` é substituído pelo n-ésimo grupo de captura, `{hostname}` pelo
+ * hostname da aba, `{domain}` pelo seu domínio registável (ex: 'google.com'
+ * para 'docs.google.com'), `{path[n]}` pelo n-ésimo segmento do caminho (a
+ * contar de 1) e `{auto}` pelo nome derivado automaticamente para o grupo.
+ * Marcadores sem valor são removidos.
+ * @param {string} template - O modelo (nome da regra).
+ * @param {object} context - Valores disponíveis para a expansão.
+ * @param {string[]|null} [context.captures] - Grupos de captura da regex.
+ * @param {string} [context.hostname] - Hostname da aba.
+ * @param {string} [context.domain] - Domínio registável da aba.
+ * @param {string} [context.urlPath] - Caminho da URL da aba.
+ * @param {string} [context.autoName] - Nome automático do grupo.
+ * @returns {string} O nome expandido.
+ */
+export function expandGroupNameTemplate(
+  template,
+  {
+    captures = null,
+    hostname = '',
+    domain = '',
+    urlPath = '',
+    autoName = '',
+  } = {}
+) {
+  const segments = String(urlPath || '')
+    .split('/')
+    .filter(Boolean);
+
+  return String(template || '')
+    .replace(TEMPLATE_TOKEN_REGEX, (token, captureIndex, key, pathIndex) => {
+      if (captureIndex !== undefined) {
+        return (captures && captures[Number(captureIndex)]) || '';
+      }
+      if (pathIndex !== undefined) {
+        return segments[Number(pathIndex) - 1] || '';
+      }
+      return { hostname, domain, auto: autoName }[key] || '';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,171 @@
+/**
+ * @file group-naming.js
+ * @description Nomenclatura coletiva de grupos: deriva o nome de um grupo a
+ * partir do conjunto das abas que o vão compor, e não apenas do hostname de
+ * cada aba. As estratégias são aplicadas pela ordem configurada e o resultado
+ * depende só do conjunto de abas (não da ordem em que chegaram), para que o
+ * nome de um grupo não mude sem que a sua composição mude.
+ * Módulo puro, sem acesso ao browser nem às configurações.
+ */
+
+import { getRegistrableDomain } from './public-suffix.js';
+
+// Fração mínima de abas com nome de site conhecido para a estratégia 'site_name'
+const SITE_NAME_MIN_COVERAGE = 0.5;
+
+// Comprimento mínimo de um segmento de título para a estratégia 'title_token'
+const TITLE_TOKEN_MIN_LENGTH = 3;
+
+/**
+ * @typedef {object} GroupMember
+ * @property {string} hostname - Hostname da aba.
+ * @property {string|null} [siteName] - Nome do site conhecido (cache inteligente).
+ * @property {string} [title] - Título da aba.
+ * @property {string|null} [name] - Nome que a aba teria por si só.
+ */
+
+/**
+ * Compara dois nomes candidatos: o mais frequente primeiro e, em empate, por
+ * ordem alfabética, para que a escolha seja determinística.
+ * @param {[string, number]} a - Par [nome, contagem].
+ * @param {[string, number]} b - Par [nome, contagem].
+ * @returns {number}
+ */
+function compareCandidates([nameA, countA], [nameB, countB]) {
+  return countB - countA || nameA.localeCompare(nameB);
+}
+
+/**
+ * Conta as ocorrências de cada valor não vazio.
+ * @param {Array<string|null|undefined>} values - Os valores.
+ * @returns {Array<[string, number]>} Pares [valor, contagem], ordenados.
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return Array.from(counts.entries()).sort(compareCandidates);
+}
+
+/**
+ * Estratégia 'site_name': todas as abas com nome de site conhecido (ex:
+ * `og:site_name`) concordam nesse nome, e cobrem pelo menos metade do grupo.
+ * @param {GroupMember[]} members - As abas do grupo.
+ * @returns {string|null}
+ */
+function nameFromSiteName(members) {
+  const siteNames = countValues(members.map((m) => m.siteName));
+  if (siteNames.length !== 1) return null;
+
+  const [siteName, count] = siteNames[0];
+  return count / members.length >= SITE_NAME_MIN_COVERAGE ? siteName : null;
+}
+
+/**
+ * Estratégia 'common_domain': todas as abas partilham o domínio registável.
+ * @param {GroupMember[]} members - As abas do grupo.
+ * @param {object} options
+ * @param {function(string): string} options.formatDomain - Formata o domínio como nome.
+ * @returns {string|null}
+ */
+function nameFromCommonDomain(members, { formatDomain }) {
+  const domains = new Set(
+    members.map((m) => getRegistrableDomain(m.hostname) || m.hostname)
+  );
+  if (domains.size !== 1) return null;
+
+  const [domain] = domains;
+  return domain ? formatDomain(domain) || null : null;
+}
+
+/**
+ * Estratégia 'title_token': um segmento de título (separado pelos
+ * delimitadores configurados) presente no título de todas as abas. Exige
+ * pelo menos duas abas; entre vários segmentos comuns escolhe o mais longo.
+ * @param {GroupMember[]} members - As abas do grupo.
+ * @param {object} options
+ * @param {string} options.delimiters - Caracteres que separam segmentos de título.
+ * @param {string[]} options.noise - Segmentos a ignorar (ex: 'login').
+ * @returns {string|null}
+ */
+function nameFromTitleToken(members, { delimiters, noise }) {
+  if (members.length < 2) return null;
+
+  const escaped = Array.from(delimiters || '')
+    .map((char) => char.replace(/[\\^$.*+?()[\]{}|-]/g, '\\$&'))
+    .join('');
+  // Um delimitador só separa segmentos junto a espaços ("Docs - Google"),
+  // para não partir palavras compostas ("org-a")
+  const splitter = escaped
+    ? new RegExp(`\\s+[${escaped}]\\s*|\\s*[${escaped}]\\s+`)
+    : null;
+  const ignored = new Set((noise || []).map((n) => n.toLowerCase()));
+
+  // Segmento normalizado -> grafia mais frequente, para o nome final
+  const spellings = new Map();
+  let common = null;
+  for (const member of members) {
+    const segments = new Set();
+    for (const raw of splitter
+      ? String(member.title || '').split(splitter)
+      : [String(member.title || '')]) {
+      const segment = raw.trim();
+      const key = segment.toLowerCase();
+      if (segment.length < TITLE_TOKEN_MIN_LENGTH || ignored.has(key)) {
+        continue;
+      }
+      segments.add(key);
+      if (!spellings.has(key)) spellings.set(key, []);
+      spellings.get(key).push(segment);
+    }
+    common = common
+      ? new Set([...common].filter((key) => segments.has(key)))
+      : segments;
+    if (common.size === 0) return null;
+  }
+
+  const [best] = [...common].sort(
+    (a, b) => b.length - a.length || a.localeCompare(b)
+  );
+  return countValues(spellings.get(best))[0][0];
+}
+
+const STRATEGIES = {
+  site_name: nameFromSiteName,
+  common_domain: nameFromCommonDomain,
+  title_token: nameFromTitleToken,
+};
+
+/**
+ * Deriva o nome de um grupo a partir das abas que o compõem.
+ * Sem nenhuma estratégia aplicável, usa o nome individual mais frequente
+ * entre as abas (estratégia 'most_common').
+ * @param {GroupMember[]} members - As abas do grupo.
+ * @param {object} [options]
+ * @param {string[]} [options.strategies] - Estratégias, por ordem de preferência.
+ * @param {function(string): string} [options.formatDomain] - Formata um domínio como nome.
+ * @param {string} [options.delimiters] - Delimitadores de segmentos de título.
+ * @param {string[]} [options.noise] - Segmentos de título a ignorar.
+ * @returns {{name: string, strategy: string}|null} Null se o grupo não tiver abas com nome.
+ */
+export function deriveGroupName(
+  members,
+  {
+    strategies = Object.keys(STRATEGIES),
+    formatDomain = (domain) => domain,
+    delimiters = '',
+    noise = [],
+  } = {}
+) {
+  if (!Array.isArray(members) || members.length === 0) return null;
+
+  const options = { formatDomain, delimiters, noise };
+  for (const strategy of strategies) {
+    const name = STRATEGIES[strategy]?.(members, options);
+    if (name) return { name, strategy };
+  }
+
+  const [mostCommon] = countValues(members.map((m) => m.name));
+  return mostCommon ? { name: mostCommon[0], strategy: 'most_common' } : null;
+}
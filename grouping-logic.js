@@ -15,29 +15,37 @@ import { withErrorHandling } from './adaptive-error-handler.js';
 import { getConfig, isFeatureEnabled } from './performance-config.js';
 import { globalTabParallelProcessor } from './parallel-batch-processor.js';
 import {
-  validateCondition,
   validateTabObject,
+  isConditionGroup,
   sanitizeString,
   sanitizeUrl,
-  VALID_TAB_PROPERTIES,
-  VALID_OPERATORS,
 } from './validation-utils.js';
-
-const colors = [
-  'blue',
-  'red',
-  'green',
-  'yellow',
-  'purple',
-  'pink',
-  'cyan',
-  'orange',
-];
-let colorIndex = 0;
+import {
+  isGroupNameTemplate,
+  usesAutoGroupName,
+  findRegexCaptures,
+  expandGroupNameTemplate,
+} from './group-name-template.js';
+import { deriveGroupName } from './group-naming.js';
+import { getPublicSuffix, getRegistrableDomain } from './public-suffix.js';
+import { getEffectiveWindowSettings } from './window-policies.js';
+import { getTabContext } from './tab-context.js';
+import { assignGroupColors } from './group-colors.js';
+import { findMatchingException } from './tab-exceptions.js';
+import { recordBatch } from './group-journal.js';
+import { getEffectiveCustomRules } from './rule-packs.js';
+import { cleanGroupTitle } from './session-snapshots.js';
+import {
+  buildTabProperties,
+  compileConditionGroup,
+  sortRulesByPriority,
+} from './rule-engine.js';
 
 /**
  * Limpa e formata um nome de domínio para ser usado como título de grupo.
- * Remove 'www.', TLDs comuns e capitaliza cada parte.
+ * Remove 'www.' e o sufixo público (Public Suffix List, ou um dos sufixos
+ * adicionais de `domainSanitizationTlds`, se for mais longo) e capitaliza
+ * cada parte (ex: 'docs.google.com.br' -> 'Docs Google').
  * @param {string} domain - O domínio a ser sanitizado.
  * @returns {string} O nome de domínio formatado.
  */
@@ -53,12 +61,17 @@ function sanitizeDomainName(domain) {
   const sanitizedDomain = sanitizeString(domain, 100);
   if (!sanitizedDomain) return '';
 
-  const tldsToRemove = (settings.domainSanitizationTlds || []).sort(
-    (a, b) => b.length - a.length
-  );
   let name = sanitizedDomain.toLowerCase().replace(/^www\./, '');
-  const tld = tldsToRemove.find((t) => name.endsWith(t));
-  if (tld) name = name.slice(0, -tld.length);
+  // Só remove o sufixo se sobrar um nome (ex: 'localhost' fica como está)
+  const [suffix] = [
+    getPublicSuffix(name),
+    ...(settings.domainSanitizationTlds || []).map((t) =>
+      String(t).toLowerCase().replace(/^\./, '')
+    ),
+  ]
+    .filter((s) => s && name.endsWith(`.${s}`))
+    .sort((a, b) => b.length - a.length);
+  if (suffix) name = name.slice(0, -(suffix.length + 1));
   return name
     .split('.')
     .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
@@ -67,152 +80,115 @@ function sanitizeDomainName(domain) {
 
 // --- AVALIADOR DE REGRAS COMPLEXAS ---
 
+// Propriedades que exigem o contexto de abertura da aba (tab-context.js)
+const TAB_CONTEXT_PROPERTIES = new Set(['opener_hostname', 'age_minutes']);
+
 /**
- * Avalia uma única condição contra uma aba.
- * @param {browser.tabs.Tab} tab - O objeto da aba.
- * @param {object} condition - A condição a ser avaliada.
- * @returns {boolean} - Verdadeiro se a condição for satisfeita.
+ * Verifica se um grupo de condições usa alguma das propriedades indicadas.
+ * @param {object} conditionGroup - O grupo de condições (possivelmente aninhado).
+ * @param {Set<string>} properties - As propriedades a procurar.
+ * @returns {boolean}
  */
-function evaluateCondition(tab, condition) {
-  // Validação de entrada para tab
-  const tabValidation = validateTabObject(tab);
-  if (!tabValidation.isValid) {
-    Logger.error(
-      'evaluateCondition',
-      `Tab inválida: ${tabValidation.errors.join('; ')}`
-    );
-    return false;
-  }
-
-  // Validação de entrada para condition
-  const conditionValidation = validateCondition(condition);
-  if (!conditionValidation.isValid) {
-    Logger.error(
-      'evaluateCondition',
-      `Condição inválida: ${conditionValidation.errors.join('; ')}`
-    );
-    return false;
-  }
-
-  // Sanitização segura das propriedades da aba
-  const sanitizedUrl = sanitizeUrl(tab.url) || '';
-  const sanitizedTitle = sanitizeString(tab.title || '', 200);
-  const hostname = getHostname(sanitizedUrl) || '';
-
-  let urlPath = '';
-  if (sanitizedUrl) {
-    try {
-      urlPath = new URL(sanitizedUrl).pathname || '';
-    } catch (e) {
-      Logger.warn(
-        'evaluateCondition',
-        `Erro ao extrair pathname da URL: ${sanitizedUrl}`
-      );
-      urlPath = '';
-    }
-  }
+function conditionGroupUsesProperties(conditionGroup, properties) {
+  return (conditionGroup?.conditions || []).some((item) =>
+    isConditionGroup(item)
+      ? conditionGroupUsesProperties(item, properties)
+      : properties.has(item?.property)
+  );
+}
 
-  const tabProperties = {
-    url: sanitizedUrl,
-    title: sanitizedTitle,
-    hostname: sanitizeString(hostname, 100),
-    url_path: sanitizeString(urlPath, 100),
-  };
+/**
+ * Verifica se alguma regra personalizada ou exceção por condições usa alguma
+ * das propriedades indicadas. Permite ao background reagir a mudanças de
+ * estado das abas (ou à passagem do tempo) apenas quando há condições que
+ * dependem delas.
+ * @param {string[]} properties - As propriedades a procurar.
+ * @returns {boolean}
+ */
+export function conditionsUseProperties(properties) {
+  const wanted = new Set(properties);
+  return getConditionGroupsInUse().some((conditionGroup) =>
+    conditionGroupUsesProperties(conditionGroup, wanted)
+  );
+}
 
-  // Validação adicional: verifica se a propriedade existe
-  if (!VALID_TAB_PROPERTIES.has(condition.property)) {
-    Logger.error(
-      'evaluateCondition',
-      `Propriedade '${condition.property}' não suportada`
-    );
-    return false;
-  }
+/**
+ * Os grupos de condições das regras personalizadas e das exceções por
+ * condições.
+ * @returns {object[]}
+ */
+function getConditionGroupsInUse() {
+  const exceptionGroups = (
+    Array.isArray(settings.exceptions) ? settings.exceptions : []
+  )
+    .filter((exception) => exception.type === 'conditions')
+    .map((exception) => exception.conditionGroup);
+  return [
+    ...getEffectiveCustomRules(settings).map((rule) => rule.conditionGroup),
+    ...exceptionGroups,
+  ];
+}
 
-  const propValue = String(tabProperties[condition.property] || '');
-  const condValue = sanitizeString(String(condition.value || ''), 200);
+/**
+ * Recolhe as condições simples de um grupo de condições (possivelmente
+ * aninhado) sobre uma propriedade.
+ * @param {object} conditionGroup - O grupo de condições.
+ * @param {string} property - A propriedade.
+ * @returns {object[]}
+ */
+function collectConditions(conditionGroup, property) {
+  return (conditionGroup?.conditions || []).flatMap((item) => {
+    if (isConditionGroup(item)) return collectConditions(item, property);
+    return item?.property === property ? [item] : [];
+  });
+}
 
-  if (condValue === '') {
-    Logger.debug(
-      'evaluateCondition',
-      'Condição com valor vazio sempre retorna falso'
-    );
-    return false; // Condições com valor vazio são sempre falsas.
+/**
+ * Idades (em minutos inteiros, como em `age_minutes`) a partir das quais o
+ * resultado de alguma condição `age_minutes` pode mudar. Uma aba só precisa
+ * de ser reavaliada quando a sua idade atinge uma destas idades.
+ * @returns {number[]} As idades, por ordem crescente e sem repetições.
+ */
+export function getAgeConditionBoundaries() {
+  const boundaries = new Set();
+  for (const conditionGroup of getConditionGroupsInUse()) {
+    for (const condition of collectConditions(conditionGroup, 'age_minutes')) {
+      const minutes = Number(condition.value);
+      if (!Number.isFinite(minutes) || minutes < 0) continue;
+      // "menor que N" muda ao atingir N; "maior que N" ao atingir N + 1
+      boundaries.add(Math.ceil(minutes));
+      boundaries.add(Math.floor(minutes) + 1);
+    }
   }
+  return [...boundaries].sort((a, b) => a - b);
+}
 
-  // Validação adicional: verifica se o operador é suportado
-  if (!VALID_OPERATORS.has(condition.operator)) {
-    Logger.error(
-      'evaluateCondition',
-      `Operador '${condition.operator}' não suportado`
-    );
-    return false;
-  }
+/**
+ * Acrescenta à aba o contexto de abertura (`openedAt`, `openerHostname`)
+ * quando alguma das regras o usa.
+ * @param {browser.tabs.Tab} tab - O objeto da aba.
+ * @param {object[]} rules - As regras que vão ser avaliadas.
+ * @returns {Promise<browser.tabs.Tab>} A aba, ou uma cópia com o contexto.
+ */
+async function withTabContext(tab, rules) {
+  const needsContext = rules.some((rule) =>
+    conditionGroupUsesProperties(rule.conditionGroup, TAB_CONTEXT_PROPERTIES)
+  );
+  if (!needsContext) return tab;
 
-  try {
-    switch (condition.operator) {
-      case 'contains':
-        return propValue.toLowerCase().includes(condValue.toLowerCase());
-      case 'not_contains':
-        return !propValue.toLowerCase().includes(condValue.toLowerCase());
-      case 'starts_with':
-        return propValue.toLowerCase().startsWith(condValue.toLowerCase());
-      case 'ends_with':
-        return propValue.toLowerCase().endsWith(condValue.toLowerCase());
-      case 'equals':
-        return propValue.toLowerCase() === condValue.toLowerCase();
-      case 'regex':
-        try {
-          const regex = new RegExp(condValue, 'i');
-          return regex.test(propValue);
-        } catch (regexError) {
-          Logger.error(
-            'evaluateCondition',
-            `Regex inválida: '${condValue}'. Erro: ${regexError.message}`
-          );
-          return false;
-        }
-      case 'wildcard': // Mantido para retrocompatibilidade na migração
-        try {
-          const wildcardRegex = new RegExp(
-            '^' +
-              condValue
-                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                .replace(/\\\*/g, '.*') +
-              '$',
-            'i'
-          );
-          return wildcardRegex.test(propValue);
-        } catch (wildcardError) {
-          Logger.error(
-            'evaluateCondition',
-            `Wildcard inválido: '${condValue}'. Erro: ${wildcardError.message}`
-          );
-          return false;
-        }
-      default:
-        Logger.error(
-          'evaluateCondition',
-          `Operador desconhecido: ${condition.operator}`
-        );
-        return false;
-    }
-  } catch (e) {
-    Logger.error(
-      'evaluateCondition',
-      `Erro inesperado ao avaliar condição: propriedade='${condition.property}', operador='${condition.operator}', valor='${condValue}'`,
-      e
-    );
-    return false;
-  }
+  const { openedAt, openerHostname } = await getTabContext(tab);
+  return { ...tab, openedAt, openerHostname };
 }
 
 /**
- * Avalia um grupo de condições de uma regra.
+ * Avalia o grupo de condições (possivelmente aninhado) de uma regra.
  * @param {browser.tabs.Tab} tab - O objeto da aba.
  * @param {object} rule - A regra personalizada completa.
+ * @param {object} [properties] - Propriedades da aba já extraídas, para
+ * reutilizar entre regras.
  * @returns {boolean} - Verdadeiro se a regra corresponder à aba.
  */
-function evaluateRule(tab, rule) {
+function evaluateRule(tab, rule, properties = buildTabProperties(tab)) {
   // Validação da aba
   const tabValidation = validateTabObject(tab);
   if (!tabValidation.isValid) {
@@ -229,61 +205,97 @@ function evaluateRule(tab, rule) {
     return false;
   }
 
-  if (
-    !rule.conditionGroup ||
-    typeof rule.conditionGroup !== 'object' ||
-    Array.isArray(rule.conditionGroup)
-  ) {
+  if (!rule.conditionGroup) {
     Logger.error('evaluateRule', 'Regra deve ter um conditionGroup válido');
     return false;
   }
 
-  if (
-    !rule.conditionGroup.conditions ||
-    !Array.isArray(rule.conditionGroup.conditions) ||
-    rule.conditionGroup.conditions.length === 0
-  ) {
+  try {
+    const matcher = compileConditionGroup(rule.conditionGroup, {
+      sharedLists: settings.sharedLists,
+    });
+    return matcher(properties);
+  } catch (error) {
     Logger.error(
       'evaluateRule',
-      'conditionGroup deve ter um array não vazio de conditions'
+      `Erro inesperado ao avaliar regra: ${error.message}`,
+      error
     );
     return false;
   }
+}
 
-  const { operator, conditions } = rule.conditionGroup;
+// --- LÓGICA DE NOMENCLATURA ---
 
-  // Validação do operador
-  if (!['AND', 'OR'].includes(operator)) {
-    Logger.error(
-      'evaluateRule',
-      `Operador lógico inválido: ${operator}. Deve ser 'AND' ou 'OR'`
-    );
-    return false;
-  }
+// --- NOMES DINÂMICOS DE REGRAS ---
 
-  try {
-    if (operator === 'AND') {
-      // Avaliação 'preguiçosa': para na primeira condição falsa.
-      return conditions.every((condition) => evaluateCondition(tab, condition));
-    }
+// Limite de entradas do mapa nome gerado -> regra, para nomes muito dinâmicos
+const RULE_GROUP_NAME_MAP_LIMIT = 500;
 
-    if (operator === 'OR') {
-      // Avaliação 'preguiçosa': para na primeira condição verdadeira.
-      return conditions.some((condition) => evaluateCondition(tab, condition));
-    }
+// Mapeia nomes de grupo gerados por modelos para a regra que os produziu
+const ruleGroupNames = new Map();
 
-    return false;
-  } catch (error) {
-    Logger.error(
-      'evaluateRule',
-      `Erro inesperado ao avaliar regra: ${error.message}`,
-      error
-    );
-    return false;
+/**
+ * Calcula o nome do grupo para uma regra que corresponde à aba, expandindo
+ * o modelo do nome (`$1`, `{hostname}`, `{domain}`, `{path[n]}`, `{auto}`)
+ * quando existir.
+ * @param {browser.tabs.Tab} tab - O objeto da aba.
+ * @param {object} rule - A regra que corresponde à aba.
+ * @param {object} [options]
+ * @param {string} [options.autoName] - Valor de `{auto}`; por omissão, o nome
+ * de domínio da aba (a nomenclatura coletiva passa o nome derivado do grupo).
+ * @returns {string} O nome do grupo.
+ */
+function resolveRuleGroupName(tab, rule, { autoName } = {}) {
+  if (!isGroupNameTemplate(rule.name)) return rule.name;
+
+  const properties = buildTabProperties(tab);
+  const groupName = sanitizeString(
+    expandGroupNameTemplate(rule.name, {
+      captures: findRegexCaptures(rule.conditionGroup, properties),
+      hostname: properties.hostname,
+      domain: properties.registrable_domain,
+      urlPath: properties.url_path,
+      autoName:
+        autoName ??
+        (usesAutoGroupName(rule.name)
+          ? sanitizeDomainName(properties.hostname)
+          : ''),
+    }),
+    50
+  );
+
+  return groupName || rule.name;
+}
+
+/**
+ * Regista a regra que gerou um nome de grupo dinâmico.
+ * @param {string} groupName - O nome gerado.
+ * @param {object} rule - A regra de origem.
+ */
+function rememberRuleGroupName(groupName, rule) {
+  if (groupName === rule.name) return;
+  if (ruleGroupNames.size >= RULE_GROUP_NAME_MAP_LIMIT) {
+    ruleGroupNames.clear();
   }
+  ruleGroupNames.set(groupName, rule);
 }
 
-// --- LÓGICA DE NOMENCLATURA ---
+/**
+ * Encontra a regra personalizada responsável por um nome de grupo, seja pelo
+ * nome estático da regra, seja por um nome gerado a partir do seu modelo.
+ * @param {string} groupName - O nome do grupo.
+ * @returns {object|undefined} A regra, se existir.
+ */
+function findRuleForGroupName(groupName) {
+  const rules = getEffectiveCustomRules(settings);
+  const staticMatch = rules.find((r) => r.name === groupName);
+  if (staticMatch) return staticMatch;
+
+  const generatedBy = ruleGroupNames.get(groupName);
+  // Ignora entradas de regras que entretanto foram removidas ou alteradas
+  return generatedBy && rules.includes(generatedBy) ? generatedBy : undefined;
+}
 
 /**
  * Verifica se uma aba pode ser agrupada com base nas configurações.
@@ -322,16 +334,17 @@ export function isTabGroupable(tab) {
     return true; // Se exceptions não for válido, considera que a aba é agrupável
   }
 
-  return !settings.exceptions.some((exception) => {
-    if (typeof exception !== 'string' || !exception) {
-      Logger.warn(
-        'isTabGroupable',
-        `Exceção inválida encontrada: ${typeof exception}`
-      );
-      return false;
-    }
-    return sanitizedUrl.includes(exception);
+  const exception = findMatchingException(tab, settings.exceptions, {
+    sharedLists: settings.sharedLists,
   });
+  if (exception) {
+    Logger.debug(
+      'isTabGroupable',
+      `Aba ${tab.id} excluída por uma exceção (${exception.type}).`
+    );
+    return false;
+  }
+  return true;
 }
 
 /**
@@ -361,6 +374,73 @@ function getHostname(url) {
   }
 }
 
+/**
+ * Obtém o domínio registável (eTLD+1, pela Public Suffix List) de um
+ * hostname, ex: 'docs.google.com' -> 'google.com'. Para IPs, nomes sem
+ * sufixo ('localhost') e sufixos públicos devolve o próprio hostname.
+ * @param {string} hostname - O hostname.
+ * @returns {string} O domínio registável.
+ */
+function getSiteDomain(hostname) {
+  return getRegistrableDomain(hostname) || hostname;
+}
+
+/**
+ * Obtém o modo de agrupamento configurado para o domínio de uma aba em
+ * `groupingModeOverrides`, do hostname completo para os domínios pai (ex:
+ * 'gist.github.com' e depois 'github.com').
+ * @param {string} hostname - O hostname da aba.
+ * @returns {{groupingMode: string, pathDepth?: number}|null} A substituição, se existir.
+ */
+function getDomainGroupingOverride(hostname) {
+  const overrides = settings.groupingModeOverrides || {};
+  const labels = hostname
+    .toLowerCase()
+    .replace(/^www\./, '')
+    .split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const domain = labels.slice(i).join('.');
+    if (Object.prototype.hasOwnProperty.call(overrides, domain)) {
+      return overrides[domain];
+    }
+  }
+  return null;
+}
+
+/**
+ * Nome de grupo do modo 'path': o nome do hostname seguido dos primeiros
+ * segmentos do caminho, ex: 'github.com/org-a/repo' com profundidade 1 ->
+ * 'Github · org-a'. Sem segmentos, fica apenas o nome do hostname.
+ * @param {string} hostname - O hostname da aba.
+ * @param {string} url - A URL da aba.
+ * @param {number} depth - Número de segmentos do caminho a usar.
+ * @returns {string} O nome do grupo.
+ */
+function buildPathGroupName(hostname, url, depth) {
+  let segments = [];
+  try {
+    segments = new URL(url).pathname
+      .split('/')
+      .filter(Boolean)
+      .slice(0, depth)
+      .map((segment) => {
+        try {
+          return decodeURIComponent(segment);
+        } catch (e) {
+          return segment;
+        }
+      });
+  } catch (e) {
+    Logger.debug('buildPathGroupName', `URL inválida: ${url}`);
+  }
+
+  const siteName = sanitizeDomainName(hostname);
+  return sanitizeString(
+    segments.length > 0 ? `${siteName} · ${segments.join('/')}` : siteName,
+    50
+  );
+}
+
 /**
  * Tenta extrair um nome 'inteligente' para o grupo a partir do conteúdo da página.
  * Injeta um content script para obter metadados como `og:site_name` ou `<h1>`.
@@ -722,43 +802,101 @@ function isValidUrlForInjection(url) {
 /**
  * Determina o nome final do grupo para uma aba, seguindo uma hierarquia de lógicas:
  * 1. Regras personalizadas.
- * 2. Cache inteligente.
- * 3. Extração de nome inteligente (se ativado).
- * 4. Fallback para o nome de domínio.
+ * 2. Modo 'path' (domínio e caminho), se for o modo do domínio ou da janela.
+ * 3. Cache inteligente.
+ * 4. Extração de nome inteligente (se ativado).
+ * 5. Fallback para o nome de domínio.
+ * Um modo configurado para o domínio da aba (`groupingModeOverrides`)
+ * sobrepõe-se ao da janela.
+ * Devolve também a origem da decisão, usada pela simulação de agrupamento.
  * @param {browser.tabs.Tab} tab - O objeto da aba.
- * @returns {Promise<string|null>} O nome final do grupo ou nulo se não for agrupável.
+ * @param {object} [options]
+ * @param {string} [options.groupingMode] - Modo de agrupamento efetivo da janela da aba (por omissão, o global).
+ * @param {object[]} [options.customRules] - Regras a avaliar (por omissão, as guardadas e as dos pacotes).
+ * @param {boolean} [options.dryRun=false] - Se verdadeiro, não injeta scripts nem escreve em caches.
+ * @returns {Promise<{groupName: string|null, source: string, rule: object|null, groupingMode?: string}>}
+ * `source` é um de 'not_groupable', 'custom_rule', 'path_segments',
+ * 'smart_cache', 'smart_extraction', 'smart_pending' (apenas em dryRun) ou
+ * 'domain_sanitization'; `groupingMode` é o modo efetivo usado para a aba,
+ * quando o nome não vem de uma regra.
  */
-export async function getFinalGroupName(tab) {
-  if (!isTabGroupable(tab)) return null;
+async function resolveGroupName(
+  tab,
+  {
+    groupingMode: windowGroupingMode = settings.groupingMode,
+    customRules = getEffectiveCustomRules(settings),
+    dryRun = false,
+  } = {}
+) {
+  if (!isTabGroupable(tab)) {
+    return { groupName: null, source: 'not_groupable', rule: null };
+  }
 
-  // 1. Regras personalizadas complexas
-  for (const rule of settings.customRules || []) {
-    if (evaluateRule(tab, rule)) {
-      return rule.name;
+  // 1. Regras personalizadas complexas, por ordem de prioridade
+  const rules = sortRulesByPriority(customRules || []);
+  const ruleTab = await withTabContext(tab, rules);
+  const properties = buildTabProperties(ruleTab);
+  for (const rule of rules) {
+    if (evaluateRule(ruleTab, rule, properties)) {
+      const ruleGroupName = resolveRuleGroupName(ruleTab, rule);
+      if (!dryRun) rememberRuleGroupName(ruleGroupName, rule);
+      return { groupName: ruleGroupName, source: 'custom_rule', rule };
     }
   }
 
   const hostname = getHostname(tab.url);
-  if (!hostname) return null;
+  if (!hostname) {
+    return { groupName: null, source: 'not_groupable', rule: null };
+  }
+
+  const domainOverride = getDomainGroupingOverride(hostname);
+  const groupingMode = domainOverride?.groupingMode || windowGroupingMode;
+
+  // 2. Domínio e caminho: um grupo por conjunto de segmentos iniciais
+  if (groupingMode === 'path') {
+    return {
+      groupName: buildPathGroupName(
+        hostname,
+        tab.url,
+        domainOverride?.pathDepth || settings.groupingPathDepth || 1
+      ),
+      source: 'path_segments',
+      rule: null,
+      groupingMode,
+    };
+  }
 
-  // 2. Cache inteligente (com fallback para cache legado) - verificado no fetchSmartName se feature flag ativa
-  if (!isFeatureEnabled('smartNameCaching')) {
+  // 3. Cache inteligente (com fallback para cache legado) - verificado no fetchSmartName se feature flag ativa
+  // O cache só guarda nomes do modo 'smart'; janelas em modo 'domain' ignoram-no.
+  // Em dryRun o cache é sempre consultado aqui, já que fetchSmartName não é chamado.
+  if (
+    groupingMode === 'smart' &&
+    (dryRun || !isFeatureEnabled('smartNameCaching'))
+  ) {
     const cachedName = getSmartNameFromLegacyCache(hostname);
     if (cachedName) {
       Logger.debug(
         'getFinalGroupName',
         `Cache hit para ${hostname}: ${cachedName}`
       );
-      return cachedName;
+      return {
+        groupName: cachedName,
+        source: 'smart_cache',
+        rule: null,
+        groupingMode,
+      };
     }
   }
 
-  // 3. Nomenclatura Inteligente
+  // 4. Nomenclatura Inteligente
   let groupName = null;
   let confidence = 1.0;
   let source = 'domain_fallback';
 
-  if (settings.groupingMode === 'smart') {
+  if (groupingMode === 'smart' && dryRun) {
+    // A extração exigiria injetar um script; o nome de domínio é provisório
+    source = 'smart_pending';
+  } else if (groupingMode === 'smart') {
     groupName = await fetchSmartName(tab);
     if (groupName) {
       confidence = 0.9; // Alta confiança para nomes obtidos via script
@@ -770,19 +908,22 @@ export async function getFinalGroupName(tab) {
     }
   }
 
-  // 4. Fallback para nome de domínio
+  // 5. Fallback para nome de domínio: o modo 'domain' agrupa pelo domínio
+  // registável (eTLD+1), os restantes pelo hostname completo
   if (!groupName) {
-    groupName = sanitizeDomainName(hostname);
+    groupName = sanitizeDomainName(
+      groupingMode === 'domain' ? getSiteDomain(hostname) : hostname
+    );
     confidence = 0.7; // Confiança média para nomes de domínio
-    source = 'domain_sanitization';
+    if (source !== 'smart_pending') source = 'domain_sanitization';
     Logger.debug(
       'getFinalGroupName',
       `Nome de domínio usado para ${hostname}: ${groupName}`
     );
   }
 
-  // 5. Armazena no cache inteligente com metadados
-  if (groupName) {
+  // 6. Armazena no cache inteligente com metadados
+  if (groupName && groupingMode === 'smart' && !dryRun) {
     setSmartNameInLegacyCache(hostname, groupName, {
       source,
       confidence,
@@ -791,7 +932,7 @@ export async function getFinalGroupName(tab) {
         url: tab.url,
         title: tab.title,
         extractedAt: Date.now(),
-        groupingMode: settings.groupingMode,
+        groupingMode,
       },
     });
 
@@ -799,17 +940,161 @@ export async function getFinalGroupName(tab) {
     saveSmartNameCache();
   }
 
+  return { groupName, source, rule: null, groupingMode };
+}
+
+/**
+ * Determina o nome final do grupo para uma aba (ver `resolveGroupName`).
+ * @param {browser.tabs.Tab} tab - O objeto da aba.
+ * @param {object} [options]
+ * @param {string} [options.groupingMode] - Modo de agrupamento efetivo da janela da aba (por omissão, o global).
+ * @returns {Promise<string|null>} O nome final do grupo ou nulo se não for agrupável.
+ */
+export async function getFinalGroupName(tab, options = {}) {
+  const { groupName } = await resolveGroupName(tab, options);
   return groupName;
 }
 
+// --- NOMENCLATURA COLETIVA ---
+
+// Modos de agrupamento cujas abas podem receber um nome coletivo
+const COLLECTIVE_GROUPING_MODES = new Set(['smart', 'domain']);
+
 /**
- * Obtém a próxima cor disponível da paleta de cores para novos grupos.
- * @returns {string} Uma string de cor (ex: 'blue').
+ * Recalcula, no modo de nomenclatura coletiva, os nomes de grupo a partir do
+ * conjunto de abas de cada grupo (ver group-naming.js). As abas sem regra são
+ * reunidas pelo domínio registável e as abas de regras com `{auto}` pela
+ * regra; abas de regras com nome fixo ou sem `{auto}`, e abas nos modos
+ * 'subdomain' e 'path' (que separam de propósito o mesmo site), mantêm o seu
+ * nome.
+ * @param {browser.tabs.Tab[]} tabs - As abas da janela.
+ * @param {Map<number, {groupName: string|null, rule: object|null, groupingMode?: string}>} resolutions -
+ * A decisão individual de cada aba (ver `resolveGroupName`).
+ * @param {object} options
+ * @param {string} options.groupingMode - Modo de agrupamento efetivo da janela.
+ * @returns {Promise<Map<number, string>>} Mapa tabId -> nome coletivo, apenas
+ * para as abas cujo nome foi derivado do conjunto.
  */
-export function getNextColor() {
-  const color = colors[colorIndex];
-  colorIndex = (colorIndex + 1) % colors.length;
-  return color;
+async function resolveCollectiveGroupNames(
+  tabs,
+  resolutions,
+  { groupingMode }
+) {
+  const buckets = new Map();
+  for (const tab of tabs) {
+    const resolution = resolutions.get(tab.id);
+    if (!resolution?.groupName) continue;
+
+    const { rule } = resolution;
+    if (rule && !usesAutoGroupName(rule.name)) continue;
+    if (!rule && !COLLECTIVE_GROUPING_MODES.has(resolution.groupingMode)) {
+      continue;
+    }
+    // As regras do utilizador não têm id: cada regra é a sua própria chave
+    const key = rule || `site:${getSiteDomain(getHostname(tab.url))}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(tab);
+  }
+
+  const collectiveNames = new Map();
+  for (const [key, bucketTabs] of buckets) {
+    const members = bucketTabs.map((tab) => {
+      const hostname = getHostname(tab.url) || '';
+      const tabGroupingMode =
+        resolutions.get(tab.id).groupingMode || groupingMode;
+      return {
+        hostname,
+        // Os nomes de site só existem no modo 'smart' (cache inteligente)
+        siteName:
+          tabGroupingMode === 'smart' && hostname
+            ? getSmartNameFromLegacyCache(hostname)
+            : null,
+        title: tab.title || '',
+        name: resolutions.get(tab.id).groupName,
+      };
+    });
+
+    const derived = deriveGroupName(members, {
+      strategies: settings.groupNamingStrategies,
+      formatDomain: sanitizeDomainName,
+      delimiters: settings.titleDelimiters,
+      noise: settings.titleSanitizationNoise,
+    });
+    if (!derived) continue;
+
+    Logger.debug(
+      'resolveCollectiveGroupNames',
+      `Nome coletivo para ${
+        typeof key === 'string' ? key : `regra '${key.name}'`
+      } (${bucketTabs.length} abas): '${derived.name}' (estratégia: ${
+        derived.strategy
+      }).`
+    );
+    for (const tab of bucketTabs) {
+      const { rule } = resolutions.get(tab.id);
+      collectiveNames.set(
+        tab.id,
+        rule
+          ? resolveRuleGroupName(await withTabContext(tab, [rule]), rule, {
+              autoName: derived.name,
+            })
+          : derived.name
+      );
+    }
+  }
+
+  return collectiveNames;
+}
+
+/**
+ * Obtém os nomes de grupo de todas as abas de uma janela no modo de
+ * nomenclatura coletiva. Cada aba é primeiro resolvida individualmente, sem
+ * injetar scripts (os nomes inteligentes das abas acionadas já foram obtidos
+ * por `batchProcessGroupNames`), e depois os nomes são derivados por grupo.
+ * @param {browser.tabs.Tab[]} tabs - As abas da janela.
+ * @param {object} options
+ * @param {string} options.groupingMode - Modo de agrupamento efetivo da janela.
+ * @returns {Promise<Map<number, string|null>>} Mapa tabId -> nome do grupo.
+ */
+async function batchProcessCollectiveGroupNames(tabs, { groupingMode }) {
+  const resolutions = new Map();
+  for (const tab of tabs) {
+    if (settings.manualGroupIds.includes(tab.groupId)) continue;
+    resolutions.set(
+      tab.id,
+      await resolveGroupName(tab, { groupingMode, dryRun: true })
+    );
+  }
+
+  const collectiveNames = await resolveCollectiveGroupNames(tabs, resolutions, {
+    groupingMode,
+  });
+
+  const tabIdToGroupName = new Map();
+  for (const [tabId, { groupName, rule }] of resolutions) {
+    const finalName = collectiveNames.get(tabId) || groupName;
+    if (rule && finalName) rememberRuleGroupName(finalName, rule);
+    tabIdToGroupName.set(tabId, finalName);
+  }
+  return tabIdToGroupName;
+}
+
+/**
+ * Atribui as cores dos grupos a criar numa janela (ver `assignGroupColors`);
+ * a cor explícita da regra que gerou cada grupo tem prioridade.
+ * @param {number} windowId - ID da janela.
+ * @param {Array<{groupName: string, tabIds: number[]}>} newGroups - Grupos a criar.
+ * @returns {Promise<Map<string, string>>} Mapa nome do grupo -> cor.
+ */
+export async function getNewGroupColors(windowId, newGroups) {
+  return assignGroupColors(
+    windowId,
+    newGroups.map(({ groupName, tabIds }) => ({
+      groupName,
+      tabIds,
+      ruleColor: findRuleForGroupName(groupName)?.color,
+    }))
+  );
 }
 
 // --- FUNÇÕES DE OTIMIZAÇÃO E BATCHING ---
@@ -883,9 +1168,10 @@ async function batchGetWindowData(windowId) {
 /**
  * Processa nomes de grupos em paralelo
  * @param {browser.tabs.Tab[]} tabs - Abas
+ * @param {object} [options] - Opções repassadas a `getFinalGroupName`.
  * @returns {Promise<Map>} Mapa de tabId para groupName
  */
-async function batchProcessGroupNamesParallel(tabs) {
+async function batchProcessGroupNamesParallel(tabs, options = {}) {
   Logger.debug(
     'batchProcessGroupNamesParallel',
     `Processando nomes para ${tabs.length} abas em paralelo`
@@ -908,7 +1194,7 @@ async function batchProcessGroupNamesParallel(tabs) {
           'batchProcessGroupNamesParallel',
           `Processando nome para tabId=${tab.id}, url=${tab.url}`
         );
-        return getFinalGroupName(tab);
+        return getFinalGroupName(tab, options);
       },
       {
         itemConcurrency: adaptiveItemConcurrency,
@@ -933,10 +1219,11 @@ async function batchProcessGroupNamesParallel(tabs) {
 /**
  * Processa e obtém os nomes de grupo finais para uma lista de abas em paralelo.
  * @param {browser.tabs.Tab[]} tabs - O array de abas para processar.
+ * @param {object} [options] - Opções repassadas a `getFinalGroupName` (ex: `groupingMode`).
  * @returns {Promise<Map<number, string>>} Uma promessa que resolve para um mapa de ID da aba para o nome do grupo.
  */
-async function batchProcessGroupNames(tabs) {
-  return batchProcessGroupNamesParallel(tabs);
+async function batchProcessGroupNames(tabs, options = {}) {
+  return batchProcessGroupNamesParallel(tabs, options);
 }
 
 /**
@@ -951,6 +1238,7 @@ async function batchGroupOperationsParallel(
   groupTitleToIdMap
 ) {
   const operations = [];
+  const newGroups = [];
 
   Logger.debug(
     'batchGroupOperationsParallel',
@@ -970,24 +1258,27 @@ async function batchGroupOperationsParallel(
         groupName,
       });
     } else if (!existingGroupId) {
-      // Operação de criar novo grupo
-      const matchedRule = settings.customRules.find(
-        (r) => r.name === groupName
-      );
-      const color = matchedRule?.color || getNextColor();
-
-      operations.push({
+      // Operação de criar novo grupo (a cor é atribuída abaixo, em conjunto)
+      const operation = {
         type: 'createNew',
         windowId,
         tabIds: tabIdsForGroup,
         groupName,
-        color,
-      });
+      };
+      operations.push(operation);
+      newGroups.push({ operation, groupName, tabIds: tabIdsForGroup });
     }
   }
 
   if (operations.length === 0) return;
 
+  if (newGroups.length > 0) {
+    const colorsByName = await getNewGroupColors(windowId, newGroups);
+    for (const { operation, groupName } of newGroups) {
+      operation.color = colorsByName.get(groupName);
+    }
+  }
+
   // Usa o processador paralelo para executar operações
   const results =
     await globalTabParallelProcessor.executeGroupOperationsParallel(operations);
@@ -1025,7 +1316,7 @@ async function batchGroupOperations(tabsToGroup, windowId, groupTitleToIdMap) {
  * @param {number[]} tabIds - Um array de IDs de abas a serem processadas.
  */
 export async function processTabQueue(tabIds) {
-  if (!settings.autoGroupingEnabled || tabIds.length === 0) return;
+  if (tabIds.length === 0) return;
 
   const startTime = Date.now();
   Logger.debug(
@@ -1056,6 +1347,16 @@ export async function processTabQueue(tabIds) {
       const batchStartTime = Date.now();
       const tabsInWindow = tabsByWindow[windowId];
 
+      // A política da janela (se tiver etiqueta) substitui as configurações globais
+      const windowSettings = await getEffectiveWindowSettings(windowId);
+      if (!windowSettings.autoGroupingEnabled) {
+        Logger.debug(
+          'processTabQueue',
+          `Agrupamento automático desativado para a janela ${windowId}.`
+        );
+        continue;
+      }
+
       Logger.info(
         'processTabQueue',
         `Iniciando lote de agrupamento para janela ${windowId} com ${tabsInWindow.length} abas.`
@@ -1110,7 +1411,18 @@ export async function processTabQueue(tabIds) {
         );
       }
 
-      const tabIdToGroupName = await batchProcessGroupNames(tabsToProcessNames);
+      let tabIdToGroupName = await batchProcessGroupNames(tabsToProcessNames, {
+        groupingMode: windowSettings.groupingMode,
+      });
+
+      // Na nomenclatura coletiva o nome de um grupo depende de todas as suas
+      // abas, pelo que a janela inteira é reavaliada
+      if (settings.groupNamingMode === 'collective') {
+        tabIdToGroupName = await batchProcessCollectiveGroupNames(
+          allTabsInWindow,
+          { groupingMode: windowSettings.groupingMode }
+        );
+      }
 
       Logger.trace?.(
         'processTabQueue',
@@ -1126,6 +1438,7 @@ export async function processTabQueue(tabIds) {
       }
 
       const tabsToGroup = new Map();
+      const changedTabs = [];
       for (const tab of allTabsInWindow) {
         if (settings.manualGroupIds.includes(tab.groupId)) continue;
 
@@ -1135,7 +1448,10 @@ export async function processTabQueue(tabIds) {
             'processTabQueue',
             `Aba ${tab.id} não recebeu nome de grupo final. groupId atual: ${tab.groupId}`
           );
-          if (tab.groupId) await browser.tabs.ungroup([tab.id]).catch(() => {});
+          if (tab.groupId && tab.groupId !== browser.tabs.TAB_ID_NONE) {
+            changedTabs.push(tab);
+            await browser.tabs.ungroup([tab.id]).catch(() => {});
+          }
           continue;
         }
 
@@ -1149,12 +1465,10 @@ export async function processTabQueue(tabIds) {
           : null;
         if (finalGroupName === currentCleanTitle) continue;
 
-        const matchedRule = settings.customRules.find(
-          (r) => r.name === finalGroupName
-        );
+        const matchedRule = findRuleForGroupName(finalGroupName);
         const minTabsRequired = matchedRule
           ? matchedRule.minTabs || 1
-          : settings.minTabsForAutoGroup || 2;
+          : windowSettings.minTabsForAutoGroup || 2;
         const totalMatchingTabs = groupNameCounts.get(finalGroupName) || 0;
 
         if (totalMatchingTabs < minTabsRequired) {
@@ -1162,7 +1476,10 @@ export async function processTabQueue(tabIds) {
             'processTabQueue',
             `Grupo '${finalGroupName}' não atingiu minTabsRequired (${totalMatchingTabs} < ${minTabsRequired})`
           );
-          if (tab.groupId) await browser.tabs.ungroup([tab.id]).catch(() => {});
+          if (tab.groupId && tab.groupId !== browser.tabs.TAB_ID_NONE) {
+            changedTabs.push(tab);
+            await browser.tabs.ungroup([tab.id]).catch(() => {});
+          }
           continue;
         }
 
@@ -1170,6 +1487,7 @@ export async function processTabQueue(tabIds) {
           tabsToGroup.set(finalGroupName, []);
         }
         tabsToGroup.get(finalGroupName).push(tab.id);
+        changedTabs.push(tab);
       }
 
       Logger.trace?.(
@@ -1180,6 +1498,14 @@ export async function processTabQueue(tabIds) {
       // Executa operações de agrupamento em lote otimizado
       await batchGroupOperations(tabsToGroup, windowId, groupTitleToIdMap);
 
+      // As abas e os grupos foram obtidos antes das alterações: é esse o
+      // estado que o diário guarda para as poder desfazer
+      await recordBatch(
+        'Agrupamento automático',
+        changedTabs,
+        allGroupsInWindow
+      );
+
       const batchDuration = Date.now() - batchStartTime;
       Logger.info(
         'processTabQueue',
@@ -1270,3 +1596,184 @@ export async function processTabQueue(tabIds) {
     throw error; // Re-throw para manter comportamento original
   }
 }
+
+// --- SIMULAÇÃO ---
+
+/**
+ * Simula o agrupamento de todas as abas abertas, em todas as janelas, sem
+ * alterar abas, grupos ou caches. Segue as mesmas decisões que
+ * `processTabQueue` toma ao processar uma janela completa ("Agrupar Abas
+ * Abertas"), incluindo políticas de janela e limiares de `minTabs`.
+ * Nomes inteligentes ainda não guardados em cache não são extraídos: essas
+ * abas usam o nome de domínio como nome provisório ('smart_pending').
+ * @param {object} [options]
+ * @param {object[]} [options.customRules] - Regras a simular (por omissão, as guardadas e as dos pacotes).
+ * @returns {Promise<object>} Relatório `{ generatedAt, windows, summary }`.
+ */
+export async function simulateGrouping({
+  customRules = getEffectiveCustomRules(settings),
+} = {}) {
+  const [allTabs, allGroups] = await Promise.all([
+    browser.tabs.query({}),
+    browser.tabGroups.query({}),
+  ]);
+  const groupsById = new Map(allGroups.map((g) => [g.id, g]));
+  const tabsByWindow = groupTabsByWindow(allTabs);
+  const summary = { tabs: 0, create: 0, merge: 0, brokenUp: 0 };
+  const windows = [];
+
+  for (const windowIdStr in tabsByWindow) {
+    const windowId = parseInt(windowIdStr, 10);
+    const windowSettings = await getEffectiveWindowSettings(windowId);
+
+    // 1. Nome de grupo e origem da decisão para cada aba
+    const tabs = [];
+    const resolutions = new Map();
+    for (const tab of tabsByWindow[windowId]) {
+      const currentGroup = groupsById.get(tab.groupId) || null;
+      const entry = {
+        tabId: tab.id,
+        title: tab.title || '',
+        url: tab.url || '',
+        currentGroup: currentGroup ? cleanGroupTitle(currentGroup.title) : null,
+        currentGroupId: currentGroup ? currentGroup.id : null,
+        groupName: null,
+        source: 'manual_group',
+        ruleName: null,
+        action: 'manual',
+      };
+      tabs.push(entry);
+
+      if (currentGroup && settings.manualGroupIds.includes(currentGroup.id)) {
+        continue;
+      }
+
+      const resolution = await resolveGroupName(tab, {
+        groupingMode: windowSettings.groupingMode,
+        customRules,
+        dryRun: true,
+      });
+      resolutions.set(tab.id, resolution);
+      entry.groupName = resolution.groupName;
+      entry.source = resolution.source;
+      entry.ruleName = resolution.rule ? resolution.rule.name : null;
+    }
+
+    if (settings.groupNamingMode === 'collective') {
+      const collectiveNames = await resolveCollectiveGroupNames(
+        tabsByWindow[windowId],
+        resolutions,
+        { groupingMode: windowSettings.groupingMode }
+      );
+      for (const entry of tabs) {
+        if (!collectiveNames.has(entry.tabId)) continue;
+        entry.groupName = collectiveNames.get(entry.tabId);
+        if (!entry.ruleName) entry.source = 'collective';
+      }
+    }
+
+    const groupNameCounts = new Map();
+    const groupNameRules = new Map();
+    for (const entry of tabs) {
+      if (!entry.groupName) continue;
+      groupNameCounts.set(
+        entry.groupName,
+        (groupNameCounts.get(entry.groupName) || 0) + 1
+      );
+      const { rule } = resolutions.get(entry.tabId);
+      if (rule) groupNameRules.set(entry.groupName, rule);
+    }
+
+    // 2. Ação por aba, pela mesma ordem de verificações de processTabQueue
+    for (const entry of tabs) {
+      if (entry.source === 'manual_group') continue;
+
+      if (!entry.groupName) {
+        entry.action = entry.currentGroup !== null ? 'ungroup' : 'none';
+        continue;
+      }
+      if (entry.groupName === entry.currentGroup) {
+        entry.action = 'keep';
+        continue;
+      }
+
+      const rule = groupNameRules.get(entry.groupName);
+      const minTabsRequired = rule
+        ? rule.minTabs || 1
+        : windowSettings.minTabsForAutoGroup || 2;
+      if (groupNameCounts.get(entry.groupName) < minTabsRequired) {
+        entry.action = entry.currentGroup !== null ? 'ungroup' : 'below_min';
+        continue;
+      }
+      entry.action = 'group';
+    }
+
+    // 3. Resultado por grupo: criados, reforçados, bloqueados ou desfeitos
+    const windowGroups = allGroups.filter((g) => g.windowId === windowId);
+    const groups = [];
+    for (const [name, count] of groupNameCounts.entries()) {
+      const rule = groupNameRules.get(name);
+      const joining = tabs.filter(
+        (t) => t.groupName === name && t.action === 'group'
+      ).length;
+      const existing = windowGroups.find(
+        (g) => cleanGroupTitle(g.title) === name
+      );
+
+      let outcome;
+      if (joining === 0) {
+        outcome = tabs.some((t) => t.groupName === name && t.action === 'keep')
+          ? 'unchanged'
+          : 'below_min';
+      } else if (!existing) {
+        outcome = 'create';
+      } else if (settings.manualGroupIds.includes(existing.id)) {
+        outcome = 'blocked_by_manual';
+      } else {
+        outcome = 'merge';
+      }
+
+      groups.push({
+        name,
+        outcome,
+        tabCount: count,
+        joining,
+        minTabs: rule
+          ? rule.minTabs || 1
+          : windowSettings.minTabsForAutoGroup || 2,
+        ruleName: rule ? rule.name : null,
+      });
+    }
+
+    for (const group of windowGroups) {
+      if (settings.manualGroupIds.includes(group.id)) continue;
+      const members = tabs.filter((t) => t.currentGroupId === group.id);
+      const leaving = members.filter((t) => t.action !== 'keep').length;
+      if (members.length > 0 && leaving === members.length) {
+        groups.push({
+          name: cleanGroupTitle(group.title),
+          outcome: 'broken_up',
+          tabCount: members.length,
+          joining: 0,
+          minTabs: null,
+          ruleName: null,
+        });
+      }
+    }
+
+    summary.tabs += tabs.length;
+    groups.forEach((g) => {
+      if (g.outcome === 'create') summary.create++;
+      else if (g.outcome === 'merge') summary.merge++;
+      else if (g.outcome === 'broken_up') summary.brokenUp++;
+    });
+
+    windows.push({ windowId, ...windowSettings, tabs, groups });
+  }
+
+  Logger.info(
+    'simulateGrouping',
+    `Simulação concluída: ${summary.tabs} abas, ${summary.create} grupos a criar, ${summary.merge} a reforçar, ${summary.brokenUp} a desfazer.`
+  );
+  return { generatedAt: Date.now(), windows, summary };
+}
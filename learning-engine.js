@@ -5,11 +5,14 @@
 
 import { settings, updateSettings } from './settings-manager.js';
 import Logger from './logger.js';
+import { getRegistrableDomain } from './public-suffix.js';
 
-// Utilitário para hash SHA-256 de strings (hostname)
+// Utilitário para hash SHA-256 do site de um hostname. Usa o domínio
+// registável (eTLD+1), para que 'mail.google.com' e 'docs.google.com' contem
+// como o mesmo site nos padrões aprendidos.
 async function hashHostname(hostname) {
   const encoder = new TextEncoder();
-  const data = encoder.encode(hostname);
+  const data = encoder.encode(getRegistrableDomain(hostname) || hostname);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   return Array.from(new Uint8Array(hashBuffer))
     .map((b) => b.toString(16).padStart(2, '0'))
@@ -17,6 +20,11 @@ async function hashHostname(hostname) {
 }
 const LOG_PREFIX = '[LearningEngine]';
 
+// Nível de privacidade dos padrões com hashes por site. Os padrões antigos
+// ('hashed_hostname') têm hashes do hostname completo, que não são reversíveis
+// nem voltam a corresponder a nenhuma aba.
+const PATTERN_PRIVACY_LEVEL = 'hashed_site';
+
 class LearningEngine {
   constructor() {
     this.patterns = null;
@@ -35,8 +43,20 @@ class LearningEngine {
 
   async loadPatterns() {
     // Acessa diretamente a propriedade do objeto de configurações importado
-    this.patterns = settings.userPatterns || [];
+    const storedPatterns = settings.userPatterns || [];
+    this.patterns = storedPatterns.filter(
+      (pattern) => pattern.privacyLevel === PATTERN_PRIVACY_LEVEL
+    );
     Logger.debug(`${LOG_PREFIX} Padrões de usuário carregados:`, this.patterns);
+
+    // Migração única: descarta os padrões com hashes do hostname completo
+    const droppedCount = storedPatterns.length - this.patterns.length;
+    if (droppedCount > 0) {
+      await this.savePatterns();
+      Logger.info(
+        `${LOG_PREFIX} ${droppedCount} padrões antigos (hashes por hostname) descartados.`
+      );
+    }
   }
 
   async savePatterns() {
@@ -115,7 +135,7 @@ class LearningEngine {
         expiresAt: Date.now() + 30 * 24 * 60 * 60 * 1000, // 30 dias
         lastAccessedAt: Date.now(),
         source: 'user_grouping',
-        privacyLevel: 'hashed_hostname',
+        privacyLevel: PATTERN_PRIVACY_LEVEL,
       };
       this.patterns.push(newPattern);
       Logger.debug(`${LOG_PREFIX} Novo padrão criado:`, newPattern);
@@ -5,8 +5,39 @@
 
 // Importação estática do módulo de validação.
 // Isso resolve problemas de carregamento dinâmico que podem ocorrer em alguns ambientes de extensão.
-import { validateTabRenamingRule } from '../validation-utils.js';
+import {
+  validateTabRenamingRule,
+  getOperatorsForProperty,
+  BOOLEAN_TAB_PROPERTIES,
+  NUMERIC_TAB_PROPERTIES,
+  SHARED_LIST_NAME_PATTERN,
+  GROUP_NAMING_STRATEGIES,
+  VALID_GROUPING_MODES,
+  GROUPING_PATH_DEPTH_MAX,
+  GROUPING_OVERRIDE_DOMAIN_PATTERN,
+  DUPLICATE_TRACKING_PARAM_PATTERN,
+  validateException,
+} from '../validation-utils.js';
 import { clearSmartNameCache } from '../intelligent-cache-manager.js';
+import {
+  isGroupNameTemplate,
+  findRegexCaptures,
+  expandGroupNameTemplate,
+} from '../group-name-template.js';
+import {
+  buildTabProperties,
+  compileConditionGroup,
+  sortRulesByPriority,
+  getRulePriority,
+  analyzeRuleConflicts,
+  DEFAULT_RULE_PRIORITY,
+  LIST_OPERATORS,
+} from '../rule-engine.js';
+import {
+  describeException,
+  getExceptionExpiry,
+  isExceptionActive,
+} from '../tab-exceptions.js';
 
 // Importar utilitários DOM seguros para CSP rigorosa
 import {
@@ -16,19 +47,57 @@ import {
   // createInputWithLabel, // Removido para evitar warning de variável não usada
 } from '../src/dom-utils.js';
 import { safeInnerHTML } from '../src/html-sanitizer.js';
+import {
+  RULE_PACK_FORMAT,
+  parseRulePack,
+  fetchRulePack,
+  diffRulePack,
+  comparePackVersions,
+  installRulePack,
+  removeRulePack,
+  setPackRuleOverride,
+  getPackRules,
+  getEffectiveCustomRules,
+  getEffectiveRenamingRules,
+} from '../rule-packs.js';
+import {
+  SETTINGS_SCHEMA_VERSION,
+  createSettingsExport,
+  migrateImportedSettings,
+  diffImportedSettings,
+  mergeImportedSettings,
+} from '../settings-transfer.js';
 
 // Conteúdo para os tooltips de ajuda contextual.
 const helpTexts = {
   groupingMode:
-    'Define como os grupos são nomeados. <ul><li><strong>Nomenclatura Inteligente:</strong> Tenta descobrir o nome principal do site (ex: \'Google Docs\').</li><li><strong>Agrupar por Domínio:</strong> Usa o nome do site (ex: \'google.com\').</li><li><strong>Agrupar por Subdomínio:</strong> É mais específico (ex: \'docs.google.com\').</li></ul>',
+    'Define como os grupos são nomeados. <ul><li><strong>Nomenclatura Inteligente:</strong> Tenta descobrir o nome principal do site (ex: \'Google Docs\').</li><li><strong>Agrupar por Domínio:</strong> Usa o domínio registável, segundo a Public Suffix List (ex: \'docs.google.com\' e \'mail.google.com\' ficam em \'Google\').</li><li><strong>Agrupar por Subdomínio:</strong> É mais específico (ex: \'Docs Google\' e \'Mail Google\').</li><li><strong>Agrupar por Domínio e Caminho:</strong> Junta ao domínio os primeiros segmentos do caminho, para sites com várias áreas (ex: \'Github · org-a\' e \'Github · org-b\').</li></ul>',
+  groupingPathDepth:
+    'Número de segmentos do caminho usados no modo \'Agrupar por Domínio e Caminho\' (1 a 5). Ex: com 1, \'github.com/org-a/repo\' fica em \'Github · org-a\'; com 2, em \'Github · org-a/repo\'.',
+  groupingModeOverrides:
+    'Escolha um modo de agrupamento diferente para alguns domínios, um por linha, no formato <code>domínio = modo</code>. Os modos são <code>smart</code>, <code>domain</code>, <code>subdomain</code> e <code>path</code>; no modo <code>path</code> pode indicar os segmentos, ex: <code>github.com = path:1</code>. O domínio inclui os seus subdomínios e sobrepõe-se ao modo global e ao da política da janela.',
+  groupNamingMode:
+    'Define de onde vem o nome de cada grupo. <ul><li><strong>Cada Aba:</strong> O nome é decidido aba a aba, pelo seu domínio (ex: \'Docs Google\' e \'Drive Google\' ficam em grupos separados).</li><li><strong>Conjunto de Abas do Grupo:</strong> As abas do mesmo site são reunidas e o nome é derivado de todas elas (ex: um único grupo \'Google\'). Em regras, use <code>{auto}</code> no nome para receber este nome derivado.</li></ul>',
+  groupNamingStrategies:
+    'Estratégias usadas pelo nome coletivo, pela ordem de preferência, separadas por vírgulas: <ul><li><strong>site_name:</strong> O nome do site que as abas partilham (ex: <code>og:site_name</code>).</li><li><strong>common_domain:</strong> O domínio registável comum (ex: \'google.com\' vira \'Google\').</li><li><strong>title_token:</strong> Um segmento comum a todos os títulos, separado pelos delimitadores de título.</li></ul>Se nenhuma se aplicar, é usado o nome individual mais frequente.',
   minTabsForAutoGroup:
     'Define o número mínimo de abas semelhantes que precisam estar abertas antes que um novo grupo seja criado automaticamente. Use \'1\' para agrupar imediatamente, ou \'2\' (padrão) para evitar grupos com uma única aba.',
+  duplicateTabPolicy:
+    'O que fazer quando uma aba nova abre um URL que já está aberto. <ul><li><strong>Avisar no ícone:</strong> O ícone da extensão mostra quantas cópias há da aba (ex: \'×3\').</li><li><strong>Focar a aba existente:</strong> Muda para a aba já aberta e fecha a nova. Uma aba que apenas navega para esse URL não é fechada.</li><li><strong>Só fechar a pedido:</strong> Nada acontece automaticamente; use \'Fechar abas duplicadas deste grupo\' no menu de contexto ou no popup.</li><li><strong>Desativado:</strong> Não procura duplicados.</li></ul>',
+  duplicateTrackingParams:
+    'Parâmetros da query string ignorados ao comparar URLs, separados por vírgulas. Termine com <code>*</code> para ignorar todos os parâmetros com esse prefixo (ex: <code>utm_*</code>).',
+  duplicateIgnoreQuery:
+    'Se ativado, URLs que só diferem na query string (ex: \'?page=2\') contam como duplicados.',
+  duplicateIgnoreFragment:
+    'Se ativado (padrão), URLs que só diferem no fragmento (ex: \'#secao\') contam como duplicados.',
   showTabCount:
     'Se ativado, o título de cada grupo mostrará o número de abas que ele contém. Ex: \'Notícias (5)\'. Desative para um visual mais limpo.',
   uncollapseOnActivate:
     'Se ativado, um grupo recolhido será automaticamente expandido quando você clicar em uma das suas abas na barra de abas do Firefox.',
   autoCollapseTimeout:
     'Recolhe automaticamente um grupo que não foi usado por um certo tempo. Isto ajuda a manter sua barra de abas organizada. Deixe \'0\' para desativar esta funcionalidade.',
+  autoArchiveHours:
+    'Arquiva automaticamente um grupo automático que ficou recolhido e sem uso durante este número de horas: o grupo fica guardado (título, cor e abas) e as abas são fechadas para libertar memória. Os grupos arquivados podem ser restaurados no popup. Deixe \'0\' para desativar.',
   ungroupSingleTabs:
     'Se ativado, quando um grupo fica com apenas uma aba, essa aba será automaticamente removida do grupo após um tempo. Isto evita ter grupos com uma única aba.',
   ungroupSingleTabsTimeout:
@@ -36,23 +105,27 @@ const helpTexts = {
   theme:
     'Escolha a aparência da extensão. \'Automático\' seguirá o tema claro/escuro do seu sistema operacional.',
   domainSanitizationTlds:
-    'TLDs são as terminações de um site (ex: \'.com\', \'.gov.br\'). Listá-los aqui ajuda a criar nomes de grupo melhores (ex: `google.com.br` vira `Google`). Importante: Os mais longos (`.com.br`) devem vir antes dos mais curtos (`.br`).',
+    'Os sufixos públicos (ex: \'.com\', \'.gov.br\', \'.co.jp\', \'.github.io\') são reconhecidos pela Public Suffix List incluída na extensão e removidos dos nomes de grupo (ex: `google.com.br` vira `Google`). Liste aqui apenas sufixos que não constam dessa lista, como domínios internos (ex: `.intranet.local`).',
   titleSanitizationNoise:
     'Palavras \'ruidosas\' como \'Login\' ou \'Painel\' podem atrapalhar a Nomenclatura Inteligente. Liste aqui palavras que, se encontradas, devem ser ignoradas para ajudar a encontrar o nome verdadeiro do site.',
   titleDelimiters:
     'Caracteres como `|`, `-` ou `—` são frequentemente usados para separar o nome da marca do resto do título (ex: \'Seu Painel | NomeDaEmpresa\'). Informar estes caracteres aqui ajuda a Nomenclatura Inteligente a isolar e extrair o nome da marca com mais precisão.',
   exceptionsList:
-    'Liste aqui os sites que você NUNCA quer que sejam agrupados. Insira o domínio (ex: `mail.google.com`), um por linha. Qualquer URL que contenha o texto inserido será ignorada.',
+    'Abas que nunca são agrupadas. "Domínio" inclui os subdomínios (ex: `google.com` abrange `mail.google.com`); "URL contém" compara o texto com o URL completo; os padrões glob usam `*` como curinga (ex: `https://*.atlassian.net/browse/*`). Uma exceção pode durar 1 hora ou até ao fim do dia, e o motivo ajuda a lembrar porque foi criada. No menu de contexto de uma página, "Não agrupar o domínio" cria estas exceções diretamente.',
   customRules:
     'Crie regras poderosas para cenários complexos. As regras são verificadas de cima para baixo; a primeira que corresponder será usada. Arraste-as para reordenar a prioridade. <br><a href="../help/help.html" target="_blank" class="text-indigo-400 hover:underline">Aprenda a dominar as regras.</a>',
+  sharedLists:
+    'Dê um nome a uma lista de domínios ou padrões (uma entrada por linha) e use-a em várias regras escrevendo <code>@nome</code> no valor de uma condição "está na lista" ou "corresponde a um dos padrões". Alterar a lista atualiza todas as regras que a usam.',
+  rulePacks:
+    'Instale pacotes de regras mantidos pela sua equipa a partir de um URL (https), de um ficheiro ou de JSON colado. As regras dos pacotes são só de leitura; pode desativá-las, mudar a sua prioridade ou copiá-las para as suas regras. Ao atualizar um pacote vê as regras novas, alteradas e removidas antes de aplicar, e as suas alterações locais são mantidas.',
   ruleTester:
-    'Use este campo para testar como uma URL e um título seriam agrupados com base nas suas regras e configurações atuais. O resultado mostrará qual regra personalizada correspondeu, ou se será usado o agrupamento padrão.',
+    'Use este campo para testar como uma URL e um título seriam agrupados com base nas suas regras e configurações atuais. O resultado mostrará qual regra personalizada correspondeu, ou se será usado o agrupamento padrão. O botão "Simular nas Abas Abertas" aplica as regras a todas as abas de todas as janelas, sem alterar nada, e mostra que grupos seriam criados, reforçados ou desfeitos.',
   syncEnabled:
     'Se ativado, suas configurações e regras serão salvas na sua Conta Firefox e sincronizadas entre seus dispositivos. Se desativado, as configurações ficam salvas apenas neste computador.',
   tabRenaming:
     'Ative a renomeação automática de abas para personalizar os títulos. Crie regras com condições e estratégias para extrair ou manipular o texto do título da aba. As regras são aplicadas em ordem de prioridade.',
   renamingStrategy:
-    'Define como o novo título será gerado. <ul><li><strong>Extração CSS:</strong> Tenta pegar texto de um elemento específico na página.</li><li><strong>Manipulação de Título:</strong> Modifica o título atual da aba.</li><li><strong>Baseado em Domínio:</strong> Usa o nome do domínio da aba.</li><li><strong>Título Original:</strong> Mantém o título original da aba (útil como fallback).</li></ul>',
+    'Define como o novo título será gerado. <ul><li><strong>Extração CSS:</strong> Tenta pegar texto de um elemento específico na página.</li><li><strong>Manipulação de Título:</strong> Modifica o título atual da aba.</li><li><strong>Baseado em Domínio:</strong> Usa o nome do domínio da aba.</li><li><strong>Título Original:</strong> Mantém o título original da aba (útil como fallback).</li><li><strong>Modelo com Campos:</strong> Compõe o título a partir de vários campos (seletores CSS, capturas regex da URL ou do título, domínio), ex: <code>{ticketId} · {summary} [{status}]</code>. Cada campo pode ter um valor por omissão e ser obrigatório.</li></ul>',
   textOperations:
     'Sequência de operações para manipular o título. As operações são aplicadas uma após a outra. Por exemplo, você pode remover um padrão e depois adicionar um prefixo.',
   renamingRuleName:
@@ -70,7 +143,7 @@ const helpTexts = {
   regexPattern:
     'Expressões Regulares (Regex) são um padrão de busca poderoso para encontrar e manipular texto. <br><strong>Dica:</strong> Use parênteses <code>()</code> para criar um \'grupo de captura\'. Você pode então usar <code>$1</code>, <code>$2</code>, etc., no campo \'Substituir por\' para se referir ao texto capturado. <br><a href="https://regex101.com/" target="_blank" class="text-indigo-400 hover:underline">Aprenda e teste suas Regex aqui.</a>',
   advancedRenamingOptions:
-    'Ajustes finos para o comportamento da regra:<ul><li><strong>Aguardar carregamento:</strong> Útil para sites que carregam o título dinamicamente após a página inicial carregar.</li><li><strong>Armazenar em cache:</strong> Melhora a performance ao salvar o resultado da renomeação, evitando reprocessamento.</li><li><strong>Respeitar alterações manuais:</strong> Se você renomear manualmente uma aba, a extensão não tentará renomeá-la novamente.</li><li><strong>Tentativas de Reaplicação:</strong> Quantas vezes a regra deve tentar ser aplicada se a primeira tentativa falhar (ex: o elemento ainda não apareceu na página).</li></ul>',
+    'Ajustes finos para o comportamento da regra:<ul><li><strong>Aguardar carregamento:</strong> Útil para sites que carregam o título dinamicamente após a página inicial carregar.</li><li><strong>Armazenar em cache:</strong> Melhora a performance ao salvar o resultado da renomeação, evitando reprocessamento.</li><li><strong>Respeitar alterações manuais:</strong> Se você renomear manualmente uma aba, a extensão não tentará renomeá-la novamente.</li><li><strong>Tentativas de Reaplicação:</strong> Quantas vezes a regra deve tentar ser aplicada se a primeira tentativa falhar (ex: o elemento ainda não apareceu na página).</li><li><strong>Acompanhar alterações da página:</strong> Para aplicações como Jira, Gmail ou GitHub, que mudam o conteúdo sem recarregar a página. A extensão observa os elementos usados pela regra e o título da página e volta a aplicar a regra quando mudam (no máximo uma vez por segundo).</li></ul>',
   suggestionsEnabled:
     'Ativa ou desativa as sugestões inteligentes de agrupamento. Quando ativado, a extensão analisará seus padrões de uso e sugerirá novos grupos baseados em abas similares que você tem abertas.',
   clearLearningHistory:
@@ -86,20 +159,34 @@ document.addEventListener('DOMContentLoaded', () => {
   const ui = {
     theme: document.getElementById('theme'),
     groupingMode: document.getElementById('groupingMode'),
+    groupingPathDepth: document.getElementById('groupingPathDepth'),
+    groupingModeOverrides: document.getElementById('groupingModeOverrides'),
+    groupNamingMode: document.getElementById('groupNamingMode'),
+    groupNamingStrategies: document.getElementById('groupNamingStrategies'),
     minTabsForAutoGroup: document.getElementById('minTabsForAutoGroup'),
     uncollapseOnActivate: document.getElementById('uncollapseOnActivate'),
     autoCollapseTimeout: document.getElementById('autoCollapseTimeout'),
+    autoArchiveHours: document.getElementById('autoArchiveHours'),
     ungroupSingleTabs: document.getElementById('ungroupSingleTabs'),
     ungroupSingleTabsTimeout: document.getElementById(
       'ungroupSingleTabsTimeout'
     ),
     exceptionsList: document.getElementById('exceptionsList'),
+    exceptionForm: document.getElementById('exceptionForm'),
+    exceptionType: document.getElementById('exceptionType'),
+    exceptionValue: document.getElementById('exceptionValue'),
+    exceptionDuration: document.getElementById('exceptionDuration'),
+    exceptionReason: document.getElementById('exceptionReason'),
     showTabCount: document.getElementById('showTabCount'),
     syncEnabled: document.getElementById('syncEnabled'),
     logLevel: document.getElementById('logLevel'),
     domainSanitizationTlds: document.getElementById('domainSanitizationTlds'),
     titleSanitizationNoise: document.getElementById('titleSanitizationNoise'),
     titleDelimiters: document.getElementById('titleDelimiters'),
+    duplicateTabPolicy: document.getElementById('duplicateTabPolicy'),
+    duplicateTrackingParams: document.getElementById('duplicateTrackingParams'),
+    duplicateIgnoreQuery: document.getElementById('duplicateIgnoreQuery'),
+    duplicateIgnoreFragment: document.getElementById('duplicateIgnoreFragment'),
     rulesList: document.getElementById('rulesList'), // Agrupamento
     importBtn: document.getElementById('importBtn'),
     exportBtn: document.getElementById('exportBtn'),
@@ -114,18 +201,48 @@ document.addEventListener('DOMContentLoaded', () => {
     ruleName: document.getElementById('ruleName'),
     ruleColor: document.getElementById('ruleColor'),
     ruleMinTabs: document.getElementById('ruleMinTabs'),
+    rulePriority: document.getElementById('rulePriority'),
+    ruleConflicts: document.getElementById('ruleConflicts'),
     ruleOperator: document.getElementById('ruleOperator'),
     conditionsContainer: document.getElementById('conditionsContainer'), // Agrupamento
     addConditionBtn: document.getElementById('addConditionBtn'), // Agrupamento
+    addConditionGroupBtn: document.getElementById('addConditionGroupBtn'), // Agrupamento
+    commandsList: document.getElementById('commandsList'),
+    snapshotsList: document.getElementById('snapshotsList'),
+    sharedListsList: document.getElementById('sharedListsList'),
+    addSharedListBtn: document.getElementById('addSharedListBtn'),
+    sharedListNames: document.getElementById('sharedListNames'),
     confirmModal: document.getElementById('confirmModal'),
     confirmModalText: document.getElementById('confirmModalText'),
     confirmOkBtn: document.getElementById('confirmOkBtn'),
     confirmCancelBtn: document.getElementById('confirmCancelBtn'),
+    installRulePackBtn: document.getElementById('installRulePackBtn'),
+    rulePacksList: document.getElementById('rulePacksList'),
+    rulePackModal: document.getElementById('rulePackModal'),
+    rulePackUrl: document.getElementById('rulePackUrl'),
+    rulePackFetchBtn: document.getElementById('rulePackFetchBtn'),
+    rulePackJson: document.getElementById('rulePackJson'),
+    rulePackPreviewBtn: document.getElementById('rulePackPreviewBtn'),
+    rulePackFileBtn: document.getElementById('rulePackFileBtn'),
+    rulePackFile: document.getElementById('rulePackFile'),
+    rulePackPreview: document.getElementById('rulePackPreview'),
+    rulePackCancelBtn: document.getElementById('rulePackCancelBtn'),
+    rulePackInstallBtn: document.getElementById('rulePackInstallBtn'),
+    importModal: document.getElementById('importModal'),
+    importSummary: document.getElementById('importSummary'),
+    importSections: document.getElementById('importSections'),
+    importWarnings: document.getElementById('importWarnings'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    importApplyBtn: document.getElementById('importApplyBtn'),
     notificationContainer: document.getElementById('notification-container'),
     saveStatus: document.getElementById('saveStatus'),
     ruleTesterUrl: document.getElementById('ruleTesterUrl'),
     ruleTesterTitle: document.getElementById('ruleTesterTitle'),
     ruleTesterResult: document.getElementById('ruleTesterResult'),
+    simulateGroupingBtn: document.getElementById('simulateGroupingBtn'),
+    simulationReport: document.getElementById('simulationReport'),
+    simulateRuleBtn: document.getElementById('simulateRuleBtn'),
+    ruleSimulationReport: document.getElementById('ruleSimulationReport'),
     // Elementos de diagnóstico de memória
     refreshMemoryStats: document.getElementById('refreshMemoryStats'),
     cleanupMemory: document.getElementById('cleanupMemory'),
@@ -177,6 +294,9 @@ document.addEventListener('DOMContentLoaded', () => {
     renamingOptionRespectManualChanges: document.getElementById(
       'renamingOptionRespectManualChanges'
     ),
+    renamingOptionWatchChanges: document.getElementById(
+      'renamingOptionWatchChanges'
+    ),
     renamingOptionRetryAttempts: document.getElementById(
       'renamingOptionRetryAttempts'
     ),
@@ -196,6 +316,8 @@ document.addEventListener('DOMContentLoaded', () => {
   let sortableInstance = null; // Para regras de agrupamento
   let renamingSortableInstance = null; // Para regras de renomeação
   let confirmCallback = null;
+  let pendingImport = null; // Configurações importadas à espera de confirmação
+  let pendingRulePack = null; // Pacote de regras validado à espera de instalação
   let saveTimeout = null;
 
   // --- LÓGICA DE AJUDA CONTEXTUAL (TOOLTIPS) ---
@@ -224,6 +346,96 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // --- LÓGICA DO CONSTRUTOR DE REGRAS DE AGRUPAMENTO ---
 
+  // Propriedades da aba disponíveis nas condições de agrupamento
+  const CONDITION_PROPERTY_OPTIONS = [
+    { value: 'url', text: 'URL Completa' },
+    { value: 'hostname', text: 'Domínio (ex: docs.google.com)' },
+    {
+      value: 'registrable_domain',
+      text: 'Domínio registável (ex: google.com)',
+    },
+    { value: 'url_path', text: 'Caminho da URL (ex: /noticias)' },
+    { value: 'title', text: 'Título da Aba' },
+    { value: 'opener_hostname', text: 'Domínio da aba de origem' },
+    { value: 'cookie_store_id', text: 'Contentor (cookieStoreId)' },
+    { value: 'age_minutes', text: 'Aberta há (minutos)' },
+    { value: 'pinned', text: 'Fixada' },
+    { value: 'audible', text: 'A reproduzir som' },
+    { value: 'muted', text: 'Silenciada' },
+    { value: 'discarded', text: 'Descarregada da memória' },
+    { value: 'incognito', text: 'Navegação privada' },
+  ];
+
+  const CONDITION_OPERATOR_LABELS = {
+    contains: 'contém',
+    not_contains: 'não contém',
+    starts_with: 'começa com',
+    ends_with: 'termina com',
+    equals: 'é igual a',
+    regex: 'corresponde à Regex',
+    wildcard: 'corresponde ao Wildcard',
+    in_list: 'está na lista',
+    matches_any_glob: 'corresponde a um dos padrões',
+    query_param_equals: 'tem o parâmetro',
+    greater_than: 'maior que',
+    less_than: 'menor que',
+    greater_or_equal: 'maior ou igual a',
+    less_or_equal: 'menor ou igual a',
+  };
+
+  /**
+   * Ajusta o operador e o campo de valor de uma condição ao tipo da
+   * propriedade escolhida (texto, booleana ou numérica).
+   * @param {HTMLSelectElement} propertySelect - Select da propriedade.
+   * @param {HTMLSelectElement} operatorSelect - Select do operador.
+   * @param {HTMLInputElement} valueInput - Campo do valor.
+   * @param {string} [selectedOperator] - Operador a manter selecionado, se aplicável.
+   */
+  function configureConditionInputs(
+    propertySelect,
+    operatorSelect,
+    valueInput,
+    selectedOperator
+  ) {
+    const property = propertySelect.value;
+    // O wildcard é mantido apenas para regras antigas que já o usam
+    const operators = getOperatorsForProperty(property).filter(
+      (op) => op !== 'wildcard' || op === selectedOperator
+    );
+    operatorSelect.replaceChildren(
+      ...operators.map((op) => new Option(CONDITION_OPERATOR_LABELS[op], op))
+    );
+    operatorSelect.value = operators.includes(selectedOperator)
+      ? selectedOperator
+      : operators[0];
+
+    if (BOOLEAN_TAB_PROPERTIES.has(property)) {
+      valueInput.type = 'text';
+      valueInput.setAttribute('list', 'booleanConditionValues');
+      valueInput.placeholder = 'true ou false';
+    } else if (NUMERIC_TAB_PROPERTIES.has(property)) {
+      valueInput.type = 'number';
+      valueInput.min = '0';
+      valueInput.removeAttribute('list');
+      valueInput.placeholder = 'Número de minutos';
+    } else if (LIST_OPERATORS.has(operatorSelect.value)) {
+      valueInput.type = 'text';
+      valueInput.setAttribute('list', 'sharedListNames');
+      valueInput.placeholder =
+        operatorSelect.value === 'in_list'
+          ? 'a.com, b.com ou @nomeDaLista'
+          : '*.a.com/*, *b.com* ou @nomeDaLista';
+    } else if (operatorSelect.value === 'query_param_equals') {
+      valueInput.type = 'text';
+      valueInput.removeAttribute('list');
+      valueInput.placeholder = 'Ex: utm_source=newsletter';
+    } else {
+      valueInput.type = 'text';
+      valueInput.removeAttribute('list');
+      valueInput.placeholder = 'Digite o valor aqui...';
+    }
+  }
+
   // const propertyOptions = `
   //       <option value='url'>URL Completa</option>
   //       <option value='hostname'>Domínio (ex: google.com)</option>
@@ -255,36 +467,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Coluna 1: Select de propriedade
     const propertyDiv = createElement('div', { className: 'md:col-span-3' });
-    const propertySelect = createSelect(
-      [
-        { value: 'url', text: 'URL Completa' },
-        { value: 'hostname', text: 'Domínio (ex: google.com)' },
-        { value: 'url_path', text: 'Caminho da URL (ex: /noticias)' },
-        { value: 'title', text: 'Título da Aba' },
-      ],
-      {
-        className:
-          'condition-property w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600',
-      }
-    );
+    const propertySelect = createSelect(CONDITION_PROPERTY_OPTIONS, {
+      className:
+        'condition-property w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600',
+    });
     propertyDiv.appendChild(propertySelect);
 
-    // Coluna 2: Select de operador
+    // Coluna 2: Select de operador (as opções dependem do tipo da propriedade)
     const operatorDiv = createElement('div', { className: 'md:col-span-3' });
-    const operatorSelect = createSelect(
-      [
-        { value: 'contains', text: 'contém' },
-        { value: 'not_contains', text: 'não contém' },
-        { value: 'starts_with', text: 'começa com' },
-        { value: 'ends_with', text: 'termina com' },
-        { value: 'equals', text: 'é igual a' },
-        { value: 'regex', text: 'corresponde à Regex' },
-      ],
-      {
-        className:
-          'condition-operator w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600',
-      }
-    );
+    const operatorSelect = createSelect([], {
+      className:
+        'condition-operator w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600',
+    });
     operatorDiv.appendChild(operatorSelect);
 
     // Coluna 3: Input de valor
@@ -349,8 +543,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Preencher valores se fornecidos
     if (condition.property) propertySelect.value = condition.property;
-    if (condition.operator) operatorSelect.value = condition.operator;
-    if (condition.value) valueInput.value = condition.value;
+    configureConditionInputs(
+      propertySelect,
+      operatorSelect,
+      valueInput,
+      condition.operator
+    );
+    if (condition.value) {
+      // O campo é de uma só linha: listas separadas por linhas passam a vírgulas
+      valueInput.value = LIST_OPERATORS.has(condition.operator)
+        ? condition.value.split(/\n+/).join(', ')
+        : condition.value;
+    }
+
+    const reconfigureInputs = () =>
+      configureConditionInputs(
+        propertySelect,
+        operatorSelect,
+        valueInput,
+        operatorSelect.value
+      );
+    propertySelect.addEventListener('change', reconfigureInputs);
+    operatorSelect.addEventListener('change', reconfigureInputs);
 
     // Event listener para remover condição
     removeButton.addEventListener('click', () => {
@@ -360,10 +574,160 @@ document.addEventListener('DOMContentLoaded', () => {
     return conditionDiv;
   }
 
+  /**
+   * Cria o elemento de um subgrupo de condições (aninhável), com o seu próprio
+   * operador lógico e a sua própria lista de condições/subgrupos.
+   * @param {object} group - O grupo `{ operator, conditions }` a renderizar.
+   * @returns {HTMLElement}
+   */
+  function createConditionGroupElement(
+    group = { operator: 'AND', conditions: [] }
+  ) {
+    const groupDiv = createElement('div', {
+      className:
+        'condition-group-item p-3 rounded border-l-4 border-indigo-400 bg-indigo-50/50 dark:bg-slate-900/40 dark:border-indigo-500',
+    });
+
+    const header = createElement('div', {
+      className: 'group-header flex items-center gap-2 mb-3 text-sm',
+    });
+    const operatorSelect = createSelect(
+      [
+        { value: 'AND', text: 'TODAS' },
+        { value: 'OR', text: 'QUALQUER UMA' },
+      ],
+      {
+        className:
+          'group-operator p-1 border border-slate-300 rounded-md shadow-sm dark:bg-slate-800 dark:border-slate-600',
+      }
+    );
+    operatorSelect.value = group.operator === 'OR' ? 'OR' : 'AND';
+
+    const addConditionButton = createElement(
+      'button',
+      {
+        type: 'button',
+        className: 'text-blue-600 hover:underline dark:text-blue-400',
+      },
+      '+ Condição'
+    );
+    const addGroupButton = createElement(
+      'button',
+      {
+        type: 'button',
+        className: 'text-indigo-600 hover:underline dark:text-indigo-400',
+      },
+      '+ Subgrupo'
+    );
+    const removeButton = createElement(
+      'button',
+      {
+        type: 'button',
+        className: 'ml-auto text-red-500 hover:text-red-700 font-bold px-2',
+        title: 'Remover Subgrupo',
+      },
+      '✕'
+    );
+
+    header.appendChild(operatorSelect);
+    header.appendChild(createElement('span', {}, 'das seguintes condições:'));
+    header.appendChild(addConditionButton);
+    header.appendChild(addGroupButton);
+    header.appendChild(removeButton);
+
+    const childrenContainer = createElement('div', {
+      className: 'group-conditions-container space-y-3',
+    });
+    const children =
+      Array.isArray(group.conditions) && group.conditions.length > 0
+        ? group.conditions
+        : [{}];
+    children.forEach((item) =>
+      childrenContainer.appendChild(createConditionNode(item))
+    );
+
+    groupDiv.appendChild(header);
+    groupDiv.appendChild(childrenContainer);
+
+    addConditionButton.addEventListener('click', () => {
+      childrenContainer.appendChild(createConditionElement());
+    });
+    addGroupButton.addEventListener('click', () => {
+      childrenContainer.appendChild(createConditionGroupElement());
+    });
+    removeButton.addEventListener('click', () => {
+      groupDiv.remove();
+    });
+
+    return groupDiv;
+  }
+
+  /**
+   * Cria o elemento adequado para um item de `conditions`: condição simples
+   * ou subgrupo aninhado.
+   */
+  function createConditionNode(item = {}) {
+    return Array.isArray(item.conditions)
+      ? createConditionGroupElement(item)
+      : createConditionElement(item);
+  }
+
+  /**
+   * Lê recursivamente as condições e subgrupos de um contentor do modal.
+   * Condições sem valor e subgrupos vazios são descartados.
+   * @param {HTMLElement} container - O contentor a ler.
+   * @returns {Array<object>} O array `conditions` resultante.
+   */
+  function collectConditionsFromContainer(container) {
+    return Array.from(container.children)
+      .map((node) => {
+        if (node.classList.contains('condition-group-item')) {
+          const conditions = collectConditionsFromContainer(
+            node.querySelector(':scope > .group-conditions-container')
+          );
+          if (conditions.length === 0) return null;
+          return {
+            operator: node.querySelector(
+              ':scope > .group-header .group-operator'
+            ).value,
+            conditions,
+          };
+        }
+        const value = node.querySelector('.condition-value').value.trim();
+        if (!value) return null; // Filtra condições sem valor
+        return {
+          property: node.querySelector('.condition-property').value,
+          operator: node.querySelector('.condition-operator').value,
+          value,
+        };
+      })
+      .filter((item) => item !== null);
+  }
+
+  /**
+   * Gera uma descrição textual de um grupo de condições, com parênteses
+   * à volta dos subgrupos.
+   * @param {object} group - O grupo `{ operator, conditions }`.
+   * @returns {string}
+   */
+  function describeConditionGroup(group) {
+    return group.conditions
+      .map((c) =>
+        Array.isArray(c.conditions)
+          ? `(${describeConditionGroup(c)})`
+          : `${c.property} ${c.operator} ${c.value}`
+      )
+      .join(` ${group.operator} `);
+  }
+
   ui.addConditionBtn.addEventListener('click', () => {
     ui.conditionsContainer.appendChild(createConditionElement());
   });
 
+  ui.addConditionGroupBtn.addEventListener('click', () => {
+    ui.conditionsContainer.appendChild(createConditionGroupElement());
+  });
+
   // --- NOVO: LÓGICA DO CONSTRUTOR DE REGRAS DE RENOMEAÇÃO ---
 
   const renamingStrategyOptions = `
@@ -371,8 +735,23 @@ document.addEventListener('DOMContentLoaded', () => {
     <option value='title_manipulation'>Manipulação de Título</option>
     <option value='domain_based'>Baseado em Domínio</option>
     <option value='original_title'>Título Original (Fallback)</option>
+    <option value='template'>Modelo com Campos</option>
   `;
 
+  const TEMPLATE_FIELD_SOURCE_OPTIONS = [
+    { value: 'css', text: 'Seletor CSS' },
+    { value: 'url_regex', text: 'Regex na URL' },
+    { value: 'title', text: 'Título original' },
+    { value: 'hostname', text: 'Domínio' },
+  ];
+
+  const TEMPLATE_FIELD_PLACEHOLDERS = {
+    css: 'Ex: #summary-val',
+    url_regex: 'Ex: /browse/([A-Z]+-\\d+)',
+    title: 'Regex opcional. Ex: ^(.*?) - Jira',
+    hostname: '',
+  };
+
   const textActionOptions = `
     <option value='replace'>Substituir</option>
     <option value='prepend'>Adicionar no Início</option>
@@ -618,6 +997,121 @@ document.addEventListener('DOMContentLoaded', () => {
     return opDiv;
   }
 
+  /**
+   * Cria a linha de um campo de uma estratégia "template".
+   * @param {string} [name] - Nome do campo, usado no modelo como `{nome}`.
+   * @param {object} [field] - Definição do campo.
+   * @returns {HTMLElement} O elemento do campo.
+   */
+  function createTemplateFieldElement(name = '', field = {}) {
+    const row = createElement('div', {
+      className:
+        'template-field-item grid grid-cols-1 md:grid-cols-12 gap-2 items-center bg-slate-100 dark:bg-slate-700/70 p-2 rounded-lg',
+    });
+    // O atributo e as operações de texto do campo não são editáveis aqui, mas
+    // são preservados ao guardar a regra
+    if (field.attribute) row.dataset.attribute = field.attribute;
+    if (Array.isArray(field.operations) && field.operations.length > 0) {
+      row.dataset.operations = JSON.stringify(field.operations);
+    }
+    const inputClass =
+      'w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600';
+
+    const nameInput = createElement('input', {
+      type: 'text',
+      value: name,
+      placeholder: 'nome',
+      maxLength: 30,
+      className: `template-field-name md:col-span-2 ${inputClass}`,
+    });
+    const sourceSelect = createSelect(TEMPLATE_FIELD_SOURCE_OPTIONS, {
+      className: `template-field-source md:col-span-2 ${inputClass}`,
+    });
+    sourceSelect.value = field.source || 'css';
+    const valueInput = createElement('input', {
+      type: 'text',
+      value: field.selector || field.pattern || '',
+      className: `template-field-value md:col-span-4 ${inputClass}`,
+    });
+    const fallbackInput = createElement('input', {
+      type: 'text',
+      value: field.fallback || '',
+      placeholder: 'Se vazio',
+      maxLength: 100,
+      className: `template-field-fallback md:col-span-2 ${inputClass}`,
+    });
+    const requiredLabel = createElement('label', {
+      className: 'md:col-span-1 flex items-center gap-1 text-xs',
+      title: 'Sem valor nem valor por omissão, a estratégia falha',
+    });
+    const requiredInput = createElement('input', {
+      type: 'checkbox',
+      className: 'template-field-required',
+    });
+    requiredInput.checked = field.required === true;
+    requiredLabel.appendChild(requiredInput);
+    requiredLabel.appendChild(document.createTextNode('Obrig.'));
+    const removeButton = createElement(
+      'button',
+      {
+        type: 'button',
+        className:
+          'md:col-span-1 text-red-500 hover:text-red-700 font-bold p-1 rounded',
+        title: 'Remover Campo',
+      },
+      '✕'
+    );
+    removeButton.addEventListener('click', () => row.remove());
+
+    const updateValueInput = () => {
+      const source = sourceSelect.value;
+      valueInput.placeholder = TEMPLATE_FIELD_PLACEHOLDERS[source];
+      valueInput.disabled = source === 'hostname';
+    };
+    sourceSelect.addEventListener('change', updateValueInput);
+    updateValueInput();
+
+    [
+      nameInput,
+      sourceSelect,
+      valueInput,
+      fallbackInput,
+      requiredLabel,
+      removeButton,
+    ].forEach((el) => row.appendChild(el));
+    return row;
+  }
+
+  /**
+   * Lê os campos de uma estratégia "template" do editor.
+   * @param {HTMLElement} container - O contentor com as linhas dos campos.
+   * @returns {object} Mapa nome -> definição do campo.
+   */
+  function collectTemplateFields(container) {
+    const fields = {};
+    container.querySelectorAll('.template-field-item').forEach((row) => {
+      const name = row.querySelector('.template-field-name').value.trim();
+      if (!name) return;
+      const source = row.querySelector('.template-field-source').value;
+      const value = row.querySelector('.template-field-value').value.trim();
+      const field = { source };
+      if (source === 'css') {
+        field.selector = value;
+        if (row.dataset.attribute) field.attribute = row.dataset.attribute;
+      } else if (value && source !== 'hostname') field.pattern = value;
+      const fallback = row.querySelector('.template-field-fallback').value;
+      if (fallback.trim()) field.fallback = fallback.trim();
+      if (row.querySelector('.template-field-required').checked) {
+        field.required = true;
+      }
+      if (row.dataset.operations) {
+        field.operations = JSON.parse(row.dataset.operations);
+      }
+      fields[name] = field;
+    });
+    return fields;
+  }
+
   function createRenamingStrategyElement(strategy = {}) {
     const strategyDiv = document.createElement('div');
     strategyDiv.className =
@@ -679,6 +1173,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 }'>
             </div>`;
           break;
+        case 'template':
+          fieldsHtml = `
+            <div>
+                <label class='block text-sm font-medium mb-1'>Modelo:</label>
+                <input type='text' class='strategy-template w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-900 dark:border-slate-600' placeholder='Ex: {ticketId} · {summary} [{status}]'>
+                <p class='text-xs text-slate-500 mt-1 dark:text-slate-400'>Use {nome} para inserir cada campo. Colchetes e separadores que fiquem vazios são removidos.</p>
+            </div>
+            <div class='template-fields-container space-y-2'></div>
+            <button type='button' class='add-template-field-btn mt-2 bg-blue-400 hover:bg-blue-500 text-white font-bold py-1 px-3 rounded-lg text-xs'>
+                + Adicionar Campo
+            </button>`;
+          break;
         case 'title_manipulation':
           fieldsHtml = `
             <div class='text-operations-container space-y-2'></div>
@@ -689,6 +1195,26 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       container.innerHTML = fieldsHtml;
 
+      if (type === 'template') {
+        // O modelo é preenchido por propriedade para não ser interpretado como HTML
+        container.querySelector('.strategy-template').value =
+          strategyData.template || '';
+        const templateFieldsContainer = container.querySelector(
+          '.template-fields-container'
+        );
+        container
+          .querySelector('.add-template-field-btn')
+          .addEventListener('click', () =>
+            templateFieldsContainer.appendChild(createTemplateFieldElement())
+          );
+        const fields = strategyData.fields || { campo: {} };
+        Object.entries(fields).forEach(([name, field]) =>
+          templateFieldsContainer.appendChild(
+            createTemplateFieldElement(name, field)
+          )
+        );
+      }
+
       if (type === 'title_manipulation') {
         const opsContainer = container.querySelector(
           '.text-operations-container'
@@ -843,12 +1369,21 @@ document.addEventListener('DOMContentLoaded', () => {
     applyTheme(settings.theme || 'auto');
     ui.theme.value = settings.theme || 'auto';
     ui.groupingMode.value = settings.groupingMode;
+    ui.groupingPathDepth.value = settings.groupingPathDepth || 1;
+    ui.groupingModeOverrides.value = formatGroupingModeOverrides(
+      settings.groupingModeOverrides || {}
+    );
+    ui.groupNamingMode.value = settings.groupNamingMode || 'per_tab';
+    ui.groupNamingStrategies.value = (
+      settings.groupNamingStrategies || GROUP_NAMING_STRATEGIES
+    ).join(', ');
     ui.minTabsForAutoGroup.value = settings.minTabsForAutoGroup || 2;
     ui.uncollapseOnActivate.checked = settings.uncollapseOnActivate;
     ui.autoCollapseTimeout.value = settings.autoCollapseTimeout;
+    ui.autoArchiveHours.value = settings.autoArchiveHours || 0;
     ui.ungroupSingleTabs.checked = settings.ungroupSingleTabs;
     ui.ungroupSingleTabsTimeout.value = settings.ungroupSingleTabsTimeout;
-    ui.exceptionsList.value = (settings.exceptions || []).join('\n');
+    renderExceptionsList(settings.exceptions || []);
     ui.showTabCount.checked = settings.showTabCount;
     ui.syncEnabled.checked = settings.syncEnabled;
     ui.logLevel.value = settings.logLevel || 'INFO';
@@ -859,7 +1394,16 @@ document.addEventListener('DOMContentLoaded', () => {
       settings.titleSanitizationNoise || []
     ).join('\n');
     ui.titleDelimiters.value = settings.titleDelimiters || '|–—:·»«-';
+    ui.duplicateTabPolicy.value = settings.duplicateTabPolicy || 'off';
+    ui.duplicateTrackingParams.value = (
+      settings.duplicateTrackingParams || []
+    ).join(', ');
+    ui.duplicateIgnoreQuery.checked = settings.duplicateIgnoreQuery || false;
+    ui.duplicateIgnoreFragment.checked =
+      settings.duplicateIgnoreFragment !== false;
     renderRulesList(); // Agrupamento
+    renderSharedLists(settings.sharedLists || {});
+    renderRulePacks();
     // NOVO: Renomeação de Abas
     ui.tabRenamingEnabled.checked = settings.tabRenamingEnabled || false;
     // NOVO: Sugestões
@@ -870,21 +1414,84 @@ document.addEventListener('DOMContentLoaded', () => {
     renderRenamingRulesList();
   }
 
+  /**
+   * Formata as substituições do modo de agrupamento por domínio como texto,
+   * uma por linha (ex: "github.com = path:1").
+   * @param {object} overrides - `settings.groupingModeOverrides`.
+   * @returns {string}
+   */
+  function formatGroupingModeOverrides(overrides) {
+    return Object.entries(overrides)
+      .map(
+        ([domain, { groupingMode, pathDepth }]) =>
+          `${domain} = ${groupingMode}${pathDepth ? `:${pathDepth}` : ''}`
+      )
+      .join('\n');
+  }
+
+  /**
+   * Interpreta o texto das substituições do modo de agrupamento por domínio,
+   * ignorando as linhas com domínio ou modo inválidos.
+   * @param {string} text - Linhas "domínio = modo[:segmentos]".
+   * @returns {object} Mapa domínio -> { groupingMode, pathDepth? }.
+   */
+  function parseGroupingModeOverrides(text) {
+    const overrides = {};
+    text.split('\n').forEach((line) => {
+      const match = line
+        .trim()
+        .toLowerCase()
+        .match(/^([^\s=]+)\s*=\s*(\w+)(?::(\d+))?$/);
+      if (!match) return;
+
+      const [, rawDomain, groupingMode, depth] = match;
+      const domain = rawDomain.replace(/^www\./, '');
+      if (
+        !GROUPING_OVERRIDE_DOMAIN_PATTERN.test(domain) ||
+        !VALID_GROUPING_MODES.has(groupingMode)
+      ) {
+        return;
+      }
+      overrides[domain] = { groupingMode };
+      if (groupingMode === 'path' && depth) {
+        overrides[domain].pathDepth = Math.min(
+          Math.max(parseInt(depth, 10), 1),
+          GROUPING_PATH_DEPTH_MAX
+        );
+      }
+    });
+    return overrides;
+  }
+
   function collectSettingsFromForm() {
     return {
       ...currentSettings,
       theme: ui.theme.value,
       groupingMode: ui.groupingMode.value,
+      groupingPathDepth: Math.min(
+        Math.max(parseInt(ui.groupingPathDepth.value, 10) || 1, 1),
+        GROUPING_PATH_DEPTH_MAX
+      ),
+      groupingModeOverrides: parseGroupingModeOverrides(
+        ui.groupingModeOverrides.value
+      ),
+      groupNamingMode: ui.groupNamingMode.value,
+      groupNamingStrategies: [
+        ...new Set(
+          ui.groupNamingStrategies.value
+            .split(',')
+            .map((s) => s.trim())
+            .filter((s) => GROUP_NAMING_STRATEGIES.includes(s))
+        ),
+      ],
       minTabsForAutoGroup: parseInt(ui.minTabsForAutoGroup.value, 10) || 2,
       uncollapseOnActivate: ui.uncollapseOnActivate.checked,
       autoCollapseTimeout: parseInt(ui.autoCollapseTimeout.value, 10) || 0,
+      autoArchiveHours: parseInt(ui.autoArchiveHours.value, 10) || 0,
       ungroupSingleTabs: ui.ungroupSingleTabs.checked,
       ungroupSingleTabsTimeout:
         parseInt(ui.ungroupSingleTabsTimeout.value, 10) || 10,
-      exceptions: ui.exceptionsList.value
-        .split('\n')
-        .map((e) => e.trim())
-        .filter(Boolean),
+      exceptions: currentSettings.exceptions || [],
       showTabCount: ui.showTabCount.checked,
       syncEnabled: ui.syncEnabled.checked,
       logLevel: ui.logLevel.value,
@@ -897,10 +1504,23 @@ document.addEventListener('DOMContentLoaded', () => {
         .map((e) => e.trim())
         .filter(Boolean),
       titleDelimiters: ui.titleDelimiters.value,
+      duplicateTabPolicy: ui.duplicateTabPolicy.value,
+      duplicateTrackingParams: [
+        ...new Set(
+          ui.duplicateTrackingParams.value
+            .split(',')
+            .map((s) => s.trim())
+            .filter((s) => DUPLICATE_TRACKING_PARAM_PATTERN.test(s))
+        ),
+      ],
+      duplicateIgnoreQuery: ui.duplicateIgnoreQuery.checked,
+      duplicateIgnoreFragment: ui.duplicateIgnoreFragment.checked,
       customRules: currentSettings.customRules || [], // Regras de agrupamento
+      sharedLists: collectSharedLists(),
       // NOVO: Renomeação de Abas
       tabRenamingEnabled: ui.tabRenamingEnabled.checked,
       tabRenamingRules: currentSettings.tabRenamingRules || [],
+      rulePacks: currentSettings.rulePacks || [],
       // NOVO: Sugestões
       suggestionsEnabled: ui.suggestionsEnabled.checked,
     };
@@ -954,8 +1574,20 @@ document.addEventListener('DOMContentLoaded', () => {
   // CORRIGIDO: Tornar a função mais robusta para evitar erros com regras malformadas.
   function renderRulesList() {
     replaceContent(ui.rulesList, []);
-    const rules = currentSettings.customRules || [];
-    if (rules.length === 0) {
+    // A lista mostra as regras pela ordem em que são avaliadas
+    currentSettings.customRules = [
+      ...sortRulesByPriority(currentSettings.customRules || []),
+    ];
+    const rules = currentSettings.customRules;
+    const packRules = sortRulesByPriority(getInstalledPackRules('customRules'));
+    // Os conflitos consideram todas as regras em vigor, incluindo as dos pacotes
+    const effectiveRules = sortRulesByPriority(
+      getEffectiveCustomRules(currentSettings)
+    );
+    const conflictWarnings = renderRuleConflicts(effectiveRules);
+    const warningFor = (rule) =>
+      conflictWarnings.get(effectiveRules.indexOf(rule));
+    if (rules.length === 0 && packRules.length === 0) {
       const emptyMessage = createElement(
         'p',
         {
@@ -980,7 +1612,9 @@ document.addEventListener('DOMContentLoaded', () => {
       let summary = 'Regra vazia ou inválida';
       if (conditions.length > 0) {
         const firstCond = conditions[0];
-        summary = `${firstCond.property} ${firstCond.operator} '${firstCond.value}'`;
+        summary = Array.isArray(firstCond.conditions)
+          ? `(${describeConditionGroup(firstCond)})`
+          : `${firstCond.property} ${firstCond.operator} '${firstCond.value}'`;
         if (conditions.length > 1) {
           summary += ` ${operator.toLowerCase()} mais ${
             conditions.length - 1
@@ -1004,22 +1638,90 @@ document.addEventListener('DOMContentLoaded', () => {
         'rule-item flex items-center justify-between bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50';
       ruleElement.dataset.index = index;
       const tooltipTitle = hasConditionGroup
-        ? conditions
-            .map((c) => `${c.property} ${c.operator} ${c.value}`)
-            .join(` ${operator} `)
+        ? describeConditionGroup(rule.conditionGroup)
         : 'Regra em formato antigo. Edite para corrigir.';
 
       ruleElement.innerHTML = `<div class='flex items-center space-x-4 flex-grow min-w-0'><span class='drag-handle cursor-move p-2 text-slate-400 dark:text-slate-500'>☰</span><span class='w-5 h-5 rounded-full flex-shrink-0' style='background-color: ${
         colorMap[rule.color] || '#ccc'
       }'></span><div class='flex-grow min-w-0'><strong class='text-indigo-700 dark:text-indigo-400'>${
         rule.name
-      }</strong><p class='text-sm text-slate-600 dark:text-slate-300 truncate' title='${tooltipTitle}'>${summary}</p></div></div><div class='flex space-x-1 flex-shrink-0'><button data-action='duplicate' class='text-slate-500 hover:text-blue-600 p-2 rounded-md' title='Duplicar Regra'>❐</button><button data-action='edit' class='text-slate-500 hover:text-indigo-600 p-2 rounded-md' title='Editar Regra'>✏️</button><button data-action='delete' class='text-slate-500 hover:text-red-600 p-2 rounded-md' title='Excluir Regra'>🗑️</button></div>`;
+      }</strong> <span class='text-xs font-semibold px-2 py-0.5 rounded-full bg-slate-200 text-slate-700 dark:bg-slate-600 dark:text-slate-200' title='Prioridade'>#${getRulePriority(
+        rule
+      )}</span>${
+        warningFor(rule)
+          ? ` <span class='text-xs font-semibold px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300'>⚠ ${warningFor(
+              rule
+            )}</span>`
+          : ''
+      }<p class='text-sm text-slate-600 dark:text-slate-300 truncate' title='${tooltipTitle}'>${summary}</p></div></div><div class='flex space-x-1 flex-shrink-0'><button data-action='duplicate' class='text-slate-500 hover:text-blue-600 p-2 rounded-md' title='Duplicar Regra'>❐</button><button data-action='edit' class='text-slate-500 hover:text-indigo-600 p-2 rounded-md' title='Editar Regra'>✏️</button><button data-action='delete' class='text-slate-500 hover:text-red-600 p-2 rounded-md' title='Excluir Regra'>🗑️</button></div>`;
       ui.rulesList.appendChild(ruleElement);
     });
+    packRules.forEach((rule) =>
+      ui.rulesList.appendChild(
+        createPackRuleElement(rule, 'customRules', warningFor(rule))
+      )
+    );
 
     initSortable();
   }
 
+  /**
+   * Atribui prioridades crescentes às regras pela ordem atual da lista, para
+   * que a ordem definida ao arrastar seja a ordem de avaliação.
+   * @param {object[]} rules - As regras, já na nova ordem.
+   */
+  function renumberRulePriorities(rules) {
+    const step = Math.max(1, Math.min(10, Math.floor(999 / rules.length)));
+    rules.forEach((rule, index) => {
+      rule.priority = Math.min(999, (index + 1) * step);
+    });
+  }
+
+  /**
+   * Mostra os conflitos entre regras de agrupamento (regras que nunca são
+   * usadas e regras que se sobrepõem com outro nome de grupo).
+   * @param {object[]} rules - As regras, por ordem de prioridade.
+   * @returns {Map<number, string>} Aviso resumido por índice de regra.
+   */
+  function renderRuleConflicts(rules) {
+    const conflicts = analyzeRuleConflicts(rules, {
+      sharedLists: currentSettings.sharedLists || {},
+    });
+    const warnings = new Map();
+
+    replaceContent(
+      ui.ruleConflicts,
+      conflicts.map((conflict) => {
+        const rule = rules[conflict.ruleIndex];
+        const other = rules[conflict.otherIndex];
+        let text;
+        if (conflict.type === 'shadowed') {
+          text = `'${rule.name}' nunca é usada: todas as abas que a satisfazem já correspondem a '${other.name}', que tem prioridade.`;
+          warnings.set(conflict.ruleIndex, `Ofuscada por '${other.name}'`);
+        } else {
+          const example = Object.entries(conflict.example)
+            .map(([property, value]) => `${property} = '${value}'`)
+            .join(', ');
+          text = `'${rule.name}' e '${other.name}' podem corresponder à mesma aba (ex: ${example}); o grupo será '${other.name}'.`;
+          if (!warnings.has(conflict.ruleIndex)) {
+            warnings.set(conflict.ruleIndex, `Sobrepõe-se a '${other.name}'`);
+          }
+        }
+        return createElement(
+          'p',
+          {
+            className:
+              conflict.type === 'shadowed'
+                ? 'text-sm p-2 rounded-md bg-red-50 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+                : 'text-sm p-2 rounded-md bg-yellow-50 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+          },
+          `⚠ ${text}`
+        );
+      })
+    );
+    return warnings;
+  }
+
   function initSortable() {
     if (sortableInstance) sortableInstance.destroy();
     if (
@@ -1030,6 +1732,7 @@ document.addEventListener('DOMContentLoaded', () => {
       sortableInstance = new Sortable(ui.rulesList, {
         group: 'rules-list',
         handle: '.drag-handle',
+        draggable: '.rule-item:not(.pack-rule-item)', // Regras de pacotes não se movem
         animation: 150,
         onEnd: (evt) => {
           const movedItem = currentSettings.customRules.splice(
@@ -1037,6 +1740,7 @@ document.addEventListener('DOMContentLoaded', () => {
             1
           )[0];
           currentSettings.customRules.splice(evt.newIndex, 0, movedItem);
+          renumberRulePriorities(currentSettings.customRules);
           renderRulesList();
           scheduleSave();
         },
@@ -1048,7 +1752,10 @@ document.addEventListener('DOMContentLoaded', () => {
   function renderRenamingRulesList() {
     ui.renamingRulesList.innerHTML = '';
     const rules = currentSettings.tabRenamingRules || [];
-    if (rules.length === 0) {
+    const packRules = getInstalledPackRules('tabRenamingRules').sort(
+      (a, b) => (a.priority || 999) - (b.priority || 999)
+    );
+    if (rules.length === 0 && packRules.length === 0) {
       ui.renamingRulesList.innerHTML =
         '<p class=\'text-slate-500 italic text-center p-4 dark:text-slate-400\'>Nenhuma regra de renomeação personalizada ainda.</p>';
       return;
@@ -1123,6 +1830,11 @@ document.addEventListener('DOMContentLoaded', () => {
       `;
       ui.renamingRulesList.appendChild(ruleElement);
     });
+    packRules.forEach((rule) =>
+      ui.renamingRulesList.appendChild(
+        createPackRuleElement(rule, 'tabRenamingRules')
+      )
+    );
 
     initRenamingSortable();
   }
@@ -1138,6 +1850,7 @@ document.addEventListener('DOMContentLoaded', () => {
       renamingSortableInstance = new Sortable(ui.renamingRulesList, {
         group: 'renaming-rules-list',
         handle: '.drag-handle',
+        draggable: '.rule-item:not(.pack-rule-item)',
         animation: 150,
         onEnd: (evt) => {
           const movedItem = currentSettings.tabRenamingRules.splice(
@@ -1162,113 +1875,19 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    const mockTab = { url, title, id: -1, hostname: '', pathname: '' };
-    try {
-      const parsedUrl = new URL(url);
-      mockTab.hostname = parsedUrl.hostname;
-      mockTab.pathname = parsedUrl.pathname;
-    } catch (e) {
-      // URL inválida, mas podemos continuar testando o título
-    }
+    const mockTab = { url, title, id: -1 };
+    // O testador usa apenas URL e título: o estado da aba assume os valores por omissão
+    const tabProperties = buildTabProperties(mockTab);
 
     try {
-      // Simula a lógica de evaluateRule com validação
-      const evaluateCondition = (cond) => {
-        // Validação básica da condição
-        if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
-          console.warn('Condição inválida:', cond);
-          return false;
-        }
-
-        if (!cond.property || !cond.operator || cond.value === undefined) {
-          console.warn('Condição incompleta:', cond);
-          return false;
-        }
-
-        const tabProperties = {
-          url: mockTab.url || '',
-          title: mockTab.title || '',
-          hostname: mockTab.hostname || '',
-          url_path: mockTab.pathname || '',
-        };
-
-        // Validação da propriedade
-        if (
-          !Object.prototype.hasOwnProperty.call(tabProperties, cond.property)
-        ) {
-          console.warn('Propriedade inválida:', cond.property);
-          return false;
-        }
-
-        const propValue = String(tabProperties[cond.property] || '');
-        const condValue = String(cond.value || '').trim();
-
-        if (condValue === '') {
-          console.debug('Valor da condição vazio');
-          return false;
-        }
-
-        try {
-          switch (cond.operator) {
-            case 'contains':
-              return propValue.toLowerCase().includes(condValue.toLowerCase());
-            case 'not_contains':
-              return !propValue.toLowerCase().includes(condValue.toLowerCase());
-            case 'starts_with':
-              return propValue
-                .toLowerCase()
-                .startsWith(condValue.toLowerCase());
-            case 'ends_with':
-              return propValue.toLowerCase().endsWith(condValue.toLowerCase());
-            case 'equals':
-              return propValue.toLowerCase() === condValue.toLowerCase();
-            case 'regex':
-              try {
-                return new RegExp(condValue, 'i').test(propValue);
-              } catch (regexError) {
-                console.warn('Regex inválida:', condValue, regexError.message);
-                return false;
-              }
-            case 'wildcard':
-              try {
-                const wildcardRegex = new RegExp(
-                  '^' +
-                    condValue
-                      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                      .replace(/\\\*/g, '.*') +
-                    '$',
-                  'i'
-                );
-                return wildcardRegex.test(propValue);
-              } catch (wildcardError) {
-                console.warn(
-                  'Wildcard inválido:',
-                  condValue,
-                  wildcardError.message
-                );
-                return false;
-              }
-            default:
-              console.warn('Operador desconhecido:', cond.operator);
-              return false;
-          }
-        } catch (error) {
-          console.error('Erro ao avaliar condição:', error);
-          return false;
-        }
-      };
-
-      // Teste de regras de agrupamento
-      const matchingGroupingRule = (currentSettings.customRules || []).find(
-        (rule) => {
-          if (!rule.conditionGroup) return false;
-          const { operator, conditions } = rule.conditionGroup;
-          if (!conditions || conditions.length === 0) return false;
-
-          if (operator === 'AND') return conditions.every(evaluateCondition);
-          if (operator === 'OR') return conditions.some(evaluateCondition);
-          return false;
-        }
+      // Teste de regras de agrupamento, com o mesmo motor de regras do background
+      const sharedLists = currentSettings.sharedLists || {};
+      const matchingGroupingRule = sortRulesByPriority(
+        getEffectiveCustomRules(currentSettings)
+      ).find((rule) =>
+        compileConditionGroup(rule.conditionGroup, { sharedLists })(
+          tabProperties
+        )
       );
 
       // NOVO: Teste de regras de renomeação
@@ -1282,17 +1901,15 @@ document.addEventListener('DOMContentLoaded', () => {
         const { globalTabRenamingEngine } = await import(
           './tab-renaming-engine.js'
         ); // Mantido para garantir que o módulo seja carregado, mas a variável já está disponível.
-        const renamingRules = currentSettings.tabRenamingRules || [];
+        globalTabRenamingEngine.setSharedLists(currentSettings.sharedLists);
+        const renamingRules = getEffectiveRenamingRules(currentSettings);
 
         // Simular o findApplicableRules e executeRenamingRules
         const applicableRenamingRules = renamingRules
           .filter(
             (rule) =>
               rule.enabled &&
-              globalTabRenamingEngine.matchesConditions(
-                mockTab,
-                rule.conditions
-              )
+              globalTabRenamingEngine.matchesConditions(mockTab, rule)
           )
           .sort((a, b) => (a.priority || 999) - (b.priority || 999));
 
@@ -1321,6 +1938,20 @@ document.addEventListener('DOMContentLoaded', () => {
       let resultHtml = '';
       if (matchingGroupingRule) {
         resultHtml += `Agrupamento: <strong class='text-indigo-600 dark:text-indigo-400'>${matchingGroupingRule.name}</strong><br>`;
+        if (isGroupNameTemplate(matchingGroupingRule.name)) {
+          const groupNamePreview =
+            expandGroupNameTemplate(matchingGroupingRule.name, {
+              captures: findRegexCaptures(
+                matchingGroupingRule.conditionGroup,
+                tabProperties
+              ),
+              hostname: tabProperties.hostname,
+              domain: tabProperties.registrable_domain,
+              urlPath: tabProperties.url_path,
+              autoName: tabProperties.hostname,
+            }) || matchingGroupingRule.name;
+          resultHtml += `Nome do Grupo: <strong class='text-green-600 dark:text-green-400'>${groupNamePreview}</strong><br>`;
+        }
       } else {
         resultHtml +=
           'Agrupamento: Nenhuma regra personalizada correspondeu. Usará a nomenclatura inteligente/domínio.<br>';
@@ -1344,32 +1975,223 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // --- MODAIS E AÇÕES ---
+  // --- SIMULAÇÃO NAS ABAS ABERTAS ---
+
+  const SIMULATION_SOURCE_LABELS = {
+    custom_rule: 'Regra',
+    smart_cache: 'Nome inteligente (cache)',
+    smart_pending: 'Domínio (extração inteligente pendente)',
+    collective: 'Nome coletivo',
+    path_segments: 'Domínio e caminho',
+    domain_sanitization: 'Domínio',
+    not_groupable: 'Não agrupável',
+    manual_group: 'Grupo manual',
+  };
 
-  function openModalForEdit(index) {
-    const rule = currentSettings.customRules[index];
-    ui.modalTitle.textContent = 'Editar Regra';
-    ui.ruleIndex.value = index;
-    ui.ruleName.value = rule.name;
-    ui.ruleColor.value = rule.color || 'grey';
-    ui.ruleMinTabs.value = rule.minTabs || 1;
+  const SIMULATION_OUTCOME_LABELS = {
+    create: {
+      text: '➕ Criar',
+      className: 'text-green-600 dark:text-green-400',
+    },
+    merge: { text: '🔗 Juntar', className: 'text-blue-600 dark:text-blue-400' },
+    unchanged: { text: '✔ Sem alterações', className: 'text-slate-500' },
+    below_min: {
+      text: '⏸ Abaixo do mínimo',
+      className: 'text-yellow-600 dark:text-yellow-400',
+    },
+    blocked_by_manual: {
+      text: '📌 Bloqueado por grupo manual',
+      className: 'text-yellow-600 dark:text-yellow-400',
+    },
+    broken_up: { text: '💥 Desfeito', className: 'text-red-500' },
+  };
 
-    // Assegura que a regra a ser editada tem o formato correto
-    const conditionGroup = rule.conditionGroup || {
-      operator: 'AND',
-      conditions: [],
-    };
-    ui.ruleOperator.value = conditionGroup.operator;
+  const SIMULATION_ACTION_LABELS = {
+    group: (t) => `→ ${t.groupName}`,
+    keep: (t) => `mantém em ${t.groupName}`,
+    ungroup: () => 'sai do grupo',
+    below_min: (t) => `fica sem grupo (${t.groupName} abaixo do mínimo)`,
+    none: () => '—',
+    manual: () => 'não alterada',
+  };
 
-    ui.conditionsContainer.innerHTML = '';
-    if (conditionGroup.conditions.length === 0) {
-      ui.conditionsContainer.appendChild(createConditionElement());
-    } else {
-      conditionGroup.conditions.forEach((c) =>
-        ui.conditionsContainer.appendChild(createConditionElement(c))
-      );
-    }
+  /**
+   * Mostra o relatório de uma simulação de agrupamento.
+   * @param {HTMLElement} container - Onde mostrar o relatório.
+   * @param {object} report - O relatório devolvido pelo background.
+   */
+  function renderSimulationReport(container, report) {
+    container.innerHTML = '';
+    const { summary } = report;
+    container.appendChild(
+      createElement(
+        'p',
+        { className: 'font-semibold' },
+        `${summary.tabs} abas analisadas: ${summary.create} grupos a criar, ${summary.merge} a reforçar, ${summary.brokenUp} a desfazer.`
+      )
+    );
+
+    report.windows.forEach((win, windowIndex) => {
+      const section = createElement('div', {
+        className:
+          'bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50 text-sm',
+      });
+      section.appendChild(
+        createElement(
+          'strong',
+          { className: 'text-indigo-700 dark:text-indigo-400' },
+          `Janela ${windowIndex + 1} · modo ${win.groupingMode} · mínimo ${
+            win.minTabsForAutoGroup
+          }${win.autoGroupingEnabled ? '' : ' · agrupamento automático desativado'}`
+        )
+      );
+
+      const groupsList = createElement('ul', { className: 'mt-2 space-y-1' });
+      if (win.groups.length === 0) {
+        groupsList.appendChild(
+          createElement(
+            'li',
+            { className: 'italic text-slate-500' },
+            'Nenhum grupo resultante.'
+          )
+        );
+      }
+      win.groups.forEach((group) => {
+        const outcome = SIMULATION_OUTCOME_LABELS[group.outcome];
+        const details = [
+          `${group.tabCount} abas`,
+          group.minTabs ? `mínimo ${group.minTabs}` : null,
+          group.ruleName ? `regra "${group.ruleName}"` : null,
+        ].filter(Boolean);
+        const item = createElement('li');
+        item.appendChild(
+          createElement(
+            'span',
+            { className: `font-semibold ${outcome.className}` },
+            outcome.text
+          )
+        );
+        item.appendChild(
+          document.createTextNode(` ${group.name} (${details.join(', ')})`)
+        );
+        groupsList.appendChild(item);
+      });
+      section.appendChild(groupsList);
+
+      const tabsDetails = createElement('details', { className: 'mt-2' });
+      tabsDetails.appendChild(
+        createElement(
+          'summary',
+          { className: 'cursor-pointer text-slate-600 dark:text-slate-300' },
+          `Detalhe por aba (${win.tabs.length})`
+        )
+      );
+      const tabsList = createElement('ul', {
+        className: 'mt-1 space-y-1 text-xs',
+      });
+      win.tabs.forEach((tab) => {
+        const source =
+          tab.source === 'custom_rule'
+            ? `Regra "${tab.ruleName}"`
+            : SIMULATION_SOURCE_LABELS[tab.source] || tab.source;
+        tabsList.appendChild(
+          createElement(
+            'li',
+            { className: 'truncate', title: tab.url },
+            `${tab.title || tab.url} · ${source} · ${SIMULATION_ACTION_LABELS[
+              tab.action
+            ](tab)}`
+          )
+        );
+      });
+      tabsDetails.appendChild(tabsList);
+      section.appendChild(tabsDetails);
+
+      container.appendChild(section);
+    });
+  }
+
+  /**
+   * Simula o agrupamento de todas as abas abertas com um conjunto de regras.
+   * @param {HTMLElement} container - Onde mostrar o relatório.
+   * @param {object[]} rules - As regras a simular.
+   */
+  async function runGroupingSimulation(container, rules) {
+    replaceContent(
+      container,
+      createElement('p', { className: 'italic text-slate-500' }, 'A simular...')
+    );
+    try {
+      const report = await browser.runtime.sendMessage({
+        action: 'simulateGrouping',
+        // As regras dos pacotes são simuladas juntamente com as do utilizador
+        rules: getEffectiveCustomRules({
+          ...currentSettings,
+          customRules: rules,
+        }),
+      });
+      if (!report || report.error) {
+        throw new Error(report ? report.error : 'Resposta vazia');
+      }
+      renderSimulationReport(container, report);
+    } catch (e) {
+      replaceContent(
+        container,
+        createElement(
+          'p',
+          { className: 'text-red-500' },
+          `Erro na simulação: ${e.message}`
+        )
+      );
+      console.error('Erro na simulação de agrupamento:', e);
+    }
+  }
+
+  /**
+   * Simula as regras com a regra do modal aplicada, antes de a guardar.
+   */
+  function simulateRuleFromModal() {
+    const draftRule = buildRuleFromModal();
+    if (!draftRule) return;
+
+    const rules = [...(currentSettings.customRules || [])];
+    const index = ui.ruleIndex.value;
+    if (index !== '') {
+      rules[parseInt(index, 10)] = draftRule;
+    } else {
+      rules.push(draftRule);
+    }
+    runGroupingSimulation(ui.ruleSimulationReport, rules);
+  }
+
+  // --- MODAIS E AÇÕES ---
+
+  function openModalForEdit(index) {
+    const rule = currentSettings.customRules[index];
+    ui.modalTitle.textContent = 'Editar Regra';
+    ui.ruleIndex.value = index;
+    ui.ruleName.value = rule.name;
+    ui.ruleColor.value = rule.color || 'grey';
+    ui.ruleMinTabs.value = rule.minTabs || 1;
+    ui.rulePriority.value = getRulePriority(rule);
+
+    // Assegura que a regra a ser editada tem o formato correto
+    const conditionGroup = rule.conditionGroup || {
+      operator: 'AND',
+      conditions: [],
+    };
+    ui.ruleOperator.value = conditionGroup.operator;
+
+    ui.conditionsContainer.innerHTML = '';
+    if (conditionGroup.conditions.length === 0) {
+      ui.conditionsContainer.appendChild(createConditionElement());
+    } else {
+      conditionGroup.conditions.forEach((c) =>
+        ui.conditionsContainer.appendChild(createConditionNode(c))
+      );
+    }
 
+    ui.ruleSimulationReport.innerHTML = '';
     ui.ruleModal.classList.remove('hidden');
   }
 
@@ -1379,40 +2201,52 @@ document.addEventListener('DOMContentLoaded', () => {
     ui.ruleIndex.value = '';
     ui.ruleColor.value = 'grey';
     ui.ruleMinTabs.value = 1;
+    ui.rulePriority.value = DEFAULT_RULE_PRIORITY;
     ui.ruleOperator.value = 'AND';
     ui.conditionsContainer.innerHTML = '';
     ui.conditionsContainer.appendChild(createConditionElement());
+    ui.ruleSimulationReport.innerHTML = '';
     ui.ruleModal.classList.remove('hidden'); // CORRIGIDO: Mostra o modal de agrupamento
   }
 
-  function handleRuleFormSubmit(e) {
-    e.preventDefault();
-    const index = ui.ruleIndex.value;
-    const conditions = Array.from(ui.conditionsContainer.children)
-      .map((div) => ({
-        property: div.querySelector('.condition-property').value,
-        operator: div.querySelector('.condition-operator').value,
-        value: div.querySelector('.condition-value').value.trim(),
-      }))
-      .filter((c) => c.value); // Filtra condições sem valor
+  /**
+   * Constrói a regra de agrupamento a partir do conteúdo do modal.
+   * @returns {object|null} A regra, ou null se não tiver condições válidas.
+   */
+  function buildRuleFromModal() {
+    const conditions = collectConditionsFromContainer(ui.conditionsContainer);
 
     if (conditions.length === 0) {
       showNotification(
         'Uma regra deve ter pelo menos uma condição válida.',
         'error'
       );
-      return;
+      return null;
     }
 
-    const newRule = {
+    return {
       name: ui.ruleName.value.trim(),
       color: ui.ruleColor.value,
       minTabs: parseInt(ui.ruleMinTabs.value, 10) || 1,
+      priority: Math.min(
+        999,
+        Math.max(
+          1,
+          parseInt(ui.rulePriority.value, 10) || DEFAULT_RULE_PRIORITY
+        )
+      ),
       conditionGroup: {
         operator: ui.ruleOperator.value,
         conditions,
       },
     };
+  }
+
+  function handleRuleFormSubmit(e) {
+    e.preventDefault();
+    const index = ui.ruleIndex.value;
+    const newRule = buildRuleFromModal();
+    if (!newRule) return;
 
     if (index !== '') {
       currentSettings.customRules[parseInt(index, 10)] = newRule;
@@ -1466,6 +2300,7 @@ document.addEventListener('DOMContentLoaded', () => {
     ui.renamingOptionWaitForLoad.checked = false;
     ui.renamingOptionCacheResult.checked = true;
     ui.renamingOptionRespectManualChanges.checked = true;
+    ui.renamingOptionWatchChanges.checked = false;
     ui.renamingOptionRetryAttempts.value = 1;
 
     ui.renamingRuleModal.classList.remove('hidden');
@@ -1520,6 +2355,7 @@ document.addEventListener('DOMContentLoaded', () => {
     ui.renamingOptionCacheResult.checked = rule.options?.cacheResult !== false; // Padrão é true
     ui.renamingOptionRespectManualChanges.checked =
       rule.options?.respectManualChanges !== false; // Padrão é true
+    ui.renamingOptionWatchChanges.checked = rule.options?.watchChanges === true;
     ui.renamingOptionRetryAttempts.value = rule.options?.retryAttempts || 1;
 
     ui.renamingRuleModal.classList.remove('hidden');
@@ -1560,6 +2396,10 @@ document.addEventListener('DOMContentLoaded', () => {
             strategy.attribute =
               container.querySelector('.strategy-attribute')?.value.trim() ||
               null;
+          } else if (type === 'template') {
+            strategy.template =
+              container.querySelector('.strategy-template')?.value.trim() || '';
+            strategy.fields = collectTemplateFields(container);
           } else if (type === 'title_manipulation') {
             const opsContainer = container.querySelector(
               '.text-operations-container'
@@ -1658,6 +2498,7 @@ document.addEventListener('DOMContentLoaded', () => {
       .filter((s) => {
         // Filtra estratégias vazias ou inválidas
         if (s.type === 'css_extract' && !s.selector) return false;
+        if (s.type === 'template' && !s.template) return false;
         if (
           s.type === 'title_manipulation' &&
           (!s.operations || s.operations.length === 0)
@@ -1688,6 +2529,7 @@ document.addEventListener('DOMContentLoaded', () => {
         waitForLoad: ui.renamingOptionWaitForLoad.checked,
         cacheResult: ui.renamingOptionCacheResult.checked,
         respectManualChanges: ui.renamingOptionRespectManualChanges.checked,
+        watchChanges: ui.renamingOptionWatchChanges.checked,
         retryAttempts: parseInt(ui.renamingOptionRetryAttempts.value, 10) || 1,
       },
     };
@@ -1794,29 +2636,145 @@ document.addEventListener('DOMContentLoaded', () => {
     ui.confirmModal.classList.remove('hidden');
   }
 
-  function validateSettingsObject(imported) {
-    if (typeof imported !== 'object' || imported === null) {
-      return {
-        valid: false,
-        error: 'O ficheiro não contém um objeto de configurações válido.',
-      };
+  /**
+   * Cria a linha de uma secção na pré-visualização da importação.
+   * @param {object} diff - As diferenças da secção (ver diffImportedSettings).
+   * @returns {HTMLElement} O elemento da secção.
+   */
+  function createImportSectionElement(diff) {
+    const hasChanges = diff.added.length + diff.updated.length > 0;
+    const item = createElement('label', {
+      className: `flex items-start gap-3 p-3 rounded-lg bg-slate-100 dark:bg-slate-700/50 ${
+        diff.available ? 'cursor-pointer' : 'opacity-50'
+      }`,
+    });
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      className: 'mt-1',
+    });
+    checkbox.value = diff.id;
+    checkbox.disabled = !diff.available;
+    // Preferências gerais substituem valores atuais, por isso só são aplicadas a pedido.
+    checkbox.checked = hasChanges && diff.id !== 'preferences';
+
+    const details = createElement('div', { className: 'text-sm' });
+    details.appendChild(
+      createElement(
+        'div',
+        { className: 'font-semibold text-slate-800 dark:text-slate-100' },
+        diff.label
+      )
+    );
+
+    let summary = 'Não incluído no ficheiro';
+    if (diff.available) {
+      summary = [
+        diff.added.length > 0 && `${diff.added.length} novo(s)`,
+        diff.updated.length > 0 && `${diff.updated.length} alterado(s)`,
+        diff.unchanged > 0 && `${diff.unchanged} igual(is)`,
+      ]
+        .filter(Boolean)
+        .join(', ');
     }
-    // Validação mais rigorosa para importação
-    if (
-      typeof imported.autoGroupingEnabled !== 'boolean' ||
-      !Array.isArray(imported.customRules) ||
-      (imported.tabRenamingEnabled !== undefined &&
-        typeof imported.tabRenamingEnabled !== 'boolean') || // NOVO
-      (imported.tabRenamingRules !== undefined &&
-        !Array.isArray(imported.tabRenamingRules)) // NOVO
-    ) {
-      return {
-        valid: false,
-        error:
-          'O formato do ficheiro é inválido ou de uma versão incompatível.',
-      };
+    details.appendChild(
+      createElement(
+        'div',
+        { className: 'text-slate-600 dark:text-slate-300' },
+        summary || 'Sem conteúdo'
+      )
+    );
+
+    const names = [
+      ...diff.added.map((name) => `+ ${name}`),
+      ...diff.updated.map((name) => `~ ${name}`),
+    ];
+    if (names.length > 0) {
+      const shown = names.slice(0, 8);
+      if (names.length > shown.length) {
+        shown.push(`… e mais ${names.length - shown.length}`);
+      }
+      details.appendChild(
+        createElement(
+          'div',
+          {
+            className: 'text-xs font-mono text-slate-500 dark:text-slate-400',
+          },
+          shown.join(' · ')
+        )
+      );
+    }
+
+    item.appendChild(checkbox);
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * Mostra a pré-visualização de uma importação, com as diferenças por secção.
+   * @param {object} imported - O resultado de migrateImportedSettings.
+   */
+  function showImportPreview(imported) {
+    pendingImport = imported;
+    const diffs = diffImportedSettings(currentSettings, imported.settings);
+
+    const origin = imported.exportedAt
+      ? `exportado em ${new Date(imported.exportedAt).toLocaleString()}`
+      : 'sem data de exportação';
+    ui.importSummary.textContent =
+      imported.fromVersion === SETTINGS_SCHEMA_VERSION
+        ? `Ficheiro ${origin}.`
+        : `Ficheiro ${origin}, convertido do esquema ${imported.fromVersion} para o ${SETTINGS_SCHEMA_VERSION}.`;
+
+    replaceContent(ui.importSections, diffs.map(createImportSectionElement));
+    replaceContent(
+      ui.importWarnings,
+      imported.warnings.map((warning) => createElement('li', {}, warning))
+    );
+    ui.importWarnings.classList.toggle(
+      'hidden',
+      imported.warnings.length === 0
+    );
+    ui.importModal.classList.remove('hidden');
+  }
+
+  function closeImportPreview() {
+    pendingImport = null;
+    ui.importModal.classList.add('hidden');
+  }
+
+  /**
+   * Aplica as secções selecionadas na pré-visualização da importação.
+   */
+  async function applyPendingImport() {
+    if (!pendingImport) return;
+    const sections = Array.from(
+      ui.importSections.querySelectorAll('input[type="checkbox"]:checked')
+    ).map((checkbox) => checkbox.value);
+    if (sections.length === 0) {
+      showNotification('Selecione pelo menos uma secção a importar.', 'info');
+      return;
+    }
+
+    const mergedSettings = mergeImportedSettings(
+      currentSettings,
+      pendingImport.settings,
+      sections
+    );
+    closeImportPreview();
+    try {
+      await browser.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: mergedSettings,
+      });
+      await loadSettings();
+      showNotification('Configurações importadas com sucesso!', 'success');
+    } catch (updateError) {
+      console.error('Erro ao aplicar configurações importadas:', updateError);
+      showNotification(
+        'Ocorreu um erro ao aplicar as configurações importadas.',
+        'error'
+      );
     }
-    return { valid: true, settings: { ...currentSettings, ...imported } };
   }
 
   function showNotification(message, type = 'info') {
@@ -1930,6 +2888,12 @@ document.addEventListener('DOMContentLoaded', () => {
       ? 1
       : 0.6;
 
+    const isCollectiveNaming = ui.groupNamingMode.value === 'collective';
+    ui.groupNamingStrategies.disabled = !isCollectiveNaming;
+    ui.groupNamingStrategies.parentElement.style.opacity = isCollectiveNaming
+      ? 1
+      : 0.6;
+
     // NOVO: Habilita/desabilita a seção de regras de renomeação
     const renamingSection = ui.renamingRulesList.closest('section');
     if (renamingSection) {
@@ -1953,18 +2917,26 @@ document.addEventListener('DOMContentLoaded', () => {
     const autoSaveFields = [
       'theme',
       'groupingMode',
+      'groupingPathDepth',
+      'groupingModeOverrides',
+      'groupNamingMode',
+      'groupNamingStrategies',
       'minTabsForAutoGroup',
       'uncollapseOnActivate',
       'autoCollapseTimeout',
+      'autoArchiveHours',
       'ungroupSingleTabs',
       'ungroupSingleTabsTimeout',
-      'exceptionsList',
       'showTabCount',
       'syncEnabled',
       'logLevel',
       'titleDelimiters',
       'domainSanitizationTlds',
       'titleSanitizationNoise',
+      'duplicateTabPolicy',
+      'duplicateTrackingParams',
+      'duplicateIgnoreQuery',
+      'duplicateIgnoreFragment',
       'tabRenamingEnabled', // NOVO
       'suggestionsEnabled', // NOVO
     ];
@@ -1978,9 +2950,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     ui.theme.addEventListener('change', () => applyTheme(ui.theme.value));
     ui.ungroupSingleTabs.addEventListener('change', updateDynamicUI);
+    ui.groupNamingMode.addEventListener('change', updateDynamicUI);
     ui.tabRenamingEnabled.addEventListener('change', updateDynamicUI); // NOVO
     ui.ruleTesterUrl.addEventListener('input', testCurrentRule);
     ui.ruleTesterTitle.addEventListener('input', testCurrentRule);
+    ui.simulateGroupingBtn.addEventListener('click', () =>
+      runGroupingSimulation(
+        ui.simulationReport,
+        currentSettings.customRules || []
+      )
+    );
 
     // Agrupamento
     ui.addRuleBtn.addEventListener('click', openModalForAdd);
@@ -1988,16 +2967,65 @@ document.addEventListener('DOMContentLoaded', () => {
       ui.ruleModal.classList.add('hidden')
     );
     ui.ruleForm.addEventListener('submit', handleRuleFormSubmit);
+    ui.simulateRuleBtn.addEventListener('click', simulateRuleFromModal);
     ui.rulesList.addEventListener('click', (e) => {
       const button = e.target.closest('button');
       if (!button) return;
       const action = button.dataset.action;
-      const index = parseInt(button.closest('.rule-item').dataset.index, 10);
+      const ruleItem = button.closest('.rule-item');
+      if (ruleItem.classList.contains('pack-rule-item')) {
+        handlePackRuleAction(ruleItem, action);
+        return;
+      }
+      const index = parseInt(ruleItem.dataset.index, 10);
       if (action === 'edit') openModalForEdit(index);
       else if (action === 'delete') deleteRule(index);
       else if (action === 'duplicate') duplicateRule(index);
     });
 
+    // Atalhos de teclado
+    renderCommandsList();
+
+    // Listas partilhadas
+    ui.addSharedListBtn.addEventListener('click', () => {
+      const item = createSharedListElement('', []);
+      ui.sharedListsList.appendChild(item);
+      item.querySelector('input').focus();
+    });
+    ui.sharedListsList.addEventListener('input', scheduleSave);
+    ui.sharedListsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="delete"]');
+      if (!button) return;
+      button.closest('.shared-list-item').remove();
+      scheduleSave();
+    });
+
+    // Exceções
+    ui.exceptionForm.addEventListener('submit', handleExceptionFormSubmit);
+    ui.exceptionType.addEventListener('change', () => {
+      ui.exceptionValue.placeholder =
+        EXCEPTION_PLACEHOLDERS[ui.exceptionType.value];
+    });
+    ui.exceptionsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="delete"]');
+      if (!button) return;
+      const index = Number(button.closest('.exception-item').dataset.index);
+      currentSettings.exceptions = currentSettings.exceptions.filter(
+        (_, i) => i !== index
+      );
+      renderExceptionsList(currentSettings.exceptions);
+      scheduleSave();
+    });
+
+    // Sessões guardadas
+    renderSnapshotsList();
+    ui.snapshotsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      const snapshotId = button.closest('.snapshot-item').dataset.id;
+      handleSnapshotAction(button.dataset.action, snapshotId);
+    });
+
     // NOVO: Renomeação
     ui.addRenamingRuleBtn.addEventListener(
       'click',
@@ -2015,18 +3043,69 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!button) return;
       const action = button.dataset.action;
       const ruleItem = button.closest('.rule-item');
+      if (ruleItem.classList.contains('pack-rule-item')) {
+        handlePackRuleAction(ruleItem, action);
+        return;
+      }
       const ruleId = ruleItem.dataset.id;
       if (action === 'edit') openModalForRenamingRuleEdit(ruleId);
       else if (action === 'delete') deleteRenamingRule(ruleId);
       else if (action === 'duplicate') duplicateRenamingRule(ruleId);
     });
 
+    // Prioridade local das regras de pacotes
+    [ui.rulesList, ui.renamingRulesList].forEach((list) =>
+      list.addEventListener('change', (e) => {
+        if (e.target.dataset.action !== 'pack-priority') return;
+        handlePackRuleAction(
+          e.target.closest('.rule-item'),
+          'pack-priority',
+          e.target
+        );
+      })
+    );
+
+    // Pacotes de regras
+    ui.installRulePackBtn.addEventListener('click', () => openRulePackModal());
+    ui.rulePacksList.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      handleRulePackAction(
+        button.dataset.action,
+        button.closest('.rule-pack-item').dataset.packId
+      );
+    });
+    ui.rulePackFetchBtn.addEventListener('click', fetchRulePackFromUrl);
+    ui.rulePackPreviewBtn.addEventListener('click', () =>
+      previewRulePackText(ui.rulePackJson.value)
+    );
+    ui.rulePackFileBtn.addEventListener('click', () => ui.rulePackFile.click());
+    ui.rulePackFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        ui.rulePackJson.value = ev.target.result;
+        previewRulePackText(ev.target.result);
+        e.target.value = '';
+      };
+      reader.readAsText(file);
+    });
+    ui.rulePackCancelBtn.addEventListener('click', () => {
+      pendingRulePack = null;
+      ui.rulePackModal.classList.add('hidden');
+    });
+    ui.rulePackInstallBtn.addEventListener('click', installPendingRulePack);
+
     ui.importBtn.addEventListener('click', () => ui.importFile.click());
     ui.exportBtn.addEventListener('click', async () => {
       const settingsToExport = await browser.runtime.sendMessage({
         action: 'getSettings',
       });
-      const blob = new Blob([JSON.stringify(settingsToExport, null, 2)], {
+      const exported = createSettingsExport(settingsToExport, {
+        extensionVersion: browser.runtime.getManifest().version,
+      });
+      const blob = new Blob([JSON.stringify(exported, null, 2)], {
         type: 'application/json',
       });
       browser.downloads.download({
@@ -2038,65 +3117,32 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     });
     ui.importFile.addEventListener('change', (e) => {
-      // CORRIGIDO: Lógica de importação robusta
       const file = e.target.files[0];
       if (!file) return;
       const reader = new FileReader();
       reader.onload = (ev) => {
         try {
-          const importedObject = JSON.parse(ev.target.result);
-          const {
-            valid,
-            error,
-            settings: validatedSettings,
-          } = validateSettingsObject(importedObject);
-
-          if (!valid) {
-            showNotification(error, 'error');
+          let importedObject;
+          try {
+            importedObject = JSON.parse(ev.target.result);
+          } catch (parseError) {
+            showNotification(
+              'Erro ao processar o ficheiro. Verifique se é um JSON válido.',
+              'error'
+            );
             return;
           }
-
-          showConfirmModal(
-            'Tem a certeza que deseja substituir as suas configurações atuais por aquelas do ficheiro importado? Esta ação não pode ser desfeita.',
-            async () => {
-              try {
-                await browser.runtime.sendMessage({
-                  action: 'updateSettings',
-                  settings: validatedSettings,
-                });
-                await loadSettings();
-                showNotification(
-                  'Configurações importadas com sucesso!',
-                  'success'
-                );
-              } catch (updateError) {
-                console.error(
-                  'Erro ao aplicar configurações importadas:',
-                  updateError
-                );
-                showNotification(
-                  'Ocorreu um erro ao aplicar as configurações importadas.',
-                  'error'
-                );
-              }
-            },
-            {
-              confirmText: 'Sim, Importar',
-              confirmClass:
-                'bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg transition-colors',
-            }
-          );
+          showImportPreview(migrateImportedSettings(importedObject));
         } catch (err) {
-          showNotification(
-            'Erro ao processar o ficheiro. Verifique se é um JSON válido.',
-            'error'
-          );
+          showNotification(err.message, 'error');
         } finally {
           e.target.value = '';
         }
       };
       reader.readAsText(file);
     });
+    ui.importCancelBtn.addEventListener('click', closeImportPreview);
+    ui.importApplyBtn.addEventListener('click', applyPendingImport);
     ui.confirmCancelBtn.addEventListener('click', () =>
       ui.confirmModal.classList.add('hidden')
     );
@@ -2152,6 +3198,1040 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // --- ATALHOS DE TECLADO ---
+
+  /**
+   * Lista os comandos declarados no manifest com o atalho atual. No Firefox
+   * o atalho pode ser editado aqui (commands.update); no Chromium a edição
+   * é feita na página de atalhos do navegador.
+   */
+  async function renderCommandsList() {
+    if (!ui.commandsList) return;
+    if (!browser.commands || !browser.commands.getAll) {
+      replaceContent(
+        ui.commandsList,
+        createElement(
+          'p',
+          { className: 'text-slate-500 italic dark:text-slate-400' },
+          'Este navegador não suporta atalhos de teclado para extensões.'
+        )
+      );
+      return;
+    }
+
+    const commands = (await browser.commands.getAll()).filter(
+      (command) => command.description
+    );
+    const canEdit = typeof browser.commands.update === 'function';
+    ui.commandsList.innerHTML = '';
+
+    commands.forEach((command) => {
+      const row = createElement('div', {
+        className:
+          'flex items-center justify-between gap-4 p-3 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700/50',
+      });
+      const label = createElement(
+        'label',
+        { className: 'font-semibold', htmlFor: `command-${command.name}` },
+        command.description
+      );
+      const controls = createElement('div', {
+        className: 'flex items-center gap-2',
+      });
+      const shortcutInput = createElement('input', {
+        type: 'text',
+        id: `command-${command.name}`,
+        className:
+          'p-2 border border-slate-300 rounded-md shadow-sm w-44 dark:bg-slate-700 dark:border-slate-600',
+        placeholder: 'Sem atalho',
+      });
+      shortcutInput.value = command.shortcut || '';
+      shortcutInput.readOnly = !canEdit;
+      controls.appendChild(shortcutInput);
+
+      if (canEdit) {
+        const saveButton = createElement(
+          'button',
+          {
+            type: 'button',
+            className:
+              'bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-1 px-3 rounded-lg text-sm',
+          },
+          'Salvar'
+        );
+        const resetButton = createElement(
+          'button',
+          {
+            type: 'button',
+            className:
+              'bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-lg text-sm dark:bg-slate-600 dark:text-slate-200',
+          },
+          'Repor'
+        );
+
+        saveButton.addEventListener('click', async () => {
+          try {
+            await browser.commands.update({
+              name: command.name,
+              shortcut: shortcutInput.value.trim(),
+            });
+            showNotification('Atalho atualizado.', 'success');
+          } catch (e) {
+            showNotification(`Atalho inválido: ${e.message}`, 'error');
+          }
+          renderCommandsList();
+        });
+        resetButton.addEventListener('click', async () => {
+          await browser.commands.reset(command.name);
+          renderCommandsList();
+        });
+
+        controls.appendChild(saveButton);
+        controls.appendChild(resetButton);
+      }
+
+      row.appendChild(label);
+      row.appendChild(controls);
+      ui.commandsList.appendChild(row);
+    });
+
+    if (!canEdit) {
+      const openShortcutsButton = createElement(
+        'button',
+        {
+          type: 'button',
+          className:
+            'mt-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg text-sm',
+        },
+        'Editar atalhos no navegador'
+      );
+      openShortcutsButton.addEventListener('click', () => {
+        browser.tabs.create({ url: 'chrome://extensions/shortcuts' });
+      });
+      ui.commandsList.appendChild(openShortcutsButton);
+    }
+  }
+
+  // --- LISTAS PARTILHADAS ---
+
+  /**
+   * Cria o editor de uma lista partilhada (nome + entradas, uma por linha).
+   * @param {string} name - Nome da lista.
+   * @param {string[]} entries - Entradas da lista.
+   * @returns {HTMLElement}
+   */
+  function createSharedListElement(name, entries) {
+    const item = createElement('div', {
+      className:
+        'shared-list-item bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50',
+    });
+
+    const header = createElement('div', {
+      className: 'flex items-center gap-2 mb-2',
+    });
+    const nameInput = createElement('input', {
+      type: 'text',
+      value: name,
+      placeholder: 'nome-da-lista',
+      maxLength: 40,
+      className:
+        'flex-grow p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-700 dark:border-slate-600',
+    });
+    const deleteButton = createElement(
+      'button',
+      {
+        type: 'button',
+        className: 'text-slate-500 hover:text-red-600 p-2 rounded-md',
+        title: 'Excluir Lista',
+      },
+      '🗑️'
+    );
+    deleteButton.dataset.action = 'delete';
+    header.appendChild(nameInput);
+    header.appendChild(deleteButton);
+
+    const entriesInput = createElement('textarea', {
+      rows: 4,
+      placeholder: 'Ex: github.com\ngitlab.com',
+      className:
+        'w-full p-2 border border-slate-300 rounded-md shadow-sm dark:bg-slate-700 dark:border-slate-600',
+    });
+    entriesInput.value = entries.join('\n');
+
+    item.appendChild(header);
+    item.appendChild(entriesInput);
+    return item;
+  }
+
+  /**
+   * Renderiza as listas partilhadas e as sugestões "@nome" das condições.
+   * Não re-renderiza enquanto o utilizador edita uma lista, para não perder o foco.
+   * @param {object} sharedLists - Mapa nome -> entradas.
+   */
+  function renderSharedLists(sharedLists) {
+    replaceContent(
+      ui.sharedListNames,
+      Object.keys(sharedLists).map((name) => new Option(`@${name}`))
+    );
+    if (ui.sharedListsList.contains(document.activeElement)) return;
+
+    replaceContent(
+      ui.sharedListsList,
+      Object.entries(sharedLists).map(([name, entries]) =>
+        createSharedListElement(name, entries)
+      )
+    );
+  }
+
+  /**
+   * Lê as listas partilhadas do formulário. Listas com nome inválido são
+   * assinaladas e não são guardadas.
+   * @returns {object} Mapa nome -> entradas.
+   */
+  function collectSharedLists() {
+    const sharedLists = {};
+    ui.sharedListsList.querySelectorAll('.shared-list-item').forEach((item) => {
+      const nameInput = item.querySelector('input');
+      const name = nameInput.value.trim();
+      const isValid = SHARED_LIST_NAME_PATTERN.test(name);
+      nameInput.classList.toggle('border-red-500', name !== '' && !isValid);
+      if (!isValid) return;
+
+      sharedLists[name] = item
+        .querySelector('textarea')
+        .value.split('\n')
+        .map((e) => e.trim())
+        .filter(Boolean);
+    });
+    return sharedLists;
+  }
+
+  // --- PACOTES DE REGRAS ---
+
+  /**
+   * Devolve as regras de um tipo de todos os pacotes instalados, incluindo as
+   * desativadas localmente, para mostrar nas listas de regras.
+   * @param {string} kind - 'customRules' ou 'tabRenamingRules'.
+   * @returns {object[]} As regras com as substituições locais aplicadas.
+   */
+  function getInstalledPackRules(kind) {
+    return (currentSettings.rulePacks || []).flatMap(
+      (pack) => getPackRules(pack)[kind]
+    );
+  }
+
+  /**
+   * Cria a linha só de leitura de uma regra de pacote nas listas de regras.
+   * O conteúdo vem de fontes externas, por isso é inserido apenas como texto.
+   * @param {object} rule - A regra efetiva (ver getPackRules).
+   * @param {string} kind - 'customRules' ou 'tabRenamingRules'.
+   * @param {string} [warning] - Aviso de conflito a mostrar, se existir.
+   * @returns {HTMLElement} O elemento da regra.
+   */
+  function createPackRuleElement(rule, kind, warning) {
+    const pack = (currentSettings.rulePacks || []).find(
+      (p) => p.id === rule.packId
+    );
+    const override = pack?.overrides?.[kind]?.[rule.name];
+    const isEnabled = rule.enabled !== false;
+
+    const item = createElement('div', {
+      className: `rule-item pack-rule-item flex items-center justify-between bg-slate-50 border border-dashed border-slate-300 p-3 rounded-lg dark:bg-slate-700/30 dark:border-slate-600 ${
+        isEnabled ? '' : 'opacity-60'
+      }`,
+    });
+    item.dataset.packId = rule.packId;
+    item.dataset.ruleName = rule.name;
+    item.dataset.kind = kind;
+
+    const info = createElement('div', { className: 'flex-grow min-w-0 pl-2' });
+    const title = createElement('div', {
+      className: 'flex items-center gap-2 flex-wrap',
+    });
+    title.appendChild(
+      createElement(
+        'strong',
+        { className: 'text-slate-700 dark:text-slate-200' },
+        rule.name
+      )
+    );
+    title.appendChild(
+      createElement(
+        'span',
+        {
+          className:
+            'text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-800 dark:bg-indigo-900/50 dark:text-indigo-300',
+          title: 'Regra de pacote (só de leitura)',
+        },
+        `📦 ${rule.packName}`
+      )
+    );
+    if (!isEnabled) {
+      title.appendChild(
+        createElement(
+          'span',
+          {
+            className:
+              'text-xs font-semibold px-2 py-0.5 rounded-full bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300',
+          },
+          'Desativada'
+        )
+      );
+    }
+    if (warning) {
+      title.appendChild(
+        createElement(
+          'span',
+          {
+            className:
+              'text-xs font-semibold px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300',
+          },
+          `⚠ ${warning}`
+        )
+      );
+    }
+    info.appendChild(title);
+    const summary =
+      kind === 'customRules'
+        ? describeConditionGroup(rule.conditionGroup)
+        : `${(rule.conditions || []).length} condição(ões)`;
+    info.appendChild(
+      createElement(
+        'p',
+        {
+          className: 'text-sm text-slate-600 dark:text-slate-300 truncate',
+          title: summary,
+        },
+        summary
+      )
+    );
+
+    const actions = createElement('div', {
+      className: 'flex items-center space-x-1 flex-shrink-0',
+    });
+    const priorityInput = createElement('input', {
+      type: 'number',
+      min: 1,
+      max: 999,
+      value:
+        kind === 'customRules' ? getRulePriority(rule) : rule.priority || 999,
+      title: 'Prioridade local',
+      className:
+        'w-16 p-1 text-sm border border-slate-300 rounded-md dark:bg-slate-700 dark:border-slate-600',
+    });
+    priorityInput.dataset.action = 'pack-priority';
+    actions.appendChild(priorityInput);
+
+    const buttons = [
+      [
+        'pack-toggle',
+        isEnabled ? '⏸️' : '▶️',
+        isEnabled ? 'Desativar' : 'Ativar',
+      ],
+      ['pack-copy', '❐', 'Copiar para as minhas regras (editável)'],
+    ];
+    if (override) {
+      buttons.push(['pack-reset', '↺', 'Repor os valores do pacote']);
+    }
+    buttons.forEach(([action, icon, label]) => {
+      const button = createElement(
+        'button',
+        {
+          type: 'button',
+          className: 'text-slate-500 hover:text-indigo-600 p-2 rounded-md',
+          title: label,
+        },
+        icon
+      );
+      button.dataset.action = action;
+      actions.appendChild(button);
+    });
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * Trata as ações sobre uma regra de pacote nas listas de regras.
+   * @param {HTMLElement} ruleItem - A linha da regra.
+   * @param {string} action - A ação pedida.
+   * @param {HTMLInputElement} [input] - O campo de prioridade, para 'pack-priority'.
+   */
+  function handlePackRuleAction(ruleItem, action, input) {
+    const { packId, ruleName, kind } = ruleItem.dataset;
+    const rule = getInstalledPackRules(kind).find(
+      (r) => r.packId === packId && r.name === ruleName
+    );
+    if (!rule) return;
+
+    let override;
+    if (action === 'pack-toggle') {
+      override = { enabled: rule.enabled === false };
+    } else if (action === 'pack-priority') {
+      const priority = parseInt(input.value, 10);
+      if (!Number.isInteger(priority) || priority < 1 || priority > 999) {
+        input.classList.add('border-red-500');
+        return;
+      }
+      override = { priority };
+    } else if (action === 'pack-reset') {
+      override = null;
+    } else if (action === 'pack-copy') {
+      copyPackRule(rule, kind);
+      return;
+    } else {
+      return;
+    }
+
+    currentSettings.rulePacks = setPackRuleOverride(
+      currentSettings.rulePacks,
+      packId,
+      kind,
+      ruleName,
+      override
+    );
+    if (kind === 'customRules') renderRulesList();
+    else renderRenamingRulesList();
+    scheduleSave();
+  }
+
+  /**
+   * Cria uma cópia editável de uma regra de pacote nas regras do utilizador.
+   * @param {object} rule - A regra efetiva do pacote.
+   * @param {string} kind - 'customRules' ou 'tabRenamingRules'.
+   */
+  function copyPackRule(rule, kind) {
+    const copy = JSON.parse(JSON.stringify(rule));
+    delete copy.packId;
+    delete copy.packName;
+    copy.name = `${rule.name} (cópia)`;
+    if (kind === 'customRules') {
+      delete copy.enabled;
+      currentSettings.customRules.push(copy);
+      renderRulesList();
+    } else {
+      copy.id = `rule-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      currentSettings.tabRenamingRules.push(copy);
+      renderRenamingRulesList();
+    }
+    scheduleSave();
+    showNotification(
+      `Regra '${rule.name}' copiada para as suas regras.`,
+      'info'
+    );
+  }
+
+  /**
+   * Renderiza a lista de pacotes de regras instalados.
+   */
+  function renderRulePacks() {
+    const packs = currentSettings.rulePacks || [];
+    if (packs.length === 0) {
+      replaceContent(
+        ui.rulePacksList,
+        createElement(
+          'p',
+          {
+            className:
+              'text-slate-500 italic text-center p-4 dark:text-slate-400',
+          },
+          'Nenhum pacote de regras instalado.'
+        )
+      );
+      return;
+    }
+
+    replaceContent(
+      ui.rulePacksList,
+      packs.map((pack) => {
+        const item = createElement('div', {
+          className:
+            'rule-pack-item flex items-start justify-between gap-4 bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50',
+        });
+        item.dataset.packId = pack.id;
+
+        const info = createElement('div', { className: 'flex-grow min-w-0' });
+        info.appendChild(
+          createElement(
+            'strong',
+            { className: 'text-indigo-700 dark:text-indigo-400' },
+            `📦 ${pack.name} v${pack.version}`
+          )
+        );
+        const details = [
+          pack.author && `por ${pack.author}`,
+          `${(pack.customRules || []).length} regra(s) de agrupamento`,
+          `${(pack.tabRenamingRules || []).length} de renomeação`,
+          pack.updatedAt &&
+            `atualizado em ${new Date(pack.updatedAt).toLocaleDateString()}`,
+        ].filter(Boolean);
+        info.appendChild(
+          createElement(
+            'p',
+            { className: 'text-xs text-slate-500 dark:text-slate-400' },
+            details.join(' · ')
+          )
+        );
+        if (pack.description) {
+          info.appendChild(
+            createElement(
+              'p',
+              { className: 'text-sm text-slate-600 dark:text-slate-300' },
+              pack.description
+            )
+          );
+        }
+        if (pack.sourceUrl) {
+          info.appendChild(
+            createElement(
+              'p',
+              {
+                className:
+                  'text-xs font-mono text-slate-500 truncate dark:text-slate-400',
+                title: pack.sourceUrl,
+              },
+              pack.sourceUrl
+            )
+          );
+        }
+
+        const actions = createElement('div', {
+          className: 'flex space-x-1 flex-shrink-0',
+        });
+        const buttons = [
+          ['update', '⟳', 'Atualizar a partir de um ficheiro ou JSON'],
+          ['export', '⬇', 'Exportar o pacote'],
+          ['remove', '🗑️', 'Remover o pacote'],
+        ];
+        if (pack.sourceUrl) {
+          buttons.unshift(['check', '🔄', 'Procurar atualizações no URL']);
+        }
+        buttons.forEach(([action, icon, label]) => {
+          const button = createElement(
+            'button',
+            {
+              type: 'button',
+              className: 'text-slate-500 hover:text-indigo-600 p-2 rounded-md',
+              title: label,
+            },
+            icon
+          );
+          button.dataset.action = action;
+          actions.appendChild(button);
+        });
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Abre o modal de instalação de pacotes.
+   * @param {object} [options]
+   * @param {string} [options.url] - URL a pré-preencher (atualização de um pacote).
+   */
+  function openRulePackModal({ url = '' } = {}) {
+    pendingRulePack = null;
+    ui.rulePackUrl.value = url;
+    ui.rulePackJson.value = '';
+    replaceContent(ui.rulePackPreview, []);
+    ui.rulePackInstallBtn.disabled = true;
+    ui.rulePackInstallBtn.textContent = 'Instalar';
+    ui.rulePackModal.classList.remove('hidden');
+  }
+
+  function showRulePackError(message) {
+    pendingRulePack = null;
+    ui.rulePackInstallBtn.disabled = true;
+    replaceContent(
+      ui.rulePackPreview,
+      createElement('p', { className: 'text-red-500' }, message)
+    );
+  }
+
+  /**
+   * Mostra o que muda, regra a regra, ao instalar ou atualizar um pacote.
+   * @param {object} pack - O pacote validado.
+   */
+  function showRulePackPreview(pack) {
+    pendingRulePack = pack;
+    const installed = (currentSettings.rulePacks || []).find(
+      (p) => p.id === pack.id
+    );
+    const diff = diffRulePack(installed, pack);
+    const nodes = [
+      createElement(
+        'p',
+        { className: 'font-semibold text-slate-800 dark:text-slate-100' },
+        `${pack.name} v${pack.version}${pack.author ? ` · ${pack.author}` : ''}`
+      ),
+    ];
+    if (pack.description) {
+      nodes.push(
+        createElement(
+          'p',
+          { className: 'text-slate-600 dark:text-slate-300' },
+          pack.description
+        )
+      );
+    }
+    if (installed) {
+      nodes.push(
+        createElement(
+          'p',
+          {
+            className:
+              diff.versionChange > 0
+                ? 'text-slate-600 dark:text-slate-300'
+                : 'text-yellow-700 dark:text-yellow-300',
+          },
+          diff.versionChange > 0
+            ? `Atualização da versão instalada ${installed.version}.`
+            : `⚠ A versão instalada (${installed.version}) não é anterior a esta; aplicar substitui-a na mesma.`
+        )
+      );
+    }
+
+    [
+      ['customRules', 'Regras de agrupamento'],
+      ['tabRenamingRules', 'Regras de renomeação'],
+    ].forEach(([kind, label]) => {
+      const kindDiff = diff[kind];
+      const lines = [
+        ...kindDiff.added.map((name) => `+ ${name}`),
+        ...kindDiff.updated.map(
+          ({ name, fields }) => `~ ${name} (${fields.join(', ')})`
+        ),
+        ...kindDiff.removed.map((name) => `− ${name}`),
+      ];
+      if (lines.length === 0 && kindDiff.unchanged === 0) return;
+      nodes.push(
+        createElement(
+          'p',
+          { className: 'font-semibold mt-2' },
+          `${label}${
+            kindDiff.unchanged > 0
+              ? ` (${kindDiff.unchanged} sem alterações)`
+              : ''
+          }`
+        )
+      );
+      if (lines.length > 0) {
+        const list = createElement('ul', {
+          className: 'font-mono text-xs pl-4 space-y-0.5',
+        });
+        lines.forEach((line) =>
+          list.appendChild(createElement('li', {}, line))
+        );
+        nodes.push(list);
+      }
+    });
+    if (diff.orphanedOverrides.length > 0) {
+      nodes.push(
+        createElement(
+          'p',
+          { className: 'text-yellow-700 dark:text-yellow-300' },
+          `⚠ As alterações locais de ${diff.orphanedOverrides.join(
+            ', '
+          )} serão descartadas: as regras deixam de existir no pacote.`
+        )
+      );
+    }
+
+    replaceContent(ui.rulePackPreview, nodes);
+    ui.rulePackInstallBtn.textContent = installed ? 'Atualizar' : 'Instalar';
+    ui.rulePackInstallBtn.disabled = false;
+  }
+
+  /**
+   * Valida o JSON de um pacote (colado ou lido de um ficheiro) e mostra-o.
+   * @param {string} text - O conteúdo JSON.
+   */
+  function previewRulePackText(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      showRulePackError('O conteúdo não é JSON válido.');
+      return;
+    }
+    try {
+      showRulePackPreview(parseRulePack(payload));
+    } catch (e) {
+      showRulePackError(e.message);
+    }
+  }
+
+  async function fetchRulePackFromUrl() {
+    replaceContent(
+      ui.rulePackPreview,
+      createElement('p', { className: 'italic text-slate-500' }, 'A obter...')
+    );
+    try {
+      showRulePackPreview(await fetchRulePack(ui.rulePackUrl.value.trim()));
+    } catch (e) {
+      showRulePackError(e.message);
+    }
+  }
+
+  function installPendingRulePack() {
+    if (!pendingRulePack) return;
+    const pack = pendingRulePack;
+    const isUpdate = (currentSettings.rulePacks || []).some(
+      (p) => p.id === pack.id
+    );
+    currentSettings.rulePacks = installRulePack(
+      currentSettings.rulePacks,
+      pack
+    );
+    ui.rulePackModal.classList.add('hidden');
+    pendingRulePack = null;
+    renderRulePacks();
+    renderRulesList();
+    renderRenamingRulesList();
+    scheduleSave();
+    showNotification(
+      `Pacote '${pack.name}' ${isUpdate ? 'atualizado' : 'instalado'} (v${
+        pack.version
+      }).`,
+      'success'
+    );
+  }
+
+  /**
+   * Procura no URL de origem de um pacote uma versão mais recente.
+   * @param {object} pack - O pacote instalado.
+   */
+  async function checkRulePackUpdate(pack) {
+    try {
+      const latest = await fetchRulePack(pack.sourceUrl);
+      if (latest.id !== pack.id) {
+        showNotification(
+          `O URL devolveu outro pacote ('${latest.id}').`,
+          'error'
+        );
+      } else if (comparePackVersions(latest.version, pack.version) <= 0) {
+        showNotification(
+          `'${pack.name}' já está na versão mais recente (v${pack.version}).`,
+          'info'
+        );
+      } else {
+        openRulePackModal({ url: pack.sourceUrl });
+        showRulePackPreview(latest);
+      }
+    } catch (e) {
+      showNotification(e.message, 'error');
+    }
+  }
+
+  /**
+   * Grava um pacote instalado num ficheiro, sem as alterações locais.
+   * @param {object} pack - O pacote instalado.
+   */
+  function exportRulePack(pack) {
+    const content = {
+      format: RULE_PACK_FORMAT,
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      author: pack.author,
+      description: pack.description,
+      updateUrl: pack.sourceUrl || undefined,
+      customRules: pack.customRules,
+      tabRenamingRules: pack.tabRenamingRules,
+    };
+    const blob = new Blob([JSON.stringify(content, null, 2)], {
+      type: 'application/json',
+    });
+    browser.downloads.download({
+      url: URL.createObjectURL(blob),
+      filename: `${pack.id}-${pack.version}.json`,
+      saveAs: true,
+    });
+  }
+
+  function handleRulePackAction(action, packId) {
+    const pack = (currentSettings.rulePacks || []).find((p) => p.id === packId);
+    if (!pack) return;
+    if (action === 'check') checkRulePackUpdate(pack);
+    else if (action === 'update')
+      openRulePackModal({ url: pack.sourceUrl || '' });
+    else if (action === 'export') exportRulePack(pack);
+    else if (action === 'remove') {
+      showConfirmModal(
+        `Tem a certeza que deseja remover o pacote '${pack.name}' e as suas regras?`,
+        () => {
+          currentSettings.rulePacks = removeRulePack(
+            currentSettings.rulePacks,
+            packId
+          );
+          renderRulePacks();
+          renderRulesList();
+          renderRenamingRulesList();
+          scheduleSave();
+          showNotification(`Pacote '${pack.name}' removido.`, 'info');
+        }
+      );
+    }
+  }
+
+  // --- SESSÕES GUARDADAS (INSTANTÂNEOS) ---
+
+  /**
+   * Renderiza a lista de instantâneos de grupos guardados pelo background.
+   */
+  // --- EXCEÇÕES ---
+
+  const EXCEPTION_PLACEHOLDERS = {
+    hostname: 'Ex: mail.google.com',
+    url_contains: 'Ex: /admin/',
+    glob: 'Ex: https://*.atlassian.net/browse/*',
+    regex: 'Ex: ^https://[^/]+/login',
+  };
+
+  /**
+   * Descreve a validade e o âmbito de uma exceção.
+   * @param {object} exception - A exceção.
+   * @returns {string}
+   */
+  function describeExceptionScope(exception) {
+    const parts = [];
+    if (!isExceptionActive(exception)) parts.push('expirada');
+    else if (exception.expiresAt) {
+      parts.push(`até ${new Date(exception.expiresAt).toLocaleString()}`);
+    }
+    if (exception.windowId !== undefined) parts.push('só numa janela');
+    if (exception.reason) parts.push(exception.reason);
+    return parts.join(' · ');
+  }
+
+  function renderExceptionsList(exceptions) {
+    if (exceptions.length === 0) {
+      replaceContent(ui.exceptionsList, [
+        createElement(
+          'p',
+          {
+            className:
+              'text-slate-500 italic text-center p-4 dark:text-slate-400',
+          },
+          'Nenhuma exceção definida.'
+        ),
+      ]);
+      return;
+    }
+
+    replaceContent(
+      ui.exceptionsList,
+      exceptions.map((exception, index) => {
+        const item = createElement('div', {
+          className: `exception-item flex items-center justify-between bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50 ${
+            isExceptionActive(exception) ? '' : 'opacity-60'
+          }`,
+        });
+        item.dataset.index = index;
+
+        const info = createElement('div', { className: 'min-w-0' });
+        info.appendChild(
+          createElement(
+            'strong',
+            { className: 'text-indigo-700 truncate dark:text-indigo-400' },
+            describeException(exception)
+          )
+        );
+        const scope = describeExceptionScope(exception);
+        if (scope) {
+          info.appendChild(
+            createElement(
+              'p',
+              { className: 'text-sm text-slate-600 dark:text-slate-300' },
+              scope
+            )
+          );
+        }
+
+        const button = createElement(
+          'button',
+          {
+            type: 'button',
+            className: 'text-slate-500 hover:text-red-600 p-2 rounded-md',
+            title: 'Excluir Exceção',
+          },
+          '🗑️'
+        );
+        button.dataset.action = 'delete';
+
+        item.appendChild(info);
+        item.appendChild(button);
+        return item;
+      })
+    );
+  }
+
+  function handleExceptionFormSubmit(e) {
+    e.preventDefault();
+    const exception = {
+      type: ui.exceptionType.value,
+      value: ui.exceptionValue.value.trim(),
+    };
+    const expiresAt = getExceptionExpiry(ui.exceptionDuration.value);
+    if (expiresAt) exception.expiresAt = expiresAt;
+    const reason = ui.exceptionReason.value.trim();
+    if (reason) exception.reason = reason;
+
+    const validation = validateException(exception);
+    if (!validation.isValid) {
+      showNotification(
+        `Erro na exceção: ${validation.errors.join('; ')}`,
+        'error'
+      );
+      return;
+    }
+
+    currentSettings.exceptions = [
+      ...(currentSettings.exceptions || []),
+      exception,
+    ];
+    renderExceptionsList(currentSettings.exceptions);
+    ui.exceptionValue.value = '';
+    ui.exceptionReason.value = '';
+    scheduleSave();
+  }
+
+  async function renderSnapshotsList() {
+    if (!ui.snapshotsList) return;
+
+    let snapshots = [];
+    try {
+      snapshots = await browser.runtime.sendMessage({
+        action: 'listSnapshots',
+      });
+    } catch (e) {
+      console.error('Erro ao carregar sessões guardadas:', e);
+    }
+
+    ui.snapshotsList.innerHTML = '';
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+      ui.snapshotsList.appendChild(
+        createElement(
+          'p',
+          {
+            className:
+              'text-slate-500 italic text-center p-4 dark:text-slate-400',
+          },
+          'Nenhuma sessão guardada ainda.'
+        )
+      );
+      return;
+    }
+
+    snapshots.forEach((snapshot) => {
+      const item = createElement('div', {
+        className:
+          'snapshot-item flex items-center justify-between bg-slate-100 p-3 rounded-lg shadow-sm dark:bg-slate-700/50',
+      });
+      item.dataset.id = snapshot.id;
+
+      const info = createElement('div', { className: 'min-w-0' });
+      info.appendChild(
+        createElement(
+          'strong',
+          { className: 'text-indigo-700 dark:text-indigo-400' },
+          snapshot.name
+        )
+      );
+      info.appendChild(
+        createElement(
+          'p',
+          { className: 'text-sm text-slate-600 dark:text-slate-300' },
+          `${snapshot.groupCount} grupos · ${snapshot.tabCount} abas · ${new Date(
+            snapshot.createdAt
+          ).toLocaleString()}`
+        )
+      );
+
+      const actions = createElement('div', {
+        className: 'flex space-x-1 flex-shrink-0',
+      });
+      [
+        {
+          action: 'restore-new',
+          text: '🗗',
+          title: 'Restaurar numa nova janela',
+        },
+        {
+          action: 'restore-current',
+          text: '⤓',
+          title: 'Restaurar nesta janela',
+        },
+        { action: 'delete', text: '🗑️', title: 'Excluir Sessão' },
+      ].forEach(({ action, text, title }) => {
+        const button = createElement(
+          'button',
+          {
+            type: 'button',
+            className: 'text-slate-500 hover:text-indigo-600 p-2 rounded-md',
+            title,
+          },
+          text
+        );
+        button.dataset.action = action;
+        actions.appendChild(button);
+      });
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      ui.snapshotsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Trata as ações dos botões da lista de sessões guardadas.
+   * @param {string} action - `restore-new`, `restore-current` ou `delete`.
+   * @param {string} snapshotId - ID do instantâneo.
+   */
+  async function handleSnapshotAction(action, snapshotId) {
+    if (action === 'delete') {
+      showConfirmModal(
+        'Tem a certeza que deseja excluir esta sessão guardada?',
+        async () => {
+          await browser.runtime.sendMessage({
+            action: 'deleteSnapshot',
+            snapshotId,
+          });
+          renderSnapshotsList();
+        }
+      );
+      return;
+    }
+
+    try {
+      const message = { action: 'restoreSnapshot', snapshotId };
+      if (action === 'restore-current') {
+        const currentWindow = await browser.windows.getCurrent();
+        message.target = 'current';
+        message.windowId = currentWindow.id;
+      }
+      const result = await browser.runtime.sendMessage(message);
+      if (result && result.success) {
+        showNotification(
+          `Sessão restaurada (${result.restoredGroups} grupos).`,
+          'success'
+        );
+      } else {
+        showNotification(
+          result?.error || 'Não foi possível restaurar a sessão.',
+          'error'
+        );
+      }
+    } catch (e) {
+      console.error('Erro ao restaurar sessão:', e);
+      showNotification('Ocorreu um erro ao restaurar a sessão.', 'error');
+    }
+  }
+
   // --- Funções de Diagnóstico de Memória ---
 
   async function updateMemoryStats() {
@@ -20,6 +20,8 @@ const DEFAULT_PERFORMANCE_CONFIG = {
   // --- Configurações de Timers e Intervalos ---
   AUTO_COLLAPSE_CHECK_INTERVAL: 5000, // ms - Mantido
   SINGLE_TAB_CHECK_INTERVAL: 1500, // ms - Mantido
+  AUTO_ARCHIVE_CHECK_MINUTES: 5, // min - Período do alarme; o limiar de arquivo é em horas
+  TAB_AGE_CHECK_INTERVAL: 60000, // ms - A condição age_minutes é em minutos
 
   // --- Configurações de Storage ---
   STORAGE_RETRY_DELAY: 500, // ms - Reduzido de 1000ms
@@ -104,6 +106,7 @@ const DEFAULT_PERFORMANCE_CONFIG = {
   TAB_RENAMING_MAX_TITLE_LENGTH: 100, // Mantido
   TAB_RENAMING_MAX_RULES: 50, // Mantido
   TAB_RENAMING_ENABLED: false, // Mantido (padrão: desabilitado)
+  TAB_RENAMING_WATCH_THROTTLE: 1000, // ms - Intervalo mínimo entre avisos do modo de observação
 
   // --- TASK-A-001: Configurações de Debouncing Inteligente ---
   SMART_DEBOUNCE_BASE_DELAY: 150, // ms - Delay base para debouncing inteligente
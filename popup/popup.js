@@ -23,8 +23,62 @@ document.addEventListener('DOMContentLoaded', () => {
   const toggle = document.getElementById('autoGroupingToggle');
   const optionsButton = document.getElementById('optionsButton');
   const groupAllButton = document.getElementById('groupAllButton');
+  const saveSessionButton = document.getElementById('saveSessionButton');
+  const undoGroupingButton = document.getElementById('undoGroupingButton');
   const statusDiv = document.getElementById('popup-status');
 
+  // Elementos da pesquisa de abas
+  const tabSearchInput = document.getElementById('tabSearchInput');
+  const tabSearchResults = document.getElementById('tabSearchResults');
+  const tabSearchHint = document.getElementById('tabSearchHint');
+
+  // Elementos dos grupos desta janela
+  const groupsSection = document.getElementById('groupsSection');
+  const groupsList = document.getElementById('groupsList');
+  const archivedGroupsSection = document.getElementById(
+    'archivedGroupsSection'
+  );
+  const archivedGroupsList = document.getElementById('archivedGroupsList');
+
+  // Elementos da política desta janela
+  const windowLabelInput = document.getElementById('windowLabelInput');
+  const windowLabelOptions = document.getElementById('windowLabelOptions');
+  const windowAutoGroupingSelect = document.getElementById(
+    'windowAutoGroupingSelect'
+  );
+  const windowGroupingModeSelect = document.getElementById(
+    'windowGroupingModeSelect'
+  );
+  const windowMinTabsInput = document.getElementById('windowMinTabsInput');
+  const applyWindowPolicyButton = document.getElementById(
+    'applyWindowPolicyButton'
+  );
+  const windowPolicyEffective = document.getElementById(
+    'windowPolicyEffective'
+  );
+
+  // Elementos do histórico de renomeação da aba ativa
+  const renameHistorySection = document.getElementById('renameHistorySection');
+  const renameOriginalTitle = document.getElementById('renameOriginalTitle');
+  const renameHistoryList = document.getElementById('renameHistoryList');
+  const revertTabTitleButton = document.getElementById('revertTabTitleButton');
+  const revertRuleTitlesButton = document.getElementById(
+    'revertRuleTitlesButton'
+  );
+  const revertAllTitlesButton = document.getElementById(
+    'revertAllTitlesButton'
+  );
+
+  // Elementos das abas duplicadas
+  const duplicatesSection = document.getElementById('duplicatesSection');
+  const duplicatesSummary = document.getElementById('duplicatesSummary');
+  const closeGroupDuplicatesButton = document.getElementById(
+    'closeGroupDuplicatesButton'
+  );
+  const closeWindowDuplicatesButton = document.getElementById(
+    'closeWindowDuplicatesButton'
+  );
+
   // NOVO: Elementos da UI de Sugestão
   const suggestionBox = document.getElementById('suggestion-box');
   const suggestionName = document.getElementById('suggestion-name');
@@ -32,6 +86,27 @@ document.addEventListener('DOMContentLoaded', () => {
   const rejectSuggestionBtn = document.getElementById('reject-suggestion');
 
   let currentSuggestion = null; // Armazena a sugestão atual
+  let windowPolicies = {}; // Políticas conhecidas, por etiqueta
+  let activeTabId = null; // Aba ativa, para o histórico de renomeação
+  let activeRenameRuleId = null; // Regra que renomeou a aba ativa
+  let activeGroupId = null; // Grupo da aba ativa, para fechar duplicados
+  let searchResults = []; // Resultados da pesquisa de abas
+  let selectedResultIndex = 0; // Resultado escolhido com as setas
+  let searchWindowId = null; // Janela do popup, para assinalar as outras
+  let searchTimeout = null;
+
+  // Cores dos grupos do browser: nome -> [rótulo, cor do marcador]
+  const GROUP_COLORS = {
+    grey: ['Cinzento', '#5f6368'],
+    blue: ['Azul', '#1a73e8'],
+    red: ['Vermelho', '#d93025'],
+    yellow: ['Amarelo', '#f9ab00'],
+    green: ['Verde', '#188038'],
+    pink: ['Rosa', '#d01884'],
+    purple: ['Roxo', '#a142f4'],
+    cyan: ['Ciano', '#007b83'],
+    orange: ['Laranja', '#fa903e'],
+  };
 
   /**
    * Define o estado da UI do popup com base nas configurações.
@@ -42,6 +117,645 @@ document.addEventListener('DOMContentLoaded', () => {
     toggle.checked = settings.autoGroupingEnabled;
     toggle.disabled = false;
     groupAllButton.disabled = false;
+    windowPolicies = settings.windowPolicies || {};
+  }
+
+  /**
+   * Preenche os controlos da política com as substituições de uma etiqueta.
+   * @param {object} policy - As substituições (campos ausentes = global).
+   */
+  function fillWindowPolicyControls(policy) {
+    windowAutoGroupingSelect.value =
+      policy.autoGroupingEnabled === undefined
+        ? ''
+        : String(policy.autoGroupingEnabled);
+    windowGroupingModeSelect.value = policy.groupingMode || '';
+    windowMinTabsInput.value = policy.minTabsForAutoGroup || '';
+  }
+
+  /**
+   * Mostra o estado da política desta janela devolvido pelo background.
+   * @param {object} state - `{ label, labels, policy, effective }`.
+   */
+  function renderWindowPolicy(state) {
+    windowLabelInput.value = state.label || '';
+    windowLabelOptions.replaceChildren(
+      ...state.labels.map((label) => new Option(label))
+    );
+    fillWindowPolicyControls(state.policy);
+
+    const { effective } = state;
+    windowPolicyEffective.textContent = `Efetivo: ${
+      effective.autoGroupingEnabled ? 'ativado' : 'desativado'
+    }, modo ${effective.groupingMode}, mínimo ${
+      effective.minTabsForAutoGroup
+    } abas${state.label ? ` (etiqueta '${state.label}')` : ''}.`;
+  }
+
+  async function updateWindowPolicyUI() {
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const state = await browser.runtime.sendMessage({
+        action: 'getWindowPolicy',
+        windowId: currentWindow.id,
+      });
+      if (state) renderWindowPolicy(state);
+    } catch (e) {
+      console.error('Erro ao obter a política da janela:', e);
+    }
+  }
+
+  /**
+   * Mostra o histórico de renomeação da aba ativa (oculto se nunca foi
+   * renomeada).
+   */
+  async function updateRenameHistoryUI() {
+    try {
+      const [activeTab] = await browser.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!activeTab) return;
+      activeTabId = activeTab.id;
+      const history = await browser.runtime.sendMessage({
+        action: 'getRenameHistory',
+        tabId: activeTab.id,
+      });
+      if (!history || !history.renames || history.renames.length === 0) {
+        renameHistorySection.classList.add('hidden');
+        return;
+      }
+
+      renameOriginalTitle.textContent = history.originalTitle || '—';
+      renameHistoryList.replaceChildren(
+        ...history.renames.map((rename) =>
+          createElement(
+            'li',
+            { className: 'break-all' },
+            rename.reverted
+              ? `↩️ ${rename.title}`
+              : `${rename.title} (${rename.ruleName || 'regra removida'})`
+          )
+        )
+      );
+      const lastRename = history.renames[history.renames.length - 1];
+      activeRenameRuleId = history.isRenamed ? lastRename.ruleId : null;
+      revertTabTitleButton.disabled = !history.isRenamed;
+      revertRuleTitlesButton.disabled = !activeRenameRuleId;
+      renameHistorySection.classList.remove('hidden');
+    } catch (e) {
+      console.error('Erro ao obter o histórico de renomeação:', e);
+      renameHistorySection.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Pede ao background para restaurar títulos originais.
+   * @param {object} request - `{ scope, tabId?, ruleId? }`.
+   */
+  async function revertTitles(request) {
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'revertTabTitles',
+        ...request,
+      });
+      if (result && result.success) {
+        statusDiv.textContent = `↩️ ${result.reverted} aba(s) restaurada(s)`;
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = result?.error || 'Falha ao restaurar títulos.';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao restaurar títulos:', error);
+      statusDiv.textContent = '❌ Falha ao restaurar títulos';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
+    updateRenameHistoryUI();
+  }
+
+  /**
+   * Mostra quantas abas duplicadas há na janela e no grupo da aba ativa
+   * (oculto se não houver nenhuma ou se a deteção estiver desligada).
+   */
+  async function updateDuplicatesUI() {
+    try {
+      const [activeTab] = await browser.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!activeTab) return;
+      activeGroupId =
+        activeTab.groupId !== browser.tabs.TAB_ID_NONE
+          ? activeTab.groupId
+          : null;
+      const summary = await browser.runtime.sendMessage({
+        action: 'getDuplicateTabs',
+        windowId: activeTab.windowId,
+        ...(activeGroupId !== null && { groupId: activeGroupId }),
+      });
+      if (
+        !summary ||
+        summary.policy === 'off' ||
+        summary.windowDuplicates === 0
+      ) {
+        duplicatesSection.classList.add('hidden');
+        return;
+      }
+
+      duplicatesSummary.textContent = `${summary.windowDuplicates} aba(s) a mais nesta janela, ${summary.groupDuplicates} no grupo desta aba.`;
+      closeGroupDuplicatesButton.disabled = summary.groupDuplicates === 0;
+      duplicatesSection.classList.remove('hidden');
+    } catch (e) {
+      console.error('Erro ao obter as abas duplicadas:', e);
+      duplicatesSection.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Pede ao background para fechar as abas duplicadas.
+   * @param {'group'|'window'} scope - Âmbito: o grupo da aba ativa ou a janela.
+   */
+  async function closeDuplicates(scope) {
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const result = await browser.runtime.sendMessage({
+        action: 'closeDuplicateTabs',
+        scope,
+        windowId: currentWindow.id,
+        ...(scope === 'group' && { groupId: activeGroupId }),
+      });
+      if (result && result.success) {
+        statusDiv.textContent = `🧹 ${result.closed} aba(s) fechada(s)`;
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = result?.error || 'Falha ao fechar duplicados.';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao fechar abas duplicadas:', error);
+      statusDiv.textContent = '❌ Falha ao fechar duplicados';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
+    updateDuplicatesUI();
+  }
+
+  /**
+   * Cria a linha de um grupo: cor, título editável, número de abas e os
+   * botões das operações.
+   * @param {object} group - Grupo devolvido por `getWindowGroups`.
+   * @returns {HTMLElement}
+   */
+  function createGroupItem(group) {
+    const item = createElement('li', {
+      className:
+        'p-2 rounded border border-gray-300 dark:border-slate-600 space-y-1',
+    });
+
+    const header = createElement('div', {
+      className: 'flex items-center gap-2',
+    });
+    const colorDot = createElement('span', {
+      className: 'w-5 h-5 rounded-full flex-shrink-0',
+    });
+    colorDot.style.backgroundColor = GROUP_COLORS[group.color]?.[1];
+
+    const titleInput = createElement('input', {
+      type: 'text',
+      placeholder: 'Sem nome',
+      title: 'Renomear o grupo (Enter para guardar)',
+      className:
+        'flex-1 min-w-0 p-1 rounded border border-gray-300 dark:border-slate-600 dark:bg-slate-800',
+    });
+    titleInput.value = group.title;
+    titleInput.maxLength = 100;
+    titleInput.addEventListener('change', () =>
+      manageGroup(group.id, 'rename', { title: titleInput.value.trim() })
+    );
+
+    header.appendChild(colorDot);
+    header.appendChild(titleInput);
+    header.appendChild(
+      createElement(
+        'span',
+        {
+          className: 'text-gray-500 dark:text-gray-400',
+          title: group.isManual ? 'Grupo manual' : 'Grupo automático',
+        },
+        `${group.isManual ? '📌 ' : ''}${group.tabCount}`
+      )
+    );
+
+    const actions = createElement('div', {
+      className: 'flex items-center justify-between',
+    });
+    const colorSelect = createElement('select', {
+      title: 'Cor do grupo',
+      className:
+        'p-1 rounded border border-gray-300 dark:border-slate-600 dark:bg-slate-800',
+    });
+    Object.entries(GROUP_COLORS).forEach(([color, [label]]) => {
+      colorSelect.appendChild(
+        new Option(label, color, false, color === group.color)
+      );
+    });
+    colorSelect.addEventListener('change', () =>
+      manageGroup(group.id, 'recolor', { color: colorSelect.value })
+    );
+    actions.appendChild(colorSelect);
+
+    const buttons = createElement('div', { className: 'flex space-x-1' });
+    [
+      group.collapsed
+        ? { operation: 'expand', text: '▾', title: 'Expandir' }
+        : { operation: 'collapse', text: '▸', title: 'Recolher' },
+      group.isManual
+        ? {
+            operation: 'auto',
+            text: '🔓',
+            title: 'Converter em grupo automático',
+          }
+        : {
+            operation: 'manual',
+            text: '📌',
+            title: 'Converter em grupo manual',
+          },
+      { operation: 'ungroup', text: '⤴', title: 'Desagrupar as abas' },
+      {
+        operation: 'archive',
+        text: '🗄',
+        title: 'Arquivar o grupo (guarda-o e fecha as abas)',
+      },
+      { operation: 'close', text: '✕', title: 'Fechar o grupo e as abas' },
+    ].forEach(({ operation, text, title }) => {
+      const button = createElement(
+        'button',
+        {
+          type: 'button',
+          title,
+          className:
+            'px-2 py-1 rounded hover:bg-gray-300 dark:hover:bg-slate-600',
+        },
+        text
+      );
+      button.addEventListener('click', () =>
+        operation === 'archive'
+          ? archiveGroup(group.id)
+          : manageGroup(group.id, operation)
+      );
+      buttons.appendChild(button);
+    });
+    actions.appendChild(buttons);
+
+    item.appendChild(header);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * Cria a linha de um grupo arquivado: cor, título, número de abas e os
+   * botões para restaurar na janela atual ou esquecer o grupo.
+   * @param {object} entry - Grupo devolvido por `listArchivedGroups`.
+   * @returns {HTMLElement}
+   */
+  function createArchivedGroupItem(entry) {
+    const item = createElement('li', {
+      className: 'flex items-center gap-2 p-1 rounded',
+      title: entry.tabTitles.join('\n'),
+    });
+    const colorDot = createElement('span', {
+      className: 'w-5 h-5 rounded-full flex-shrink-0',
+    });
+    colorDot.style.backgroundColor = GROUP_COLORS[entry.color]?.[1];
+    item.appendChild(colorDot);
+    item.appendChild(
+      createElement(
+        'span',
+        { className: 'flex-1 min-w-0 truncate' },
+        `${entry.manual ? '📌 ' : ''}${entry.title || 'Sem nome'} (${
+          entry.tabCount
+        })`
+      )
+    );
+    item.appendChild(
+      createElement(
+        'span',
+        {
+          className: 'text-gray-500 dark:text-gray-400',
+          title: entry.automatic ? 'Arquivado por inatividade' : 'Arquivado',
+        },
+        new Date(entry.archivedAt).toLocaleDateString()
+      )
+    );
+
+    [
+      {
+        action: 'restoreArchivedGroup',
+        text: '↺',
+        title: 'Restaurar nesta janela',
+      },
+      {
+        action: 'deleteArchivedGroup',
+        text: '✕',
+        title: 'Esquecer o grupo (as abas não são reabertas)',
+      },
+    ].forEach(({ action, text, title }) => {
+      const button = createElement(
+        'button',
+        {
+          type: 'button',
+          title,
+          className:
+            'px-2 py-1 rounded hover:bg-gray-300 dark:hover:bg-slate-600',
+        },
+        text
+      );
+      button.addEventListener('click', () =>
+        manageArchivedGroup(action, entry.id)
+      );
+      item.appendChild(button);
+    });
+    return item;
+  }
+
+  /**
+   * Lista os grupos arquivados (oculto se não houver nenhum).
+   */
+  async function updateArchivedGroupsUI() {
+    try {
+      const archived = await browser.runtime.sendMessage({
+        action: 'listArchivedGroups',
+      });
+      if (!Array.isArray(archived) || archived.length === 0) {
+        archivedGroupsSection.classList.add('hidden');
+        return;
+      }
+
+      replaceContent(archivedGroupsList, archived.map(createArchivedGroupItem));
+      archivedGroupsSection.classList.remove('hidden');
+    } catch (e) {
+      console.error('Erro ao obter os grupos arquivados:', e);
+      archivedGroupsSection.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Pede ao background para arquivar um grupo desta janela.
+   * @param {number} groupId - ID do grupo.
+   */
+  async function archiveGroup(groupId) {
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'archiveGroup',
+        groupId,
+      });
+      if (result && result.success) {
+        statusDiv.textContent = `🗄 ${result.archived.tabCount} aba(s) arquivada(s)`;
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = result?.error || 'Falha ao arquivar o grupo.';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao arquivar o grupo:', error);
+      statusDiv.textContent = '❌ Falha ao arquivar o grupo';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
+    updateGroupsUI();
+    updateArchivedGroupsUI();
+  }
+
+  /**
+   * Restaura na janela atual ou esquece um grupo arquivado.
+   * @param {'restoreArchivedGroup'|'deleteArchivedGroup'} action - A ação.
+   * @param {string} archiveId - ID do grupo arquivado.
+   */
+  async function manageArchivedGroup(action, archiveId) {
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const result = await browser.runtime.sendMessage({
+        action,
+        archiveId,
+        windowId: currentWindow.id,
+      });
+      if (!result || !result.success) {
+        statusDiv.textContent =
+          result?.error || 'Falha ao alterar o grupo arquivado.';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao alterar o grupo arquivado:', error);
+      statusDiv.textContent = '❌ Falha ao alterar o grupo arquivado';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
+    updateGroupsUI();
+    updateArchivedGroupsUI();
+  }
+
+  /**
+   * Mostra o botão de desfazer com a última operação de grupo registada
+   * (oculto se não houver nenhuma).
+   */
+  async function updateUndoUI() {
+    try {
+      const summary = await browser.runtime.sendMessage({
+        action: 'getUndoSummary',
+      });
+      if (!summary || !summary.last) {
+        undoGroupingButton.classList.add('hidden');
+        return;
+      }
+
+      const { label, at, tabCount } = summary.last;
+      undoGroupingButton.textContent = `↩️ Desfazer: ${label}`;
+      undoGroupingButton.title = `${new Date(at).toLocaleTimeString()} · ${tabCount} aba(s) · ${summary.count} operação(ões) no histórico`;
+      undoGroupingButton.classList.remove('hidden');
+    } catch (e) {
+      console.error('Erro ao obter o histórico de operações:', e);
+      undoGroupingButton.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Lista os grupos da janela atual (oculto se não houver nenhum).
+   */
+  async function updateGroupsUI() {
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const groups = await browser.runtime.sendMessage({
+        action: 'getWindowGroups',
+        windowId: currentWindow.id,
+      });
+      if (!Array.isArray(groups) || groups.length === 0) {
+        groupsSection.classList.add('hidden');
+        return;
+      }
+
+      replaceContent(groupsList, groups.map(createGroupItem));
+      groupsSection.classList.remove('hidden');
+    } catch (e) {
+      console.error('Erro ao obter os grupos da janela:', e);
+      groupsSection.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Pede ao background para aplicar uma operação a um grupo.
+   * @param {number} groupId - ID do grupo.
+   * @param {string} operation - Operação (ver VALID_GROUP_OPERATIONS).
+   * @param {object} [options] - `{ title }` ou `{ color }`.
+   */
+  async function manageGroup(groupId, operation, options = {}) {
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'manageGroup',
+        groupId,
+        operation,
+        ...options,
+      });
+      if (!result || !result.success) {
+        statusDiv.textContent = result?.error || 'Falha ao alterar o grupo.';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao alterar o grupo:', error);
+      statusDiv.textContent = '❌ Falha ao alterar o grupo';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
+    updateGroupsUI();
+    updateUndoUI();
+  }
+
+  /**
+   * Mostra os resultados da pesquisa, realçando o escolhido.
+   */
+  function renderSearchResults() {
+    const hasQuery = tabSearchInput.value.trim() !== '';
+    tabSearchResults.classList.toggle('hidden', !hasQuery);
+    tabSearchHint.classList.toggle('hidden', searchResults.length === 0);
+    if (!hasQuery) return;
+
+    if (searchResults.length === 0) {
+      replaceContent(tabSearchResults, [
+        createElement(
+          'li',
+          { className: 'p-2 text-gray-500 italic dark:text-gray-400' },
+          'Nenhuma aba encontrada.'
+        ),
+      ]);
+      return;
+    }
+
+    replaceContent(
+      tabSearchResults,
+      searchResults.map((result, index) => {
+        const isSelected = index === selectedResultIndex;
+        const item = createElement('li', {
+          role: 'option',
+          className: `p-2 rounded cursor-pointer ${
+            isSelected
+              ? 'bg-blue-100 dark:bg-blue-900/50'
+              : 'hover:bg-gray-200 dark:hover:bg-slate-600'
+          }`,
+        });
+        item.setAttribute('aria-selected', String(isSelected));
+
+        item.appendChild(
+          createElement(
+            'strong',
+            { className: 'block truncate', title: result.title },
+            result.title
+          )
+        );
+
+        let hostname = '';
+        try {
+          hostname = new URL(result.url).hostname;
+        } catch (e) {
+          // URLs internos (ex: about:blank) não têm domínio
+        }
+        const details = [
+          result.groupTitle && `▣ ${result.groupTitle}`,
+          hostname,
+          result.windowId !== searchWindowId && 'outra janela',
+        ].filter(Boolean);
+        if (result.matchedField === 'originalTitle') {
+          details.push(`título original: ${result.originalTitle}`);
+        }
+        item.appendChild(
+          createElement(
+            'span',
+            { className: 'block truncate text-gray-500 dark:text-gray-400' },
+            details.join(' · ')
+          )
+        );
+
+        item.addEventListener('click', (e) =>
+          openSearchResult(result, getSearchOpenMode(e))
+        );
+        return item;
+      })
+    );
+    tabSearchResults.children[selectedResultIndex]?.scrollIntoView({
+      block: 'nearest',
+    });
+  }
+
+  /**
+   * Pesquisa as abas de todas as janelas com o texto do campo de pesquisa.
+   */
+  async function runTabSearch() {
+    try {
+      const [currentWindow, results] = await Promise.all([
+        browser.windows.getCurrent(),
+        browser.runtime.sendMessage({
+          action: 'searchTabs',
+          query: tabSearchInput.value,
+        }),
+      ]);
+      searchWindowId = currentWindow.id;
+      searchResults = Array.isArray(results) ? results : [];
+      selectedResultIndex = 0;
+      renderSearchResults();
+    } catch (e) {
+      console.error('Erro ao pesquisar abas:', e);
+    }
+  }
+
+  /**
+   * Indica o que fazer com um resultado conforme as teclas premidas: Shift
+   * traz a aba para esta janela, Alt traz o grupo inteiro.
+   * @param {KeyboardEvent|MouseEvent} e - O evento.
+   * @returns {'activate'|'move_tab'|'move_group'}
+   */
+  function getSearchOpenMode(e) {
+    if (e.altKey) return 'move_group';
+    if (e.shiftKey) return 'move_tab';
+    return 'activate';
+  }
+
+  /**
+   * Pede ao background para abrir um resultado da pesquisa.
+   * @param {object} result - O resultado.
+   * @param {'activate'|'move_tab'|'move_group'} mode - O que fazer.
+   */
+  async function openSearchResult(result, mode) {
+    try {
+      await browser.runtime.sendMessage({
+        action: 'openSearchResult',
+        tabId: result.tabId,
+        mode,
+        windowId: searchWindowId,
+      });
+      window.close();
+    } catch (error) {
+      console.error('Erro ao abrir o resultado da pesquisa:', error);
+      statusDiv.textContent = '❌ Falha ao abrir a aba';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    }
   }
 
   /**
@@ -112,6 +826,35 @@ document.addEventListener('DOMContentLoaded', () => {
 
   initializePopup();
   updateSuggestionUI(); // NOVO: Verifica por sugestões ao abrir
+  updateGroupsUI();
+  updateArchivedGroupsUI();
+  updateUndoUI();
+  updateWindowPolicyUI();
+  updateRenameHistoryUI();
+  updateDuplicatesUI();
+
+  // Listeners da pesquisa de abas
+  tabSearchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(runTabSearch, 150);
+  });
+  tabSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (searchResults.length === 0) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      selectedResultIndex =
+        (selectedResultIndex + step + searchResults.length) %
+        searchResults.length;
+      renderSearchResults();
+    } else if (e.key === 'Enter' && searchResults[selectedResultIndex]) {
+      e.preventDefault();
+      openSearchResult(
+        searchResults[selectedResultIndex],
+        getSearchOpenMode(e)
+      );
+    }
+  });
 
   // Listener para o botão de ativar/desativar
   toggle.addEventListener('change', async () => {
@@ -229,6 +972,129 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Listener para o botão de guardar sessão (instantâneo dos grupos da janela)
+  saveSessionButton.addEventListener('click', async () => {
+    saveSessionButton.disabled = true;
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const result = await browser.runtime.sendMessage({
+        action: 'saveSnapshot',
+        windowId: currentWindow.id,
+      });
+      if (result && result.success) {
+        statusDiv.textContent = `💾 Sessão guardada (${result.snapshot.groupCount} grupos)`;
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = result?.error || 'Falha ao guardar sessão.';
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-yellow-600 dark:text-yellow-400';
+      }
+    } catch (error) {
+      console.error('Erro ao guardar sessão:', error);
+      statusDiv.textContent = '❌ Falha ao guardar sessão';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    } finally {
+      saveSessionButton.disabled = false;
+    }
+  });
+
+  // Listener para desfazer a última operação de grupo da extensão
+  undoGroupingButton.addEventListener('click', async () => {
+    undoGroupingButton.disabled = true;
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'undoLastGrouping',
+      });
+      if (result && result.success) {
+        statusDiv.textContent = `↩️ ${result.restoredTabs} aba(s) restaurada(s)`;
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = result?.error || 'Nada para desfazer.';
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-yellow-600 dark:text-yellow-400';
+      }
+    } catch (error) {
+      console.error('Erro ao desfazer a operação:', error);
+      statusDiv.textContent = '❌ Falha ao desfazer';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    } finally {
+      undoGroupingButton.disabled = false;
+    }
+    updateUndoUI();
+    updateGroupsUI();
+  });
+
+  // Ao escolher uma etiqueta existente, mostra a política já definida para ela
+  windowLabelInput.addEventListener('change', () => {
+    fillWindowPolicyControls(
+      windowPolicies[windowLabelInput.value.trim()] || {}
+    );
+  });
+
+  // Listener para aplicar a política a esta janela
+  applyWindowPolicyButton.addEventListener('click', async () => {
+    const policy = {};
+    if (windowAutoGroupingSelect.value) {
+      policy.autoGroupingEnabled = windowAutoGroupingSelect.value === 'true';
+    }
+    if (windowGroupingModeSelect.value) {
+      policy.groupingMode = windowGroupingModeSelect.value;
+    }
+    const minTabs = parseInt(windowMinTabsInput.value, 10);
+    if (minTabs > 0) {
+      policy.minTabsForAutoGroup = minTabs;
+    }
+
+    applyWindowPolicyButton.disabled = true;
+    try {
+      const currentWindow = await browser.windows.getCurrent();
+      const state = await browser.runtime.sendMessage({
+        action: 'setWindowPolicy',
+        windowId: currentWindow.id,
+        label: windowLabelInput.value.trim(),
+        policy,
+      });
+      if (state && state.effective) {
+        windowPolicies = { ...windowPolicies };
+        if (state.label) windowPolicies[state.label] = state.policy;
+        renderWindowPolicy(state);
+        statusDiv.textContent = '✅ Política da janela aplicada';
+        statusDiv.className =
+          'text-xs text-center mt-2 h-4 text-green-600 dark:text-green-400';
+      } else {
+        statusDiv.textContent = '❌ Política inválida';
+        statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+      }
+    } catch (error) {
+      console.error('Erro ao aplicar a política da janela:', error);
+      statusDiv.textContent = '❌ Falha ao aplicar a política';
+      statusDiv.className = 'text-xs text-center mt-2 h-4 text-red-500';
+    } finally {
+      applyWindowPolicyButton.disabled = false;
+    }
+  });
+
+  // Listeners para restaurar títulos originais
+  revertTabTitleButton.addEventListener('click', () =>
+    revertTitles({ scope: 'tab', tabId: activeTabId })
+  );
+  revertRuleTitlesButton.addEventListener('click', () =>
+    revertTitles({ scope: 'rule', ruleId: activeRenameRuleId })
+  );
+  revertAllTitlesButton.addEventListener('click', () =>
+    revertTitles({ scope: 'all' })
+  );
+
+  // Listeners para fechar abas duplicadas
+  closeGroupDuplicatesButton.addEventListener('click', () =>
+    closeDuplicates('group')
+  );
+  closeWindowDuplicatesButton.addEventListener('click', () =>
+    closeDuplicates('window')
+  );
+
   // Listener para o botão de opções
   optionsButton.addEventListener('click', () => {
     browser.runtime.openOptionsPage();
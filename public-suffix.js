@@ -0,0 +1,122 @@
+/**
+ * @file public-suffix.js
+ * @description Consulta da Public Suffix List (vendor/public-suffix-list.js):
+ * sufixo público (eTLD) e domínio registável (eTLD+1) de um hostname, ex:
+ * 'user.github.io' -> 'github.io' / 'user.github.io', 'a.b.co.jp' ->
+ * 'co.jp' / 'b.co.jp'. As regras são carregadas, na primeira consulta, numa
+ * árvore de rótulos invertidos, percorrida uma vez por hostname.
+ * Módulo puro, partilhado pelo background e pela página de opções.
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './vendor/public-suffix-list.js';
+
+// Marca, num nó da árvore, que o caminho até ele é uma regra (ou exceção)
+const RULE_MARK = '!';
+const RULE = 'rule';
+const EXCEPTION = 'exception';
+const WILDCARD = '*';
+
+/** @type {Map<string, Map>|null} */
+let suffixTree = null;
+
+/**
+ * Constrói (uma vez) a árvore das regras: cada nó é um Map de rótulo -> nó,
+ * a começar pelo TLD.
+ * @returns {Map<string, Map>}
+ */
+function getSuffixTree() {
+  if (suffixTree) return suffixTree;
+
+  suffixTree = new Map();
+  for (const line of PUBLIC_SUFFIX_RULES.split('\n')) {
+    if (!line) continue;
+    const isException = line.startsWith('!');
+    const labels = (isException ? line.slice(1) : line).split('.').reverse();
+
+    let node = suffixTree;
+    for (const label of labels) {
+      if (!node.has(label)) node.set(label, new Map());
+      node = node.get(label);
+    }
+    node.set(RULE_MARK, isException ? EXCEPTION : RULE);
+  }
+  return suffixTree;
+}
+
+/**
+ * Normaliza um hostname para consulta; devolve null para endereços IP e
+ * valores que não são nomes de domínio.
+ * @param {string} hostname - O hostname.
+ * @returns {string|null}
+ */
+function normalizeHostname(hostname) {
+  const host = String(hostname || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, '');
+  if (!host || host.includes(':') || /^[\d.]+$/.test(host)) return null;
+  if (host.split('.').some((label) => !label)) return null;
+  return host;
+}
+
+/**
+ * Conta quantos rótulos (a partir do fim) formam o sufixo público, segundo o
+ * algoritmo da Public Suffix List: a regra que prevalece é a exceção, se
+ * houver, ou a regra mais longa; sem regras, o TLD ("*" implícito).
+ * @param {string[]} labels - Rótulos do hostname, do TLD para a esquerda.
+ * @returns {number}
+ */
+function countSuffixLabels(labels) {
+  let node = getSuffixTree();
+  let suffixLabels = 1;
+
+  for (let i = 0; i < labels.length; i++) {
+    if (node.get(WILDCARD)?.get(RULE_MARK) === RULE) {
+      suffixLabels = i + 1;
+    }
+
+    const next = node.get(labels[i]);
+    if (!next) break;
+
+    const mark = next.get(RULE_MARK);
+    // Uma exceção retira o seu rótulo mais à esquerda ao sufixo
+    if (mark === EXCEPTION) return i;
+    if (mark === RULE) suffixLabels = i + 1;
+    node = next;
+  }
+
+  return suffixLabels;
+}
+
+/**
+ * Obtém o sufixo público (eTLD) de um hostname.
+ * @param {string} hostname - O hostname (em ASCII, como em `URL.hostname`).
+ * @returns {string|null} O sufixo, ou null para IPs e hostnames inválidos.
+ */
+export function getPublicSuffix(hostname) {
+  const host = normalizeHostname(hostname);
+  if (!host) return null;
+
+  const labels = host.split('.').reverse();
+  return labels.slice(0, countSuffixLabels(labels)).reverse().join('.');
+}
+
+/**
+ * Obtém o domínio registável (eTLD+1) de um hostname: o sufixo público mais
+ * um rótulo.
+ * @param {string} hostname - O hostname (em ASCII, como em `URL.hostname`).
+ * @returns {string|null} O domínio, ou null se o hostname for um IP, um
+ * sufixo público ou um nome sem sufixo (ex: 'localhost').
+ */
+export function getRegistrableDomain(hostname) {
+  const host = normalizeHostname(hostname);
+  if (!host) return null;
+
+  const labels = host.split('.').reverse();
+  const suffixLabels = countSuffixLabels(labels);
+  if (labels.length <= suffixLabels) return null;
+  return labels
+    .slice(0, suffixLabels + 1)
+    .reverse()
+    .join('.');
+}
@@ -0,0 +1,187 @@
+/**
+ * @file rename-history.js
+ * @description Histórico de renomeações de cada aba: o título definido pela
+ * própria página (o título a restaurar) e a cadeia de títulos aplicados pelo
+ * motor de renomeação, com a regra que causou cada um. Uma aba restaurada fica
+ * marcada com o seu URL, para não voltar a ser renomeada até navegar.
+ */
+
+import Logger from './logger.js';
+
+const RENAME_HISTORY_STORAGE_KEY = 'tabRenameHistory';
+const MAX_RENAMES_PER_TAB = 20;
+
+// IDs de aba não sobrevivem a um reinício do browser
+const historyStorage = browser.storage.session || browser.storage.local;
+
+/**
+ * @typedef {object} RenameRecord
+ * @property {string} title - Título aplicado (ou restaurado).
+ * @property {string|null} ruleId - Regra que o aplicou (null num restauro).
+ * @property {string|null} ruleName - Nome da regra no momento da renomeação.
+ * @property {number} at - Timestamp.
+ * @property {boolean} [reverted] - True se o registo é um restauro.
+ */
+
+/**
+ * @typedef {object} TabRenameHistory
+ * @property {string} originalTitle - Último título definido pela página.
+ * @property {string} url - URL da aba na última renomeação.
+ * @property {RenameRecord[]} renames - Cadeia de renomeações, da mais antiga.
+ * @property {string} [revertedUrl] - URL em que a aba foi restaurada.
+ */
+
+/** @type {Map<number, TabRenameHistory>|null} */
+let renameHistory = null;
+
+/**
+ * Carrega (uma vez) o mapa tabId -> histórico.
+ * @returns {Promise<Map<number, TabRenameHistory>>}
+ */
+async function loadRenameHistory() {
+  if (renameHistory) return renameHistory;
+
+  const data = await historyStorage.get(RENAME_HISTORY_STORAGE_KEY);
+  renameHistory = new Map(
+    Object.entries(data[RENAME_HISTORY_STORAGE_KEY] || {}).map(
+      ([id, entry]) => [parseInt(id, 10), entry]
+    )
+  );
+  return renameHistory;
+}
+
+/**
+ * Persiste o mapa tabId -> histórico.
+ */
+async function persistRenameHistory() {
+  await historyStorage.set({
+    [RENAME_HISTORY_STORAGE_KEY]: Object.fromEntries(renameHistory),
+  });
+}
+
+/**
+ * Indica se o último registo de um histórico é uma renomeação ativa.
+ * @param {TabRenameHistory|undefined} entry - O histórico da aba.
+ * @returns {boolean}
+ */
+function isRenamed(entry) {
+  return Boolean(entry && entry.renames.length > 0 && !entry.revertedUrl);
+}
+
+/**
+ * Regista uma renomeação aplicada a uma aba.
+ * @param {number} tabId - ID da aba.
+ * @param {object} rename
+ * @param {string} rename.pageTitle - Título que a página tinha definido.
+ * @param {string} rename.title - Título aplicado.
+ * @param {string} rename.url - URL da aba.
+ * @param {object|null} rename.rule - Regra que produziu o título.
+ */
+export async function recordRename(tabId, { pageTitle, title, url, rule }) {
+  const history = await loadRenameHistory();
+  const previous = history.get(tabId);
+  history.set(tabId, {
+    // A página pode ter mudado o seu próprio título desde a última renomeação
+    // (navegação ou SPA); é esse o título a restaurar
+    originalTitle: pageTitle,
+    url,
+    renames: [
+      ...(previous?.renames || []),
+      {
+        title,
+        ruleId: rule?.id ?? null,
+        ruleName: rule?.name ?? null,
+        at: Date.now(),
+      },
+    ].slice(-MAX_RENAMES_PER_TAB),
+  });
+  await persistRenameHistory();
+}
+
+/**
+ * Obtém o histórico de renomeações de uma aba.
+ * @param {number} tabId - ID da aba.
+ * @returns {Promise<(TabRenameHistory & {isRenamed: boolean})|null>}
+ */
+export async function getRenameHistory(tabId) {
+  const history = await loadRenameHistory();
+  const entry = history.get(tabId);
+  return entry ? { ...entry, isRenamed: isRenamed(entry) } : null;
+}
+
+/**
+ * Obtém o título original (o da página) de todas as abas renomeadas.
+ * @returns {Promise<Map<number, string>>} Mapa tabId -> título original.
+ */
+export async function getOriginalTitles() {
+  const history = await loadRenameHistory();
+  const titles = new Map();
+  for (const [tabId, entry] of history) {
+    if (isRenamed(entry)) titles.set(tabId, entry.originalTitle);
+  }
+  return titles;
+}
+
+/**
+ * Indica se uma aba foi restaurada no URL em que está (e não deve ser
+ * renomeada de novo até navegar).
+ * @param {number} tabId - ID da aba.
+ * @param {string} url - URL atual da aba.
+ * @returns {Promise<boolean>}
+ */
+export async function isTitleReverted(tabId, url) {
+  const history = await loadRenameHistory();
+  return history.get(tabId)?.revertedUrl === url;
+}
+
+/**
+ * Escolhe as abas renomeadas a restaurar e marca-as como restauradas.
+ * Sem filtro, devolve todas as abas renomeadas.
+ * @param {object} [filter]
+ * @param {number} [filter.tabId] - Apenas esta aba.
+ * @param {string[]} [filter.ruleIds] - Apenas abas renomeadas por estas regras.
+ * @returns {Promise<Array<{tabId: number, originalTitle: string}>>}
+ */
+export async function takeRevertTargets({ tabId, ruleIds } = {}) {
+  const history = await loadRenameHistory();
+  const targets = [];
+  for (const [id, entry] of history) {
+    if (!isRenamed(entry)) continue;
+    if (tabId !== undefined && id !== tabId) continue;
+    const { ruleId } = entry.renames[entry.renames.length - 1];
+    if (ruleIds && !ruleIds.includes(ruleId)) continue;
+
+    targets.push({ tabId: id, originalTitle: entry.originalTitle });
+    entry.revertedUrl = entry.url;
+    entry.renames = [
+      ...entry.renames,
+      {
+        title: entry.originalTitle,
+        ruleId: null,
+        ruleName: null,
+        at: Date.now(),
+        reverted: true,
+      },
+    ].slice(-MAX_RENAMES_PER_TAB);
+  }
+
+  if (targets.length > 0) {
+    await persistRenameHistory();
+    Logger.debug(
+      'RenameHistory',
+      `${targets.length} aba(s) marcadas para restauro do título.`
+    );
+  }
+  return targets;
+}
+
+/**
+ * Esquece o histórico de uma aba fechada.
+ * @param {number} tabId - ID da aba.
+ */
+export async function forgetTabHistory(tabId) {
+  const history = await loadRenameHistory();
+  if (history.delete(tabId)) {
+    await persistRenameHistory();
+  }
+}
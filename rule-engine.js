@@ -0,0 +1,743 @@
+/**
+ * @file rule-engine.js
+ * @description Motor único da linguagem de condições das regras, usado pelas
+ * regras de agrupamento (grouping-logic.js), pelas regras de renomeação
+ * (tab-renaming-engine.js) e pelos testadores da página de opções.
+ *
+ * Cada condição ou grupo de condições é compilado uma vez numa função
+ * `(propriedades) => boolean`, com as expressões regulares, padrões glob e
+ * listas já preparados. As funções compiladas ficam em cache por objeto de
+ * condição e são refeitas quando a condição muda.
+ *
+ * Inclui também a ordenação das regras de agrupamento por prioridade e a
+ * análise estática de conflitos entre regras.
+ */
+
+import Logger from './logger.js';
+import {
+  BOOLEAN_TAB_PROPERTIES,
+  NUMERIC_TAB_PROPERTIES,
+  isConditionGroup,
+  validateCondition,
+  sanitizeString,
+  sanitizeUrl,
+} from './validation-utils.js';
+import { getRegistrableDomain } from './public-suffix.js';
+
+/**
+ * Propriedades cujo valor é um hostname: `in_list` aceita também subdomínios.
+ */
+export const HOSTNAME_PROPERTIES = new Set([
+  'hostname',
+  'registrable_domain',
+  'opener_hostname',
+]);
+
+/**
+ * Operadores cujo valor é uma lista (separada por vírgulas ou linhas, ou
+ * `@nome` de uma lista partilhada).
+ */
+export const LIST_OPERATORS = new Set(['in_list', 'matches_any_glob']);
+
+// Limite de expressões regulares guardadas em cache
+const PATTERN_CACHE_LIMIT = 500;
+
+/** @type {Map<string, RegExp>} */
+const patternCache = new Map();
+
+/** @type {WeakMap<object, {sharedLists: object, matcher: Function}>} */
+const compiledMatchers = new WeakMap();
+
+const NEVER_MATCHES = () => false;
+
+/**
+ * Obtém (da cache, ou compilando) uma expressão regular insensível a
+ * maiúsculas. Lança um erro se o padrão for inválido.
+ * @param {string} pattern - O padrão da expressão regular.
+ * @returns {RegExp}
+ */
+export function compileRegExp(pattern) {
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    regex = new RegExp(pattern, 'i');
+    if (patternCache.size >= PATTERN_CACHE_LIMIT) {
+      patternCache.delete(patternCache.keys().next().value);
+    }
+    patternCache.set(pattern, regex);
+  }
+  return regex;
+}
+
+/**
+ * Converte um padrão glob numa expressão regular ancorada e insensível a
+ * maiúsculas. Só `*` é curinga: `?` é literal, como nas condições `wildcard`
+ * originais (ex: `https://www.google.com/search?q=*`).
+ * @param {string} pattern - O padrão glob.
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  return compileRegExp(
+    '^' +
+      pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*') +
+      '$'
+  );
+}
+
+/**
+ * Resolve as entradas de uma lista de condição.
+ * @param {string} value - Valor da condição: entradas separadas por vírgulas
+ * ou quebras de linha, ou `@nome` para usar uma lista partilhada.
+ * @param {object} [sharedLists={}] - Listas partilhadas (`settings.sharedLists`).
+ * @returns {string[]} As entradas, sem espaços e sem vazias.
+ */
+export function resolveListEntries(value, sharedLists = {}) {
+  const raw = String(value || '').trim();
+  const entries = raw.startsWith('@')
+    ? sharedLists?.[raw.slice(1).trim()] || []
+    : raw.split(/[\n,]+/);
+
+  return entries
+    .map((entry) => sanitizeString(String(entry), 200))
+    .filter((entry) => entry !== '');
+}
+
+/**
+ * Extrai as propriedades de uma aba usadas nas condições, já sanitizadas.
+ * `opener_hostname` e `age_minutes` dependem do contexto de abertura
+ * (`openerHostname`, `openedAt`), quando o chamador o acrescentou à aba.
+ * @param {object} tab - O objeto da aba.
+ * @returns {object} Valores das propriedades, como strings (ou número em `age_minutes`).
+ */
+export function buildTabProperties(tab) {
+  const sanitizedUrl = sanitizeUrl(tab.url) || '';
+  const sanitizedTitle = sanitizeString(tab.title || '', 200);
+
+  let hostname = '';
+  let urlPath = '';
+  if (sanitizedUrl) {
+    try {
+      const parsedUrl = new URL(sanitizedUrl);
+      hostname = parsedUrl.hostname || '';
+      urlPath = parsedUrl.pathname || '';
+    } catch (e) {
+      Logger.debug(
+        'RuleEngine',
+        `Erro ao analisar a URL da aba: ${sanitizedUrl}`
+      );
+    }
+  }
+
+  return {
+    url: sanitizedUrl,
+    title: sanitizedTitle,
+    hostname: sanitizeString(hostname, 100),
+    registrable_domain: sanitizeString(
+      getRegistrableDomain(hostname) || hostname,
+      100
+    ),
+    url_path: sanitizeString(urlPath, 100),
+    pinned: String(!!tab.pinned),
+    audible: String(!!tab.audible),
+    muted: String(!!(tab.mutedInfo && tab.mutedInfo.muted)),
+    discarded: String(!!tab.discarded),
+    incognito: String(!!tab.incognito),
+    opener_hostname: sanitizeString(tab.openerHostname || '', 100),
+    cookie_store_id: sanitizeString(tab.cookieStoreId || '', 100),
+    age_minutes: tab.openedAt
+      ? Math.floor((Date.now() - tab.openedAt) / 60000)
+      : 0,
+  };
+}
+
+/**
+ * Compila um predicado de parâmetro de query.
+ * @param {string} expected - `chave=valor`, ou só `chave` para testar presença.
+ * @returns {function(string): boolean} Predicado sobre a URL.
+ */
+function compileQueryParamTest(expected) {
+  const separator = expected.indexOf('=');
+  const key = separator === -1 ? expected : expected.slice(0, separator);
+  const value =
+    separator === -1 ? null : expected.slice(separator + 1).toLowerCase();
+
+  return (url) => {
+    let params;
+    try {
+      params = new URL(url).searchParams;
+    } catch (e) {
+      return false;
+    }
+    if (value === null) return params.has(key);
+    return params.getAll(key).some((v) => v.toLowerCase() === value);
+  };
+}
+
+/**
+ * Compila o operador de uma condição num predicado sobre o valor da
+ * propriedade. Lança um erro para operadores desconhecidos.
+ * @param {object} condition - A condição (`property`, `operator`, `value`).
+ * @param {object} sharedLists - Listas partilhadas para `@nome`.
+ * @returns {function(string|number): boolean}
+ */
+function compileOperator(condition, sharedLists) {
+  const { property, operator } = condition;
+
+  if (operator === 'in_list') {
+    const entries = resolveListEntries(condition.value, sharedLists).map((e) =>
+      e.toLowerCase()
+    );
+    if (HOSTNAME_PROPERTIES.has(property)) {
+      return (value) => {
+        const hostname = String(value).toLowerCase();
+        return entries.some(
+          (entry) => hostname === entry || hostname.endsWith(`.${entry}`)
+        );
+      };
+    }
+    const entrySet = new Set(entries);
+    return (value) => entrySet.has(String(value).toLowerCase());
+  }
+
+  if (operator === 'matches_any_glob') {
+    const patterns = resolveListEntries(condition.value, sharedLists).map(
+      globToRegExp
+    );
+    return (value) => patterns.some((regex) => regex.test(String(value)));
+  }
+
+  const condValue = sanitizeString(String(condition.value ?? ''), 200);
+  if (condValue === '') {
+    return NEVER_MATCHES; // Condições com valor vazio são sempre falsas.
+  }
+  const lowerCond = condValue.toLowerCase();
+  const number = Number(condValue);
+
+  switch (operator) {
+    case 'contains':
+      return (value) => String(value).toLowerCase().includes(lowerCond);
+    case 'not_contains':
+      return (value) => !String(value).toLowerCase().includes(lowerCond);
+    case 'starts_with':
+      return (value) => String(value).toLowerCase().startsWith(lowerCond);
+    case 'ends_with':
+      return (value) => String(value).toLowerCase().endsWith(lowerCond);
+    case 'equals':
+      return NUMERIC_TAB_PROPERTIES.has(property)
+        ? (value) => Number(value) === number
+        : (value) => String(value).toLowerCase() === lowerCond;
+    case 'regex': {
+      const regex = compileRegExp(condValue);
+      return (value) => regex.test(String(value));
+    }
+    case 'wildcard': {
+      // Mantido para retrocompatibilidade na migração
+      const regex = globToRegExp(condValue);
+      return (value) => regex.test(String(value));
+    }
+    case 'query_param_equals':
+      return compileQueryParamTest(condValue);
+    case 'greater_than':
+      return (value) => Number(value) > number;
+    case 'less_than':
+      return (value) => Number(value) < number;
+    case 'greater_or_equal':
+      return (value) => Number(value) >= number;
+    case 'less_or_equal':
+      return (value) => Number(value) <= number;
+    default:
+      throw new Error(`Operador desconhecido: ${operator}`);
+  }
+}
+
+/**
+ * Compila uma condição numa função `(propriedades) => boolean`. Condições
+ * inválidas são registadas uma vez e nunca correspondem. A cache é por objeto
+ * de condição e é refeita se a condição for alterada no próprio objeto.
+ * @param {object} condition - A condição (`property`, `operator`, `value`).
+ * @param {object} [options={}]
+ * @param {object} [options.sharedLists] - Listas partilhadas para `@nome`.
+ * @returns {function(object): boolean}
+ */
+export function compileCondition(condition, { sharedLists = {} } = {}) {
+  const isObject = !!condition && typeof condition === 'object';
+  const cached = isObject && compiledMatchers.get(condition);
+  if (
+    cached &&
+    cached.sharedLists === sharedLists &&
+    cached.property === condition.property &&
+    cached.operator === condition.operator &&
+    cached.value === condition.value
+  ) {
+    return cached.matcher;
+  }
+
+  let matcher = NEVER_MATCHES;
+  const validation = validateCondition(condition);
+  if (!validation.isValid) {
+    Logger.error(
+      'RuleEngine',
+      `Condição inválida: ${validation.errors.join('; ')}`
+    );
+  } else {
+    try {
+      const test = compileOperator(condition, sharedLists);
+      const { property } = condition;
+      matcher = (properties) => {
+        try {
+          return test(properties[property] ?? '');
+        } catch (e) {
+          Logger.error(
+            'RuleEngine',
+            `Erro ao avaliar condição: propriedade='${property}', operador='${condition.operator}'`,
+            e
+          );
+          return false;
+        }
+      };
+    } catch (e) {
+      Logger.error(
+        'RuleEngine',
+        `Erro ao compilar condição: propriedade='${condition.property}', operador='${condition.operator}', valor='${condition.value}'`,
+        e
+      );
+    }
+  }
+
+  if (isObject) {
+    compiledMatchers.set(condition, {
+      sharedLists,
+      property: condition.property,
+      operator: condition.operator,
+      value: condition.value,
+      matcher,
+    });
+  }
+  return matcher;
+}
+
+/**
+ * Compila recursivamente um grupo de condições `{ operator, conditions }`,
+ * em que cada item pode ser uma condição ou outro grupo. Os itens são lidos
+ * a cada avaliação (e compilados pela cache), pelo que condições acrescentadas
+ * ao grupo no próprio objeto são tidas em conta.
+ * @param {object} conditionGroup - O grupo de condições.
+ * @param {object} [options={}]
+ * @param {object} [options.sharedLists] - Listas partilhadas para `@nome`.
+ * @returns {function(object): boolean}
+ */
+export function compileConditionGroup(
+  conditionGroup,
+  { sharedLists = {} } = {}
+) {
+  if (!isConditionGroup(conditionGroup)) {
+    Logger.error('RuleEngine', 'Grupo de condições deve ser um objeto válido');
+    return NEVER_MATCHES;
+  }
+
+  const cached = compiledMatchers.get(conditionGroup);
+  if (cached && cached.sharedLists === sharedLists) return cached.matcher;
+
+  const options = { sharedLists };
+  const matchItem = (properties) => (item) =>
+    isConditionGroup(item)
+      ? compileConditionGroup(item, options)(properties)
+      : compileCondition(item, options)(properties);
+
+  const matcher = (properties) => {
+    const { operator, conditions } = conditionGroup;
+    if (conditions.length === 0) {
+      Logger.error(
+        'RuleEngine',
+        'Grupo de condições deve ter um array não vazio de conditions'
+      );
+      return false;
+    }
+    // Avaliação 'preguiçosa': every/some param no primeiro resultado decisivo
+    if (operator === 'AND') return conditions.every(matchItem(properties));
+    if (operator === 'OR') return conditions.some(matchItem(properties));
+    Logger.error(
+      'RuleEngine',
+      `Operador lógico inválido: ${operator}. Deve ser 'AND' ou 'OR'`
+    );
+    return false;
+  };
+
+  compiledMatchers.set(conditionGroup, { sharedLists, matcher });
+  return matcher;
+}
+
+// --- PRIORIDADE DAS REGRAS ---
+
+/**
+ * Prioridade das regras de agrupamento sem prioridade explícita.
+ */
+export const DEFAULT_RULE_PRIORITY = 100;
+
+/** @type {WeakMap<object[], {source: object[], priorities: number[], sorted: object[]}>} */
+const sortedRulesCache = new WeakMap();
+
+/**
+ * Obtém a prioridade efetiva de uma regra (menor = avaliada primeiro).
+ * @param {object} rule - A regra.
+ * @returns {number}
+ */
+export function getRulePriority(rule) {
+  return typeof rule?.priority === 'number'
+    ? rule.priority
+    : DEFAULT_RULE_PRIORITY;
+}
+
+/**
+ * Ordena as regras por prioridade, mantendo a ordem do array entre regras
+ * com a mesma prioridade. O resultado fica em cache por array de regras.
+ * @param {object[]} rules - As regras.
+ * @returns {object[]} Uma cópia ordenada.
+ */
+export function sortRulesByPriority(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  // A cache é refeita se o array ou as prioridades mudarem no próprio objeto
+  const priorities = rules.map(getRulePriority);
+  const cached = sortedRulesCache.get(rules);
+  if (
+    cached &&
+    cached.source.length === rules.length &&
+    cached.source.every(
+      (rule, i) => rule === rules[i] && cached.priorities[i] === priorities[i]
+    )
+  ) {
+    return cached.sorted;
+  }
+
+  const sorted = rules
+    .map((rule, index) => ({ rule, index }))
+    .sort(
+      (a, b) =>
+        getRulePriority(a.rule) - getRulePriority(b.rule) || a.index - b.index
+    )
+    .map(({ rule }) => rule);
+  sortedRulesCache.set(rules, {
+    source: rules.slice(),
+    priorities,
+    sorted,
+  });
+  return sorted;
+}
+
+// --- ANÁLISE DE CONFLITOS ---
+
+// Limite de termos (conjunções) por regra na forma normal disjuntiva
+const MAX_DNF_TERMS = 64;
+
+// Limite de valores de exemplo por propriedade ao procurar sobreposições
+const MAX_SAMPLE_VALUES = 12;
+
+/**
+ * Converte um grupo de condições na forma normal disjuntiva: uma lista de
+ * termos, cada um uma lista de condições que têm de se verificar em conjunto.
+ * @param {object} item - Condição ou grupo de condições.
+ * @returns {object[][]|null} Os termos, ou null se forem demasiados.
+ */
+function toDisjunctiveTerms(item) {
+  if (!isConditionGroup(item)) return [[item]];
+
+  const childTerms = item.conditions.map(toDisjunctiveTerms);
+  if (childTerms.some((terms) => terms === null)) return null;
+
+  if (item.operator === 'OR') {
+    const terms = childTerms.flat();
+    return terms.length > MAX_DNF_TERMS ? null : terms;
+  }
+
+  let terms = [[]];
+  for (const child of childTerms) {
+    terms = terms.flatMap((term) => child.map((c) => [...term, ...c]));
+    if (terms.length > MAX_DNF_TERMS) return null;
+  }
+  return terms;
+}
+
+/**
+ * Verifica se uma condição é satisfeita por um valor da sua propriedade.
+ * @param {object} condition - A condição.
+ * @param {string|number} value - O valor.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {boolean}
+ */
+function conditionAccepts(condition, value, sharedLists) {
+  return compileCondition(condition, { sharedLists })({
+    [condition.property]: value,
+  });
+}
+
+/**
+ * Verifica (de forma conservadora) se a condição `b` implica a condição `a`,
+ * ou seja, se qualquer valor que satisfaz `b` também satisfaz `a`.
+ * @param {object} b - A condição mais específica.
+ * @param {object} a - A condição mais geral.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {boolean} Verdadeiro apenas quando a implicação é garantida.
+ */
+function conditionImplies(b, a, sharedLists) {
+  if (b.property !== a.property) return false;
+
+  const bValue = String(b.value ?? '').trim();
+  const aValue = String(a.value ?? '').trim();
+  if (
+    b.operator === a.operator &&
+    bValue.toLowerCase() === aValue.toLowerCase()
+  ) {
+    return true;
+  }
+
+  const bLower = bValue.toLowerCase();
+  const aLower = aValue.toLowerCase();
+  const x = Number(bValue);
+  const y = Number(aValue);
+
+  switch (b.operator) {
+    case 'equals':
+      return conditionAccepts(a, bValue, sharedLists);
+    case 'in_list': {
+      const entries = resolveListEntries(b.value, sharedLists);
+      // Nos domínios, a lista inclui os subdomínios das entradas
+      const coversSubdomains =
+        !HOSTNAME_PROPERTIES.has(b.property) ||
+        ['in_list', 'contains', 'ends_with'].includes(a.operator);
+      return (
+        entries.length > 0 &&
+        coversSubdomains &&
+        entries.every((entry) => conditionAccepts(a, entry, sharedLists))
+      );
+    }
+    case 'contains':
+      return a.operator === 'contains' && bLower.includes(aLower);
+    case 'starts_with':
+      return (
+        (a.operator === 'starts_with' && bLower.startsWith(aLower)) ||
+        (a.operator === 'contains' && bLower.includes(aLower))
+      );
+    case 'ends_with':
+      return (
+        (a.operator === 'ends_with' && bLower.endsWith(aLower)) ||
+        (a.operator === 'contains' && bLower.includes(aLower))
+      );
+    case 'not_contains':
+      return a.operator === 'not_contains' && aLower.includes(bLower);
+    case 'greater_than':
+    case 'greater_or_equal':
+      if (a.operator === 'greater_or_equal') return x >= y;
+      if (a.operator === 'greater_than') {
+        return b.operator === 'greater_than' ? x >= y : x > y;
+      }
+      return false;
+    case 'less_than':
+    case 'less_or_equal':
+      if (a.operator === 'less_or_equal') return x <= y;
+      if (a.operator === 'less_than') {
+        return b.operator === 'less_than' ? x <= y : x < y;
+      }
+      return false;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Verifica se um termo (conjunção) implica outro: cada condição do termo
+ * geral é implicada por alguma condição do termo específico.
+ * @param {object[]} specific - Termo da regra posterior.
+ * @param {object[]} general - Termo da regra anterior.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {boolean}
+ */
+function termImplies(specific, general, sharedLists) {
+  return general.every((a) =>
+    specific.some((b) => conditionImplies(b, a, sharedLists))
+  );
+}
+
+/**
+ * Gera valores de exemplo que podem satisfazer uma condição.
+ * @param {object} condition - A condição.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {Array<string|number>}
+ */
+function sampleValues(condition, sharedLists) {
+  const value = String(condition.value ?? '').trim();
+  const number = Number(value);
+  const fromGlob = (pattern) => pattern.replace(/\*/g, '');
+
+  switch (condition.operator) {
+    case 'equals':
+    case 'contains':
+    case 'starts_with':
+    case 'ends_with':
+      return [value];
+    case 'wildcard':
+      return [fromGlob(value)];
+    case 'in_list':
+      return resolveListEntries(value, sharedLists);
+    case 'matches_any_glob':
+      return resolveListEntries(value, sharedLists).map(fromGlob);
+    case 'query_param_equals': {
+      const [key, param = '1'] = value.split(/=(.*)/);
+      return [
+        `https://example.com/?${encodeURIComponent(key)}=${encodeURIComponent(
+          param
+        )}`,
+      ];
+    }
+    case 'greater_than':
+      return [number + 1];
+    case 'less_than':
+      return [Math.max(0, number - 1)];
+    case 'greater_or_equal':
+    case 'less_or_equal':
+      return [number];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Procura um valor que satisfaça todas as condições sobre uma propriedade.
+ * @param {object[]} conditions - Condições sobre a mesma propriedade.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {{found: boolean, value?: string|number}}
+ */
+function findSharedValue(conditions, sharedLists) {
+  const property = conditions[0].property;
+  let candidates = conditions.flatMap((c) => sampleValues(c, sharedLists));
+  if (BOOLEAN_TAB_PROPERTIES.has(property)) candidates.push('true', 'false');
+  candidates = [...new Set(candidates)].slice(0, MAX_SAMPLE_VALUES);
+
+  // Concatenações cobrem combinações como "começa com X" e "termina com Y"
+  const combined = [];
+  if (!NUMERIC_TAB_PROPERTIES.has(property)) {
+    const valuesOf = (operators) =>
+      conditions
+        .filter((c) => operators.includes(c.operator))
+        .map((c) => String(c.value).trim())
+        .join('');
+    combined.push(
+      valuesOf(['starts_with']) +
+        valuesOf(['contains']) +
+        valuesOf(['ends_with']),
+      ...candidates.flatMap((a) => candidates.map((b) => `${a}${b}`))
+    );
+  }
+
+  for (const candidate of ['', ...candidates, ...combined]) {
+    if (conditions.every((c) => conditionAccepts(c, candidate, sharedLists))) {
+      return { found: true, value: candidate };
+    }
+  }
+  return { found: false };
+}
+
+/**
+ * Procura um exemplo de aba que satisfaça dois termos ao mesmo tempo,
+ * exigindo que partilhem pelo menos uma propriedade.
+ * @param {object[]} first - Termo da regra anterior.
+ * @param {object[]} second - Termo da regra posterior.
+ * @param {object} sharedLists - Listas partilhadas.
+ * @returns {object|null} Valores de exemplo das propriedades partilhadas, ou null.
+ */
+function findOverlapExample(first, second, sharedLists) {
+  const firstProperties = new Set(first.map((c) => c.property));
+  const sharedProperties = new Set(
+    second.map((c) => c.property).filter((p) => firstProperties.has(p))
+  );
+  if (sharedProperties.size === 0) return null;
+
+  const byProperty = new Map();
+  [...first, ...second].forEach((condition) => {
+    if (!byProperty.has(condition.property)) {
+      byProperty.set(condition.property, []);
+    }
+    byProperty.get(condition.property).push(condition);
+  });
+
+  const example = {};
+  for (const [property, conditions] of byProperty) {
+    const { found, value } = findSharedValue(conditions, sharedLists);
+    if (!found) return null;
+    if (sharedProperties.has(property)) example[property] = value;
+  }
+  return example;
+}
+
+/**
+ * Analisa conflitos entre regras de agrupamento, na ordem de prioridade:
+ * - `shadowed`: a regra nunca é usada, porque todas as abas que a satisfazem
+ *   já correspondem a uma regra anterior;
+ * - `overlap`: a regra e uma regra anterior com outro nome de grupo podem
+ *   corresponder à mesma aba (com uma propriedade em comum); vence a anterior.
+ * A análise é conservadora: só assinala o que consegue demonstrar.
+ * @param {object[]} rules - As regras (`customRules`).
+ * @param {object} [options={}]
+ * @param {object} [options.sharedLists] - Listas partilhadas para `@nome`.
+ * @returns {Array<{type: string, ruleIndex: number, otherIndex: number, example?: object}>}
+ * Conflitos, com índices relativos ao array recebido.
+ */
+export function analyzeRuleConflicts(rules, { sharedLists = {} } = {}) {
+  if (!Array.isArray(rules)) return [];
+
+  const analyzed = sortRulesByPriority(rules)
+    .map((rule) => ({
+      rule,
+      index: rules.indexOf(rule),
+      terms: isConditionGroup(rule?.conditionGroup)
+        ? toDisjunctiveTerms(rule.conditionGroup)
+        : null,
+    }))
+    .filter(({ terms }) => terms && terms.length > 0);
+
+  const conflicts = [];
+  const shadowedRules = new Set();
+  analyzed.forEach((current, position) => {
+    // Regras que nunca são usadas não decidem nenhuma aba
+    const earlier = analyzed
+      .slice(0, position)
+      .filter((previous) => !shadowedRules.has(previous));
+
+    const shadowedBy = earlier.find((previous) =>
+      current.terms.every((term) =>
+        previous.terms.some((general) =>
+          termImplies(term, general, sharedLists)
+        )
+      )
+    );
+    if (shadowedBy) {
+      shadowedRules.add(current);
+      conflicts.push({
+        type: 'shadowed',
+        ruleIndex: current.index,
+        otherIndex: shadowedBy.index,
+      });
+      return;
+    }
+
+    earlier
+      .filter((previous) => previous.rule.name !== current.rule.name)
+      .forEach((previous) => {
+        for (const term of current.terms) {
+          for (const general of previous.terms) {
+            const example = findOverlapExample(general, term, sharedLists);
+            if (example) {
+              conflicts.push({
+                type: 'overlap',
+                ruleIndex: current.index,
+                otherIndex: previous.index,
+                example,
+              });
+              return;
+            }
+          }
+        }
+      });
+  });
+
+  return conflicts;
+}
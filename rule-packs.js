@@ -0,0 +1,344 @@
+/**
+ * @file rule-packs.js
+ * @description Pacotes de regras partilháveis: conjuntos de regras de agrupamento
+ * e de renomeação com metadados (autor, versão, descrição), instalados a partir
+ * de um ficheiro, de JSON colado ou de um URL. As regras de um pacote são só de
+ * leitura; o utilizador pode apenas sobrepor-lhes uma camada local de
+ * substituições (ativar/desativar, prioridade, cor, minTabs), que sobrevive às
+ * atualizações do pacote.
+ */
+import {
+  validateRulePack,
+  PACK_RULE_OVERRIDE_FIELDS,
+} from './validation-utils.js';
+
+/** Identificador do formato gravado nos ficheiros de pacotes de regras. */
+export const RULE_PACK_FORMAT = 'auto-tab-grouper-rule-pack';
+
+/** Tipos de regra que um pacote pode conter. */
+export const PACK_RULE_KINDS = ['customRules', 'tabRenamingRules'];
+
+// Regras efetivas de cada pacote, reutilizadas enquanto o pacote e as suas
+// substituições não mudam (o nome de grupo gerado por uma regra é associado
+// à própria instância da regra em grouping-logic.js).
+const packRulesCache = new WeakMap();
+
+/**
+ * Compara duas versões de pacote ("1.10.0" > "1.9.2").
+ * @param {string} a - Primeira versão.
+ * @param {string} b - Segunda versão.
+ * @returns {number} Negativo se `a` for anterior a `b`, 0 se iguais, positivo se posterior.
+ */
+export function comparePackVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Converte o conteúdo de um ficheiro de pacote num pacote validado.
+ * @param {any} payload - O conteúdo JSON do pacote.
+ * @param {object} [options]
+ * @param {string|null} [options.sourceUrl] - URL de onde o pacote foi obtido.
+ * @returns {object} O pacote normalizado.
+ * @throws {Error} Se o conteúdo não for um pacote de regras válido.
+ */
+export function parseRulePack(payload, { sourceUrl = null } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('O conteúdo não é um objeto JSON válido.');
+  }
+  if (payload.format !== RULE_PACK_FORMAT) {
+    throw new Error(
+      `O conteúdo não é um pacote de regras (campo "format" deve ser "${RULE_PACK_FORMAT}").`
+    );
+  }
+
+  const pack = {
+    id: payload.id,
+    name: payload.name,
+    version: payload.version,
+    author: payload.author || '',
+    description: payload.description || '',
+    sourceUrl: sourceUrl || payload.updateUrl || null,
+    customRules: payload.customRules || [],
+    // Regras de renomeação sem `enabled` explícito ficam ativas
+    tabRenamingRules: (payload.tabRenamingRules || []).map((rule) => ({
+      ...rule,
+      enabled: rule.enabled !== false,
+    })),
+  };
+
+  const validation = validateRulePack(pack);
+  if (!validation.isValid) {
+    throw new Error(
+      `Pacote de regras inválido: ${validation.errors.slice(0, 3).join('; ')}`
+    );
+  }
+  return pack;
+}
+
+/**
+ * Descarrega e valida um pacote de regras a partir de um URL HTTPS.
+ * @param {string} url - O endereço do pacote.
+ * @returns {Promise<object>} O pacote normalizado.
+ * @throws {Error} Se o URL for inválido, o pedido falhar ou o pacote for inválido.
+ */
+export async function fetchRulePack(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Endereço do pacote inválido.');
+  }
+  if (parsed.protocol !== 'https:') {
+    throw new Error('O endereço do pacote deve usar HTTPS.');
+  }
+
+  const response = await fetch(parsed.href, {
+    cache: 'no-cache',
+    credentials: 'omit',
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Não foi possível descarregar o pacote (HTTP ${response.status}).`
+    );
+  }
+  let payload;
+  try {
+    payload = await response.json();
+  } catch (e) {
+    throw new Error('O endereço não devolveu JSON válido.');
+  }
+  return parseRulePack(payload, { sourceUrl: parsed.href });
+}
+
+/**
+ * Compara duas listas de regras pelo nome.
+ * @param {object[]} oldRules - Regras instaladas.
+ * @param {object[]} newRules - Regras da nova versão.
+ * @returns {{added: string[], updated: Array<{name: string, fields: string[]}>, removed: string[], unchanged: number}}
+ */
+function diffRuleLists(oldRules, newRules) {
+  const oldByName = new Map(oldRules.map((rule) => [rule.name, rule]));
+  const newNames = new Set(newRules.map((rule) => rule.name));
+  const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+
+  newRules.forEach((rule) => {
+    const previous = oldByName.get(rule.name);
+    if (!previous) {
+      diff.added.push(rule.name);
+      return;
+    }
+    const fields = [
+      ...new Set([...Object.keys(previous), ...Object.keys(rule)]),
+    ].filter(
+      (key) => JSON.stringify(previous[key]) !== JSON.stringify(rule[key])
+    );
+    if (fields.length > 0) diff.updated.push({ name: rule.name, fields });
+    else diff.unchanged++;
+  });
+  oldRules.forEach((rule) => {
+    if (!newNames.has(rule.name)) diff.removed.push(rule.name);
+  });
+  return diff;
+}
+
+/**
+ * Calcula, regra a regra, o que muda ao instalar um pacote.
+ * @param {object|undefined} installed - A versão instalada do pacote, se existir.
+ * @param {object} pack - O pacote a instalar.
+ * @returns {object} `{ isUpdate, versionChange, customRules, tabRenamingRules, orphanedOverrides }`.
+ * `versionChange` é positivo se o pacote for mais recente que o instalado;
+ * `orphanedOverrides` lista as substituições locais de regras que deixam de existir.
+ */
+export function diffRulePack(installed, pack) {
+  const result = {
+    isUpdate: Boolean(installed),
+    versionChange: installed
+      ? comparePackVersions(pack.version, installed.version)
+      : 1,
+    orphanedOverrides: [],
+  };
+
+  PACK_RULE_KINDS.forEach((kind) => {
+    result[kind] = diffRuleLists(
+      installed ? installed[kind] || [] : [],
+      pack[kind] || []
+    );
+    const overrides = (installed && installed.overrides?.[kind]) || {};
+    const newNames = new Set((pack[kind] || []).map((rule) => rule.name));
+    Object.keys(overrides).forEach((name) => {
+      if (!newNames.has(name)) result.orphanedOverrides.push(name);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Mantém apenas as substituições de regras que existem no pacote.
+ * @param {object} overrides - As substituições atuais.
+ * @param {object} pack - O pacote.
+ * @returns {object} As substituições aplicáveis.
+ */
+function pruneOverrides(overrides, pack) {
+  const pruned = {};
+  PACK_RULE_KINDS.forEach((kind) => {
+    const names = new Set((pack[kind] || []).map((rule) => rule.name));
+    const kept = Object.entries((overrides && overrides[kind]) || {}).filter(
+      ([name]) => names.has(name)
+    );
+    if (kept.length > 0) pruned[kind] = Object.fromEntries(kept);
+  });
+  return pruned;
+}
+
+/**
+ * Instala um pacote ou atualiza a versão instalada com o mesmo id, mantendo as
+ * substituições locais das regras que continuam a existir.
+ * @param {object[]} rulePacks - Os pacotes instalados.
+ * @param {object} pack - O pacote validado (ver parseRulePack).
+ * @returns {object[]} A nova lista de pacotes.
+ */
+export function installRulePack(rulePacks, pack) {
+  const now = new Date().toISOString();
+  const packs = [...(rulePacks || [])];
+  const index = packs.findIndex((installed) => installed.id === pack.id);
+
+  if (index === -1) {
+    packs.push({ ...pack, installedAt: now, updatedAt: now, overrides: {} });
+    return packs;
+  }
+
+  const installed = packs[index];
+  packs[index] = {
+    ...pack,
+    sourceUrl: pack.sourceUrl || installed.sourceUrl || null,
+    installedAt: installed.installedAt,
+    updatedAt: now,
+    overrides: pruneOverrides(installed.overrides, pack),
+  };
+  return packs;
+}
+
+/**
+ * Remove um pacote instalado.
+ * @param {object[]} rulePacks - Os pacotes instalados.
+ * @param {string} packId - O id do pacote.
+ * @returns {object[]} A nova lista de pacotes.
+ */
+export function removeRulePack(rulePacks, packId) {
+  return (rulePacks || []).filter((pack) => pack.id !== packId);
+}
+
+/**
+ * Define (ou limpa) substituições locais de uma regra de pacote.
+ * @param {object[]} rulePacks - Os pacotes instalados.
+ * @param {string} packId - O id do pacote.
+ * @param {string} kind - 'customRules' ou 'tabRenamingRules'.
+ * @param {string} ruleName - O nome da regra no pacote.
+ * @param {object|null} override - Campos a substituir; `null` repõe os valores do pacote.
+ * @returns {object[]} A nova lista de pacotes.
+ */
+export function setPackRuleOverride(
+  rulePacks,
+  packId,
+  kind,
+  ruleName,
+  override
+) {
+  return (rulePacks || []).map((pack) => {
+    if (pack.id !== packId) return pack;
+
+    const byName = { ...((pack.overrides && pack.overrides[kind]) || {}) };
+    if (override === null) {
+      delete byName[ruleName];
+    } else {
+      const merged = { ...byName[ruleName] };
+      PACK_RULE_OVERRIDE_FIELDS[kind].forEach((field) => {
+        if (override[field] !== undefined) merged[field] = override[field];
+      });
+      byName[ruleName] = merged;
+    }
+    return { ...pack, overrides: { ...pack.overrides, [kind]: byName } };
+  });
+}
+
+/**
+ * Aplica as substituições locais às regras de um pacote.
+ * @param {object} pack - O pacote instalado.
+ * @returns {{customRules: object[], tabRenamingRules: object[]}} As regras
+ * efetivas (incluindo as desativadas), marcadas com `packId` e `packName`.
+ */
+export function getPackRules(pack) {
+  const overridesKey = JSON.stringify(pack.overrides || {});
+  const cached = packRulesCache.get(pack);
+  if (cached && cached.overridesKey === overridesKey) return cached;
+
+  const entry = { overridesKey };
+  PACK_RULE_KINDS.forEach((kind) => {
+    const overrides = (pack.overrides && pack.overrides[kind]) || {};
+    entry[kind] = (pack[kind] || []).map((rule) => ({
+      ...rule,
+      ...overrides[rule.name],
+      // Ids únicos para o motor de renomeação, estáveis entre versões do pacote
+      ...(kind === 'tabRenamingRules'
+        ? { id: `pack:${pack.id}:${rule.name}` }
+        : {}),
+      packId: pack.id,
+      packName: pack.name,
+    }));
+  });
+  packRulesCache.set(pack, entry);
+  return entry;
+}
+
+/**
+ * Indica se uma regra vem de um pacote (e é, portanto, só de leitura).
+ * @param {object} rule - A regra.
+ * @returns {boolean}
+ */
+export function isPackRule(rule) {
+  return Boolean(rule && rule.packId);
+}
+
+/**
+ * Regras de agrupamento em vigor: as do utilizador seguidas das regras ativas
+ * dos pacotes instalados. Como a ordenação por prioridade é estável, uma regra
+ * do utilizador prevalece sobre uma regra de pacote com a mesma prioridade.
+ * @param {object} settings - As configurações.
+ * @returns {object[]} As regras de agrupamento efetivas.
+ */
+export function getEffectiveCustomRules(settings) {
+  const userRules = settings.customRules || [];
+  const packs = settings.rulePacks || [];
+  if (packs.length === 0) return userRules;
+
+  return [
+    ...userRules,
+    ...packs.flatMap((pack) =>
+      getPackRules(pack).customRules.filter((rule) => rule.enabled !== false)
+    ),
+  ];
+}
+
+/**
+ * Regras de renomeação em vigor: as do utilizador seguidas das dos pacotes.
+ * As regras desativadas são incluídas; o motor de renomeação ignora-as.
+ * @param {object} settings - As configurações.
+ * @returns {object[]} As regras de renomeação efetivas.
+ */
+export function getEffectiveRenamingRules(settings) {
+  const userRules = settings.tabRenamingRules || [];
+  const packs = settings.rulePacks || [];
+  if (packs.length === 0) return userRules;
+
+  return [
+    ...userRules,
+    ...packs.flatMap((pack) => getPackRules(pack).tabRenamingRules),
+  ];
+}
@@ -41,6 +41,23 @@ function buildFirefox() {
     'api-rate-limiter.js',
     'parallel-batch-processor.js',
     'intelligent-cache-manager.js',
+    'group-name-template.js',
+    'session-snapshots.js',
+    'window-policies.js',
+    'tab-context.js',
+    'rule-engine.js',
+    'settings-transfer.js',
+    'rule-packs.js',
+    'rename-history.js',
+    'group-naming.js',
+    'public-suffix.js',
+    'group-colors.js',
+    'tab-dedup.js',
+    'tab-exceptions.js',
+    'group-management.js',
+    'tab-search.js',
+    'group-journal.js',
+    'group-archive.js',
   ];
 
   essentialJs.forEach((js) => {
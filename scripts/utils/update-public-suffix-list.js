@@ -0,0 +1,78 @@
+// scripts/utils/update-public-suffix-list.js
+// Gera vendor/public-suffix-list.js a partir da Public Suffix List.
+// Uso: node scripts/utils/update-public-suffix-list.js [ficheiro.dat]
+// Sem argumento, descarrega a lista de https://publicsuffix.org/list/.
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { domainToASCII } = require('url');
+
+const PSL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT_PATH = path.join(__dirname, '../../vendor/public-suffix-list.js');
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, (res) => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode} ao descarregar ${url}`));
+          res.resume();
+          return;
+        }
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => resolve(data));
+      })
+      .on('error', reject);
+  });
+}
+
+// Converte uma regra para ASCII (os hostnames de URL chegam em punycode),
+// mantendo os prefixos de exceção ("!") e de curinga ("*.")
+function toAsciiRule(rule) {
+  const prefix = rule.startsWith('!') ? '!' : rule.startsWith('*.') ? '*.' : '';
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? prefix + ascii : null;
+}
+
+function parseRules(text) {
+  const rules = new Set();
+  for (const line of text.split('\n')) {
+    // A especificação considera apenas o texto até ao primeiro espaço
+    const rule = line.trim().split(/\s/)[0];
+    if (!rule || rule.startsWith('//')) continue;
+    const ascii = toAsciiRule(rule.toLowerCase());
+    if (ascii) rules.add(ascii);
+  }
+  return [...rules];
+}
+
+async function updatePublicSuffixList() {
+  const source = process.argv[2];
+  const text = source
+    ? fs.readFileSync(source, 'utf8')
+    : await download(PSL_URL);
+  const rules = parseRules(text);
+  if (rules.length < 1000) {
+    console.error(`Lista inesperadamente curta (${rules.length} regras).`);
+    process.exit(1);
+  }
+
+  const updated = new Date().toISOString().slice(0, 10);
+  const output = `// vendor/public-suffix-list.js
+// Gerado por scripts/utils/update-public-suffix-list.js a ${updated}; não editar à mão.
+// Public Suffix List (https://publicsuffix.org/), Mozilla Public License 2.0.
+// Uma regra por linha, em ASCII (punycode): "*." é um curinga e "!" uma exceção.
+export const PUBLIC_SUFFIX_LIST_UPDATED = '${updated}';
+
+export const PUBLIC_SUFFIX_RULES = \`${rules.join('\n')}\`;
+`;
+  fs.writeFileSync(OUTPUT_PATH, output);
+  console.log(`Public Suffix List atualizada: ${rules.length} regras.`);
+}
+
+updatePublicSuffixList().catch((err) => {
+  console.error('Erro ao atualizar a Public Suffix List:', err.message);
+  process.exit(1);
+});
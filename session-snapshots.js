@@ -0,0 +1,250 @@
+/**
+ * @file session-snapshots.js
+ * @description Instantâneos do estado dos grupos de abas de uma janela (título,
+ * cor, estado recolhido e URLs de cada grupo), guardados em `storage.local` e
+ * restauráveis numa janela nova ou existente.
+ */
+
+import Logger from './logger.js';
+import { settings, updateSettings } from './settings-manager.js';
+import { pendingAutomaticGroups } from './app-state.js';
+import { sanitizeString, sanitizeUrl } from './validation-utils.js';
+
+const SNAPSHOTS_STORAGE_KEY = 'groupSnapshots';
+
+/** Número máximo de instantâneos guardados; os mais antigos são descartados. */
+export const MAX_SNAPSHOTS = 30;
+
+/**
+ * Remove o contador de abas e o marcador de grupo manual de um título.
+ * @param {string} title - O título do grupo.
+ * @returns {string} O título limpo.
+ */
+export function cleanGroupTitle(title) {
+  return (title || '')
+    .replace(/\s\(\d+\)$/, '')
+    .replace(/📌\s*/g, '')
+    .trim();
+}
+
+/**
+ * Carrega a lista de instantâneos guardados.
+ * @returns {Promise<object[]>}
+ */
+async function loadSnapshots() {
+  const data = await browser.storage.local.get(SNAPSHOTS_STORAGE_KEY);
+  return Array.isArray(data[SNAPSHOTS_STORAGE_KEY])
+    ? data[SNAPSHOTS_STORAGE_KEY]
+    : [];
+}
+
+/**
+ * Persiste a lista de instantâneos.
+ * @param {object[]} snapshots - A lista completa.
+ */
+async function saveSnapshots(snapshots) {
+  await browser.storage.local.set({ [SNAPSHOTS_STORAGE_KEY]: snapshots });
+}
+
+/**
+ * Resumo de um instantâneo, sem as URLs, para listagens na UI.
+ * @param {object} snapshot - O instantâneo completo.
+ * @returns {{id: string, name: string, createdAt: number, groupCount: number, tabCount: number}}
+ */
+function summarizeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    name: snapshot.name,
+    createdAt: snapshot.createdAt,
+    groupCount: snapshot.groups.length,
+    tabCount: snapshot.groups.reduce((sum, g) => sum + g.urls.length, 0),
+  };
+}
+
+/**
+ * Lê o estado atual dos grupos de uma janela, pela ordem em que aparecem.
+ * @param {number} windowId - ID da janela.
+ * @returns {Promise<object[]>} Lista de `{ title, color, collapsed, manual, urls }`.
+ */
+export async function captureWindowGroups(windowId) {
+  const [groups, tabs] = await Promise.all([
+    browser.tabGroups.query({ windowId }),
+    browser.tabs.query({ windowId }),
+  ]);
+  const groupsById = new Map(groups.map((g) => [g.id, g]));
+  const capturedGroups = new Map();
+
+  tabs
+    .sort((a, b) => a.index - b.index)
+    .forEach((tab) => {
+      const group = groupsById.get(tab.groupId);
+      if (!group || !tab.url) return;
+
+      if (!capturedGroups.has(group.id)) {
+        capturedGroups.set(group.id, {
+          title: cleanGroupTitle(group.title),
+          color: group.color,
+          collapsed: !!group.collapsed,
+          manual: settings.manualGroupIds.includes(group.id),
+          urls: [],
+        });
+      }
+      capturedGroups.get(group.id).urls.push(tab.url);
+    });
+
+  return Array.from(capturedGroups.values());
+}
+
+/**
+ * Guarda um instantâneo dos grupos de uma janela. Um instantâneo com o mesmo
+ * nome é substituído.
+ * @param {number} windowId - ID da janela a capturar.
+ * @param {string} [name] - Nome do instantâneo (por omissão, data e hora).
+ * @returns {Promise<object>} Resultado com o resumo do instantâneo.
+ */
+export async function saveSnapshot(windowId, name) {
+  const groups = await captureWindowGroups(windowId);
+  if (groups.length === 0) {
+    return { success: false, error: 'Nenhum grupo para guardar nesta janela.' };
+  }
+
+  const snapshotName =
+    sanitizeString(name || '', 60) ||
+    `Sessão ${new Date().toLocaleString('pt-BR')}`;
+  const snapshot = {
+    id: `snapshot-${Date.now()}`,
+    name: snapshotName,
+    createdAt: Date.now(),
+    groups,
+  };
+
+  const snapshots = (await loadSnapshots()).filter(
+    (s) => s.name !== snapshotName
+  );
+  snapshots.unshift(snapshot);
+  await saveSnapshots(snapshots.slice(0, MAX_SNAPSHOTS));
+
+  Logger.info(
+    'SessionSnapshots',
+    `Instantâneo '${snapshotName}' guardado com ${groups.length} grupos.`
+  );
+  return { success: true, snapshot: summarizeSnapshot(snapshot) };
+}
+
+/**
+ * Lista os instantâneos guardados (mais recentes primeiro).
+ * @returns {Promise<object[]>} Resumos dos instantâneos.
+ */
+export async function listSnapshots() {
+  return (await loadSnapshots()).map(summarizeSnapshot);
+}
+
+/**
+ * Remove um instantâneo.
+ * @param {string} snapshotId - ID do instantâneo.
+ * @returns {Promise<object>} Resultado da operação.
+ */
+export async function deleteSnapshot(snapshotId) {
+  const snapshots = await loadSnapshots();
+  const remaining = snapshots.filter((s) => s.id !== snapshotId);
+  if (remaining.length === snapshots.length) {
+    return { success: false, error: 'Instantâneo não encontrado.' };
+  }
+  await saveSnapshots(remaining);
+  return { success: true };
+}
+
+/**
+ * Reabre as URLs de um grupo guardado numa janela e agrupa-as com o título, a
+ * cor e o estado recolhido guardados. Um grupo automático é registado como
+ * intenção automática para não ser classificado como manual ao ser criado;
+ * cabe a quem chama marcar um grupo manual em `manualGroupIds`.
+ * @param {number} windowId - Janela de destino.
+ * @param {{title: string, color: string, collapsed: boolean, manual: boolean, urls: string[]}} group - O grupo guardado.
+ * @returns {Promise<number|null>} ID do novo grupo, ou null se nenhuma URL puder ser reaberta.
+ */
+export async function openSavedGroup(windowId, group) {
+  // Apenas URLs web podem ser reabertas por uma extensão
+  const urls = group.urls.filter((url) => sanitizeUrl(url));
+  if (urls.length === 0) return null;
+
+  const tabs = await Promise.all(
+    urls.map((url) => browser.tabs.create({ windowId, url, active: false }))
+  );
+  const tabIds = tabs.map((t) => t.id);
+
+  if (!group.manual) {
+    pendingAutomaticGroups.set(tabIds[0], { tabIds });
+  }
+
+  const groupId = await browser.tabs.group({
+    tabIds,
+    createProperties: { windowId },
+  });
+  await browser.tabGroups.update(groupId, {
+    title: group.manual ? `📌 ${group.title}` : group.title,
+    color: group.color,
+    collapsed: group.collapsed,
+  });
+  return groupId;
+}
+
+/**
+ * Restaura um instantâneo. Os grupos manuais voltam a ser marcados em
+ * `manualGroupIds`; os automáticos são registados como intenção automática
+ * para não serem classificados como manuais ao serem criados.
+ * @param {string} snapshotId - ID do instantâneo.
+ * @param {object} [options]
+ * @param {number|null} [options.windowId] - Janela de destino; `null` cria uma nova.
+ * @returns {Promise<object>} Resultado com a janela de destino e o número de grupos.
+ */
+export async function restoreSnapshot(snapshotId, { windowId = null } = {}) {
+  const snapshot = (await loadSnapshots()).find((s) => s.id === snapshotId);
+  if (!snapshot) {
+    return { success: false, error: 'Instantâneo não encontrado.' };
+  }
+
+  let targetWindowId = windowId;
+  let placeholderTabId = null;
+  if (typeof targetWindowId !== 'number') {
+    const newWindow = await browser.windows.create({});
+    targetWindowId = newWindow.id;
+    placeholderTabId = newWindow.tabs?.[0]?.id ?? null;
+  }
+
+  const restoredManualIds = [];
+  let restoredGroups = 0;
+
+  for (const group of snapshot.groups) {
+    try {
+      const groupId = await openSavedGroup(targetWindowId, group);
+      if (groupId === null) continue;
+
+      if (group.manual) restoredManualIds.push(groupId);
+      restoredGroups++;
+    } catch (e) {
+      Logger.warn(
+        'SessionSnapshots',
+        `Falha ao restaurar o grupo '${group.title}':`,
+        e
+      );
+    }
+  }
+
+  if (restoredManualIds.length > 0) {
+    const manualGroupIds = Array.from(
+      new Set([...settings.manualGroupIds, ...restoredManualIds])
+    );
+    await updateSettings({ manualGroupIds });
+  }
+
+  if (placeholderTabId !== null && restoredGroups > 0) {
+    await browser.tabs.remove(placeholderTabId).catch(() => {});
+  }
+
+  Logger.info(
+    'SessionSnapshots',
+    `Instantâneo '${snapshot.name}' restaurado: ${restoredGroups}/${snapshot.groups.length} grupos na janela ${targetWindowId}.`
+  );
+  return { success: true, windowId: targetWindowId, restoredGroups };
+}
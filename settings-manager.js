@@ -15,6 +15,8 @@ import {
 import {
   validateSettings,
   validateCustomRule,
+  validateCondition,
+  isConditionGroup,
   sanitizeString,
 } from "./validation-utils.js";
 import {
@@ -24,12 +26,18 @@ import {
   invalidateSmartNameCache,
   getSmartNameCacheStats,
 } from "./intelligent-cache-manager.js";
+import { migrateException } from "./tab-exceptions.js";
 
 export const DEFAULT_SETTINGS = {
   autoGroupingEnabled: true,
   groupingMode: "smart",
+  groupingPathDepth: 1, // NOVO: Segmentos do caminho usados no modo "path"
+  groupingModeOverrides: {}, // NOVO: Modo de agrupamento por domínio (ex: { "github.com": { groupingMode: "path", pathDepth: 1 } })
+  groupNamingMode: "per_tab", // NOVO: "per_tab" ou "collective" (nome a partir do conjunto de abas)
+  groupNamingStrategies: ["site_name", "common_domain", "title_token"], // NOVO: Ordem das estratégias coletivas
   minTabsForAutoGroup: 2, // Substituído suppressSingleTabGroups
   autoCollapseTimeout: 0,
+  autoArchiveHours: 0, // NOVO: Arquivar grupos automáticos recolhidos e sem uso há N horas (0 = desativado)
   uncollapseOnActivate: true,
   customRules: [], // A estrutura das regras será alterada
   ungroupSingleTabs: false,
@@ -40,41 +48,7 @@ export const DEFAULT_SETTINGS = {
   manualGroupIds: [],
   logLevel: "DEBUG",
   theme: "auto",
-  domainSanitizationTlds: [
-    ".rs.gov.br",
-    ".sp.gov.br",
-    ".rj.gov.br",
-    ".com.br",
-    ".net.br",
-    ".org.br",
-    ".gov.br",
-    ".edu.br",
-    ".gov.uk",
-    ".ac.uk",
-    ".co.uk",
-    ".gov.au",
-    ".com.au",
-    ".com",
-    ".org",
-    ".net",
-    ".dev",
-    ".io",
-    ".gov",
-    ".edu",
-    ".co",
-    ".app",
-    ".xyz",
-    ".info",
-    ".biz",
-    ".br",
-    ".rs",
-    ".uk",
-    ".de",
-    ".jp",
-    ".fr",
-    ".au",
-    ".us",
-  ],
+  domainSanitizationTlds: [], // Sufixos adicionais à Public Suffix List (ex: ".intranet.local")
   titleSanitizationNoise: [
     "login",
     "sign in",
@@ -83,11 +57,18 @@ export const DEFAULT_SETTINGS = {
     "painel",
   ],
   titleDelimiters: "|–—:·»«-",
+  duplicateTabPolicy: "off", // NOVO: "off", "badge", "focus_existing" ou "on_demand"
+  duplicateIgnoreQuery: false, // NOVO: Ignorar a query string ao comparar URLs duplicados
+  duplicateIgnoreFragment: true, // NOVO: Ignorar o fragmento (#...) ao comparar URLs duplicados
+  duplicateTrackingParams: ["utm_*", "fbclid", "gclid", "mc_cid", "mc_eid"], // NOVO: Parâmetros de rastreio ignorados
   tabRenamingEnabled: false, // NOVO: Habilita/desabilita a renomeação automática de abas
   tabRenamingRules: [], // NOVO: Array para armazenar as regras de renomeação
   learningEnabled: true, // NOVO: Controla se o aprendizado está ativo
   learningDataRetentionDays: 30, // NOVO: Dias para manter dados
   featureFlags: undefined, // NOVO: Feature flags de performance (undefined = usar padrões)
+  windowPolicies: {}, // NOVO: Substituições de agrupamento por etiqueta de janela
+  sharedLists: {}, // NOVO: Listas nomeadas usadas nas condições como "@nome"
+  rulePacks: [], // NOVO: Pacotes de regras instalados (só de leitura, com substituições locais; o conteúdo fica no storage.local)
 };
 
 // Objetos em memória
@@ -105,12 +86,84 @@ function getStorage(useSync) {
   return useSync ? browser.storage.sync : browser.storage.local;
 }
 
+// Os pacotes de regras (regras e metadados) ficam no storage.local, fora do
+// item `settings`: com a sincronização ativa, alguns pacotes bastavam para
+// exceder a quota por item do storage.sync. Nas configurações guardadas fica
+// apenas o id e as substituições locais de cada pacote.
+const RULE_PACKS_STORAGE_KEY = "installedRulePacks";
+
+// Referências de pacotes sem conteúdo neste dispositivo (ex: instalados noutro
+// browser com as configurações sincronizadas), mantidas ao guardar.
+let unresolvedRulePackRefs = [];
+
+/**
+ * Separa os pacotes instalados nas referências guardadas nas configurações
+ * e no conteúdo guardado no storage.local.
+ * @param {object[]} rulePacks - Os pacotes instalados, completos.
+ * @returns {{refs: Array<{id: string, overrides: object}>, bundles: object}}
+ */
+function splitRulePacks(rulePacks) {
+  const refs = [];
+  const bundles = {};
+  rulePacks.forEach(({ overrides, ...bundle }) => {
+    refs.push({ id: bundle.id, overrides: overrides || {} });
+    bundles[bundle.id] = bundle;
+  });
+  const installedIds = new Set(refs.map((ref) => ref.id));
+  unresolvedRulePackRefs
+    .filter((ref) => !installedIds.has(ref.id))
+    .forEach((ref) => refs.push(ref));
+  return { refs, bundles };
+}
+
+/**
+ * Junta as referências das configurações ao conteúdo dos pacotes.
+ * @param {Array<{id: string, overrides: object}>} refs - As referências.
+ * @param {object} bundles - O conteúdo dos pacotes, por id.
+ * @returns {object[]} Os pacotes completos.
+ */
+function joinRulePacks(refs, bundles) {
+  unresolvedRulePackRefs = refs.filter((ref) => !bundles[ref.id]);
+  return refs
+    .filter((ref) => bundles[ref.id])
+    .map((ref) => ({ ...bundles[ref.id], overrides: ref.overrides || {} }));
+}
+
+/**
+ * Normaliza recursivamente um grupo de condições (possivelmente aninhado),
+ * descartando condições inválidas e subgrupos vazios.
+ * @param {object} group - O grupo de condições a normalizar.
+ * @returns {object|null} O grupo normalizado, ou null se ficar vazio.
+ */
+function normalizeConditionGroup(group) {
+  if (!group || typeof group !== "object" || !Array.isArray(group.conditions)) {
+    return null;
+  }
+
+  const conditions = group.conditions
+    .map((item) => {
+      if (isConditionGroup(item)) {
+        return normalizeConditionGroup(item);
+      }
+      return validateCondition(item).isValid ? item : null;
+    })
+    .filter((item) => item !== null);
+
+  if (conditions.length === 0) return null;
+
+  return {
+    operator: group.operator === "OR" ? "OR" : "AND",
+    conditions,
+  };
+}
+
 /**
  * Converte uma regra do formato antigo para o novo formato com conditionGroup.
+ * Também usada na migração de configurações importadas (settings-transfer.js).
  * @param {object} oldRule - A regra no formato antigo.
- * @returns {object} A regra no novo formato.
+ * @returns {object|null} A regra no novo formato, ou null se não for possível migrá-la.
  */
-function migrateRuleToNewFormat(oldRule) {
+export function migrateRuleToNewFormat(oldRule) {
   // Validação básica da regra antiga
   if (!oldRule || typeof oldRule !== "object" || Array.isArray(oldRule)) {
     Logger.error(
@@ -131,6 +184,19 @@ function migrateRuleToNewFormat(oldRule) {
         "MigrateRule",
         `Regra existente com formato inválido: ${validation.errors.join("; ")}`
       );
+
+      // Tenta reparar a árvore de condições (incluindo grupos aninhados)
+      const repairedGroup = normalizeConditionGroup(oldRule.conditionGroup);
+      if (repairedGroup) {
+        const repairedRule = { ...oldRule, conditionGroup: repairedGroup };
+        if (validateCustomRule(repairedRule).isValid) {
+          Logger.info(
+            "MigrateRule",
+            `Regra '${oldRule.name}' reparada removendo condições inválidas`
+          );
+          return repairedRule;
+        }
+      }
       // Continua com a migração para tentar corrigir
     }
   }
@@ -302,6 +368,53 @@ export async function loadSettings() {
         );
       }
 
+      // **SCRIPT DE MIGRAÇÃO DE EXCEÇÕES** (texto -> exceções estruturadas)
+      if (
+        Array.isArray(settings.exceptions) &&
+        settings.exceptions.some((exception) => typeof exception === "string")
+      ) {
+        Logger.warn(
+          "SettingsManager",
+          "Detectado formato de exceções antigo. Migrando..."
+        );
+        settings.exceptions = settings.exceptions
+          .map(migrateException)
+          .filter((exception) => exception !== null);
+        settingsWereMigrated = true;
+      }
+
+      // Pacotes de regras: as configurações guardam só as referências; as
+      // versões anteriores guardavam os pacotes completos
+      if (!Array.isArray(settings.rulePacks)) {
+        settings.rulePacks = [];
+      } else if (
+        settings.rulePacks.some(
+          (pack) => pack.customRules || pack.tabRenamingRules
+        )
+      ) {
+        Logger.warn(
+          "SettingsManager",
+          "Pacotes de regras guardados nas configurações. A mover para o armazenamento local..."
+        );
+        settingsWereMigrated = true;
+      } else if (settings.rulePacks.length > 0) {
+        const packData = await withErrorHandling(
+          async () => {
+            return await browser.storage.local.get(RULE_PACKS_STORAGE_KEY);
+          },
+          {
+            context: "load-rule-packs",
+            maxRetries: 2,
+            criticalOperation: false,
+            fallback: () => ({}),
+          }
+        );
+        settings.rulePacks = joinRulePacks(
+          settings.rulePacks,
+          (packData && packData[RULE_PACKS_STORAGE_KEY]) || {}
+        );
+      }
+
       // NOVO: Validação e sanitização das regras de renomeação carregadas
       if (
         settings.tabRenamingRules &&
@@ -430,6 +543,13 @@ export async function updateSettings(newSettings) {
         settingsToSave.featureFlags = featureFlags;
       }
 
+      // O conteúdo dos pacotes é guardado antes das referências que o usam
+      const { refs, bundles } = splitRulePacks(settings.rulePacks || []);
+      settingsToSave.rulePacks = refs;
+      if (newSettings.rulePacks !== undefined) {
+        await browser.storage.local.set({ [RULE_PACKS_STORAGE_KEY]: bundles });
+      }
+
       await targetStorage.set({ settings: settingsToSave });
       Logger.info(
         "SettingsManager",
@@ -0,0 +1,502 @@
+/**
+ * @file settings-transfer.js
+ * @description Exportação versionada e importação seletiva de configurações.
+ * Os ficheiros exportados levam uma versão de esquema e, na importação, passam
+ * por uma cadeia de migrações até ao esquema atual antes de serem validados e
+ * fundidos com as configurações existentes, secção a secção.
+ */
+import {
+  DEFAULT_SETTINGS,
+  migrateRuleToNewFormat,
+} from './settings-manager.js';
+import {
+  validateCustomRule,
+  validateTabRenamingRule,
+  validateSettings,
+  validateRulePack,
+  validateException,
+  SHARED_LIST_NAME_PATTERN,
+} from './validation-utils.js';
+import {
+  migrateException,
+  getExceptionKey,
+  describeException,
+} from './tab-exceptions.js';
+
+/** Identificador do formato gravado em todos os ficheiros exportados. */
+export const SETTINGS_EXPORT_FORMAT = 'auto-tab-grouper-settings';
+
+/**
+ * Versão atual do esquema de exportação.
+ * 1 — objeto de configurações em bruto (exportações antigas, sem envelope).
+ * 2 — envelope com formato, versão e metadados; regras com conditionGroup.
+ */
+export const SETTINGS_SCHEMA_VERSION = 2;
+
+/**
+ * Cadeia de migrações: cada entrada converte o payload da versão `n` para `n + 1`.
+ * Para alterar o esquema, incremente SETTINGS_SCHEMA_VERSION e acrescente aqui
+ * a migração a partir da versão anterior.
+ */
+const SETTINGS_MIGRATIONS = {
+  1: (payload) => ({
+    format: SETTINGS_EXPORT_FORMAT,
+    schemaVersion: 2,
+    exportedAt: null,
+    extensionVersion: null,
+    settings: {
+      ...payload,
+      customRules: Array.isArray(payload.customRules)
+        ? payload.customRules.map((rule) => migrateRuleToNewFormat(rule))
+        : payload.customRules,
+    },
+  }),
+};
+
+/** Chaves que nunca são exportadas nem importadas (estado de sessão). */
+const NON_TRANSFERABLE_KEYS = new Set(['manualGroupIds']);
+
+/**
+ * Secções que podem ser aplicadas de forma independente na importação.
+ * `merge` indica como os itens importados se combinam com os existentes.
+ */
+export const IMPORT_SECTIONS = [
+  {
+    id: 'customRules',
+    label: 'Regras de agrupamento',
+    key: 'customRules',
+    merge: 'rules',
+  },
+  {
+    id: 'tabRenamingRules',
+    label: 'Regras de renomeação',
+    key: 'tabRenamingRules',
+    merge: 'rules',
+  },
+  {
+    id: 'rulePacks',
+    label: 'Pacotes de regras',
+    key: 'rulePacks',
+    merge: 'rules',
+  },
+  {
+    id: 'sharedLists',
+    label: 'Listas partilhadas',
+    key: 'sharedLists',
+    merge: 'map',
+  },
+  {
+    id: 'exceptions',
+    label: 'Exceções',
+    key: 'exceptions',
+    merge: 'union',
+  },
+  {
+    id: 'domainSanitizationTlds',
+    label: 'Sufixos de domínio adicionais',
+    key: 'domainSanitizationTlds',
+    merge: 'union',
+  },
+  {
+    id: 'preferences',
+    label: 'Preferências gerais',
+    key: null,
+    merge: 'replace',
+  },
+];
+
+// Listas cujos itens são validados um a um, descartando apenas os inválidos
+const RULE_LIST_VALIDATORS = {
+  customRules: { validate: validateCustomRule, label: 'Regra de agrupamento' },
+  tabRenamingRules: {
+    validate: validateTabRenamingRule,
+    label: 'Regra de renomeação',
+  },
+  rulePacks: { validate: validateRulePack, label: 'Pacote de regras' },
+};
+
+const SECTION_KEYS = new Set(
+  IMPORT_SECTIONS.map((section) => section.key).filter(Boolean)
+);
+
+/**
+ * Cria o objeto a gravar num ficheiro de exportação.
+ * @param {object} settings - As configurações atuais.
+ * @param {object} [options]
+ * @param {string|null} [options.extensionVersion] - Versão da extensão (manifest).
+ * @returns {object} O envelope versionado com as configurações.
+ */
+export function createSettingsExport(
+  settings,
+  { extensionVersion = null } = {}
+) {
+  const exported = {};
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (!NON_TRANSFERABLE_KEYS.has(key)) exported[key] = value;
+  });
+
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion,
+    settings: exported,
+  };
+}
+
+/**
+ * Determina a versão de esquema de um ficheiro importado.
+ * @param {object} payload - O conteúdo JSON do ficheiro.
+ * @returns {number} A versão detetada.
+ */
+function detectSchemaVersion(payload) {
+  if (payload.format === SETTINGS_EXPORT_FORMAT) {
+    const version = payload.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('O ficheiro tem uma versão de esquema inválida.');
+    }
+    return version;
+  }
+  // Exportações antigas eram o objeto de configurações sem envelope.
+  if (
+    typeof payload.autoGroupingEnabled === 'boolean' ||
+    Array.isArray(payload.customRules)
+  ) {
+    return 1;
+  }
+  throw new Error(
+    'O ficheiro não contém configurações do Auto Tab Grouper reconhecíveis.'
+  );
+}
+
+/**
+ * Filtra os itens de um array, descartando os inválidos e registando avisos.
+ * @param {Array} items - Os itens a verificar.
+ * @param {Function} validate - Devolve uma lista de erros para um item.
+ * @param {string} label - Descrição do item para as mensagens.
+ * @param {string[]} warnings - Lista onde os avisos são acumulados.
+ * @returns {Array} Os itens válidos.
+ */
+function keepValidItems(items, validate, label, warnings) {
+  return items.filter((item, index) => {
+    const errors = validate(item);
+    if (errors.length === 0) return true;
+    const name = item && typeof item.name === 'string' ? ` '${item.name}'` : '';
+    warnings.push(
+      `Ignorado — ${label} #${index + 1}${name}: ${errors.join('; ')}`
+    );
+    return false;
+  });
+}
+
+/**
+ * Chave de um item de uma secção 'union': o próprio texto, ou a chave da
+ * exceção (as exceções são objetos).
+ * @param {string|object} entry - O item.
+ * @returns {string}
+ */
+function getUnionKey(entry) {
+  return typeof entry === 'string' ? entry : getExceptionKey(entry);
+}
+
+/**
+ * Verifica o esquema das configurações já migradas, removendo os itens ou
+ * chaves inválidos em vez de rejeitar o ficheiro inteiro.
+ * @param {object} settings - As configurações no esquema atual.
+ * @param {string[]} warnings - Lista onde os avisos são acumulados.
+ * @returns {object} As configurações limpas.
+ */
+function checkImportedSchema(settings, warnings) {
+  const checked = {};
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (NON_TRANSFERABLE_KEYS.has(key)) return;
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+      warnings.push(`Chave desconhecida '${key}' ignorada.`);
+      return;
+    }
+
+    if (RULE_LIST_VALIDATORS[key]) {
+      if (!Array.isArray(value)) {
+        warnings.push(`'${key}' não é uma lista e foi ignorado.`);
+        return;
+      }
+      const { validate, label } = RULE_LIST_VALIDATORS[key];
+      checked[key] = keepValidItems(
+        value,
+        (rule) => validate(rule).errors,
+        label,
+        warnings
+      );
+      return;
+    }
+
+    if (key === 'exceptions') {
+      if (!Array.isArray(value)) {
+        warnings.push(`'${key}' não é uma lista e foi ignorado.`);
+        return;
+      }
+      // Exceções antigas (texto) passam a 'url_contains'; as limitadas a uma
+      // janela não fazem sentido noutro browser
+      checked.exceptions = keepValidItems(
+        value.map((entry) => migrateException(entry) ?? entry),
+        (entry) => {
+          const { errors } = validateException(entry);
+          if (errors.length === 0 && entry.windowId !== undefined) {
+            return ['limitada a uma janela'];
+          }
+          return errors;
+        },
+        'Exceção',
+        warnings
+      );
+      return;
+    }
+
+    if (key === 'domainSanitizationTlds') {
+      if (!Array.isArray(value)) {
+        warnings.push(`'${key}' não é uma lista e foi ignorado.`);
+        return;
+      }
+      checked[key] = keepValidItems(
+        value,
+        (entry) =>
+          typeof entry === 'string' && entry.trim()
+            ? []
+            : ['deve ser um texto não vazio'],
+        'TLD',
+        warnings
+      );
+      return;
+    }
+
+    if (key === 'sharedLists') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        warnings.push('sharedLists não é um objeto e foi ignorado.');
+        return;
+      }
+      checked.sharedLists = {};
+      Object.entries(value).forEach(([name, entries]) => {
+        if (
+          SHARED_LIST_NAME_PATTERN.test(name) &&
+          Array.isArray(entries) &&
+          entries.every((entry) => typeof entry === 'string')
+        ) {
+          checked.sharedLists[name] = entries;
+        } else {
+          warnings.push(`Lista partilhada '${name}' inválida e ignorada.`);
+        }
+      });
+      return;
+    }
+
+    const result = validateSettings({ [key]: value });
+    if (result.isValid) {
+      checked[key] = value;
+    } else {
+      warnings.push(`'${key}' ignorado: ${result.errors.join('; ')}`);
+    }
+  });
+
+  return checked;
+}
+
+/**
+ * Converte o conteúdo de um ficheiro importado para o esquema atual.
+ * @param {any} payload - O conteúdo JSON do ficheiro.
+ * @returns {{settings: object, fromVersion: number, exportedAt: string|null, warnings: string[]}}
+ * @throws {Error} Se o ficheiro não for reconhecido ou vier de uma versão mais recente.
+ */
+export function migrateImportedSettings(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('O ficheiro não contém um objeto de configurações válido.');
+  }
+
+  const fromVersion = detectSchemaVersion(payload);
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    throw new Error(
+      `O ficheiro foi exportado por uma versão mais recente da extensão (esquema ${fromVersion}). Atualize a extensão antes de importar.`
+    );
+  }
+
+  let current = payload;
+  for (
+    let version = fromVersion;
+    version < SETTINGS_SCHEMA_VERSION;
+    version++
+  ) {
+    const migrate = SETTINGS_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`Não existe migração a partir do esquema ${version}.`);
+    }
+    current = migrate(current);
+  }
+
+  if (
+    !current.settings ||
+    typeof current.settings !== 'object' ||
+    Array.isArray(current.settings)
+  ) {
+    throw new Error('O ficheiro não contém um objeto de configurações válido.');
+  }
+
+  const warnings = [];
+  const settings = checkImportedSchema(current.settings, warnings);
+
+  return {
+    settings,
+    fromVersion,
+    exportedAt: current.exportedAt || null,
+    warnings,
+  };
+}
+
+function normalizeRuleName(rule) {
+  return String(rule.name || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Procura a regra existente que corresponde a uma regra importada: primeiro
+ * pelo id (regras de renomeação) e, na falta dele, pelo nome.
+ * @param {object[]} rules - As regras existentes.
+ * @param {object} imported - A regra importada.
+ * @returns {number} O índice da regra correspondente, ou -1.
+ */
+function findMatchingRuleIndex(rules, imported) {
+  if (imported.id) {
+    const byId = rules.findIndex((rule) => rule.id && rule.id === imported.id);
+    if (byId !== -1) return byId;
+  }
+  const name = normalizeRuleName(imported);
+  return rules.findIndex((rule) => normalizeRuleName(rule) === name);
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lista as chaves de preferências gerais presentes no ficheiro importado.
+ * @param {object} imported - As configurações importadas (já migradas).
+ * @returns {string[]} As chaves que não pertencem a nenhuma outra secção.
+ */
+function getPreferenceKeys(imported) {
+  return Object.keys(imported).filter((key) => !SECTION_KEYS.has(key));
+}
+
+/**
+ * Calcula as diferenças entre as configurações atuais e as importadas, por secção.
+ * @param {object} current - As configurações atuais.
+ * @param {object} imported - As configurações importadas (já migradas).
+ * @returns {Array<{id: string, label: string, available: boolean, added: string[], updated: string[], unchanged: number}>}
+ */
+export function diffImportedSettings(current, imported) {
+  return IMPORT_SECTIONS.map((section) => {
+    const diff = {
+      id: section.id,
+      label: section.label,
+      available: false,
+      added: [],
+      updated: [],
+      unchanged: 0,
+    };
+
+    if (section.merge === 'replace') {
+      getPreferenceKeys(imported).forEach((key) => {
+        if (isSameValue(current[key], imported[key])) diff.unchanged++;
+        else diff.updated.push(key);
+      });
+      diff.available = diff.updated.length + diff.unchanged > 0;
+      return diff;
+    }
+
+    const incoming = imported[section.key];
+    if (incoming === undefined) return diff;
+    diff.available = true;
+
+    if (section.merge === 'rules') {
+      const existing = current[section.key] || [];
+      incoming.forEach((rule) => {
+        const index = findMatchingRuleIndex(existing, rule);
+        if (index === -1) diff.added.push(rule.name);
+        else if (isSameValue(existing[index], rule)) diff.unchanged++;
+        else diff.updated.push(rule.name);
+      });
+    } else if (section.merge === 'map') {
+      const existing = current[section.key] || {};
+      Object.entries(incoming).forEach(([name, value]) => {
+        if (!Object.prototype.hasOwnProperty.call(existing, name)) {
+          diff.added.push(name);
+        } else if (isSameValue(existing[name], value)) diff.unchanged++;
+        else diff.updated.push(name);
+      });
+    } else if (section.merge === 'union') {
+      const existing = new Set((current[section.key] || []).map(getUnionKey));
+      incoming.forEach((entry) => {
+        if (existing.has(getUnionKey(entry))) diff.unchanged++;
+        else {
+          diff.added.push(
+            typeof entry === 'string' ? entry : describeException(entry)
+          );
+        }
+      });
+    }
+
+    return diff;
+  });
+}
+
+/**
+ * Funde as secções escolhidas das configurações importadas com as atuais.
+ * Regras e pacotes de regras são fundidos por id ou nome (os importados
+ * substituem os existentes com a mesma chave, mantendo a posição); listas
+ * partilhadas por nome; exceções e TLDs por união; preferências gerais são
+ * substituídas.
+ * @param {object} current - As configurações atuais.
+ * @param {object} imported - As configurações importadas (já migradas).
+ * @param {Iterable<string>} sectionIds - Os ids das secções a aplicar.
+ * @returns {object} As novas configurações completas.
+ */
+export function mergeImportedSettings(current, imported, sectionIds) {
+  const selected = new Set(sectionIds);
+  const merged = { ...current };
+
+  IMPORT_SECTIONS.forEach((section) => {
+    if (!selected.has(section.id)) return;
+
+    if (section.merge === 'replace') {
+      getPreferenceKeys(imported).forEach((key) => {
+        merged[key] = imported[key];
+      });
+      return;
+    }
+
+    const incoming = imported[section.key];
+    if (incoming === undefined) return;
+
+    if (section.merge === 'rules') {
+      const rules = [...(current[section.key] || [])];
+      incoming.forEach((rule) => {
+        const index = findMatchingRuleIndex(rules, rule);
+        if (index === -1) rules.push(rule);
+        else if (rules[index].id)
+          rules[index] = { ...rule, id: rules[index].id };
+        else rules[index] = rule;
+      });
+      merged[section.key] = rules;
+    } else if (section.merge === 'map') {
+      merged[section.key] = { ...(current[section.key] || {}), ...incoming };
+    } else if (section.merge === 'union') {
+      const entries = new Map();
+      [...(current[section.key] || []), ...incoming].forEach((entry) => {
+        const key = getUnionKey(entry);
+        if (!entries.has(key)) entries.set(key, entry);
+      });
+      merged[section.key] = [...entries.values()];
+    }
+  });
+
+  return merged;
+}
@@ -0,0 +1,157 @@
+/**
+ * @file tab-context.js
+ * @description Contexto de abertura de cada aba que a API de abas não expõe:
+ * o momento em que a aba foi aberta e o hostname da aba que a abriu (opener).
+ * O hostname do opener é registado no momento da criação, antes de a aba de
+ * origem navegar para outro lado. Usado pelas condições `age_minutes` e
+ * `opener_hostname` das regras.
+ */
+
+import Logger from './logger.js';
+import { sanitizeUrl } from './validation-utils.js';
+
+const TAB_CONTEXT_STORAGE_KEY = 'tabOpenContext';
+
+// IDs de aba não sobrevivem a um reinício do browser: usa storage.session
+// quando disponível e, no fallback local, descarta abas que já não existem
+// (o Firefox reutiliza IDs de aba depois de reiniciar).
+const contextStorage = browser.storage.session || browser.storage.local;
+
+/** @type {Map<number, {openedAt: number, openerHostname: string}>|null} */
+let tabContexts = null;
+
+/**
+ * Carrega (uma vez) o mapa tabId -> contexto.
+ * @returns {Promise<Map<number, {openedAt: number, openerHostname: string}>>}
+ */
+async function loadTabContexts() {
+  if (tabContexts) return tabContexts;
+
+  const data = await contextStorage.get(TAB_CONTEXT_STORAGE_KEY);
+  tabContexts = new Map(
+    Object.entries(data[TAB_CONTEXT_STORAGE_KEY] || {}).map(([id, ctx]) => [
+      parseInt(id, 10),
+      ctx,
+    ])
+  );
+  return tabContexts;
+}
+
+/**
+ * Persiste o mapa tabId -> contexto.
+ */
+async function persistTabContexts() {
+  await contextStorage.set({
+    [TAB_CONTEXT_STORAGE_KEY]: Object.fromEntries(tabContexts),
+  });
+}
+
+/**
+ * Descarta o contexto das abas que já não estão abertas. Chamada no arranque,
+ * para que uma aba nova não herde a idade de uma aba de uma sessão anterior
+ * com o mesmo ID.
+ */
+export async function pruneTabContexts() {
+  const contexts = await loadTabContexts();
+  const openTabIds = new Set(
+    (await browser.tabs.query({})).map((tab) => tab.id)
+  );
+  let removed = 0;
+  for (const tabId of contexts.keys()) {
+    if (!openTabIds.has(tabId)) {
+      contexts.delete(tabId);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    await persistTabContexts();
+    Logger.debug(
+      'TabContext',
+      `${removed} contexto(s) de abas fechadas descartado(s).`
+    );
+  }
+}
+
+/**
+ * Obtém o hostname atual da aba de origem.
+ * @param {number|undefined} openerTabId - ID da aba de origem.
+ * @returns {Promise<string>} O hostname, ou string vazia.
+ */
+async function fetchOpenerHostname(openerTabId) {
+  if (typeof openerTabId !== 'number') return '';
+  try {
+    const opener = await browser.tabs.get(openerTabId);
+    const url = sanitizeUrl(opener.url);
+    return url ? new URL(url).hostname : '';
+  } catch (e) {
+    Logger.debug(
+      'TabContext',
+      `Aba de origem ${openerTabId} indisponível: ${e.message}`
+    );
+    return '';
+  }
+}
+
+/**
+ * Regista o contexto de uma aba acabada de criar.
+ * @param {browser.tabs.Tab} tab - A aba criada.
+ */
+export async function recordTabCreated(tab) {
+  const contexts = await loadTabContexts();
+  contexts.set(tab.id, {
+    openedAt: Date.now(),
+    openerHostname: await fetchOpenerHostname(tab.openerTabId),
+  });
+  await persistTabContexts();
+}
+
+/**
+ * Esquece o contexto de uma aba fechada.
+ * @param {number} tabId - ID da aba.
+ */
+export async function forgetTab(tabId) {
+  const contexts = await loadTabContexts();
+  if (contexts.delete(tabId)) {
+    await persistTabContexts();
+  }
+}
+
+/**
+ * Obtém o contexto de abertura de uma aba. Abas que não foram vistas a ser
+ * criadas (ex: já abertas quando a extensão arrancou) contam a partir do
+ * momento em que são vistas pela primeira vez.
+ * @param {browser.tabs.Tab} tab - A aba.
+ * @returns {Promise<{openedAt: number, openerHostname: string}>}
+ */
+export async function getTabContext(tab) {
+  const contexts = await loadTabContexts();
+  if (!contexts.has(tab.id)) {
+    contexts.set(tab.id, {
+      openedAt: Date.now(),
+      openerHostname: await fetchOpenerHostname(tab.openerTabId),
+    });
+    await persistTabContexts();
+  }
+  return contexts.get(tab.id);
+}
+
+/**
+ * Filtra as abas cuja idade (em minutos inteiros) atingiu alguma das idades
+ * indicadas entre dois instantes. Abas sem contexto registado são ignoradas:
+ * contam a partir do momento em que forem avaliadas.
+ * @param {browser.tabs.Tab[]} tabs - As abas candidatas.
+ * @param {number[]} ageMinutes - As idades a detetar.
+ * @param {number} since - Instante da verificação anterior.
+ * @param {number} now - Instante atual.
+ * @returns {Promise<browser.tabs.Tab[]>}
+ */
+export async function getTabsReachingAge(tabs, ageMinutes, since, now) {
+  const contexts = await loadTabContexts();
+  return tabs.filter((tab) => {
+    const openedAt = contexts.get(tab.id)?.openedAt;
+    if (!openedAt) return false;
+    const previousAge = Math.floor((since - openedAt) / 60000);
+    const currentAge = Math.floor((now - openedAt) / 60000);
+    return ageMinutes.some((age) => previousAge < age && age <= currentAge);
+  });
+}
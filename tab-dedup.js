@@ -0,0 +1,278 @@
+/**
+ * @file tab-dedup.js
+ * @description Deteção de abas duplicadas. Os URLs são normalizados (sem
+ * parâmetros de rastreio, e opcionalmente sem query string ou fragmento) antes
+ * de serem comparados. Conforme `settings.duplicateTabPolicy`, uma aba nova
+ * que duplique outra é assinalada no ícone da extensão ou fechada, focando a
+ * existente; os duplicados de um grupo ou janela podem também ser fechados a
+ * pedido, mantendo uma aba de cada URL.
+ */
+
+import Logger from './logger.js';
+import { settings } from './settings-manager.js';
+
+const BADGE_COLOR = '#f97316';
+
+// Abas criadas que ainda não carregaram o primeiro URL http(s): só estas são
+// "novas" para a política 'focus_existing' (uma aba que navega não é fechada)
+const freshTabIds = new Set();
+
+/**
+ * Indica se um parâmetro da query string é de rastreio.
+ * @param {string} name - Nome do parâmetro.
+ * @param {string[]} trackingParams - Nomes, ou prefixos terminados em "*".
+ * @returns {boolean}
+ */
+function isTrackingParam(name, trackingParams) {
+  const lowerName = name.toLowerCase();
+  return trackingParams.some((param) => {
+    const lowerParam = param.toLowerCase();
+    return lowerParam.endsWith('*')
+      ? lowerName.startsWith(lowerParam.slice(0, -1))
+      : lowerName === lowerParam;
+  });
+}
+
+/**
+ * Normaliza um URL para comparação de duplicados: remove os parâmetros de
+ * rastreio, ordena os restantes e retira a barra final do caminho.
+ * @param {string} url - O URL.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreQuery] - Ignorar toda a query string.
+ * @param {boolean} [options.ignoreFragment] - Ignorar o fragmento.
+ * @param {string[]} [options.trackingParams] - Parâmetros de rastreio.
+ * @returns {string|null} O URL normalizado, ou null se não for http(s).
+ */
+export function normalizeTabUrl(
+  url,
+  { ignoreQuery = false, ignoreFragment = true, trackingParams = [] } = {}
+) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const params = ignoreQuery
+    ? []
+    : Array.from(parsed.searchParams.entries())
+        .filter(([name]) => !isTrackingParam(name, trackingParams))
+        .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  const fragment = ignoreFragment ? '' : parsed.hash;
+
+  return `${parsed.protocol}//${parsed.host}${path}${
+    query ? `?${query}` : ''
+  }${fragment}`;
+}
+
+/**
+ * Opções de normalização a partir das configurações.
+ * @returns {object}
+ */
+function getNormalizeOptions() {
+  return {
+    ignoreQuery: settings.duplicateIgnoreQuery,
+    ignoreFragment: settings.duplicateIgnoreFragment,
+    trackingParams: settings.duplicateTrackingParams || [],
+  };
+}
+
+/**
+ * Agrupa as abas pelo URL normalizado, devolvendo só os URLs com duplicados.
+ * @param {browser.tabs.Tab[]} tabs - As abas.
+ * @returns {Map<string, browser.tabs.Tab[]>} URL normalizado -> abas (2 ou mais).
+ */
+export function findDuplicateTabs(tabs) {
+  const options = getNormalizeOptions();
+  const byUrl = new Map();
+  for (const tab of tabs) {
+    const key = normalizeTabUrl(tab.url, options);
+    if (!key) continue;
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(tab);
+  }
+  for (const [key, copies] of byUrl) {
+    if (copies.length < 2) byUrl.delete(key);
+  }
+  return byUrl;
+}
+
+/**
+ * Escolhe a aba a manter entre duplicados: a ativa, depois a fixada e, por
+ * fim, a mais antiga (menor ID).
+ * @param {browser.tabs.Tab[]} copies - Abas com o mesmo URL normalizado.
+ * @returns {browser.tabs.Tab}
+ */
+function pickTabToKeep(copies) {
+  return [...copies].sort(
+    (a, b) =>
+      Number(Boolean(b.active)) - Number(Boolean(a.active)) ||
+      Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+      a.id - b.id
+  )[0];
+}
+
+/**
+ * Conta as abas a mais (além da que seria mantida por URL) num conjunto.
+ * @param {browser.tabs.Tab[]} tabs - As abas.
+ * @returns {number}
+ */
+function countExtraCopies(tabs) {
+  let extra = 0;
+  for (const copies of findDuplicateTabs(tabs).values()) {
+    extra += copies.length - 1;
+  }
+  return extra;
+}
+
+/**
+ * Resume os duplicados de uma janela e, opcionalmente, de um dos seus grupos.
+ * @param {number} windowId - ID da janela.
+ * @param {number} [groupId] - ID do grupo.
+ * @returns {Promise<{policy: string, windowDuplicates: number, groupDuplicates: number}>}
+ */
+export async function getDuplicateSummary(windowId, groupId) {
+  const tabs = await browser.tabs.query({ windowId });
+  return {
+    policy: settings.duplicateTabPolicy,
+    windowDuplicates: countExtraCopies(tabs),
+    groupDuplicates:
+      groupId === undefined
+        ? 0
+        : countExtraCopies(tabs.filter((tab) => tab.groupId === groupId)),
+  };
+}
+
+/**
+ * Fecha os duplicados de um grupo ou de uma janela, mantendo uma aba de cada
+ * URL (ver `pickTabToKeep`).
+ * @param {object} scope
+ * @param {number} [scope.groupId] - Fecha só os duplicados dentro deste grupo.
+ * @param {number} [scope.windowId] - Fecha os duplicados desta janela.
+ * @returns {Promise<number>} Número de abas fechadas.
+ */
+export async function closeDuplicateTabs({ groupId, windowId }) {
+  const tabs =
+    groupId !== undefined
+      ? await browser.tabs.query({ groupId })
+      : await browser.tabs.query({ windowId });
+
+  const tabIdsToClose = [];
+  for (const copies of findDuplicateTabs(tabs).values()) {
+    const keep = pickTabToKeep(copies);
+    copies
+      .filter((tab) => tab.id !== keep.id)
+      .forEach((tab) => tabIdsToClose.push(tab.id));
+  }
+
+  if (tabIdsToClose.length > 0) {
+    await browser.tabs.remove(tabIdsToClose);
+    Logger.info(
+      'TabDedup',
+      `${tabIdsToClose.length} aba(s) duplicada(s) fechada(s).`
+    );
+  }
+  return tabIdsToClose.length;
+}
+
+/**
+ * Atualiza o aviso no ícone de cada aba: o número de cópias do seu URL, ou
+ * nada se a aba não tiver duplicados (ou se a política não for 'badge').
+ */
+export async function refreshDuplicateBadges() {
+  if (!browser.action?.setBadgeText) return;
+
+  const tabs = await browser.tabs.query({});
+  const duplicates =
+    settings.duplicateTabPolicy === 'badge'
+      ? findDuplicateTabs(tabs)
+      : new Map();
+  const copiesByTabId = new Map();
+  for (const copies of duplicates.values()) {
+    copies.forEach((tab) => copiesByTabId.set(tab.id, copies.length));
+  }
+
+  await Promise.all(
+    tabs.map(async (tab) => {
+      const copies = copiesByTabId.get(tab.id);
+      try {
+        await browser.action.setBadgeText({
+          tabId: tab.id,
+          text: copies ? `×${copies}` : '',
+        });
+        if (copies) {
+          await browser.action.setBadgeBackgroundColor({
+            tabId: tab.id,
+            color: BADGE_COLOR,
+          });
+        }
+      } catch (e) {
+        // A aba pode ter sido fechada entretanto
+        Logger.debug('TabDedup', `Aviso da aba ${tab.id} ignorado:`, e);
+      }
+    })
+  );
+}
+
+/**
+ * Marca uma aba acabada de criar como nova, até carregar o primeiro URL.
+ * @param {number} tabId - ID da aba.
+ */
+export function markTabCreated(tabId) {
+  freshTabIds.add(tabId);
+}
+
+/**
+ * Esquece uma aba fechada.
+ * @param {number} tabId - ID da aba.
+ */
+export function forgetTab(tabId) {
+  freshTabIds.delete(tabId);
+}
+
+/**
+ * Aplica a política 'focus_existing' a uma aba que carregou um URL: se for
+ * uma aba nova e o URL já estiver aberto noutra aba, foca a existente e fecha
+ * a nova.
+ * @param {browser.tabs.Tab} tab - A aba.
+ * @returns {Promise<boolean>} True se a aba foi fechada.
+ */
+export async function handleTabUrlLoaded(tab) {
+  const options = getNormalizeOptions();
+  const key = normalizeTabUrl(tab.url, options);
+  // Páginas internas (ex: nova aba) ainda não contam como primeiro URL
+  if (!key) return false;
+
+  const isFresh = freshTabIds.delete(tab.id);
+  if (
+    !isFresh ||
+    tab.pinned ||
+    settings.duplicateTabPolicy !== 'focus_existing'
+  ) {
+    return false;
+  }
+
+  const allTabs = await browser.tabs.query({});
+  const existing = allTabs
+    .filter(
+      (other) =>
+        other.id !== tab.id && normalizeTabUrl(other.url, options) === key
+    )
+    .sort((a, b) => a.id - b.id)[0];
+  if (!existing) return false;
+
+  await browser.tabs.update(existing.id, { active: true });
+  if (existing.windowId !== tab.windowId) {
+    await browser.windows.update(existing.windowId, { focused: true });
+  }
+  await browser.tabs.remove(tab.id);
+  Logger.info(
+    'TabDedup',
+    `Aba ${tab.id} fechada: duplicava a aba ${existing.id} (${key}).`
+  );
+  return true;
+}
@@ -0,0 +1,183 @@
+/**
+ * @file tab-exceptions.js
+ * @description Exceções ao agrupamento (`settings.exceptions`). Cada exceção
+ * descreve as abas que não devem ser agrupadas (por hostname, padrão glob ou
+ * expressão regular sobre o URL, ou por um grupo de condições como os das
+ * regras) e pode ficar limitada a uma janela, expirar numa data ("não agrupar
+ * até amanhã") e guardar o motivo. As exceções do formato antigo (texto
+ * contido no URL) são convertidas pelo tipo 'url_contains'.
+ * Módulo puro, partilhado pelo background e pela página de opções.
+ */
+
+import {
+  buildTabProperties,
+  compileConditionGroup,
+  compileRegExp,
+  globToRegExp,
+} from './rule-engine.js';
+import { validateException } from './validation-utils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {object} TabException
+ * @property {string} type - 'url_contains', 'hostname', 'glob', 'regex' ou 'conditions'.
+ * @property {string} [value] - Texto, hostname ou padrão (exceto 'conditions').
+ * @property {object} [conditionGroup] - Grupo de condições (tipo 'conditions').
+ * @property {number} [windowId] - Só se aplica a esta janela.
+ * @property {number} [expiresAt] - Timestamp a partir do qual deixa de valer.
+ * @property {string} [reason] - Motivo, mostrado na página de opções.
+ */
+
+/**
+ * Converte uma exceção do formato antigo (texto) para o formato atual.
+ * @param {string|TabException} exception - A exceção guardada.
+ * @returns {TabException|null} A exceção, ou null se for inválida.
+ */
+export function migrateException(exception) {
+  const migrated =
+    typeof exception === 'string'
+      ? { type: 'url_contains', value: exception.trim() }
+      : exception;
+  return validateException(migrated).isValid ? migrated : null;
+}
+
+/**
+ * Chave que identifica uma exceção (tipo, padrão e janela), usada para evitar
+ * exceções repetidas.
+ * @param {TabException} exception - A exceção.
+ * @returns {string}
+ */
+export function getExceptionKey(exception) {
+  const pattern =
+    exception.type === 'conditions'
+      ? JSON.stringify(exception.conditionGroup)
+      : exception.value.toLowerCase();
+  return `${exception.type}:${pattern}:${exception.windowId ?? ''}`;
+}
+
+/**
+ * Descreve uma exceção numa linha, para listas e avisos.
+ * @param {TabException} exception - A exceção.
+ * @returns {string}
+ */
+export function describeException(exception) {
+  switch (exception.type) {
+    case 'hostname':
+      return `Domínio ${exception.value}`;
+    case 'glob':
+      return `URL como ${exception.value}`;
+    case 'regex':
+      return `URL corresponde a /${exception.value}/`;
+    case 'conditions':
+      return 'Grupo de condições';
+    default:
+      return `URL contém "${exception.value}"`;
+  }
+}
+
+/**
+ * Calcula a data de expiração de uma exceção temporária.
+ * @param {'hour'|'today'|'forever'} duration - Duração da exceção.
+ * @param {number} [now=Date.now()] - Momento atual.
+ * @returns {number|undefined} O timestamp, ou undefined se não expirar.
+ */
+export function getExceptionExpiry(duration, now = Date.now()) {
+  if (duration === 'hour') return now + HOUR_MS;
+  if (duration === 'today') {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+  return undefined;
+}
+
+/**
+ * Indica se uma exceção ainda está em vigor.
+ * @param {TabException} exception - A exceção.
+ * @param {number} [now=Date.now()] - Momento atual.
+ * @returns {boolean}
+ */
+export function isExceptionActive(exception, now = Date.now()) {
+  return !exception.expiresAt || exception.expiresAt > now;
+}
+
+/**
+ * Indica se uma exceção se aplica a uma aba (sem ver a validade).
+ * @param {TabException} exception - A exceção.
+ * @param {browser.tabs.Tab} tab - A aba.
+ * @param {object} properties - Propriedades da aba (`buildTabProperties`).
+ * @param {object} [sharedLists] - Listas partilhadas, para condições `@nome`.
+ * @returns {boolean}
+ */
+function exceptionMatchesTab(exception, tab, properties, sharedLists) {
+  if (exception.windowId !== undefined && exception.windowId !== tab.windowId) {
+    return false;
+  }
+
+  const { url, hostname } = properties;
+  switch (exception.type) {
+    case 'url_contains':
+      return url.includes(exception.value);
+    case 'hostname': {
+      const expected = exception.value.toLowerCase().replace(/^www\./, '');
+      const host = hostname.toLowerCase().replace(/^www\./, '');
+      return host === expected || host.endsWith(`.${expected}`);
+    }
+    case 'glob':
+      return globToRegExp(exception.value).test(url);
+    case 'regex':
+      return compileRegExp(exception.value).test(url);
+    case 'conditions':
+      return compileConditionGroup(exception.conditionGroup, { sharedLists })(
+        properties
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Procura a primeira exceção em vigor que se aplica a uma aba.
+ * @param {browser.tabs.Tab} tab - A aba.
+ * @param {TabException[]} exceptions - As exceções (`settings.exceptions`).
+ * @param {object} [options]
+ * @param {object} [options.sharedLists] - Listas partilhadas.
+ * @param {number} [options.now] - Momento atual.
+ * @returns {TabException|undefined}
+ */
+export function findMatchingException(
+  tab,
+  exceptions,
+  { sharedLists = {}, now = Date.now() } = {}
+) {
+  const properties = buildTabProperties(tab);
+  return exceptions.find(
+    (exception) =>
+      isExceptionActive(exception, now) &&
+      exceptionMatchesTab(exception, tab, properties, sharedLists)
+  );
+}
+
+/**
+ * Remove as exceções expiradas e as de janelas que já não existem (os IDs de
+ * janela não sobrevivem a um reinício do browser).
+ * @param {TabException[]} exceptions - As exceções.
+ * @param {object} [options]
+ * @param {Set<number>} [options.openWindowIds] - Janelas abertas; sem este
+ * conjunto, as exceções por janela são mantidas.
+ * @param {number} [options.now] - Momento atual.
+ * @returns {TabException[]} As exceções que continuam em vigor.
+ */
+export function pruneExceptions(
+  exceptions,
+  { openWindowIds, now = Date.now() } = {}
+) {
+  return exceptions.filter(
+    (exception) =>
+      isExceptionActive(exception, now) &&
+      (exception.windowId === undefined ||
+        !openWindowIds ||
+        openWindowIds.has(exception.windowId))
+  );
+}
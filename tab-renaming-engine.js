@@ -6,8 +6,24 @@
 import Logger from './logger.js';
 import { withErrorHandling } from './adaptive-error-handler.js';
 import { getConfig } from './performance-config.js';
-import { validateTabRenamingRule, sanitizeString } from './validation-utils.js';
+import {
+  validateTabRenamingRule,
+  sanitizeString,
+  RENAMING_TEMPLATE_PLACEHOLDER_PATTERN,
+} from './validation-utils.js';
+import {
+  buildTabProperties,
+  compileCondition,
+  compileConditionGroup,
+  compileRegExp,
+} from './rule-engine.js';
 import { WrappedBrowserAPI } from './browser-api-wrapper.js'; // Importa o wrapper da API do navegador
+import {
+  recordRename,
+  isTitleReverted,
+  takeRevertTargets,
+  forgetTabHistory,
+} from './rename-history.js';
 
 function debouncePerKey(fn, delay) {
   const timers = new Map();
@@ -40,6 +56,17 @@ export const StrategyType = {
   TITLE_MANIPULATION: 'title_manipulation',
   DOMAIN_BASED: 'domain_based',
   ORIGINAL_TITLE: 'original_title',
+  TEMPLATE: 'template',
+};
+
+/**
+ * Origens dos campos de uma estratégia `template`.
+ */
+export const TemplateFieldSource = {
+  CSS: 'css',
+  URL_REGEX: 'url_regex',
+  TITLE: 'title',
+  HOSTNAME: 'hostname',
 };
 
 export const TextAction = {
@@ -51,13 +78,75 @@ export const TextAction = {
   EXTRACT: 'extract',
 };
 
+/**
+ * Devolve um grupo de captura de uma expressão regular aplicada a um texto.
+ * @param {string} text - O texto (URL ou título).
+ * @param {string} pattern - A expressão regular.
+ * @param {number} [group=1] - O grupo de captura (0 para a correspondência inteira).
+ * @returns {string|null} O texto capturado, ou null se não houver correspondência.
+ */
+function extractRegexCapture(text, pattern, group = 1) {
+  const match = (text || '').match(compileRegExp(pattern));
+  if (!match) return null;
+  return match[group] ?? match[0];
+}
+
+/**
+ * Limpa um título composto a partir de um modelo quando alguns campos ficaram
+ * vazios: remove parênteses/colchetes vazios, separadores repetidos ou nas
+ * pontas e espaços duplicados.
+ * @param {string} title - O título composto.
+ * @returns {string} O título limpo.
+ */
+function tidyTemplateTitle(title) {
+  return title
+    .replace(/\[\s*\]|\(\s*\)/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/(\s[·|•–—:-])(?:\s[·|•–—:-])+(?=\s|$)/g, '$1')
+    .replace(/^[\s·|•–—:-]+|[\s·|•–—:-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Reúne os elementos (seletor e atributo) lidos pelas estratégias de uma
+ * regra, incluindo os fallbacks e os campos CSS dos modelos, para o modo de
+ * observação.
+ * @param {object} rule - Regra de renomeação.
+ * @returns {Array<{selector: string, attribute?: string}>} Alvos sem repetições.
+ */
+function collectWatchTargets(rule) {
+  const targets = new Map();
+  const addTarget = ({ selector, attribute }) => {
+    if (!selector) return;
+    targets.set(`${selector}|${attribute || ''}`, {
+      selector,
+      ...(attribute ? { attribute } : {}),
+    });
+  };
+  const visit = (strategy) => {
+    if (!strategy || typeof strategy !== 'object') return;
+    if (strategy.type === StrategyType.CSS_EXTRACT) addTarget(strategy);
+    if (strategy.type === StrategyType.TEMPLATE) {
+      Object.values(strategy.fields || {})
+        .filter((field) => field.source === TemplateFieldSource.CSS)
+        .forEach(addTarget);
+    }
+    visit(strategy.fallback);
+  };
+  (rule.renamingStrategies || []).forEach(visit);
+  return [...targets.values()];
+}
+
 export class TabRenamingEngine {
   constructor() {
     this.rules = new Map();
+    this.sharedLists = {};
     this.processing = new Set();
     this.cache = new Map();
 
     this.tabIdTitleCache = new Map();
+    // Abas em modo de observação: tabId -> id da regra observada
+    this.watchedTabs = new Map();
 
     this.metrics = {
       totalProcessed: 0,
@@ -78,11 +167,20 @@ export class TabRenamingEngine {
     );
   }
 
+  /**
+   * Define as listas partilhadas referidas nas condições como "@nome".
+   * @param {object} sharedLists - Mapa nome -> entradas (`settings.sharedLists`).
+   */
+  setSharedLists(sharedLists) {
+    this.sharedLists = sharedLists || {};
+  }
+
   /**
    * Carrega regras de renomeação.
    * @param {Array} rules - Array de regras de renomeação.
    */
   loadRules(rules) {
+    const previousRules = [...this.rules.values()];
     this.rules.clear();
 
     if (!Array.isArray(rules)) {
@@ -115,16 +213,35 @@ export class TabRenamingEngine {
       'TabRenamingEngine',
       `${validRules} regras carregadas de ${rules.length} fornecidas`
     );
+
+    // Abas renomeadas por regras removidas ou desativadas voltam ao título original
+    const droppedRuleIds = previousRules
+      .filter((rule) => rule.enabled && !this.rules.get(rule.id)?.enabled)
+      .map((rule) => rule.id);
+    if (droppedRuleIds.length > 0) {
+      this.revertTabs({ ruleIds: droppedRuleIds }).catch((error) =>
+        Logger.warn(
+          'TabRenamingEngine',
+          `Falha ao restaurar abas de regras removidas: ${error.message}`
+        )
+      );
+    }
   }
 
   /**
    * Processa uma aba para renomeação
    * @param {number} tabId - ID da aba
    * @param {object} tab - Objeto da aba
+   * @param {object} [options]
+   * @param {string} [options.pageTitle] - Título definido pela própria página,
+   *   enviado pelo modo de observação. Quando presente, as regras são avaliadas
+   *   sobre este título (e não sobre o título já renomeado) e as caches são
+   *   ignoradas, porque o conteúdo da página mudou sem mudar a URL.
    * @returns {Promise<boolean>} True se a aba foi renomeada
    */
-  async processTab(tabId, tab) {
+  async processTab(tabId, tab, { pageTitle } = {}) {
     const TIMEOUT_MS = 3000;
+    const watchTriggered = typeof pageTitle === 'string';
     return await Promise.race([
       (async () => {
         if (this.processing.has(tabId)) {
@@ -135,7 +252,7 @@ export class TabRenamingEngine {
           return false;
         }
 
-        if (this.tabIdTitleCache.has(tabId)) {
+        if (!watchTriggered && this.tabIdTitleCache.has(tabId)) {
           const cachedTitle = this.tabIdTitleCache.get(tabId);
           if (cachedTitle === tab.title) {
             Logger.debug(
@@ -154,17 +271,28 @@ export class TabRenamingEngine {
           return false;
         }
 
+        if (await isTitleReverted(tabId, tab.url)) {
+          Logger.debug(
+            'TabRenamingEngine',
+            `Aba ${tabId} foi restaurada pelo utilizador; não é renomeada até navegar`
+          );
+          return false;
+        }
+
         // TODO: Melhorar lógica de detecção de alterações manuais em fases futuras.
 
         const startTime = Date.now();
         this.processing.add(tabId);
+        const sourceTab = watchTriggered ? { ...tab, title: pageTitle } : tab;
 
         try {
           this.metrics.totalProcessed++;
 
           // Verifica cache primeiro
-          const cacheKey = this.generateCacheKey(tab);
-          const cachedResult = this.getCachedResult(cacheKey);
+          const cacheKey = this.generateCacheKey(sourceTab);
+          const cachedResult = watchTriggered
+            ? null
+            : this.getCachedResult(cacheKey);
 
           if (cachedResult) {
             this.metrics.cacheHits++;
@@ -173,8 +301,15 @@ export class TabRenamingEngine {
               `Cache hit para aba ${tabId}: ${cachedResult}`
             );
 
+            await this.unwatchTab(tabId);
             if (cachedResult !== tab.title) {
               await this.updateTabTitle(tabId, cachedResult);
+              await recordRename(tabId, {
+                pageTitle: sourceTab.title,
+                title: cachedResult,
+                url: tab.url,
+                rule: this.cache.get(cacheKey).rule,
+              });
               this.metrics.successfulRenames++;
               // Atualiza cache simples também
               this.tabIdTitleCache.set(tabId, cachedResult);
@@ -186,34 +321,67 @@ export class TabRenamingEngine {
           }
 
           // Encontra regras aplicáveis
-          const applicableRules = this.findApplicableRules(tab);
+          const applicableRules = this.findApplicableRules(sourceTab);
           if (applicableRules.length === 0) {
             Logger.debug(
               'TabRenamingEngine',
               `Nenhuma regra aplicável para aba ${tabId}`
             );
+            await this.unwatchTab(tabId);
             return false;
           }
 
-          const newTitle = await this.executeRenamingRules(
-            tab,
-            applicableRules
+          const match = await this.executeRenamingRules(
+            sourceTab,
+            applicableRules,
+            { watchTriggered }
           );
+          const newTitle = match?.title?.trim();
+
+          // A observação é ativada antes de mudar o título, para que o
+          // content script reconheça o novo título como nosso. Uma regra
+          // observada que ainda não produziu título continua a ser observada,
+          // à espera de que o conteúdo apareça.
+          const watchedRule = match
+            ? match.rule
+            : applicableRules.find((rule) => rule.options?.watchChanges);
+          if (watchedRule?.options?.watchChanges) {
+            await this.watchTab(
+              tabId,
+              watchedRule,
+              sourceTab.title,
+              newTitle || tab.title
+            );
+          } else {
+            await this.unwatchTab(tabId);
+          }
 
-          if (newTitle && newTitle.trim() && newTitle.trim() !== tab.title) {
+          if (newTitle && newTitle !== tab.title) {
             // Atualiza título da aba
-            const success = await this.updateTabTitle(tabId, newTitle.trim());
+            const success = await this.updateTabTitle(tabId, newTitle);
 
             if (success) {
-              // Armazena no cache
-              this.setCachedResult(cacheKey, newTitle.trim());
+              // Regras observadas dependem do conteúdo e não só da URL e do
+              // título, por isso o resultado não é guardado
+              if (
+                match.rule.options?.cacheResult !== false &&
+                !match.rule.options?.watchChanges
+              ) {
+                this.setCachedResult(cacheKey, newTitle, null, match.rule);
+              }
+              await recordRename(tabId, {
+                pageTitle: sourceTab.title,
+                title: newTitle,
+                url: tab.url,
+                rule: match.rule,
+              });
               // Atualiza cache simples por tabId
-              this.tabIdTitleCache.set(tabId, newTitle.trim());
+              this.tabIdTitleCache.set(tabId, newTitle);
               this.metrics.successfulRenames++;
 
               Logger.info(
                 'TabRenamingEngine',
-                `Aba ${tabId} renomeada: '${tab.title}' → '${newTitle.trim()}'`
+                `Aba ${tabId} renomeada: '${tab.title}' → '${newTitle}'`
               );
               return true;
             }
@@ -286,11 +454,11 @@ export class TabRenamingEngine {
       return false;
     }
     try {
-      const check = (condition) => this.evaluateCondition(tab, condition);
-      if (conditionOperator === 'OR') {
-        return conditions.some(check);
-      }
-      return conditions.every(check);
+      const matcher = compileConditionGroup(
+        { operator: conditionOperator, conditions },
+        { sharedLists: this.sharedLists }
+      );
+      return matcher(buildTabProperties(tab));
     } catch (error) {
       Logger.error(
         'TabRenamingEngine',
@@ -308,117 +476,27 @@ export class TabRenamingEngine {
    * @returns {boolean} - True se a condição for satisfeita
    */
   evaluateCondition(tab, condition) {
-    if (
-      !condition ||
-      !condition.property ||
-      !condition.operator ||
-      condition.value === undefined
-    ) {
-      Logger.warn(
-        'TabRenamingEngine',
-        'Ignorando condição incompleta:',
-        condition
-      );
-      return false;
-    }
-    const tabProperties = {
-      url: tab.url || '',
-      title: tab.title || '',
-      hostname: '',
-      url_path: '',
-    };
-    try {
-      const url = new URL(tab.url);
-      tabProperties.hostname = url.hostname;
-      tabProperties.url_path = url.pathname;
-    } catch (e) {
-      // no-op: ignore URL parsing errors
-    }
-    if (
-      !Object.prototype.hasOwnProperty.call(tabProperties, condition.property)
-    ) {
-      Logger.warn(
-        'TabRenamingEngine',
-        `Propriedade inválida na condição: ${condition.property}`
-      );
-      return false;
-    }
-    const propValue = String(tabProperties[condition.property] || '');
-    const condValue = String(condition.value || '').trim();
-    if (condValue === '') {
-      return false;
-    }
-    try {
-      switch (condition.operator) {
-        case 'contains':
-          return propValue.toLowerCase().includes(condValue.toLowerCase());
-        case 'not_contains':
-          return !propValue.toLowerCase().includes(condValue.toLowerCase());
-        case 'starts_with':
-          return propValue.toLowerCase().startsWith(condValue.toLowerCase());
-        case 'ends_with':
-          return propValue.toLowerCase().endsWith(condValue.toLowerCase());
-        case 'equals':
-          return propValue.toLowerCase() === condValue.toLowerCase();
-        case 'regex':
-          try {
-            return new RegExp(condition.value, 'i').test(propValue);
-          } catch (regexError) {
-            Logger.warn(
-              'TabRenamingEngine',
-              `Regex inválida na condição: '${condition.value}'`,
-              regexError
-            );
-            return false;
-          }
-        case 'wildcard':
-          try {
-            const wildcardRegex = new RegExp(
-              '^' +
-                condValue
-                  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                  .replace(/\\\*/g, '.*')
-                  .replace(/\\\?/g, '.') +
-                '$',
-              'i'
-            );
-            return wildcardRegex.test(propValue);
-          } catch (wildcardError) {
-            Logger.warn(
-              'TabRenamingEngine',
-              `Padrão wildcard inválido: '${condValue}'`,
-              wildcardError
-            );
-            return false;
-          }
-        default:
-          Logger.warn(
-            'TabRenamingEngine',
-            `Operador desconhecido na condição: ${condition.operator}`
-          );
-          return false;
-      }
-    } catch (error) {
-      Logger.error(
-        'TabRenamingEngine',
-        'Erro ao avaliar condição:',
-        error,
-        condition
-      );
-      return false;
-    }
+    const matcher = compileCondition(condition, {
+      sharedLists: this.sharedLists,
+    });
+    return matcher(buildTabProperties(tab));
   }
 
   /**
    * Executa estratégias de renomeação para uma aba
    * @param {object} tab - Objeto da aba
    * @param {Array} rules - Regras aplicáveis
-   * @returns {Promise<string|null>} Novo título ou null
+   * @param {object} [options]
+   * @param {boolean} [options.watchTriggered=false] - A alteração veio do modo
+   *   de observação (a página mudou, não o utilizador).
+   * @returns {Promise<{title: string, rule: object}|null>} Novo título e a
+   *   regra que o produziu, ou null
    */
-  async executeRenamingRules(tab, rules) {
+  async executeRenamingRules(tab, rules, { watchTriggered = false } = {}) {
     for (const rule of rules) {
       try {
         if (
+          !watchTriggered &&
           rule.options?.respectManualChanges &&
           tab.title !== this.getCachedResult(this.generateCacheKey(tab))
         ) {
@@ -426,7 +504,7 @@ export class TabRenamingEngine {
         }
         const result = await this.executeRule(tab, rule);
         if (result && result.trim()) {
-          return result.trim();
+          return { title: result.trim(), rule };
         }
       } catch (error) {
         continue;
@@ -497,6 +575,9 @@ export class TabRenamingEngine {
       case StrategyType.ORIGINAL_TITLE:
         return tab.title;
 
+      case StrategyType.TEMPLATE:
+        return await this.executeTemplate(tab, strategy, options);
+
       default:
         Logger.warn(
           'TabRenamingEngine',
@@ -643,6 +724,89 @@ export class TabRenamingEngine {
     return sanitizeString(result, getConfig('TAB_RENAMING_MAX_TITLE_LENGTH'));
   }
 
+  /**
+   * Compõe um título a partir de vários campos extraídos, ex:
+   * `{ticketId} · {summary} [{status}]`. Os campos são extraídos em paralelo;
+   * um campo vazio usa o seu `fallback` e, se for `required`, faz a estratégia
+   * falhar (para que seja tentado o fallback da estratégia ou a seguinte).
+   * @param {object} tab - Objeto da aba
+   * @param {object} strategy - Estratégia com `template` e `fields`
+   * @param {object} options - Opções da regra
+   * @returns {Promise<string|null>} Título composto ou null
+   */
+  async executeTemplate(tab, strategy, options) {
+    const fields = strategy.fields || {};
+    const names = Object.keys(fields);
+    const extracted = await Promise.all(
+      names.map((name) => this.extractTemplateField(tab, fields[name], options))
+    );
+
+    const values = {};
+    for (const [index, name] of names.entries()) {
+      const field = fields[name];
+      const value =
+        typeof extracted[index] === 'string' ? extracted[index].trim() : '';
+      if (!value && field.required && !field.fallback) {
+        Logger.debug(
+          'TabRenamingEngine',
+          `Campo obrigatório '${name}' vazio no modelo para aba ${tab.id}.`
+        );
+        return null;
+      }
+      values[name] = value || field.fallback || '';
+    }
+
+    const title = tidyTemplateTitle(
+      strategy.template.replace(
+        RENAMING_TEMPLATE_PLACEHOLDER_PATTERN,
+        (placeholder, name) => values[name] ?? ''
+      )
+    );
+    return title
+      ? sanitizeString(title, getConfig('TAB_RENAMING_MAX_TITLE_LENGTH'))
+      : null;
+  }
+
+  /**
+   * Extrai o valor de um campo de um modelo e aplica-lhe as operações de texto.
+   * @param {object} tab - Objeto da aba
+   * @param {object} field - Definição do campo (`source`, `selector`, `pattern`, ...)
+   * @param {object} options - Opções da regra
+   * @returns {Promise<string|null>} Valor extraído ou null
+   */
+  async extractTemplateField(tab, field, options) {
+    let value = null;
+    try {
+      switch (field.source) {
+        case TemplateFieldSource.CSS:
+          value = await this.executeCSSExtraction(tab, field, options);
+          break;
+        case TemplateFieldSource.URL_REGEX:
+          value = extractRegexCapture(tab.url, field.pattern, field.group);
+          break;
+        case TemplateFieldSource.TITLE:
+          value = field.pattern
+            ? extractRegexCapture(tab.title, field.pattern, field.group)
+            : tab.title;
+          break;
+        case TemplateFieldSource.HOSTNAME:
+          value = new URL(tab.url).hostname.replace(/^www\./, '');
+          break;
+      }
+    } catch (error) {
+      Logger.debug(
+        'TabRenamingEngine',
+        `Falha ao extrair campo '${field.source}' do modelo: ${error.message}`
+      );
+      return null;
+    }
+
+    if (value && Array.isArray(field.operations) && field.operations.length) {
+      value = this.executeTitleManipulation(value, field.operations);
+    }
+    return value;
+  }
+
   /**
    * Executa nomeação baseada no domínio
    * @param {object} tab - Objeto da aba
@@ -677,9 +841,12 @@ export class TabRenamingEngine {
    * Atualiza o título de uma aba
    * @param {number} tabId - ID da aba
    * @param {string} newTitle - Novo título
+   * @param {object} [options]
+   * @param {boolean} [options.exact=false] - Não limita o comprimento (usado
+   *   ao restaurar o título original da página)
    * @returns {Promise<boolean>} True se bem-sucedido
    */
-  async updateTabTitle(tabId, newTitle) {
+  async updateTabTitle(tabId, newTitle, { exact = false } = {}) {
     // Risco: Título inválido (vazio, muito longo) ou falha na API.
     // Mitigação: Validação e sanitização do título, uso de withErrorHandling.
     return await withErrorHandling(
@@ -696,7 +863,7 @@ export class TabRenamingEngine {
         // Limita o comprimento do título
         const maxLength = getConfig('TAB_RENAMING_MAX_TITLE_LENGTH');
         const finalTitle =
-          newTitle.length > maxLength
+          !exact && newTitle.length > maxLength
             ? newTitle.substring(0, maxLength - 3) + '...'
             : newTitle;
 
@@ -705,33 +872,7 @@ export class TabRenamingEngine {
           `Atualizando título da aba ${tabId} para: '${finalTitle}' via injeção de script`
         );
 
-        // Otimização: só injeta content-script se necessário
-        let contentScriptInjected = false;
-        try {
-          await WrappedBrowserAPI.tabs.sendMessage(tabId, { action: 'ping' });
-          contentScriptInjected = true;
-        } catch (e) {
-          contentScriptInjected = false;
-        }
-
-        if (!contentScriptInjected) {
-          try {
-            await browser.scripting.executeScript({
-              target: { tabId: tabId },
-              files: ['content-script.js'],
-            });
-            Logger.debug(
-              'TabRenamingEngine',
-              `content-script.js injetado em tabId ${tabId} (injeção programática)`
-            );
-          } catch (injectErr) {
-            Logger.warn(
-              'TabRenamingEngine',
-              `Falha ao injetar content-script.js em tabId ${tabId}: ${injectErr.message}`
-            );
-            // Não retorna erro aqui, pois pode ser página protegida
-          }
-        }
+        await this.ensureContentScript(tabId);
 
         // Agora executa o script para alterar o título
         await browser.scripting.executeScript({
@@ -759,6 +900,150 @@ export class TabRenamingEngine {
     );
   }
 
+  /**
+   * Injeta o content script numa aba se ainda não estiver a responder.
+   * @param {number} tabId - ID da aba
+   * @returns {Promise<boolean>} True se o content script está disponível
+   */
+  async ensureContentScript(tabId) {
+    // Otimização: só injeta content-script se necessário
+    try {
+      await WrappedBrowserAPI.tabs.sendMessage(tabId, { action: 'ping' });
+      return true;
+    } catch (e) {
+      // Ainda não injetado
+    }
+
+    try {
+      await browser.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ['content-script.js'],
+      });
+      Logger.debug(
+        'TabRenamingEngine',
+        `content-script.js injetado em tabId ${tabId} (injeção programática)`
+      );
+      return true;
+    } catch (injectErr) {
+      Logger.warn(
+        'TabRenamingEngine',
+        `Falha ao injetar content-script.js em tabId ${tabId}: ${injectErr.message}`
+      );
+      // Não lança erro aqui, pois pode ser página protegida
+      return false;
+    }
+  }
+
+  /**
+   * Ativa (ou atualiza) o modo de observação de uma aba: o content script
+   * observa os elementos lidos pela regra e o título do documento e avisa o
+   * background (`renamingContentChanged`) quando mudam.
+   * @param {number} tabId - ID da aba
+   * @param {object} rule - Regra com `options.watchChanges`
+   * @param {string} pageTitle - Título definido pela própria página
+   * @param {string} appliedTitle - Título que a aba vai ter depois da regra
+   */
+  async watchTab(tabId, rule, pageTitle, appliedTitle) {
+    if (!(await this.ensureContentScript(tabId))) return;
+    try {
+      await WrappedBrowserAPI.tabs.sendMessage(tabId, {
+        action: 'watchContent',
+        targets: collectWatchTargets(rule),
+        pageTitle,
+        appliedTitle,
+        throttleMs: getConfig('TAB_RENAMING_WATCH_THROTTLE'),
+      });
+      this.watchedTabs.set(tabId, rule.id);
+    } catch (error) {
+      Logger.debug(
+        'TabRenamingEngine',
+        `Não foi possível observar a aba ${tabId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Desativa o modo de observação de uma aba, se estiver ativo.
+   * @param {number} tabId - ID da aba
+   */
+  async unwatchTab(tabId) {
+    if (!this.watchedTabs.has(tabId)) return;
+    this.watchedTabs.delete(tabId);
+    try {
+      await WrappedBrowserAPI.tabs.sendMessage(tabId, {
+        action: 'unwatchContent',
+      });
+    } catch (error) {
+      // A página pode ter navegado e levado o content script consigo
+    }
+  }
+
+  /**
+   * Esquece o estado de uma aba fechada.
+   * @param {number} tabId - ID da aba
+   */
+  async forgetTab(tabId) {
+    this.tabIdTitleCache.delete(tabId);
+    this.watchedTabs.delete(tabId);
+    await forgetTabHistory(tabId);
+  }
+
+  /**
+   * Restaura o título original das abas renomeadas. As abas restauradas não
+   * voltam a ser renomeadas até navegarem para outro URL.
+   * @param {object} [filter] - Sem filtro, restaura todas as abas renomeadas.
+   * @param {number} [filter.tabId] - Apenas esta aba.
+   * @param {string[]} [filter.ruleIds] - Apenas abas renomeadas por estas regras.
+   * @returns {Promise<number>} Número de abas restauradas
+   */
+  async revertTabs(filter = {}) {
+    const targets = await takeRevertTargets(filter);
+    let reverted = 0;
+    for (const { tabId, originalTitle } of targets) {
+      await this.unwatchTab(tabId);
+      this.tabIdTitleCache.delete(tabId);
+      if (
+        originalTitle &&
+        (await this.updateTabTitle(tabId, originalTitle, { exact: true }))
+      ) {
+        reverted++;
+      }
+    }
+    if (targets.length > 0) {
+      Logger.info(
+        'TabRenamingEngine',
+        `${reverted} de ${targets.length} aba(s) restauradas para o título original`
+      );
+    }
+    return reverted;
+  }
+
+  /**
+   * Restaura o título original de uma aba.
+   * @param {number} tabId - ID da aba
+   * @returns {Promise<number>} 1 se a aba foi restaurada, 0 caso contrário
+   */
+  async revertTab(tabId) {
+    return await this.revertTabs({ tabId });
+  }
+
+  /**
+   * Restaura as abas cujo título atual foi aplicado por uma regra.
+   * @param {string} ruleId - ID da regra
+   * @returns {Promise<number>} Número de abas restauradas
+   */
+  async revertRule(ruleId) {
+    return await this.revertTabs({ ruleIds: [ruleId] });
+  }
+
+  /**
+   * Restaura todas as abas renomeadas.
+   * @returns {Promise<number>} Número de abas restauradas
+   */
+  async revertAll() {
+    return await this.revertTabs();
+  }
+
   /**
    * Gera chave de cache para uma aba
    * @param {object} tab - Objeto da aba
@@ -800,11 +1085,13 @@ export class TabRenamingEngine {
    * @param {string} key - Chave do cache
    * @param {string} value - Valor a armazenar
    * @param {number} ttl - Time to live em ms
+   * @param {object} [rule] - Regra que produziu o valor (para o histórico)
    */
-  setCachedResult(key, value, ttl = null) {
+  setCachedResult(key, value, ttl = null, rule = null) {
     const cacheTTL = ttl || getConfig('TAB_RENAMING_CACHE_TTL');
     this.cache.set(key, {
       value,
+      rule: rule ? { id: rule.id, name: rule.name } : null,
       expires: Date.now() + cacheTTL,
       created: Date.now(),
     });
@@ -862,6 +1149,7 @@ export class TabRenamingEngine {
       rulesLoaded: this.rules.size,
       cacheSize: this.cache.size,
       currentlyProcessing: this.processing.size,
+      watchedTabs: this.watchedTabs.size,
       cacheHitRate:
         this.metrics.totalProcessed > 0
           ? (
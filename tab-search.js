@@ -0,0 +1,190 @@
+/**
+ * @file tab-search.js
+ * @description Pesquisa de abas em todas as janelas, usada pelo popup. A
+ * pesquisa é aproximada (cada palavra da pesquisa tem de aparecer, inteira ou
+ * com as letras pela mesma ordem) sobre o título da aba, o título original de
+ * uma aba renomeada, o nome do grupo e o URL. Os resultados podem ser
+ * ativados ou trazidos (a aba ou o grupo inteiro) para a janela atual.
+ */
+
+import Logger from './logger.js';
+import { getOriginalTitles } from './rename-history.js';
+
+const DEFAULT_RESULT_LIMIT = 50;
+
+// Peso de cada campo: uma correspondência no título vale mais do que no URL
+const FIELD_WEIGHTS = {
+  title: 1,
+  originalTitle: 0.9,
+  groupTitle: 0.8,
+  url: 0.6,
+};
+
+/**
+ * Normaliza um texto para comparação: minúsculas e sem acentos.
+ * @param {string} text - O texto.
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Indica se a posição de um texto é o início de uma palavra.
+ * @param {string} text - O texto normalizado.
+ * @param {number} index - A posição.
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+  return index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+}
+
+/**
+ * Pontua a correspondência de uma palavra num texto (ambos normalizados).
+ * Uma ocorrência inteira pontua mais, sobretudo no início de uma palavra; caso
+ * contrário, as letras têm de aparecer pela mesma ordem, e as seguidas ou no
+ * início de palavras valem mais (e as afastadas entre si, menos).
+ * @param {string} token - A palavra pesquisada.
+ * @param {string} text - O texto onde procurar.
+ * @returns {number|null} A pontuação, ou null se não corresponder.
+ */
+export function fuzzyScore(token, text) {
+  if (!token) return 0;
+
+  const index = text.indexOf(token);
+  if (index !== -1) {
+    return (
+      100 +
+      token.length * 4 +
+      (isWordStart(text, index) ? 30 : 0) -
+      Math.min(index, 20)
+    );
+  }
+
+  let score = 0;
+  let first = -1;
+  let previous = -1;
+  let run = 0;
+  for (const char of token) {
+    const found = text.indexOf(char, previous + 1);
+    if (found === -1) return null;
+    if (first === -1) first = found;
+    run = found === previous + 1 ? run + 1 : 0;
+    score += 1 + run * 3 + (isWordStart(text, found) ? 5 : 0);
+    previous = found;
+  }
+  // Letras muito espalhadas não contam como correspondência
+  score -= (previous - first + 1 - token.length) * 0.5;
+  return score > 0 ? score : null;
+}
+
+/**
+ * Pontua uma aba para as palavras pesquisadas: cada palavra conta pelo melhor
+ * campo em que aparece, e todas têm de aparecer.
+ * @param {string[]} tokens - As palavras pesquisadas (normalizadas).
+ * @param {object} fields - Campo -> texto normalizado.
+ * @returns {{score: number, field: string}|null}
+ */
+function scoreFields(tokens, fields) {
+  let total = 0;
+  let bestField = null;
+  let bestFieldScore = -Infinity;
+
+  for (const token of tokens) {
+    let tokenScore = null;
+    for (const [field, text] of Object.entries(fields)) {
+      const score = fuzzyScore(token, text);
+      if (score === null) continue;
+      const weighted = score * FIELD_WEIGHTS[field];
+      if (tokenScore === null || weighted > tokenScore) tokenScore = weighted;
+      if (weighted > bestFieldScore) {
+        bestFieldScore = weighted;
+        bestField = field;
+      }
+    }
+    if (tokenScore === null) return null;
+    total += tokenScore;
+  }
+  return { score: total, field: bestField };
+}
+
+/**
+ * Pesquisa as abas de todas as janelas.
+ * @param {string} query - O texto pesquisado.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Número máximo de resultados.
+ * @returns {Promise<Array<object>>} Os resultados, do mais relevante para o
+ * menos: `{ tabId, windowId, groupId, title, url, favIconUrl, originalTitle,
+ * groupTitle, groupColor, matchedField }`.
+ */
+export async function searchTabs(query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const tokens = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const [tabs, groups, originalTitles] = await Promise.all([
+    browser.tabs.query({}),
+    browser.tabGroups ? browser.tabGroups.query({}) : [],
+    getOriginalTitles(),
+  ]);
+  const groupsById = new Map(groups.map((group) => [group.id, group]));
+
+  const results = [];
+  for (const tab of tabs) {
+    const group = groupsById.get(tab.groupId);
+    const originalTitle = originalTitles.get(tab.id);
+    const match = scoreFields(tokens, {
+      title: normalizeText(tab.title),
+      ...(originalTitle && { originalTitle: normalizeText(originalTitle) }),
+      ...(group?.title && { groupTitle: normalizeText(group.title) }),
+      url: normalizeText(tab.url),
+    });
+    if (!match) continue;
+
+    results.push({
+      tabId: tab.id,
+      windowId: tab.windowId,
+      groupId: group ? group.id : null,
+      title: tab.title || tab.url,
+      url: tab.url,
+      favIconUrl: tab.favIconUrl,
+      originalTitle: originalTitle || null,
+      groupTitle: group ? group.title : null,
+      groupColor: group ? group.color : null,
+      matchedField: match.field,
+      score: match.score,
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Abre um resultado da pesquisa: ativa a aba onde está, ou traz para a janela
+ * indicada a aba ou o seu grupo inteiro e ativa-a.
+ * @param {number} tabId - ID da aba.
+ * @param {'activate'|'move_tab'|'move_group'} mode - O que fazer.
+ * @param {number} [windowId] - Janela de destino (para 'move_tab' e 'move_group').
+ */
+export async function openSearchResult(tabId, mode, windowId) {
+  const tab = await browser.tabs.get(tabId);
+
+  if (mode === 'move_group' && tab.groupId !== browser.tabs.TAB_ID_NONE) {
+    if (tab.windowId !== windowId) {
+      await browser.tabGroups.move(tab.groupId, { windowId, index: -1 });
+    }
+  } else if (mode !== 'activate' && tab.windowId !== windowId) {
+    await browser.tabs.move(tabId, { windowId, index: -1 });
+  }
+
+  const { windowId: targetWindowId } = await browser.tabs.update(tabId, {
+    active: true,
+  });
+  await browser.windows.update(targetWindowId, { focused: true });
+  Logger.debug(
+    'TabSearch',
+    `Resultado ${tabId} aberto (${mode}) na janela ${targetWindowId}.`
+  );
+}
@@ -16,9 +16,34 @@ export const VALID_TAB_PROPERTIES = new Set([
   "url",
   "title",
   "hostname",
+  "registrable_domain",
   "url_path",
+  "pinned",
+  "audible",
+  "muted",
+  "discarded",
+  "incognito",
+  "opener_hostname",
+  "cookie_store_id",
+  "age_minutes",
 ]);
 
+/**
+ * Propriedades booleanas da aba (valor da condição: "true" ou "false")
+ */
+export const BOOLEAN_TAB_PROPERTIES = new Set([
+  "pinned",
+  "audible",
+  "muted",
+  "discarded",
+  "incognito",
+]);
+
+/**
+ * Propriedades numéricas da aba
+ */
+export const NUMERIC_TAB_PROPERTIES = new Set(["age_minutes"]);
+
 /**
  * Operadores válidos para condições
  */
@@ -30,8 +55,54 @@ export const VALID_OPERATORS = new Set([
   "equals",
   "regex",
   "wildcard",
+  "in_list",
+  "matches_any_glob",
+  "query_param_equals",
+  "greater_than",
+  "less_than",
+  "greater_or_equal",
+  "less_or_equal",
 ]);
 
+/**
+ * Operadores de comparação numérica (apenas para propriedades numéricas)
+ */
+export const NUMERIC_OPERATORS = new Set([
+  "greater_than",
+  "less_than",
+  "greater_or_equal",
+  "less_or_equal",
+]);
+
+/**
+ * Formato do valor de `query_param_equals`: "chave=valor" ou só "chave"
+ */
+const QUERY_PARAM_CONDITION_PATTERN = /^[^=\s]+(=.*)?$/;
+
+/**
+ * Formato do nome de uma lista partilhada (referida como "@nome")
+ */
+export const SHARED_LIST_NAME_PATTERN = /^[\w-]{1,40}$/;
+
+/**
+ * Obtém os operadores aplicáveis a uma propriedade da aba
+ * @param {string} property - Propriedade da condição
+ * @returns {string[]} - Operadores válidos para a propriedade
+ */
+export function getOperatorsForProperty(property) {
+  if (BOOLEAN_TAB_PROPERTIES.has(property)) {
+    return ["equals"];
+  }
+  if (NUMERIC_TAB_PROPERTIES.has(property)) {
+    return ["equals", ...NUMERIC_OPERATORS];
+  }
+  return Array.from(VALID_OPERATORS).filter(
+    (op) =>
+      !NUMERIC_OPERATORS.has(op) &&
+      (op !== "query_param_equals" || property === "url")
+  );
+}
+
 /**
  * Operadores lógicos válidos para grupos de condições
  */
@@ -52,6 +123,139 @@ export const VALID_GROUP_COLORS = new Set([
   "grey",
 ]);
 
+/**
+ * Operações sobre um grupo disponíveis no popup (mensagem manageGroup)
+ */
+export const VALID_GROUP_OPERATIONS = new Set([
+  "rename",
+  "recolor",
+  "collapse",
+  "expand",
+  "ungroup",
+  "close",
+  "manual",
+  "auto",
+]);
+
+/**
+ * Modos de agrupamento válidos
+ */
+export const VALID_GROUPING_MODES = new Set([
+  "smart",
+  "domain",
+  "subdomain",
+  "path",
+]);
+
+/**
+ * Número máximo de segmentos do caminho no modo de agrupamento "path"
+ */
+export const GROUPING_PATH_DEPTH_MAX = 5;
+
+/**
+ * Domínio de uma substituição do modo de agrupamento (ex: "github.com")
+ */
+export const GROUPING_OVERRIDE_DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Modos de nomenclatura de grupos: a partir de cada aba ou do conjunto de abas
+ */
+export const VALID_GROUP_NAMING_MODES = new Set(["per_tab", "collective"]);
+
+/**
+ * Estratégias da nomenclatura coletiva, pela ordem por omissão
+ */
+export const GROUP_NAMING_STRATEGIES = [
+  "site_name",
+  "common_domain",
+  "title_token",
+];
+
+/**
+ * Políticas para abas duplicadas: desligado, aviso no ícone, focar a aba
+ * existente (fechando a nova) ou só fechar a pedido
+ */
+export const VALID_DUPLICATE_TAB_POLICIES = new Set([
+  "off",
+  "badge",
+  "focus_existing",
+  "on_demand",
+]);
+
+/**
+ * Parâmetro de rastreio a remover dos URLs (ex: "fbclid", ou "utm_*" como prefixo)
+ */
+export const DUPLICATE_TRACKING_PARAM_PATTERN = /^[a-zA-Z0-9_.[\]-]{1,50}\*?$/;
+
+/**
+ * Tipos de exceção ao agrupamento: texto contido no URL (formato antigo),
+ * hostname (com subdomínios), padrão glob ou expressão regular sobre o URL,
+ * ou um grupo de condições como os das regras
+ */
+export const VALID_EXCEPTION_TYPES = new Set([
+  "url_contains",
+  "hostname",
+  "glob",
+  "regex",
+  "conditions",
+]);
+
+/**
+ * Configurações que podem ser substituídas por uma política de janela
+ */
+export const WINDOW_POLICY_FIELDS = [
+  "autoGroupingEnabled",
+  "groupingMode",
+  "minTabsForAutoGroup",
+];
+
+/**
+ * Seletores aceites pelas extrações CSS das regras de renomeação
+ */
+// eslint-disable-next-line no-useless-escape -- Escapes required for matching special CSS selector chars
+const CSS_EXTRACT_SELECTOR_PATTERN = /^[a-zA-Z0-9\s.#\[\]:\-()*+~>,=''\|]+$/;
+
+/**
+ * Marcadores de campo num modelo de renomeação (ex: "{ticketId} · {summary}")
+ */
+export const RENAMING_TEMPLATE_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Nome de um campo de um modelo de renomeação
+ */
+export const RENAMING_TEMPLATE_FIELD_NAME_PATTERN = /^[A-Za-z_]\w{0,29}$/;
+
+/**
+ * Origens possíveis de um campo de um modelo de renomeação
+ */
+export const RENAMING_TEMPLATE_FIELD_SOURCES = new Set([
+  "css",
+  "url_regex",
+  "title",
+  "hostname",
+]);
+
+const RENAMING_TEMPLATE_MAX_FIELDS = 8;
+const RENAMING_TEMPLATE_MAX_CSS_FIELDS = 4;
+
+/**
+ * Identificador de um pacote de regras (ex: "equipa-dev" ou "org.exemplo.web")
+ */
+export const RULE_PACK_ID_PATTERN = /^[a-z0-9][\w.-]{0,63}$/i;
+
+/**
+ * Versão de um pacote de regras: números separados por pontos (ex: "1.4.0")
+ */
+export const RULE_PACK_VERSION_PATTERN = /^\d{1,6}(\.\d{1,6}){0,3}$/;
+
+/**
+ * Campos de uma regra de pacote que podem ser substituídos localmente, por tipo de regra
+ */
+export const PACK_RULE_OVERRIDE_FIELDS = {
+  customRules: ["enabled", "priority", "color", "minTabs"],
+  tabRenamingRules: ["enabled", "priority"],
+};
+
 /**
  * Valida se um valor é uma string não vazia
  * @param {any} value - Valor a validar
@@ -241,6 +445,56 @@ export function validateCondition(condition) {
     errors.push("Valor da condição deve ser uma string não vazia");
   }
 
+  // Valida a combinação propriedade/operador e o tipo do valor
+  if (
+    VALID_TAB_PROPERTIES.has(condition.property) &&
+    VALID_OPERATORS.has(condition.operator) &&
+    !getOperatorsForProperty(condition.property).includes(condition.operator)
+  ) {
+    errors.push(
+      `Operador '${condition.operator}' não se aplica à propriedade '${condition.property}'`
+    );
+  }
+
+  if (
+    BOOLEAN_TAB_PROPERTIES.has(condition.property) &&
+    !["true", "false"].includes(condition.value)
+  ) {
+    errors.push(
+      `Valor da propriedade '${condition.property}' deve ser 'true' ou 'false'`
+    );
+  }
+
+  if (
+    NUMERIC_TAB_PROPERTIES.has(condition.property) &&
+    !/^\d+(\.\d+)?$/.test(String(condition.value).trim())
+  ) {
+    errors.push(
+      `Valor da propriedade '${condition.property}' deve ser um número não negativo`
+    );
+  }
+
+  if (
+    condition.operator === "query_param_equals" &&
+    typeof condition.value === "string" &&
+    !QUERY_PARAM_CONDITION_PATTERN.test(condition.value.trim())
+  ) {
+    errors.push(
+      "Valor do operador 'query_param_equals' deve ter o formato 'chave=valor' ou 'chave'"
+    );
+  }
+
+  if (
+    ["in_list", "matches_any_glob"].includes(condition.operator) &&
+    typeof condition.value === "string" &&
+    condition.value.trim().startsWith("@") &&
+    !SHARED_LIST_NAME_PATTERN.test(condition.value.trim().slice(1))
+  ) {
+    errors.push(
+      "Referência a lista partilhada deve ter o formato '@nome' (letras, números, '_' ou '-')"
+    );
+  }
+
   // Validação específica para regex
   if (condition.operator === "regex" && condition.value) {
     if (!isValidRegex(condition.value, "condition.value")) {
@@ -265,11 +519,27 @@ export function validateCondition(condition) {
 }
 
 /**
- * Valida um grupo de condições
+ * Verifica se um item de conditions é um grupo aninhado (e não uma condição simples)
+ * @param {any} item - Item a verificar
+ * @returns {boolean} - True se o item for um grupo de condições
+ */
+export function isConditionGroup(item) {
+  return (
+    !!item &&
+    typeof item === "object" &&
+    !Array.isArray(item) &&
+    Array.isArray(item.conditions)
+  );
+}
+
+/**
+ * Valida um grupo de condições. O array conditions pode conter condições
+ * simples ou outros grupos de condições, aninhados a qualquer profundidade.
  * @param {any} conditionGroup - Grupo de condições a validar
+ * @param {number} [depth=0] - Profundidade atual (uso interno)
  * @returns {ValidationResult} - Resultado da validação
  */
-export function validateConditionGroup(conditionGroup) {
+export function validateConditionGroup(conditionGroup, depth = 0) {
   const errors = [];
 
   // Verifica se conditionGroup é um objeto
@@ -299,8 +569,16 @@ export function validateConditionGroup(conditionGroup) {
   } else if (conditionGroup.conditions.length === 0) {
     errors.push("Grupo de condições deve ter pelo menos uma condição");
   } else {
-    // Valida cada condição individualmente
+    // Valida cada condição individualmente, descendo nos grupos aninhados
     conditionGroup.conditions.forEach((condition, index) => {
+      if (isConditionGroup(condition)) {
+        const groupResult = validateConditionGroup(condition, depth + 1);
+        if (!groupResult.isValid) {
+          errors.push(`Grupo ${index + 1}: (${groupResult.errors.join("; ")})`);
+        }
+        return;
+      }
+
       const conditionResult = validateCondition(condition);
       if (!conditionResult.isValid) {
         errors.push(
@@ -311,7 +589,8 @@ export function validateConditionGroup(conditionGroup) {
   }
 
   const isValid = errors.length === 0;
-  if (!isValid) {
+  // Apenas o grupo raiz regista o aviso, para não duplicar mensagens
+  if (!isValid && depth === 0) {
     try {
       Logger.warn(
         "Validation",
@@ -327,6 +606,259 @@ export function validateConditionGroup(conditionGroup) {
   return { isValid, errors };
 }
 
+/**
+ * Valida uma exceção ao agrupamento `{ type, value | conditionGroup,
+ * windowId?, expiresAt?, reason? }`
+ * @param {any} exception - Exceção a validar
+ * @returns {ValidationResult} - Resultado da validação
+ */
+export function validateException(exception) {
+  const errors = [];
+
+  if (!exception || typeof exception !== "object" || Array.isArray(exception)) {
+    errors.push("Exceção deve ser um objeto válido");
+    return { isValid: false, errors };
+  }
+
+  if (!VALID_EXCEPTION_TYPES.has(exception.type)) {
+    errors.push(
+      `Tipo de exceção '${exception.type}' inválido. Valores válidos: ${Array.from(
+        VALID_EXCEPTION_TYPES
+      ).join(", ")}`
+    );
+  } else if (exception.type === "conditions") {
+    const groupResult = validateConditionGroup(exception.conditionGroup);
+    errors.push(...groupResult.errors);
+  } else if (
+    !isNonEmptyString(exception.value, "value") ||
+    exception.value.length > 500
+  ) {
+    errors.push(
+      "Valor da exceção deve ser uma string não vazia até 500 caracteres"
+    );
+  } else if (
+    exception.type === "regex" &&
+    !isValidRegex(exception.value, "value")
+  ) {
+    errors.push(`Expressão regular '${exception.value}' inválida`);
+  }
+
+  if (
+    exception.windowId !== undefined &&
+    !isNonNegativeInteger(exception.windowId, "windowId")
+  ) {
+    errors.push("windowId da exceção deve ser um número inteiro não negativo");
+  }
+
+  if (
+    exception.expiresAt !== undefined &&
+    !isPositiveNumber(exception.expiresAt, "expiresAt")
+  ) {
+    errors.push("expiresAt da exceção deve ser um timestamp positivo");
+  }
+
+  if (
+    exception.reason !== undefined &&
+    (typeof exception.reason !== "string" || exception.reason.length > 200)
+  ) {
+    errors.push("Motivo da exceção deve ser uma string até 200 caracteres");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Valida a política de agrupamento de uma janela (substituições por etiqueta)
+ * @param {any} label - Etiqueta da janela
+ * @param {any} policy - Política a validar
+ * @returns {ValidationResult} - Resultado da validação
+ */
+export function validateWindowPolicy(label, policy) {
+  const errors = [];
+
+  if (!isNonEmptyString(label, "label") || label.length > 50) {
+    errors.push("Etiqueta deve ser uma string não vazia até 50 caracteres");
+  }
+
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    errors.push("Política deve ser um objeto válido");
+    return { isValid: false, errors };
+  }
+
+  Object.keys(policy).forEach((key) => {
+    if (!WINDOW_POLICY_FIELDS.includes(key)) {
+      errors.push(`Campo '${key}' não pode ser definido por janela`);
+    }
+  });
+
+  if (
+    policy.autoGroupingEnabled !== undefined &&
+    typeof policy.autoGroupingEnabled !== "boolean"
+  ) {
+    errors.push("autoGroupingEnabled deve ser booleano");
+  }
+
+  if (
+    policy.groupingMode !== undefined &&
+    !VALID_GROUPING_MODES.has(policy.groupingMode)
+  ) {
+    errors.push(`groupingMode '${policy.groupingMode}' inválido`);
+  }
+
+  if (
+    policy.minTabsForAutoGroup !== undefined &&
+    !isPositiveNumber(policy.minTabsForAutoGroup, "minTabsForAutoGroup")
+  ) {
+    errors.push("minTabsForAutoGroup deve ser um número positivo");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Valida as substituições locais de uma regra de pacote
+ * @param {string} kind - "customRules" ou "tabRenamingRules"
+ * @param {any} override - Substituições a validar
+ * @returns {string[]} - Lista de erros
+ */
+function validatePackRuleOverride(kind, override) {
+  const errors = [];
+  if (!override || typeof override !== "object" || Array.isArray(override)) {
+    return ["Substituição deve ser um objeto"];
+  }
+
+  Object.keys(override).forEach((key) => {
+    if (!PACK_RULE_OVERRIDE_FIELDS[kind].includes(key)) {
+      errors.push(`Campo '${key}' não pode ser substituído`);
+    }
+  });
+  if (override.enabled !== undefined && typeof override.enabled !== "boolean") {
+    errors.push("enabled deve ser booleano");
+  }
+  if (
+    override.priority !== undefined &&
+    (!Number.isInteger(override.priority) ||
+      override.priority < 1 ||
+      override.priority > 999)
+  ) {
+    errors.push("Prioridade deve ser um número inteiro entre 1 e 999");
+  }
+  if (override.color !== undefined && !VALID_GROUP_COLORS.has(override.color)) {
+    errors.push(`Cor '${override.color}' inválida`);
+  }
+  if (
+    override.minTabs !== undefined &&
+    !isPositiveNumber(override.minTabs, "minTabs")
+  ) {
+    errors.push("minTabs deve ser um número positivo");
+  }
+  return errors;
+}
+
+/**
+ * Valida um pacote de regras (regras de agrupamento e de renomeação com metadados)
+ * @param {any} pack - Pacote a validar
+ * @returns {ValidationResult} - Resultado da validação
+ */
+export function validateRulePack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+    errors.push("Pacote deve ser um objeto válido");
+    return { isValid: false, errors };
+  }
+
+  if (typeof pack.id !== "string" || !RULE_PACK_ID_PATTERN.test(pack.id)) {
+    errors.push(
+      "id do pacote deve ter até 64 letras, números, '.', '_' ou '-'"
+    );
+  }
+  if (!isNonEmptyString(pack.name, "pack.name") || pack.name.length > 100) {
+    errors.push(
+      "Nome do pacote deve ser uma string não vazia até 100 caracteres"
+    );
+  }
+  if (
+    typeof pack.version !== "string" ||
+    !RULE_PACK_VERSION_PATTERN.test(pack.version)
+  ) {
+    errors.push("Versão do pacote deve ter o formato 1.2.3");
+  }
+  if (
+    pack.author !== undefined &&
+    (typeof pack.author !== "string" || pack.author.length > 100)
+  ) {
+    errors.push("Autor do pacote deve ser uma string até 100 caracteres");
+  }
+  if (
+    pack.description !== undefined &&
+    (typeof pack.description !== "string" || pack.description.length > 500)
+  ) {
+    errors.push("Descrição do pacote deve ser uma string até 500 caracteres");
+  }
+  if (
+    pack.sourceUrl !== undefined &&
+    pack.sourceUrl !== null &&
+    (typeof pack.sourceUrl !== "string" || !/^https:\/\//i.test(pack.sourceUrl))
+  ) {
+    errors.push("Endereço de atualização do pacote deve ser um URL https://");
+  }
+
+  let ruleCount = 0;
+  const validators = {
+    customRules: validateCustomRule,
+    tabRenamingRules: validateTabRenamingRule,
+  };
+  Object.entries(validators).forEach(([kind, validate]) => {
+    if (pack[kind] === undefined) return;
+    if (!Array.isArray(pack[kind])) {
+      errors.push(`${kind} deve ser um array`);
+      return;
+    }
+    const names = new Set();
+    pack[kind].forEach((rule, index) => {
+      const result = validate(rule);
+      if (!result.isValid) {
+        errors.push(`${kind}[${index}]: ${result.errors.join("; ")}`);
+      } else if (names.has(rule.name)) {
+        // As substituições locais e as atualizações identificam as regras pelo nome
+        errors.push(
+          `${kind}[${index}]: nome '${rule.name}' repetido no pacote`
+        );
+      }
+      names.add(rule && rule.name);
+    });
+    ruleCount += pack[kind].length;
+  });
+  if (ruleCount === 0) {
+    errors.push("Pacote deve conter pelo menos uma regra");
+  }
+
+  if (pack.overrides !== undefined) {
+    if (
+      !pack.overrides ||
+      typeof pack.overrides !== "object" ||
+      Array.isArray(pack.overrides)
+    ) {
+      errors.push("overrides deve ser um objeto");
+    } else {
+      Object.entries(pack.overrides).forEach(([kind, byName]) => {
+        if (!PACK_RULE_OVERRIDE_FIELDS[kind]) {
+          errors.push(`overrides: tipo de regra '${kind}' desconhecido`);
+          return;
+        }
+        Object.entries(byName || {}).forEach(([name, override]) => {
+          validatePackRuleOverride(kind, override).forEach((error) =>
+            errors.push(`overrides '${name}': ${error}`)
+          );
+        });
+      });
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
 /**
  * Valida uma regra personalizada completa
  * @param {any} rule - Regra a validar
@@ -363,6 +895,16 @@ export function validateCustomRule(rule) {
     errors.push("minTabs deve ser um número positivo");
   }
 
+  // Valida prioridade (opcional)
+  if (
+    rule.priority !== undefined &&
+    (!Number.isInteger(rule.priority) ||
+      rule.priority < 1 ||
+      rule.priority > 999)
+  ) {
+    errors.push("Prioridade deve ser um número inteiro entre 1 e 999");
+  }
+
   // Valida conditionGroup
   if (!rule.conditionGroup) {
     errors.push("Regra deve ter um conditionGroup");
@@ -450,6 +992,17 @@ export function validateTabObject(tab) {
   return { isValid, errors };
 }
 
+/**
+ * Verifica se um valor é uma profundidade de caminho válida para o modo "path"
+ * @param {any} value - Valor a verificar
+ * @returns {boolean}
+ */
+function isValidGroupingPathDepth(value) {
+  return (
+    Number.isInteger(value) && value >= 1 && value <= GROUPING_PATH_DEPTH_MAX
+  );
+}
+
 /**
  * Valida configurações do usuário
  * @param {any} settings - Configurações a validar
@@ -472,6 +1025,8 @@ export function validateSettings(settings) {
     "showTabCount",
     "syncEnabled",
     "tabRenamingEnabled",
+    "duplicateIgnoreQuery",
+    "duplicateIgnoreFragment",
   ]; // NOVO: tabRenamingEnabled
   booleanFields.forEach((field) => {
     if (
@@ -503,6 +1058,16 @@ export function validateSettings(settings) {
     errors.push("autoCollapseTimeout deve ser um número inteiro não negativo");
   }
 
+  if (
+    settings.autoArchiveHours !== undefined &&
+    !isNonNegativeInteger(
+      settings.autoArchiveHours,
+      "settings.autoArchiveHours"
+    )
+  ) {
+    errors.push("autoArchiveHours deve ser um número inteiro não negativo");
+  }
+
   if (
     settings.ungroupSingleTabsTimeout !== undefined &&
     !isNonNegativeInteger(
@@ -518,9 +1083,46 @@ export function validateSettings(settings) {
   // Valida strings
   if (
     settings.groupingMode !== undefined &&
-    !["smart", "domain"].includes(settings.groupingMode)
+    !VALID_GROUPING_MODES.has(settings.groupingMode)
   ) {
-    errors.push("groupingMode deve ser 'smart' ou 'domain'");
+    errors.push(
+      `groupingMode deve ser um de: ${Array.from(VALID_GROUPING_MODES).join(
+        ", "
+      )}`
+    );
+  }
+
+  if (
+    settings.groupNamingMode !== undefined &&
+    !VALID_GROUP_NAMING_MODES.has(settings.groupNamingMode)
+  ) {
+    errors.push(
+      `groupNamingMode deve ser um de: ${Array.from(
+        VALID_GROUP_NAMING_MODES
+      ).join(", ")}`
+    );
+  }
+
+  if (settings.groupNamingStrategies !== undefined) {
+    if (!Array.isArray(settings.groupNamingStrategies)) {
+      errors.push("groupNamingStrategies deve ser um array");
+    } else {
+      settings.groupNamingStrategies.forEach((strategy, index) => {
+        if (!GROUP_NAMING_STRATEGIES.includes(strategy)) {
+          errors.push(
+            `groupNamingStrategies[${index}] deve ser um de: ${GROUP_NAMING_STRATEGIES.join(
+              ", "
+            )}`
+          );
+        }
+      });
+      if (
+        new Set(settings.groupNamingStrategies).size !==
+        settings.groupNamingStrategies.length
+      ) {
+        errors.push("groupNamingStrategies não pode ter estratégias repetidas");
+      }
+    }
   }
 
   if (
@@ -557,8 +1159,11 @@ export function validateSettings(settings) {
       errors.push("exceptions deve ser um array");
     } else {
       settings.exceptions.forEach((exception, index) => {
-        if (typeof exception !== "string") {
-          errors.push(`Exception ${index + 1} deve ser uma string`);
+        const exceptionResult = validateException(exception);
+        if (!exceptionResult.isValid) {
+          errors.push(
+            `Exceção ${index + 1}: ${exceptionResult.errors.join("; ")}`
+          );
         }
       });
     }
@@ -594,6 +1199,139 @@ export function validateSettings(settings) {
     }
   }
 
+  if (settings.windowPolicies !== undefined) {
+    if (
+      !settings.windowPolicies ||
+      typeof settings.windowPolicies !== "object" ||
+      Array.isArray(settings.windowPolicies)
+    ) {
+      errors.push("windowPolicies deve ser um objeto");
+    } else {
+      Object.entries(settings.windowPolicies).forEach(([label, policy]) => {
+        const policyResult = validateWindowPolicy(label, policy);
+        if (!policyResult.isValid) {
+          errors.push(
+            `Política de janela '${label}': ${policyResult.errors.join("; ")}`
+          );
+        }
+      });
+    }
+  }
+
+  if (
+    settings.groupingPathDepth !== undefined &&
+    !isValidGroupingPathDepth(settings.groupingPathDepth)
+  ) {
+    errors.push(
+      `groupingPathDepth deve ser um número inteiro entre 1 e ${GROUPING_PATH_DEPTH_MAX}`
+    );
+  }
+
+  if (settings.groupingModeOverrides !== undefined) {
+    if (
+      !settings.groupingModeOverrides ||
+      typeof settings.groupingModeOverrides !== "object" ||
+      Array.isArray(settings.groupingModeOverrides)
+    ) {
+      errors.push("groupingModeOverrides deve ser um objeto");
+    } else {
+      Object.entries(settings.groupingModeOverrides).forEach(
+        ([domain, override]) => {
+          if (!GROUPING_OVERRIDE_DOMAIN_PATTERN.test(domain)) {
+            errors.push(
+              `Domínio '${domain}' inválido em groupingModeOverrides`
+            );
+          }
+          if (
+            !override ||
+            typeof override !== "object" ||
+            !VALID_GROUPING_MODES.has(override.groupingMode)
+          ) {
+            errors.push(
+              `Modo de agrupamento de '${domain}' deve ser um de: ${Array.from(
+                VALID_GROUPING_MODES
+              ).join(", ")}`
+            );
+          } else if (
+            override.pathDepth !== undefined &&
+            !isValidGroupingPathDepth(override.pathDepth)
+          ) {
+            errors.push(
+              `Profundidade do caminho de '${domain}' deve ser um número inteiro entre 1 e ${GROUPING_PATH_DEPTH_MAX}`
+            );
+          }
+        }
+      );
+    }
+  }
+
+  if (
+    settings.duplicateTabPolicy !== undefined &&
+    !VALID_DUPLICATE_TAB_POLICIES.has(settings.duplicateTabPolicy)
+  ) {
+    errors.push(
+      `duplicateTabPolicy deve ser um de: ${Array.from(
+        VALID_DUPLICATE_TAB_POLICIES
+      ).join(", ")}`
+    );
+  }
+
+  if (settings.duplicateTrackingParams !== undefined) {
+    if (!Array.isArray(settings.duplicateTrackingParams)) {
+      errors.push("duplicateTrackingParams deve ser um array");
+    } else {
+      settings.duplicateTrackingParams.forEach((param, index) => {
+        if (
+          typeof param !== "string" ||
+          !DUPLICATE_TRACKING_PARAM_PATTERN.test(param)
+        ) {
+          errors.push(`duplicateTrackingParams[${index}] é inválido`);
+        }
+      });
+    }
+  }
+
+  if (settings.rulePacks !== undefined) {
+    if (!Array.isArray(settings.rulePacks)) {
+      errors.push("rulePacks deve ser um array");
+    } else {
+      settings.rulePacks.forEach((pack, index) => {
+        const packResult = validateRulePack(pack);
+        if (!packResult.isValid) {
+          errors.push(
+            `Pacote de regras ${index + 1}: ${packResult.errors.join("; ")}`
+          );
+        }
+      });
+    }
+  }
+
+  if (settings.sharedLists !== undefined) {
+    if (
+      !settings.sharedLists ||
+      typeof settings.sharedLists !== "object" ||
+      Array.isArray(settings.sharedLists)
+    ) {
+      errors.push("sharedLists deve ser um objeto");
+    } else {
+      Object.entries(settings.sharedLists).forEach(([name, entries]) => {
+        if (!SHARED_LIST_NAME_PATTERN.test(name)) {
+          errors.push(
+            `Nome de lista partilhada '${name}' inválido (até 40 letras, números, '_' ou '-')`
+          );
+        }
+        if (
+          !Array.isArray(entries) ||
+          !entries.every((entry) => typeof entry === "string")
+        ) {
+          errors.push(
+            `Lista partilhada '${name}' deve ser um array de strings`
+          );
+        }
+      });
+    }
+  }
+
   const isValid = errors.length === 0;
   if (!isValid) {
     try {
@@ -715,6 +1453,13 @@ function validateRenamingOptions(options) {
     errors.push("Opção 'respectManualChanges' deve ser booleana");
   }
 
+  if (
+    options.watchChanges !== undefined &&
+    !isBoolean(options.watchChanges, "options.watchChanges")
+  ) {
+    errors.push("Opção 'watchChanges' deve ser booleana");
+  }
+
   if (
     options.retryAttempts !== undefined &&
     (!isNonNegativeInteger(options.retryAttempts, "options.retryAttempts") ||
@@ -839,6 +1584,7 @@ function validateRenamingStrategy(strategy, index) {
     "title_manipulation",
     "domain_based",
     "original_title",
+    "template",
   ];
   if (!strategy.type || !validTypes.includes(strategy.type)) {
     errors.push(`${prefix}: tipo deve ser um de: ${validTypes.join(", ")}`);
@@ -850,9 +1596,7 @@ function validateRenamingStrategy(strategy, index) {
       if (!strategy.selector || typeof strategy.selector !== "string") {
         errors.push(`${prefix}: seletor CSS é obrigatório para extração CSS`);
       } else {
-        // eslint-disable-next-line no-useless-escape -- Escapes required for matching special CSS selector chars
-        const cssSelectorRegex = /^[a-zA-Z0-9\s.#\[\]:\-()*+~>,=''\|]+$/;
-        if (!cssSelectorRegex.test(strategy.selector)) {
+        if (!CSS_EXTRACT_SELECTOR_PATTERN.test(strategy.selector)) {
           errors.push(`${prefix}: seletor CSS contém caracteres inválidos`);
         }
       }
@@ -882,6 +1626,10 @@ function validateRenamingStrategy(strategy, index) {
         }
       }
       break;
+
+    case "template":
+      errors.push(...validateRenamingTemplate(strategy, prefix));
+      break;
   }
 
   if (strategy.fallback && !validTypes.includes(strategy.fallback)) {
@@ -891,6 +1639,132 @@ function validateRenamingStrategy(strategy, index) {
   return errors;
 }
 
+/**
+ * Valida uma estratégia "template": o modelo e os campos extraídos que compõe
+ * @param {object} strategy - Estratégia a validar
+ * @param {string} prefix - Prefixo das mensagens de erro
+ * @returns {Array} Array de erros
+ */
+function validateRenamingTemplate(strategy, prefix) {
+  const errors = [];
+
+  if (
+    typeof strategy.template !== "string" ||
+    strategy.template.trim().length === 0
+  ) {
+    errors.push(`${prefix}: modelo é obrigatório para a estratégia template`);
+  } else if (strategy.template.length > 200) {
+    errors.push(`${prefix}: modelo deve ter no máximo 200 caracteres`);
+  }
+
+  const fields = strategy.fields;
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    errors.push(`${prefix}: campos do modelo devem ser um objeto`);
+    return errors;
+  }
+
+  const names = Object.keys(fields);
+  if (names.length === 0 || names.length > RENAMING_TEMPLATE_MAX_FIELDS) {
+    errors.push(
+      `${prefix}: o modelo deve ter entre 1 e ${RENAMING_TEMPLATE_MAX_FIELDS} campos`
+    );
+  }
+  const cssFields = names.filter((name) => fields[name]?.source === "css");
+  if (cssFields.length > RENAMING_TEMPLATE_MAX_CSS_FIELDS) {
+    // O content script aceita um número limitado de extrações por segundo
+    errors.push(
+      `${prefix}: o modelo pode ter no máximo ${RENAMING_TEMPLATE_MAX_CSS_FIELDS} campos CSS`
+    );
+  }
+
+  if (typeof strategy.template === "string") {
+    for (const [, name] of strategy.template.matchAll(
+      RENAMING_TEMPLATE_PLACEHOLDER_PATTERN
+    )) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        errors.push(`${prefix}: campo '{${name}}' usado no modelo não existe`);
+      }
+    }
+  }
+
+  names.forEach((name) => {
+    const field = fields[name];
+    const fieldPrefix = `${prefix}, Campo '${name}'`;
+    if (!RENAMING_TEMPLATE_FIELD_NAME_PATTERN.test(name)) {
+      errors.push(
+        `${fieldPrefix}: nome deve ter até 30 letras, números ou '_'`
+      );
+    }
+    if (!field || typeof field !== "object" || Array.isArray(field)) {
+      errors.push(`${fieldPrefix}: deve ser um objeto`);
+      return;
+    }
+    if (!RENAMING_TEMPLATE_FIELD_SOURCES.has(field.source)) {
+      errors.push(
+        `${fieldPrefix}: origem deve ser uma de: ${Array.from(
+          RENAMING_TEMPLATE_FIELD_SOURCES
+        ).join(", ")}`
+      );
+    }
+
+    if (field.source === "css") {
+      if (
+        typeof field.selector !== "string" ||
+        !CSS_EXTRACT_SELECTOR_PATTERN.test(field.selector)
+      ) {
+        errors.push(`${fieldPrefix}: seletor CSS em falta ou inválido`);
+      }
+      if (field.attribute && typeof field.attribute !== "string") {
+        errors.push(`${fieldPrefix}: atributo deve ser uma string`);
+      }
+    }
+
+    if (field.source === "url_regex" && !field.pattern) {
+      errors.push(`${fieldPrefix}: padrão regex é obrigatório`);
+    }
+    if (field.pattern !== undefined && field.pattern !== null) {
+      if (typeof field.pattern !== "string") {
+        errors.push(`${fieldPrefix}: padrão deve ser uma string`);
+      } else {
+        try {
+          new RegExp(field.pattern);
+        } catch (e) {
+          errors.push(`${fieldPrefix}: padrão contém regex inválida`);
+        }
+      }
+    }
+    if (
+      field.group !== undefined &&
+      (!Number.isInteger(field.group) || field.group < 0)
+    ) {
+      errors.push(`${fieldPrefix}: grupo deve ser um número não negativo`);
+    }
+
+    if (
+      field.fallback !== undefined &&
+      (typeof field.fallback !== "string" || field.fallback.length > 100)
+    ) {
+      errors.push(
+        `${fieldPrefix}: valor por omissão deve ser uma string até 100 caracteres`
+      );
+    }
+    if (field.required !== undefined && typeof field.required !== "boolean") {
+      errors.push(`${fieldPrefix}: required deve ser booleano`);
+    }
+    if (field.operations !== undefined) {
+      if (!Array.isArray(field.operations)) {
+        errors.push(`${fieldPrefix}: operações devem ser um array`);
+      } else {
+        field.operations.forEach((operation, i) => {
+          errors.push(...validateTextOperation(operation, i, fieldPrefix));
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Valida uma operação de texto
  * @param {object} operation - Operação a validar
@@ -1016,6 +1890,31 @@ export const VALID_MESSAGE_ACTIONS = new Set([
   "getRateLimiterDetailedStats",
   "log",
   "extractContent",
+  "collapseOtherGroups",
+  "toggleAutoGrouping",
+  "moveTabToAdjacentGroup",
+  "saveSnapshot",
+  "listSnapshots",
+  "restoreSnapshot",
+  "deleteSnapshot",
+  "getWindowPolicy",
+  "setWindowPolicy",
+  "simulateGrouping",
+  "renamingContentChanged",
+  "getRenameHistory",
+  "revertTabTitles",
+  "getDuplicateTabs",
+  "closeDuplicateTabs",
+  "getWindowGroups",
+  "manageGroup",
+  "searchTabs",
+  "openSearchResult",
+  "getUndoSummary",
+  "undoLastGrouping",
+  "archiveGroup",
+  "listArchivedGroups",
+  "restoreArchivedGroup",
+  "deleteArchivedGroup",
 ]);
 
 /**
@@ -1101,6 +2000,191 @@ export function validateRuntimeMessage(message, sender) {
       }
       break;
 
+    case "moveTabToAdjacentGroup":
+      if (!["next", "previous"].includes(message.direction)) {
+        errors.push(
+          "moveTabToAdjacentGroup requer direction 'next' ou 'previous'"
+        );
+      }
+      break;
+
+    case "saveSnapshot":
+      if (message.name !== undefined && typeof message.name !== "string") {
+        errors.push("saveSnapshot requer name do tipo string");
+      }
+      break;
+
+    case "restoreSnapshot":
+    case "deleteSnapshot":
+      if (!isNonEmptyString(message.snapshotId, "snapshotId")) {
+        errors.push(`${message.action} requer snapshotId válido`);
+      }
+      if (
+        message.action === "restoreSnapshot" &&
+        message.target === "current" &&
+        !isNonNegativeInteger(message.windowId, "windowId")
+      ) {
+        errors.push("restoreSnapshot na janela atual requer windowId válido");
+      }
+      break;
+
+    case "simulateGrouping":
+      if (message.rules !== undefined) {
+        if (!Array.isArray(message.rules)) {
+          errors.push("simulateGrouping requer rules do tipo array");
+        } else {
+          message.rules.forEach((rule, index) => {
+            const ruleResult = validateCustomRule(rule);
+            if (!ruleResult.isValid) {
+              errors.push(
+                `Regra ${index + 1}: ${ruleResult.errors.join("; ")}`
+              );
+            }
+          });
+        }
+      }
+      break;
+
+    case "getWindowPolicy":
+    case "setWindowPolicy":
+      if (!isNonNegativeInteger(message.windowId, "windowId")) {
+        errors.push(`${message.action} requer windowId válido`);
+      }
+      if (message.action === "setWindowPolicy") {
+        if (typeof message.label !== "string") {
+          errors.push("setWindowPolicy requer label do tipo string");
+        } else if (message.label && message.policy !== undefined) {
+          const policyResult = validateWindowPolicy(
+            message.label,
+            message.policy
+          );
+          errors.push(...policyResult.errors);
+        }
+      }
+      break;
+
+    case "renamingContentChanged":
+      if (typeof message.pageTitle !== "string") {
+        errors.push("renamingContentChanged requer pageTitle do tipo string");
+      }
+      if (message.reason !== undefined && typeof message.reason !== "string") {
+        errors.push("renamingContentChanged requer reason do tipo string");
+      }
+      break;
+
+    case "getRenameHistory":
+      if (!isNonNegativeInteger(message.tabId, "tabId")) {
+        errors.push("getRenameHistory requer tabId válido");
+      }
+      break;
+
+    case "revertTabTitles":
+      if (!["tab", "rule", "all"].includes(message.scope)) {
+        errors.push("revertTabTitles requer scope 'tab', 'rule' ou 'all'");
+      } else if (
+        message.scope === "tab" &&
+        !isNonNegativeInteger(message.tabId, "tabId")
+      ) {
+        errors.push("revertTabTitles de uma aba requer tabId válido");
+      } else if (
+        message.scope === "rule" &&
+        !isNonEmptyString(message.ruleId, "ruleId")
+      ) {
+        errors.push("revertTabTitles de uma regra requer ruleId válido");
+      }
+      break;
+
+    case "getDuplicateTabs":
+    case "closeDuplicateTabs":
+      if (!isNonNegativeInteger(message.windowId, "windowId")) {
+        errors.push(`${message.action} requer windowId válido`);
+      }
+      if (
+        message.action === "closeDuplicateTabs" &&
+        !["group", "window"].includes(message.scope)
+      ) {
+        errors.push("closeDuplicateTabs requer scope 'group' ou 'window'");
+      }
+      if (
+        (message.groupId !== undefined || message.scope === "group") &&
+        !isNonNegativeInteger(message.groupId, "groupId")
+      ) {
+        errors.push(`${message.action} requer groupId válido`);
+      }
+      break;
+
+    case "archiveGroup":
+      if (!isNonNegativeInteger(message.groupId, "groupId")) {
+        errors.push("archiveGroup requer groupId válido");
+      }
+      break;
+
+    case "restoreArchivedGroup":
+    case "deleteArchivedGroup":
+      if (!isNonEmptyString(message.archiveId, "archiveId")) {
+        errors.push(`${message.action} requer archiveId válido`);
+      }
+      if (
+        message.action === "restoreArchivedGroup" &&
+        !isNonNegativeInteger(message.windowId, "windowId")
+      ) {
+        errors.push("restoreArchivedGroup requer windowId válido");
+      }
+      break;
+
+    case "getWindowGroups":
+      if (!isNonNegativeInteger(message.windowId, "windowId")) {
+        errors.push("getWindowGroups requer windowId válido");
+      }
+      break;
+
+    case "manageGroup":
+      if (!isNonNegativeInteger(message.groupId, "groupId")) {
+        errors.push("manageGroup requer groupId válido");
+      }
+      if (!VALID_GROUP_OPERATIONS.has(message.operation)) {
+        errors.push(
+          `manageGroup requer operation válida (${Array.from(
+            VALID_GROUP_OPERATIONS
+          ).join(", ")})`
+        );
+      }
+      if (
+        message.operation === "rename" &&
+        (typeof message.title !== "string" || message.title.length > 100)
+      ) {
+        errors.push("manageGroup rename requer title até 100 caracteres");
+      }
+      if (
+        message.operation === "recolor" &&
+        !VALID_GROUP_COLORS.has(message.color)
+      ) {
+        errors.push("manageGroup recolor requer color válida");
+      }
+      break;
+
+    case "searchTabs":
+      if (typeof message.query !== "string" || message.query.length > 200) {
+        errors.push("searchTabs requer query até 200 caracteres");
+      }
+      break;
+
+    case "openSearchResult":
+      if (!isNonNegativeInteger(message.tabId, "tabId")) {
+        errors.push("openSearchResult requer tabId válido");
+      }
+      if (!["activate", "move_tab", "move_group"].includes(message.mode)) {
+        errors.push(
+          "openSearchResult requer mode 'activate', 'move_tab' ou 'move_group'"
+        );
+      } else if (
+        message.mode !== "activate" &&
+        !isNonNegativeInteger(message.windowId, "windowId")
+      ) {
+        errors.push("openSearchResult requer windowId válido para mover");
+      }
+      break;
+
     case "log":
       if (
         !message.level ||
@@ -1118,9 +2202,12 @@ export function validateRuntimeMessage(message, sender) {
   }
 
   // Validação do sender para ações sensíveis
-  if (sender && message.action === "extractContent") {
+  if (
+    sender &&
+    ["extractContent", "renamingContentChanged"].includes(message.action)
+  ) {
     if (!sender.tab || typeof sender.tab.id !== "number") {
-      errors.push("extractContent deve vir de uma aba válida");
+      errors.push(`${message.action} deve vir de uma aba válida`);
     }
   }
 
@@ -1168,12 +2255,35 @@ export function sanitizeMessageData(data) {
     "details",
     "strategy",
     "errorType",
+    "direction",
+    "name",
+    "snapshotId",
+    "target",
+    "windowId",
+    "label",
+    "policy",
+    "rules",
+    "pageTitle",
+    "reason",
+    "tabId",
+    "scope",
+    "ruleId",
+    "groupId",
+    "operation",
+    "title",
+    "color",
+    "query",
+    "mode",
+    "archiveId",
   ];
 
   for (const prop of allowedProps) {
     if (Object.prototype.hasOwnProperty.call(data, prop)) {
       if (typeof data[prop] === "string") {
         sanitized[prop] = sanitizeString(data[prop], 1000);
+      } else if (prop === "settings") {
+        // As configurações incluem regras e listas aninhadas
+        sanitized[prop] = sanitizeObjectDeep(data[prop]);
       } else if (typeof data[prop] === "object" && data[prop] !== null) {
         // Para objetos, fazemos uma sanitização recursiva limitada
         sanitized[prop] = sanitizeObjectShallow(data[prop]);
@@ -1216,6 +2326,64 @@ function sanitizeObjectShallow(obj) {
   return sanitized;
 }
 
+// Chaves que nunca são copiadas (prevenção de prototype pollution)
+const FORBIDDEN_OBJECT_KEYS = new Set([
+  "__proto__",
+  "constructor",
+  "prototype",
+]);
+
+/**
+ * Sanitiza recursivamente um objeto (ex: as configurações completas, com
+ * regras e listas aninhadas), com limites de profundidade e tamanho.
+ * Quebras de linha são mantidas, por fazerem parte de valores em lista.
+ * @param {any} value - Valor a sanitizar
+ * @param {number} depth - Profundidade atual
+ * @returns {any} - Valor sanitizado (undefined se descartado)
+ */
+function sanitizeObjectDeep(value, depth = 0) {
+  const maxDepth = 12;
+  const maxProps = 200;
+  const maxArrayItems = 1000;
+
+  if (typeof value === "string") {
+    return value
+      .split("\n")
+      .map((line) => sanitizeString(line, 2000))
+      .join("\n")
+      .slice(0, 20000);
+  }
+  if (
+    typeof value === "number" ||
+    typeof value === "boolean" ||
+    value === null
+  ) {
+    return value;
+  }
+  if (typeof value !== "object" || depth >= maxDepth) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .slice(0, maxArrayItems)
+      .map((item) => sanitizeObjectDeep(item, depth + 1))
+      .filter((item) => item !== undefined);
+  }
+
+  const sanitized = {};
+  Object.entries(value)
+    .slice(0, maxProps)
+    .forEach(([key, item]) => {
+      if (key.length > 100 || FORBIDDEN_OBJECT_KEYS.has(key)) return;
+      const sanitizedItem = sanitizeObjectDeep(item, depth + 1);
+      if (sanitizedItem !== undefined) {
+        sanitized[key] = sanitizedItem;
+      }
+    });
+  return sanitized;
+}
+
 /**
  * Implementa rate limiting simples para mensagens
  */
@@ -1291,7 +2459,11 @@ export const messageRateLimiter = new MessageRateLimiter();
  */
 export function validateSender(sender, action, tabId) {
   // Ações que requerem contexto de aba
-  const tabRequiredActions = new Set(["extractContent", "log"]);
+  const tabRequiredActions = new Set([
+    "extractContent",
+    "log",
+    "renamingContentChanged",
+  ]);
 
   if (tabRequiredActions.has(action)) {
     const hasSenderTab =
@@ -0,0 +1,118 @@
+/**
+ * @file window-policies.js
+ * @description Políticas de agrupamento por janela. Cada janela pode receber uma
+ * etiqueta escolhida pelo utilizador (ex: "pesquisa", "trabalho"); a política
+ * dessa etiqueta, guardada em `settings.windowPolicies`, substitui
+ * `autoGroupingEnabled`, `groupingMode` e `minTabsForAutoGroup` nessa janela.
+ */
+
+import Logger from './logger.js';
+import { settings } from './settings-manager.js';
+import { WINDOW_POLICY_FIELDS } from './validation-utils.js';
+
+const WINDOW_LABELS_STORAGE_KEY = 'windowPolicyLabels';
+
+// IDs de janela não sobrevivem a um reinício do browser: usa storage.session
+// quando disponível e, no fallback local, descarta janelas que já não existem.
+const labelsStorage = browser.storage.session || browser.storage.local;
+
+/** @type {Map<number, string>|null} */
+let windowLabels = null;
+
+/**
+ * Carrega (uma vez) o mapa windowId -> etiqueta.
+ * @returns {Promise<Map<number, string>>}
+ */
+async function loadWindowLabels() {
+  if (windowLabels) return windowLabels;
+
+  const data = await labelsStorage.get(WINDOW_LABELS_STORAGE_KEY);
+  const stored = data[WINDOW_LABELS_STORAGE_KEY] || {};
+  const openWindowIds = new Set(
+    (await browser.windows.getAll()).map((w) => w.id)
+  );
+
+  windowLabels = new Map(
+    Object.entries(stored)
+      .map(([id, label]) => [parseInt(id, 10), label])
+      .filter(([id]) => openWindowIds.has(id))
+  );
+  return windowLabels;
+}
+
+/**
+ * Persiste o mapa windowId -> etiqueta.
+ */
+async function persistWindowLabels() {
+  await labelsStorage.set({
+    [WINDOW_LABELS_STORAGE_KEY]: Object.fromEntries(windowLabels),
+  });
+}
+
+/**
+ * Obtém a etiqueta atribuída a uma janela.
+ * @param {number} windowId - ID da janela.
+ * @returns {Promise<string|null>}
+ */
+export async function getWindowLabel(windowId) {
+  const labels = await loadWindowLabels();
+  return labels.get(windowId) || null;
+}
+
+/**
+ * Atribui (ou remove, com etiqueta vazia) a etiqueta de uma janela.
+ * @param {number} windowId - ID da janela.
+ * @param {string|null} label - A etiqueta.
+ */
+export async function setWindowLabel(windowId, label) {
+  const labels = await loadWindowLabels();
+  if (label) {
+    labels.set(windowId, label);
+  } else {
+    labels.delete(windowId);
+  }
+  await persistWindowLabels();
+  Logger.info(
+    'WindowPolicies',
+    label
+      ? `Janela ${windowId} associada à etiqueta '${label}'.`
+      : `Etiqueta removida da janela ${windowId}.`
+  );
+}
+
+/**
+ * Esquece a etiqueta de uma janela fechada.
+ * @param {number} windowId - ID da janela.
+ */
+export async function forgetWindow(windowId) {
+  const labels = await loadWindowLabels();
+  if (labels.delete(windowId)) {
+    await persistWindowLabels();
+  }
+}
+
+/**
+ * Obtém a política (substituições) associada a uma etiqueta.
+ * @param {string|null} label - A etiqueta.
+ * @returns {object} As substituições definidas (pode ser vazio).
+ */
+export function getPolicyForLabel(label) {
+  const policies = settings.windowPolicies || {};
+  return (label && policies[label]) || {};
+}
+
+/**
+ * Calcula as configurações de agrupamento efetivas para uma janela,
+ * aplicando a política da sua etiqueta sobre as configurações globais.
+ * @param {number} windowId - ID da janela.
+ * @returns {Promise<{autoGroupingEnabled: boolean, groupingMode: string, minTabsForAutoGroup: number}>}
+ */
+export async function getEffectiveWindowSettings(windowId) {
+  const policy = getPolicyForLabel(await getWindowLabel(windowId));
+  const effective = {};
+  WINDOW_POLICY_FIELDS.forEach((field) => {
+    effective[field] =
+      policy[field] !== undefined ? policy[field] : settings[field];
+  });
+  return effective;
+}